@@ -0,0 +1,113 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { formatSseEvent, SSE_HEADERS } from '../../shared/diagnostic-stream.js';
+import { getClientIp, matchApiRoute, runApiHandler, type ApiResponse, type ApiRoute } from '../../shared/api-handlers.js';
+
+// Helper for CORS (production-locked with development support)
+function setCORS(res: VercelResponse, origin: string | undefined) {
+  const isDevelopment = process.env.NODE_ENV !== 'production';
+
+  const allowedOrigins = [
+    'https://analyzer.yourbizguru.com',
+    'https://www.yourbizguru.com',
+    /https:\/\/.*\.vercel\.app$/,
+  ];
+
+  // In development, also allow localhost
+  if (isDevelopment && origin?.startsWith('http://localhost')) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id, X-Admin-Key');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    return;
+  }
+
+  let allowOrigin = false;
+  if (origin) {
+    allowOrigin = allowedOrigins.some(allowed => {
+      if (typeof allowed === 'string') {
+        return allowed === origin;
+      }
+      return allowed.test(origin);
+    });
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', allowOrigin && origin ? origin : 'https://analyzer.yourbizguru.com');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id, X-Admin-Key');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+}
+
+// Writes with plain Node response methods so the adapter also runs on a bare http.Server
+function send(res: VercelResponse, status: number, body: unknown) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+async function sendApiResponse(res: VercelResponse, response: ApiResponse) {
+  if (!('events' in response)) {
+    send(res, response.status, response.body);
+    return;
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+  try {
+    await response.events((event, data) => {
+      res.write(formatSseEvent(event, data));
+    });
+  } finally {
+    res.end();
+  }
+}
+
+// Serves the shared handlers (shared/api-handlers.ts) from the Vercel catch-all function
+export async function handleVercelRequest(routes: ApiRoute[], req: VercelRequest, res: VercelResponse) {
+  // ALWAYS set CORS headers first
+  setCORS(res, req.headers.origin as string | undefined);
+
+  // Ensure JSON content type for all responses
+  res.setHeader('Content-Type', 'application/json');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  // Vercel can pass req.body as a string; the handlers expect parsed JSON
+  let body: any = {};
+  try {
+    if (typeof req.body === 'string') {
+      body = req.body ? JSON.parse(req.body) : {};
+    } else if (req.body && typeof req.body === 'object') {
+      body = req.body;
+    }
+  } catch (parseError: any) {
+    console.error('[Vercel] Failed to parse request body:', parseError.message);
+    return send(res, 400, {
+      error: 'Invalid JSON in request body',
+      details: parseError.message
+    });
+  }
+
+  const { url = '', method = 'GET' } = req;
+  const path = url.split('?')[0];
+  console.log(`[Vercel] ${method} ${path}`);
+
+  const match = matchApiRoute(routes, method, path);
+  if (!match) {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  const response = await runApiHandler(match.route, {
+    method,
+    path,
+    params: match.params,
+    query: req.query || {},
+    headers: req.headers,
+    body,
+    ip: getClientIp(req.headers, req.socket?.remoteAddress),
+    // Generation routes are public, so events are attributed by IP address
+    userId: null,
+  });
+  await sendApiResponse(res, response);
+}
@@ -1,9 +1,11 @@
 // Environment variable validation for serverless deployment
 
 export function validateEnv() {
-  // Only OPENAI_API_KEY is strictly required
+  // Only the AI provider's settings are strictly required
+  // (OPENAI_API_KEY for openai, AI_BASE_URL for local, nothing for mock)
   // DATABASE_URL is optional - app works without it (in-memory mode)
-  const required = ['OPENAI_API_KEY'];
+  const provider = (process.env.AI_PROVIDER || 'openai').toLowerCase().trim();
+  const required = provider === 'mock' ? [] : provider === 'local' ? ['AI_BASE_URL'] : ['OPENAI_API_KEY'];
   const missing: string[] = [];
 
   for (const key of required) {
@@ -32,7 +34,7 @@ export function validateEnv() {
 
   // Validate OPENAI_API_KEY format
   const openaiKey = process.env.OPENAI_API_KEY;
-  if (openaiKey && !openaiKey.startsWith('sk-')) {
+  if (provider === 'openai' && openaiKey && !openaiKey.startsWith('sk-')) {
     console.warn('OPENAI_API_KEY does not appear to be in the correct format (should start with sk-)');
   }
 
@@ -43,6 +45,7 @@ export function getConfig() {
   return {
     databaseUrl: process.env.DATABASE_URL!,
     openaiApiKey: process.env.OPENAI_API_KEY!,
+    aiProvider: process.env.AI_PROVIDER || 'openai',
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
     nodeEnv: process.env.NODE_ENV || 'development',
@@ -28,7 +28,8 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     },
     configuration: {
       publicSiteUrl: process.env.PUBLIC_SITE_URL || 'not-set',
-      corsOrigins: process.env.CORS_ALLOWED_ORIGINS || 'not-set'
+      corsOrigins: process.env.CORS_ALLOWED_ORIGINS || 'not-set',
+      aiProvider: process.env.AI_PROVIDER || 'openai'
     },
     features: {
       lowercaseToolNames: true,
@@ -0,0 +1,824 @@
+// Elev8 Analyzer String Catalog
+// UI and PDF labels per locale, plus the locale helpers used by elev8-script.js and
+// pdf-export.js. Locale codes match shared/locales.ts, which tells the model which
+// language to write in. Missing keys fall back to English.
+
+const ELEV8_LOCALES = {
+  en: { label: "English", dateLocale: "en-US" },
+  es: { label: "Español", dateLocale: "es-US" }
+};
+
+const ELEV8_DEFAULT_LOCALE = "en";
+const ELEV8_LOCALE_STORAGE_KEY = "elev8-locale";
+
+const ELEV8_STRINGS = {
+  en: {
+    // Header and form
+    "app.tagline": "Elevate your business strategy — powered by YourBizGuru",
+    "header.theme": "Theme",
+    "header.language": "Language",
+    "form.title": "Business Profile",
+    "form.businessName": "Business Name",
+    "form.businessNamePlaceholder": "Your Business Name",
+    "form.framework": "Organization Type",
+    "framework.business": "Small Business",
+    "framework.nonprofit": "Nonprofit Organization",
+    "form.weighting": "Index Weighting",
+    "weighting.auto": "Automatic (from industry and revenue)",
+    "weighting.autoWith": "Automatic: {name}",
+    "weighting.tech-startup": "Early-stage tech",
+    "weighting.construction": "Construction & trades",
+    "weighting.regulated": "Regulated services",
+    "weighting.operations-heavy": "Operations-heavy",
+    "weighting.consumer": "Consumer brands",
+    "weighting.early-stage": "Early stage",
+    "weighting.standard": "Standard",
+    "form.industry": "Industry",
+    "form.industryPlaceholder": "Select industry...",
+    "form.revenueRange": "Annual Revenue Range",
+    "form.revenuePlaceholder": "Select revenue range...",
+    "form.creditProfile": "Credit Profile",
+    "form.creditPlaceholder": "Select credit profile...",
+    "form.employees": "Number of Employees",
+    "form.employeesPlaceholder": "Select employee count...",
+    "form.challenges": "Primary Business Challenges",
+    "form.challengesPlaceholder": "Describe your main business challenges, pain points, or growth obstacles...",
+    "form.goals": "Strategic Goals (Next 12 Months)",
+    "form.goalsPlaceholder": "What are your key business objectives for the next year?",
+    "form.questionnaire": "Assessment Questionnaire",
+    "form.optional": "(optional)",
+    "form.questionnaireHint": "Answer any of these to sharpen the scoring for each pillar.",
+    "form.financials": "Financial Statements",
+    "form.optionalCsv": "(optional CSV)",
+    "form.pnl": "Profit & Loss",
+    "form.balanceSheet": "Balance Sheet",
+    "form.financialsHint": "One line item per row with its amount, e.g. <code>Revenue,250000</code> or <code>Total Current Liabilities,\"42,000\"</code>. P&amp;L figures are treated as 12 months unless a <code>Months</code> row is included.",
+    "form.submit": "Generate Analysis",
+    "form.analyzing": "Analyzing...",
+
+    // Select options (values stay in English; benchmarks and prompts are keyed on them)
+    "option.Technology / Software": "Technology / Software",
+    "option.Professional Services": "Professional Services",
+    "option.Healthcare": "Healthcare",
+    "option.Manufacturing": "Manufacturing",
+    "option.Retail / E-commerce": "Retail / E-commerce",
+    "option.Construction": "Construction",
+    "option.Food & Beverage": "Food & Beverage",
+    "option.Real Estate": "Real Estate",
+    "option.Financial Services": "Financial Services",
+    "option.Transportation & Logistics": "Transportation & Logistics",
+    "option.Education": "Education",
+    "option.Other": "Other",
+    "option.Pre-Revenue": "Pre-Revenue",
+    "option.Excellent (740+)": "Excellent (740+)",
+    "option.Good (670-739)": "Good (670-739)",
+    "option.Fair (580-669)": "Fair (580-669)",
+    "option.Poor (<580)": "Poor (<580)",
+    "option.Unknown/Not Established": "Unknown/Not Established",
+    "option.Just Me (0 employees)": "Just Me (0 employees)",
+
+    // Validation
+    "validation.businessName": "Business name is required",
+    "validation.industry": "Industry is required",
+    "validation.revenueRange": "Revenue range is required",
+    "validation.employees": "Number of employees is required",
+    "validation.wholeNumber": "Enter a whole number",
+    "validation.range": "Enter a value between {min} and {max}",
+    "validation.csvTooLarge": "CSV must be 40KB or smaller",
+    "validation.csvUnreadable": "Could not read this file",
+
+    // Questionnaire
+    "questionnaire.yes": "Yes",
+    "questionnaire.no": "No",
+    "questionnaire.scaleMin": "(not at all)",
+    "questionnaire.scaleMax": "(fully)",
+    "questionnaire.progress": "{answered}/{total} answered",
+    "questionnaire.unit.months": "months",
+    "questionnaire.unit.%": "%",
+
+    // Results panel
+    "results.title": "Analysis Results",
+    "results.empty": "No analysis yet. Enter your business profile and click Generate Analysis to get started.",
+    "menu.file": "File",
+    "menu.saveReport": "Save Report",
+    "menu.loadReport": "Load Report",
+    "menu.export": "Export",
+    "menu.exportPdf": "Export PDF",
+    "menu.copyAll": "Copy All",
+    "menu.clear": "Clear",
+    "footer.disclaimer": "Disclaimer: For informational purposes only. Not legal, tax, or financial advice.",
+
+    // Results
+    "results.overallIndex": "Overall Elev8 Index",
+    "results.defaultSummary": "Comprehensive health analysis across {total} critical pillars.",
+    "band.elite": "Elite",
+    "band.strong": "Strong",
+    "band.stable": "Stable",
+    "band.atRisk": "At Risk",
+    "band.critical": "Critical",
+    "status.strong": "Strong",
+    "status.moderate": "Moderate",
+    "status.critical": "Critical",
+    "charts.title": "Business Metrics Visualization",
+    "charts.radar": "Pillar Performance Radar",
+    "charts.bar": "Pillar Score Comparison",
+    "charts.gauge": "Business Health Gauge",
+    "charts.timeline": "Action Roadmap Timeline",
+    "chart.currentScore": "Current Score",
+    "chart.peerMedian": "Peer Median",
+    "chart.targetScore": "Target Score",
+    "chart.simulated": "Simulated",
+    "chart.score": "Score",
+    "chart.remaining": "Remaining",
+    "chart.start": "Start",
+    "chart.days": "{days} Days",
+    "chart.actionsToComplete": "Actions to Complete",
+    "chart.completedActions": "Completed Actions",
+    "chart.taskSchedule": "Task schedule",
+    "chart.actions": "{count} actions",
+    "pillars.title": "{total} Pillars of Organizational Health",
+    "pillar.analyzing": "Analyzing...",
+    "pillar.scoreSources": "AI {ai} · Baseline {baseline}",
+    "pillar.insights": "Key Insights:",
+    "pillar.actions": "Priority Actions:",
+    "pillar.risks": "Risks:",
+    "pillar.kpis": "KPIs to Track:",
+    "pillar.deepDive": "Deep Dive",
+    "pillar.refreshDeepDive": "Refresh Deep Dive",
+    "pillar.deepDiveFailed": "Failed to generate deep dive",
+    "peer.below": "Below peers",
+    "peer.above": "Above peers",
+    "peer.inLine": "In line with peers",
+    "peer.summary": "{comparison} · {percentile} percentile (peer median {median})",
+    "financials.title": "Financial Metrics:",
+    "financials.source": "From uploaded statements ({months}-month P&L)",
+    "financials.notAvailable": "N/A",
+    "financials.grossMargin": "Gross Margin",
+    "financials.netMargin": "Net Margin",
+    "financials.currentRatio": "Current Ratio",
+    "financials.debtToEquity": "Debt-to-Equity",
+    "financials.monthsOfRunway": "Months of Runway",
+    "evidence.field.industry": "Industry",
+    "evidence.field.revenueRange": "Annual revenue",
+    "evidence.field.creditProfile": "Credit profile",
+    "evidence.field.employees": "Employees",
+    "evidence.field.challenges": "Challenges",
+    "evidence.field.goals": "Strategic goals",
+    "evidence.general": "General advice",
+    "evidence.generalHint": "Not based on a specific answer from your intake",
+    "evidence.sources": "Based on:",
+    "simulator.title": "What-If Simulator",
+    "simulator.hint": "Explore how the Elev8 Index could change. Simulated scores are estimates and are not saved with the report.",
+    "simulator.index": "Simulated Elev8 Index",
+    "simulator.delta": "{delta} vs. current index ({current})",
+    "simulator.modeScores": "Adjust Pillar Scores",
+    "simulator.modeRoadmap": "Complete Roadmap Actions",
+    "simulator.reset": "Reset",
+    "simulator.roadmapHint": "Tick the actions you expect to finish. Each adds an estimated lift to the pillar it targets.",
+    "simulator.lift": "+{lift} {pillar}",
+    "simulator.percentile": "{percentile} percentile",
+    "confidence.low": "Low confidence",
+    "confidence.medium": "Medium confidence",
+    "confidence.high": "High confidence",
+    "confidence.hint": "Based on {score}% of the inputs for this pillar",
+    "confidence.provideMore": "Provide more data to improve accuracy",
+    "insights.strengths": "Top Strengths",
+    "insights.gaps": "Priority Gaps",
+    "insights.score": "(Score: {score})",
+    "roadmap.title": "30/60/90-Day Action Roadmap",
+    "roadmap.d30": "30 Days (Quick Wins)",
+    "roadmap.d60": "60 Days (Process Improvements)",
+    "roadmap.d90": "90 Days (Strategic Initiatives)",
+    "tasks.title": "Task Plan",
+    "tasks.programStart": "Program start date",
+    "tasks.task": "Task",
+    "tasks.pillar": "Pillar",
+    "tasks.ownerRole": "Owner",
+    "tasks.effort": "Effort",
+    "tasks.start": "Start",
+    "tasks.due": "Due",
+    "tasks.dependsOn": "After",
+    "tasks.owner.owner": "Owner / CEO",
+    "tasks.owner.finance": "Finance / Bookkeeper",
+    "tasks.owner.operations": "Operations Lead",
+    "tasks.owner.marketing": "Sales & Marketing Lead",
+    "tasks.owner.legal": "Legal & Compliance",
+    "tasks.effort.small": "Small (~{days} days)",
+    "tasks.effort.medium": "Medium (~{days} days)",
+    "tasks.effort.large": "Large (~{days} days)",
+    "chat.title": "Ask About Your Report",
+    "chat.hint": "Ask follow-up questions such as \"How do I open a net-30 tradeline?\" Answers are based on this report and your intake answers.",
+    "chat.saveFirst": "Save this report to ask follow-up questions. The conversation is kept with the saved report.",
+    "chat.empty": "No questions yet.",
+    "chat.placeholder": "Type your question...",
+    "chat.send": "Ask",
+    "chat.you": "You",
+    "chat.advisor": "Elev8 Advisor",
+    "chat.thinking": "Thinking...",
+    "chat.remaining": "{remaining} of {limit} follow-up questions left.",
+    "chat.limitReached": "You've used all {limit} of your follow-up questions.",
+    "chat.failed": "The question could not be answered. Please try again.",
+    "history.title": "Progress Over Time",
+    "history.hint": "Reports saved for {name} are tracked together. Save this report and re-run the analyzer each quarter to follow the trend.",
+    "history.empty": "No earlier saved reports for {name} yet. Save this report to start tracking progress.",
+    "history.loading": "Loading earlier assessments...",
+    "history.failed": "Earlier assessments could not be loaded.",
+    "history.sinceLast": "Since {name} ({date}, {days} days earlier)",
+    "history.index": "Elev8 Index",
+    "history.current": "This report",
+    "history.unchanged": "No change",
+    "history.newPillar": "New",
+    "history.frameworkChanged": "The earlier report used a different pillar framework; only shared pillars are compared.",
+    "note.indexCheck": "<strong>Index check:</strong> the model reported {reported}, but its pillar scores compute to {computed} ({difference} points apart, tolerance {tolerance}). The displayed index is computed from the weighted pillar scores.",
+    "note.fallback": "<strong>Rules-based report.</strong> {reason} Scores and recommendations come from your intake answers. This report did not use a report credit.",
+    "note.blended": "Scores blend AI analysis ({ai}) with a rules-based baseline ({baseline}).",
+    "note.cached": "<strong>Same inputs as a recent analysis.</strong> Showing the result generated {date}; this did not use a report credit.",
+    "note.cachedEarlier": "earlier",
+    "note.regenerate": "Regenerate",
+    "note.framework": "<strong>{name} framework:</strong> scored on {total} pillars for this type of organization.",
+    "note.weighting": "<strong>Weighted for:</strong> {context}, {profile} profile",
+    "note.weightingSelected": "<strong>Weighted for:</strong> {context}, {profile} profile (chosen on the intake form)",
+    "note.redacted": "<strong>Personal details masked.</strong> {items} in your answers were replaced before analysis and never sent to the AI provider.",
+    "redaction.ssn": "Social Security number",
+    "redaction.ein": "EIN",
+    "redaction.card": "card number",
+    "redaction.account": "account number",
+    "redaction.email": "email address",
+    "redaction.phone": "phone number",
+
+    // Streaming progress
+    "stream.analyzingProfile": "Analyzing business profile...",
+    "stream.analyzingBusiness": "Analyzing {name} across {total} critical pillars...",
+    "stream.progress": "Analyzing... {count}/{total} pillars",
+    "stream.refining": "Refining analysis...",
+    "stream.finalizing": "Finalizing analysis...",
+
+    // Background generation jobs
+    "job.running": "Analyzing your business...",
+    "job.retrying": "Retrying analysis (attempt {attempt} of {max})...",
+    "job.resuming": "Resuming your analysis...",
+    "job.slow": "The analysis is taking longer than expected. Reload the page in a few minutes to pick it up.",
+    "job.notFound": "The pending analysis could not be found. Please generate it again.",
+
+    // Messages
+    "message.generateFailed": "Failed to generate analysis",
+    "message.noAnalysisToExport": "No analysis to export. Generate an analysis first.",
+    "message.pdfUnavailable": "PDF export functionality not available.",
+    "message.noResultsToCopy": "No results to copy.",
+    "message.copied": "Results copied to clipboard!",
+    "message.copyFailed": "Failed to copy results.",
+    "message.confirmClear": "Clear all analysis results?",
+    "message.noAnalysisToSave": "No analysis to save. Generate an analysis first.",
+    "message.reportNameRequired": "Please enter a report name.",
+    "message.reportSaved": "Report \"{name}\" saved successfully!",
+    "message.confirmDelete": "Delete report \"{name}\"?",
+
+    // Save / load modals
+    "save.title": "Save Analysis Report",
+    "save.description": "Enter a name for this analysis report:",
+    "save.placeholder": "e.g., Q4 2024 Analysis",
+    "save.confirm": "Save Report",
+    "load.title": "Load Saved Report",
+    "load.loading": "Loading saved reports...",
+    "load.empty": "No saved reports found. Save your current analysis to see it here.",
+    "load.load": "Load",
+    "load.delete": "Delete",
+    "load.otherReports": "Other reports",
+    "load.assessments": "{count} saved assessments",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+
+    // Copy All text export
+    "text.title": "ELEV8 ANALYZER REPORT",
+    "text.business": "Business",
+    "text.generated": "Generated",
+    "text.weightedFor": "Weighted for: {context}, {profile} profile",
+    "text.overallIndex": "OVERALL ELEV8 INDEX",
+    "text.pillars": "8 PILLARS OF BUSINESS HEALTH",
+    "text.peers": "Peers: {comparison} ({percentile} percentile, median {median})",
+    "text.insights": "Insights",
+    "text.actions": "Actions",
+    "text.risks": "Risks",
+    "text.kpis": "KPIs",
+    "text.financialMetrics": "Financial Metrics",
+    "text.roadmap": "30/60/90-DAY ROADMAP",
+
+    // PDF
+    "pdf.title": "Elev8 Analyzer Report",
+    "pdf.generated": "Generated: {date}",
+    "pdf.fallbackNote": "Rules-based baseline report. {reason}",
+    "pdf.blendedNote": "Scores blend AI analysis with a rules-based baseline ({percent}% baseline).",
+    "pdf.indexNote": "Index check: the model reported {reported}, but its pillar scores compute to {computed} ({difference} points apart, tolerance {tolerance}). The index shown is computed from the weighted pillar scores.",
+    "pdf.colPillar": "Pillar",
+    "pdf.colScore": "Score",
+    "pdf.colPeerMedian": "Peer Median",
+    "pdf.colPercentile": "Percentile",
+    "pdf.colVsPeers": "vs Peers",
+    "pdf.peerFootnote": "Peers: {group} (benchmark dataset v{version})",
+    "pdf.score": "Score: {score}/100",
+    "pdf.progressTitle": "Progress Since Last Review",
+    "pdf.progressIntro": "Compared with \"{name}\" from {date} ({days} days earlier).",
+    "pdf.progressIndex": "Elev8 Index: {previous} to {current} ({delta})",
+    "pdf.colPrevious": "Previous",
+    "pdf.colCurrent": "Current",
+    "pdf.colChange": "Change",
+    "pdf.trendChart": "Score trend",
+    "pdf.footerBrand": "Elev8 Analyzer Report • Powered by YourBizGuru.com",
+    "pdf.page": "Page {page} of {total}",
+    "pdf.copyright": "© 2025 Elev8 Analyzer – All Rights Reserved",
+
+    // Pillar names (canonical names stay in English in the data)
+    "pillar.Formation & Compliance": "Formation & Compliance",
+    "pillar.Business Credit Readiness": "Business Credit Readiness",
+    "pillar.Financials & Cash Flow": "Financials & Cash Flow",
+    "pillar.Operations & Systems": "Operations & Systems",
+    "pillar.Sales & Marketing": "Sales & Marketing",
+    "pillar.Brand & Web Presence": "Brand & Web Presence",
+    "pillar.Risk & Legal Posture": "Risk & Legal Posture",
+    "pillar.Growth Strategy & Execution": "Growth Strategy & Execution",
+    "pillarShort.Formation & Compliance": "Formation",
+    "pillarShort.Business Credit Readiness": "Credit",
+    "pillarShort.Financials & Cash Flow": "Financials",
+    "pillarShort.Operations & Systems": "Operations",
+    "pillarShort.Sales & Marketing": "Sales",
+    "pillarShort.Brand & Web Presence": "Brand",
+    "pillarShort.Risk & Legal Posture": "Legal",
+    "pillarShort.Growth Strategy & Execution": "Growth",
+    "pillar.Mission & Program Impact": "Mission & Program Impact",
+    "pillar.Governance & Board": "Governance & Board",
+    "pillar.Legal & Regulatory Compliance": "Legal & Regulatory Compliance",
+    "pillar.Financial Health & Reserves": "Financial Health & Reserves",
+    "pillar.Fundraising & Revenue Diversity": "Fundraising & Revenue Diversity",
+    "pillar.Grant Readiness": "Grant Readiness",
+    "pillar.Staff & Volunteer Capacity": "Staff & Volunteer Capacity",
+    "pillar.Communications & Community Presence": "Communications & Community Presence",
+    "pillar.Strategic Planning & Sustainability": "Strategic Planning & Sustainability",
+    "pillarShort.Mission & Program Impact": "Mission",
+    "pillarShort.Governance & Board": "Governance",
+    "pillarShort.Legal & Regulatory Compliance": "Compliance",
+    "pillarShort.Financial Health & Reserves": "Finances",
+    "pillarShort.Fundraising & Revenue Diversity": "Fundraising",
+    "pillarShort.Grant Readiness": "Grants",
+    "pillarShort.Staff & Volunteer Capacity": "People",
+    "pillarShort.Communications & Community Presence": "Communications",
+    "pillarShort.Strategic Planning & Sustainability": "Strategy"
+  },
+
+  es: {
+    // Header and form
+    "app.tagline": "Impulse la estrategia de su negocio — con la tecnología de YourBizGuru",
+    "header.theme": "Tema",
+    "header.language": "Idioma",
+    "form.title": "Perfil del negocio",
+    "form.businessName": "Nombre del negocio",
+    "form.businessNamePlaceholder": "Nombre de su negocio",
+    "form.framework": "Tipo de organización",
+    "framework.business": "Pequeña empresa",
+    "framework.nonprofit": "Organización sin fines de lucro",
+    "form.weighting": "Ponderación del índice",
+    "weighting.auto": "Automática (según industria e ingresos)",
+    "weighting.autoWith": "Automática: {name}",
+    "weighting.tech-startup": "Tecnología en etapa inicial",
+    "weighting.construction": "Construcción y oficios",
+    "weighting.regulated": "Servicios regulados",
+    "weighting.operations-heavy": "Intensivo en operaciones",
+    "weighting.consumer": "Marcas de consumo",
+    "weighting.early-stage": "Etapa inicial",
+    "weighting.standard": "Estándar",
+    "form.industry": "Industria",
+    "form.industryPlaceholder": "Seleccione la industria...",
+    "form.revenueRange": "Rango de ingresos anuales",
+    "form.revenuePlaceholder": "Seleccione el rango de ingresos...",
+    "form.creditProfile": "Perfil de crédito",
+    "form.creditPlaceholder": "Seleccione el perfil de crédito...",
+    "form.employees": "Número de empleados",
+    "form.employeesPlaceholder": "Seleccione el número de empleados...",
+    "form.challenges": "Principales desafíos del negocio",
+    "form.challengesPlaceholder": "Describa los principales desafíos, problemas u obstáculos de crecimiento de su negocio...",
+    "form.goals": "Metas estratégicas (próximos 12 meses)",
+    "form.goalsPlaceholder": "¿Cuáles son los objetivos clave de su negocio para el próximo año?",
+    "form.questionnaire": "Cuestionario de evaluación",
+    "form.optional": "(opcional)",
+    "form.questionnaireHint": "Responda cualquiera de estas preguntas para afinar la puntuación de cada pilar.",
+    "form.financials": "Estados financieros",
+    "form.optionalCsv": "(CSV opcional)",
+    "form.pnl": "Estado de resultados",
+    "form.balanceSheet": "Balance general",
+    "form.financialsHint": "Una partida por fila con su monto, p. ej. <code>Revenue,250000</code> o <code>Total Current Liabilities,\"42,000\"</code>. Las cifras del estado de resultados se toman como 12 meses, salvo que se incluya una fila <code>Months</code>.",
+    "form.submit": "Generar análisis",
+    "form.analyzing": "Analizando...",
+
+    // Select options
+    "option.Technology / Software": "Tecnología / Software",
+    "option.Professional Services": "Servicios profesionales",
+    "option.Healthcare": "Salud",
+    "option.Manufacturing": "Manufactura",
+    "option.Retail / E-commerce": "Comercio minorista / E-commerce",
+    "option.Construction": "Construcción",
+    "option.Food & Beverage": "Alimentos y bebidas",
+    "option.Real Estate": "Bienes raíces",
+    "option.Financial Services": "Servicios financieros",
+    "option.Transportation & Logistics": "Transporte y logística",
+    "option.Education": "Educación",
+    "option.Other": "Otra",
+    "option.Pre-Revenue": "Sin ingresos aún",
+    "option.Excellent (740+)": "Excelente (740+)",
+    "option.Good (670-739)": "Bueno (670-739)",
+    "option.Fair (580-669)": "Regular (580-669)",
+    "option.Poor (<580)": "Bajo (<580)",
+    "option.Unknown/Not Established": "Desconocido / Sin historial",
+    "option.Just Me (0 employees)": "Solo yo (0 empleados)",
+
+    // Validation
+    "validation.businessName": "El nombre del negocio es obligatorio",
+    "validation.industry": "La industria es obligatoria",
+    "validation.revenueRange": "El rango de ingresos es obligatorio",
+    "validation.employees": "El número de empleados es obligatorio",
+    "validation.wholeNumber": "Ingrese un número entero",
+    "validation.range": "Ingrese un valor entre {min} y {max}",
+    "validation.csvTooLarge": "El CSV debe pesar 40 KB o menos",
+    "validation.csvUnreadable": "No se pudo leer este archivo",
+
+    // Questionnaire
+    "questionnaire.yes": "Sí",
+    "questionnaire.no": "No",
+    "questionnaire.scaleMin": "(nada)",
+    "questionnaire.scaleMax": "(totalmente)",
+    "questionnaire.progress": "{answered}/{total} respondidas",
+    "questionnaire.unit.months": "meses",
+    "questionnaire.unit.%": "%",
+
+    // Results panel
+    "results.title": "Resultados del análisis",
+    "results.empty": "Aún no hay análisis. Ingrese el perfil de su negocio y haga clic en Generar análisis para comenzar.",
+    "menu.file": "Archivo",
+    "menu.saveReport": "Guardar informe",
+    "menu.loadReport": "Cargar informe",
+    "menu.export": "Exportar",
+    "menu.exportPdf": "Exportar PDF",
+    "menu.copyAll": "Copiar todo",
+    "menu.clear": "Borrar",
+    "footer.disclaimer": "Aviso: solo con fines informativos. No constituye asesoría legal, fiscal ni financiera.",
+
+    // Results
+    "results.overallIndex": "Índice Elev8 general",
+    "results.defaultSummary": "Análisis integral de la salud de la organización en {total} pilares clave.",
+    "band.elite": "Élite",
+    "band.strong": "Sólido",
+    "band.stable": "Estable",
+    "band.atRisk": "En riesgo",
+    "band.critical": "Crítico",
+    "status.strong": "Sólido",
+    "status.moderate": "Moderado",
+    "status.critical": "Crítico",
+    "charts.title": "Visualización de métricas del negocio",
+    "charts.radar": "Radar de desempeño por pilar",
+    "charts.bar": "Comparación de puntuaciones por pilar",
+    "charts.gauge": "Indicador de salud del negocio",
+    "charts.timeline": "Cronograma de la hoja de ruta",
+    "chart.currentScore": "Puntuación actual",
+    "chart.peerMedian": "Mediana del sector",
+    "chart.targetScore": "Puntuación objetivo",
+    "chart.simulated": "Simulado",
+    "chart.score": "Puntuación",
+    "chart.remaining": "Restante",
+    "chart.start": "Inicio",
+    "chart.days": "{days} días",
+    "chart.actionsToComplete": "Acciones pendientes",
+    "chart.completedActions": "Acciones completadas",
+    "chart.taskSchedule": "Calendario de tareas",
+    "chart.actions": "{count} acciones",
+    "pillars.title": "{total} pilares de la salud de la organización",
+    "pillar.analyzing": "Analizando...",
+    "pillar.scoreSources": "IA {ai} · Base {baseline}",
+    "pillar.insights": "Hallazgos clave:",
+    "pillar.actions": "Acciones prioritarias:",
+    "pillar.risks": "Riesgos:",
+    "pillar.kpis": "KPI a monitorear:",
+    "pillar.deepDive": "Análisis a fondo",
+    "pillar.refreshDeepDive": "Actualizar análisis a fondo",
+    "pillar.deepDiveFailed": "No se pudo generar el análisis a fondo",
+    "peer.below": "Por debajo del sector",
+    "peer.above": "Por encima del sector",
+    "peer.inLine": "En línea con el sector",
+    "peer.summary": "{comparison} · percentil {percentile} (mediana del sector {median})",
+    "financials.title": "Métricas financieras:",
+    "financials.source": "De los estados cargados (estado de resultados de {months} meses)",
+    "financials.notAvailable": "N/D",
+    "financials.grossMargin": "Margen bruto",
+    "financials.netMargin": "Margen neto",
+    "financials.currentRatio": "Razón circulante",
+    "financials.debtToEquity": "Deuda a capital",
+    "financials.monthsOfRunway": "Meses de liquidez",
+    "evidence.field.industry": "Industria",
+    "evidence.field.revenueRange": "Ingresos anuales",
+    "evidence.field.creditProfile": "Perfil crediticio",
+    "evidence.field.employees": "Empleados",
+    "evidence.field.challenges": "Desafíos",
+    "evidence.field.goals": "Metas estratégicas",
+    "evidence.general": "Consejo general",
+    "evidence.generalHint": "No se basa en una respuesta específica de su perfil",
+    "evidence.sources": "Basado en:",
+    "simulator.title": "Simulador de escenarios",
+    "simulator.hint": "Explore cómo podría cambiar el Índice Elev8. Las puntuaciones simuladas son estimaciones y no se guardan con el informe.",
+    "simulator.index": "Índice Elev8 simulado",
+    "simulator.delta": "{delta} frente al índice actual ({current})",
+    "simulator.modeScores": "Ajustar puntuaciones",
+    "simulator.modeRoadmap": "Completar acciones del plan",
+    "simulator.reset": "Restablecer",
+    "simulator.roadmapHint": "Marque las acciones que espera completar. Cada una suma una mejora estimada al pilar correspondiente.",
+    "simulator.lift": "+{lift} {pillar}",
+    "simulator.percentile": "percentil {percentile}",
+    "confidence.low": "Confianza baja",
+    "confidence.medium": "Confianza media",
+    "confidence.high": "Confianza alta",
+    "confidence.hint": "Basado en el {score}% de los datos de este pilar",
+    "confidence.provideMore": "Proporcione más datos para mejorar la precisión",
+    "insights.strengths": "Principales fortalezas",
+    "insights.gaps": "Brechas prioritarias",
+    "insights.score": "(Puntuación: {score})",
+    "roadmap.title": "Hoja de ruta de 30/60/90 días",
+    "roadmap.d30": "30 días (logros rápidos)",
+    "roadmap.d60": "60 días (mejoras de procesos)",
+    "roadmap.d90": "90 días (iniciativas estratégicas)",
+    "tasks.title": "Plan de tareas",
+    "tasks.programStart": "Fecha de inicio del programa",
+    "tasks.task": "Tarea",
+    "tasks.pillar": "Pilar",
+    "tasks.ownerRole": "Responsable",
+    "tasks.effort": "Esfuerzo",
+    "tasks.start": "Inicio",
+    "tasks.due": "Vence",
+    "tasks.dependsOn": "Después de",
+    "tasks.owner.owner": "Dueño / director general",
+    "tasks.owner.finance": "Finanzas / contabilidad",
+    "tasks.owner.operations": "Responsable de operaciones",
+    "tasks.owner.marketing": "Responsable de ventas y marketing",
+    "tasks.owner.legal": "Legal y cumplimiento",
+    "tasks.effort.small": "Bajo (~{days} días)",
+    "tasks.effort.medium": "Medio (~{days} días)",
+    "tasks.effort.large": "Alto (~{days} días)",
+    "chat.title": "Pregunte sobre su informe",
+    "chat.hint": "Haga preguntas de seguimiento como \"¿Cómo abro una línea comercial a 30 días (net-30)?\" Las respuestas se basan en este informe y en los datos de su perfil.",
+    "chat.saveFirst": "Guarde este informe para hacer preguntas de seguimiento. La conversación se guarda con el informe.",
+    "chat.empty": "Aún no hay preguntas.",
+    "chat.placeholder": "Escriba su pregunta...",
+    "chat.send": "Preguntar",
+    "chat.you": "Usted",
+    "chat.advisor": "Asesor Elev8",
+    "chat.thinking": "Pensando...",
+    "chat.remaining": "Le quedan {remaining} de {limit} preguntas de seguimiento.",
+    "chat.limitReached": "Ha usado sus {limit} preguntas de seguimiento.",
+    "chat.failed": "No se pudo responder la pregunta. Inténtelo de nuevo.",
+    "history.title": "Progreso en el tiempo",
+    "history.hint": "Los informes guardados para {name} se siguen juntos. Guarde este informe y vuelva a ejecutar el analizador cada trimestre para seguir la tendencia.",
+    "history.empty": "Aún no hay informes anteriores guardados para {name}. Guarde este informe para empezar a seguir el progreso.",
+    "history.loading": "Cargando evaluaciones anteriores...",
+    "history.failed": "No se pudieron cargar las evaluaciones anteriores.",
+    "history.sinceLast": "Desde {name} ({date}, {days} días antes)",
+    "history.index": "Índice Elev8",
+    "history.current": "Este informe",
+    "history.unchanged": "Sin cambios",
+    "history.newPillar": "Nuevo",
+    "history.frameworkChanged": "El informe anterior usó otro marco de pilares; solo se comparan los pilares en común.",
+    "note.indexCheck": "<strong>Verificación del índice:</strong> el modelo reportó {reported}, pero sus puntuaciones por pilar dan {computed} ({difference} puntos de diferencia, tolerancia {tolerance}). El índice mostrado se calcula a partir de las puntuaciones ponderadas de los pilares.",
+    "note.fallback": "<strong>Informe basado en reglas.</strong> {reason} Las puntuaciones y recomendaciones provienen de sus respuestas. Este informe no consumió un crédito.",
+    "note.blended": "Las puntuaciones combinan el análisis de IA ({ai}) con una base de reglas ({baseline}).",
+    "note.cached": "<strong>Mismos datos que un análisis reciente.</strong> Se muestra el resultado generado el {date}; no se consumió un crédito.",
+    "note.cachedEarlier": "anteriormente",
+    "note.regenerate": "Regenerar",
+    "note.framework": "<strong>Marco {name}:</strong> evaluado en {total} pilares para este tipo de organización.",
+    "note.weighting": "<strong>Ponderado para:</strong> {context}, perfil {profile}",
+    "note.weightingSelected": "<strong>Ponderado para:</strong> {context}, perfil {profile} (elegido en el formulario)",
+    "note.redacted": "<strong>Datos personales ocultados.</strong> {items} de sus respuestas se reemplazaron antes del análisis y nunca se enviaron al proveedor de IA.",
+    "redaction.ssn": "número de Seguro Social",
+    "redaction.ein": "EIN",
+    "redaction.card": "número de tarjeta",
+    "redaction.account": "número de cuenta",
+    "redaction.email": "correo electrónico",
+    "redaction.phone": "número de teléfono",
+
+    // Streaming progress
+    "stream.analyzingProfile": "Analizando el perfil del negocio...",
+    "stream.analyzingBusiness": "Analizando {name} en {total} pilares clave...",
+    "stream.progress": "Analizando... {count}/{total} pilares",
+    "stream.refining": "Afinando el análisis...",
+    "stream.finalizing": "Finalizando el análisis...",
+
+    // Background generation jobs
+    "job.running": "Analizando su negocio...",
+    "job.retrying": "Reintentando el análisis (intento {attempt} de {max})...",
+    "job.resuming": "Retomando su análisis...",
+    "job.slow": "El análisis está tardando más de lo esperado. Vuelva a cargar la página en unos minutos para retomarlo.",
+    "job.notFound": "No se encontró el análisis pendiente. Vuelva a generarlo.",
+
+    // Messages
+    "message.generateFailed": "No se pudo generar el análisis",
+    "message.noAnalysisToExport": "No hay análisis para exportar. Genere un análisis primero.",
+    "message.pdfUnavailable": "La exportación a PDF no está disponible.",
+    "message.noResultsToCopy": "No hay resultados para copiar.",
+    "message.copied": "¡Resultados copiados al portapapeles!",
+    "message.copyFailed": "No se pudieron copiar los resultados.",
+    "message.confirmClear": "¿Borrar todos los resultados del análisis?",
+    "message.noAnalysisToSave": "No hay análisis para guardar. Genere un análisis primero.",
+    "message.reportNameRequired": "Ingrese un nombre para el informe.",
+    "message.reportSaved": "¡El informe \"{name}\" se guardó correctamente!",
+    "message.confirmDelete": "¿Eliminar el informe \"{name}\"?",
+
+    // Save / load modals
+    "save.title": "Guardar informe de análisis",
+    "save.description": "Ingrese un nombre para este informe:",
+    "save.placeholder": "p. ej., Análisis T4 2024",
+    "save.confirm": "Guardar informe",
+    "load.title": "Cargar informe guardado",
+    "load.loading": "Cargando informes guardados...",
+    "load.empty": "No se encontraron informes guardados. Guarde su análisis actual para verlo aquí.",
+    "load.load": "Cargar",
+    "load.delete": "Eliminar",
+    "load.otherReports": "Otros informes",
+    "load.assessments": "{count} evaluaciones guardadas",
+    "common.cancel": "Cancelar",
+    "common.close": "Cerrar",
+
+    // Copy All text export
+    "text.title": "INFORME DE ELEV8 ANALYZER",
+    "text.business": "Negocio",
+    "text.generated": "Generado",
+    "text.weightedFor": "Ponderado para: {context}, perfil {profile}",
+    "text.overallIndex": "ÍNDICE ELEV8 GENERAL",
+    "text.pillars": "8 PILARES DE LA SALUD DEL NEGOCIO",
+    "text.peers": "Sector: {comparison} (percentil {percentile}, mediana {median})",
+    "text.insights": "Hallazgos",
+    "text.actions": "Acciones",
+    "text.risks": "Riesgos",
+    "text.kpis": "KPI",
+    "text.financialMetrics": "Métricas financieras",
+    "text.roadmap": "HOJA DE RUTA DE 30/60/90 DÍAS",
+
+    // PDF
+    "pdf.title": "Informe de Elev8 Analyzer",
+    "pdf.generated": "Generado: {date}",
+    "pdf.fallbackNote": "Informe base basado en reglas. {reason}",
+    "pdf.blendedNote": "Las puntuaciones combinan el análisis de IA con una base de reglas ({percent}% base).",
+    "pdf.indexNote": "Verificación del índice: el modelo reportó {reported}, pero sus puntuaciones por pilar dan {computed} ({difference} puntos de diferencia, tolerancia {tolerance}). El índice mostrado se calcula a partir de las puntuaciones ponderadas de los pilares.",
+    "pdf.colPillar": "Pilar",
+    "pdf.colScore": "Puntuación",
+    "pdf.colPeerMedian": "Mediana",
+    "pdf.colPercentile": "Percentil",
+    "pdf.colVsPeers": "vs. sector",
+    "pdf.peerFootnote": "Sector: {group} (conjunto de referencia v{version})",
+    "pdf.score": "Puntuación: {score}/100",
+    "pdf.progressTitle": "Progreso desde la última revisión",
+    "pdf.progressIntro": "Comparado con \"{name}\" del {date} ({days} días antes).",
+    "pdf.progressIndex": "Índice Elev8: de {previous} a {current} ({delta})",
+    "pdf.colPrevious": "Anterior",
+    "pdf.colCurrent": "Actual",
+    "pdf.colChange": "Cambio",
+    "pdf.trendChart": "Tendencia de puntuaciones",
+    "pdf.footerBrand": "Informe de Elev8 Analyzer • Con la tecnología de YourBizGuru.com",
+    "pdf.page": "Página {page} de {total}",
+    "pdf.copyright": "© 2025 Elev8 Analyzer – Todos los derechos reservados",
+
+    // Pillar names
+    "pillar.Formation & Compliance": "Constitución y cumplimiento",
+    "pillar.Business Credit Readiness": "Preparación de crédito empresarial",
+    "pillar.Financials & Cash Flow": "Finanzas y flujo de caja",
+    "pillar.Operations & Systems": "Operaciones y sistemas",
+    "pillar.Sales & Marketing": "Ventas y marketing",
+    "pillar.Brand & Web Presence": "Marca y presencia web",
+    "pillar.Risk & Legal Posture": "Riesgo y postura legal",
+    "pillar.Growth Strategy & Execution": "Estrategia de crecimiento y ejecución",
+    "pillarShort.Formation & Compliance": "Constitución",
+    "pillarShort.Business Credit Readiness": "Crédito",
+    "pillarShort.Financials & Cash Flow": "Finanzas",
+    "pillarShort.Operations & Systems": "Operaciones",
+    "pillarShort.Sales & Marketing": "Ventas",
+    "pillarShort.Brand & Web Presence": "Marca",
+    "pillarShort.Risk & Legal Posture": "Legal",
+    "pillarShort.Growth Strategy & Execution": "Crecimiento",
+    "pillar.Mission & Program Impact": "Misión e impacto de los programas",
+    "pillar.Governance & Board": "Gobernanza y junta directiva",
+    "pillar.Legal & Regulatory Compliance": "Cumplimiento legal y regulatorio",
+    "pillar.Financial Health & Reserves": "Salud financiera y reservas",
+    "pillar.Fundraising & Revenue Diversity": "Recaudación y diversidad de ingresos",
+    "pillar.Grant Readiness": "Preparación para subvenciones",
+    "pillar.Staff & Volunteer Capacity": "Capacidad de personal y voluntarios",
+    "pillar.Communications & Community Presence": "Comunicación y presencia comunitaria",
+    "pillar.Strategic Planning & Sustainability": "Planificación estratégica y sostenibilidad",
+    "pillarShort.Mission & Program Impact": "Misión",
+    "pillarShort.Governance & Board": "Gobernanza",
+    "pillarShort.Legal & Regulatory Compliance": "Cumplimiento",
+    "pillarShort.Financial Health & Reserves": "Finanzas",
+    "pillarShort.Fundraising & Revenue Diversity": "Recaudación",
+    "pillarShort.Grant Readiness": "Subvenciones",
+    "pillarShort.Staff & Volunteer Capacity": "Personas",
+    "pillarShort.Communications & Community Presence": "Comunicación",
+    "pillarShort.Strategic Planning & Sustainability": "Estrategia",
+
+    // Questionnaire questions (ids from elev8-questionnaire.js)
+    "question.fc_good_standing": "¿El negocio es una entidad registrada y al corriente?",
+    "question.fc_ein_bank": "¿El negocio tiene un EIN y una cuenta bancaria exclusiva del negocio?",
+    "question.fc_compliance_calendar": "¿Se registran los vencimientos de licencias y declaraciones en un calendario de cumplimiento?",
+    "question.bc_duns": "¿El negocio tiene un número D-U-N-S?",
+    "question.bc_tradelines": "¿Cuántas cuentas reportan a los burós de crédito empresarial?",
+    "question.bc_on_time": "¿Todas las cuentas del negocio se pagan a tiempo o por adelantado?",
+    "question.fi_monthly_close": "¿Se cierran y revisan los libros contables cada mes?",
+    "question.fi_reserve_months": "¿Cuántos meses de gastos operativos se tienen en reserva?",
+    "question.fi_margin_visibility": "¿Qué tan bien conoce su margen de ganancia por producto o servicio?",
+    "question.op_documented": "¿Qué tan documentados están los procesos principales?",
+    "question.op_owner_independence": "¿Qué tan bien podría operar el negocio durante dos semanas sin el dueño?",
+    "question.sm_pipeline": "¿Se registran los prospectos en un CRM o embudo de ventas?",
+    "question.sm_channels": "¿Cuántos canales medibles de captación de prospectos están activos?",
+    "question.sm_top_customer_pct": "¿Qué porcentaje de los ingresos proviene del cliente más grande?",
+    "question.br_website": "¿El sitio web explica claramente la oferta y el siguiente paso?",
+    "question.br_reviews": "¿Cuántas reseñas en línea tiene el negocio?",
+    "question.rl_insurance": "¿El negocio tiene seguro de responsabilidad civil general?",
+    "question.rl_contracts": "¿Existen contratos escritos con clientes revisados por un abogado?",
+    "question.gs_written_plan": "¿Existe un plan escrito con metas trimestrales?",
+    "question.gs_kpi_review": "¿Con qué constancia se revisan los KPI frente a las metas?"
+  }
+};
+
+const Elev8I18n = {
+  normalizeLocale(code) {
+    const base = String(code || "").toLowerCase().split(/[-_]/)[0];
+    return ELEV8_LOCALES[base] ? base : ELEV8_DEFAULT_LOCALE;
+  },
+
+  // Selected UI locale (also sent with each generation request)
+  getLocale() {
+    try {
+      return this.normalizeLocale(localStorage.getItem(ELEV8_LOCALE_STORAGE_KEY) || navigator.language);
+    } catch (error) {
+      return ELEV8_DEFAULT_LOCALE;
+    }
+  },
+
+  setLocale(code) {
+    const locale = this.normalizeLocale(code);
+    try {
+      localStorage.setItem(ELEV8_LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+      console.error("[i18n] Failed to save locale:", error);
+    }
+    return locale;
+  },
+
+  // Catalog string with {name} placeholders filled in; falls back to English, then the key
+  t(key, vars = {}, locale = this.getLocale()) {
+    const strings = ELEV8_STRINGS[this.normalizeLocale(locale)] || {};
+    const template = strings[key] ?? ELEV8_STRINGS[ELEV8_DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : ""));
+  },
+
+  pillarName(name, locale) {
+    return this.t(`pillar.${name}`, {}, locale).replace(/^pillar\./, "");
+  },
+
+  // Pillars without a catalog entry use the framework's short name when given, else their name
+  pillarShortName(name, locale, fallback) {
+    const key = `pillarShort.${name}`;
+    const label = this.t(key, {}, locale);
+    return label === key ? (fallback || name) : label;
+  },
+
+  // Questionnaire label; English labels live with the questions in elev8-questionnaire.js
+  questionLabel(question, locale) {
+    const key = `question.${question.id}`;
+    const label = this.t(key, {}, locale);
+    return label === key ? question.label : label;
+  },
+
+  formatDate(value, options = { year: "numeric", month: "long", day: "numeric" }, locale = this.getLocale()) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return "";
+    return date.toLocaleDateString(ELEV8_LOCALES[this.normalizeLocale(locale)].dateLocale, options);
+  },
+
+  formatDateTime(value, locale = this.getLocale()) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return "";
+    return date.toLocaleString(ELEV8_LOCALES[this.normalizeLocale(locale)].dateLocale);
+  },
+
+  // Translate static markup: data-i18n (text), data-i18n-html, data-i18n-placeholder
+  applyToDocument(locale = this.getLocale()) {
+    document.documentElement.lang = locale;
+    document.querySelectorAll("[data-i18n]").forEach(el => {
+      el.textContent = this.t(el.dataset.i18n, {}, locale);
+    });
+    document.querySelectorAll("[data-i18n-html]").forEach(el => {
+      el.innerHTML = this.t(el.dataset.i18nHtml, {}, locale);
+    });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+      el.placeholder = this.t(el.dataset.i18nPlaceholder, {}, locale);
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.ELEV8_LOCALES = ELEV8_LOCALES;
+  window.ELEV8_STRINGS = ELEV8_STRINGS;
+  window.Elev8I18n = Elev8I18n;
+}
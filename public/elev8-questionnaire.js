@@ -0,0 +1,49 @@
+// Elev8 Assessment Questionnaire (browser copy)
+// Display definition of the optional per-pillar questions. Keep ids, types and ranges
+// in sync with shared/questionnaire.ts, which validates and scores the answers.
+
+const ELEV8_QUESTIONNAIRE = [
+  // Formation & Compliance
+  { id: "fc_good_standing", pillar: "Formation & Compliance", type: "yesno", label: "Is the business a registered entity in good standing?" },
+  { id: "fc_ein_bank", pillar: "Formation & Compliance", type: "yesno", label: "Does the business have an EIN and a dedicated business bank account?" },
+  { id: "fc_compliance_calendar", pillar: "Formation & Compliance", type: "yesno", label: "Are licensing and filing deadlines tracked on a compliance calendar?" },
+
+  // Business Credit Readiness
+  { id: "bc_duns", pillar: "Business Credit Readiness", type: "yesno", label: "Does the business have a D-U-N-S number?" },
+  { id: "bc_tradelines", pillar: "Business Credit Readiness", type: "number", label: "How many accounts report to business credit bureaus?", min: 0, max: 100 },
+  { id: "bc_on_time", pillar: "Business Credit Readiness", type: "yesno", label: "Are all business accounts paid on time or early?" },
+
+  // Financials & Cash Flow
+  { id: "fi_monthly_close", pillar: "Financials & Cash Flow", type: "yesno", label: "Are the books closed and reviewed every month?" },
+  { id: "fi_reserve_months", pillar: "Financials & Cash Flow", type: "number", label: "How many months of operating expenses are held in reserve?", min: 0, max: 36, unit: "months" },
+  { id: "fi_margin_visibility", pillar: "Financials & Cash Flow", type: "scale", label: "How well do you know your profit margin by product or service?" },
+
+  // Operations & Systems
+  { id: "op_documented", pillar: "Operations & Systems", type: "scale", label: "How thoroughly are core processes documented?" },
+  { id: "op_owner_independence", pillar: "Operations & Systems", type: "scale", label: "How well could the business run for two weeks without the owner?" },
+
+  // Sales & Marketing
+  { id: "sm_pipeline", pillar: "Sales & Marketing", type: "yesno", label: "Are leads tracked in a CRM or sales pipeline?" },
+  { id: "sm_channels", pillar: "Sales & Marketing", type: "number", label: "How many measurable lead channels are active?", min: 0, max: 20 },
+  { id: "sm_top_customer_pct", pillar: "Sales & Marketing", type: "number", label: "What share of revenue comes from the largest customer?", min: 0, max: 100, unit: "%" },
+
+  // Brand & Web Presence
+  { id: "br_website", pillar: "Brand & Web Presence", type: "yesno", label: "Does the website clearly state the offer and a next step?" },
+  { id: "br_reviews", pillar: "Brand & Web Presence", type: "number", label: "How many online reviews does the business have?", min: 0, max: 100000 },
+
+  // Risk & Legal Posture
+  { id: "rl_insurance", pillar: "Risk & Legal Posture", type: "yesno", label: "Does the business carry general liability insurance?" },
+  { id: "rl_contracts", pillar: "Risk & Legal Posture", type: "yesno", label: "Are written client contracts in place and reviewed by counsel?" },
+
+  // Growth Strategy & Execution
+  { id: "gs_written_plan", pillar: "Growth Strategy & Execution", type: "yesno", label: "Is there a written plan with quarterly goals?" },
+  { id: "gs_kpi_review", pillar: "Growth Strategy & Execution", type: "scale", label: "How consistently are KPIs reviewed against targets?" },
+];
+
+const ELEV8_QUESTIONNAIRE_SCALE = { min: 1, max: 5 };
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.ELEV8_QUESTIONNAIRE = ELEV8_QUESTIONNAIRE;
+  window.ELEV8_QUESTIONNAIRE_SCALE = ELEV8_QUESTIONNAIRE_SCALE;
+}
@@ -178,6 +178,7 @@ class ThemeManager {
 // =====================================================
 // USAGE TRACKING SYSTEM
 // =====================================================
+// Reports are counted by the server when they are delivered; the browser only checks the cap
 class UsageTracker {
     constructor() {
         this.TOOL = 'elev8analyzer';
@@ -201,23 +202,6 @@ class UsageTracker {
         }
     }
 
-    async incrementUsage() {
-        try {
-            const response = await fetch('/api/usage?action=increment&tool=' + this.TOOL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ tool: this.TOOL })
-            });
-            const data = await response.json();
-            
-            console.log('[Usage] Increment result:', data);
-            
-            return data;
-        } catch (error) {
-            console.error('[Usage] Increment error:', error);
-        }
-    }
-
     showLimitReachedAlert(count, limit) {
         const message = `You've reached your ${limit}-report limit for the Elev8 Analyzer soft launch.`;
         const upgradeUrl = 'https://analyzer.yourbizguru.com/upgrade';
@@ -290,19 +274,67 @@ class UsageTracker {
 // ELEV8 INDEX CALCULATOR
 // =====================================================
 class Elev8Calculator {
-    static calculateOverallIndex(pillars) {
-        // Weighted scoring: Financials ×1.5, Operations ×1.2, Sales & Marketing ×1.2
-        const weights = {
-            'Formation & Compliance': 1.0,
-            'Business Credit Readiness': 1.0,
-            'Financials & Cash Flow': 1.5,
-            'Operations & Systems': 1.2,
-            'Sales & Marketing': 1.2,
-            'Brand & Web Presence': 1.0,
-            'Risk & Legal Posture': 1.0,
-            'Growth Strategy & Execution': 1.0
+    // Framework and status bands of reports saved before reports stored them, from
+    // GET /api/elev8/frameworks (see Elev8AnalyzerApp.loadFrameworks). Until they load,
+    // such reports are scored with equal weights and shown without band colors.
+    static get REPORT_DEFAULTS() {
+        return window.ELEV8_REPORT_DEFAULTS || {
+            framework: { id: null, name: '', pillars: [] },
+            statusBands: { index: [], pillar: [] }
+        };
+    }
+
+    // A report's framework carries the weights of its weighting profile (see shared/weighting-profiles.ts)
+    static getFramework(analysis) {
+        return analysis?.framework?.pillars?.length ? analysis.framework : Elev8Calculator.REPORT_DEFAULTS.framework;
+    }
+
+    static getFrameworkPillar(framework, pillarName) {
+        return (framework?.pillars || []).find(p => p.name === pillarName) || null;
+    }
+
+    // Uploaded financial statements are shown with the pillar built on Financials & Cash Flow
+    static isFinancialsPillar(framework, pillarName) {
+        return Elev8Calculator.getFrameworkPillar(framework, pillarName)?.basis === 'Financials & Cash Flow';
+    }
+
+    static getPillarShortName(framework, pillarName, locale) {
+        const fallback = Elev8Calculator.getFrameworkPillar(framework, pillarName)?.shortName;
+        return Elev8I18n.pillarShortName(pillarName, locale, fallback);
+    }
+
+    static getWeightingProfileName(profile, locale) {
+        const key = `weighting.${profile.id}`;
+        const label = Elev8I18n.t(key, {}, locale);
+        return label === key ? profile.name : label;
+    }
+
+    // "Weighted for" line of a report: the intake it was chosen for, the profile and its
+    // multipliers (null for reports scored before weighting profiles)
+    static describeWeighting(weighting, locale) {
+        if (!weighting?.profile) return null;
+        const option = value => {
+            const label = Elev8I18n.t(`option.${value}`, {}, locale);
+            return label === `option.${value}` ? value : label;
         };
+        const profile = Elev8Calculator.getWeightingProfileName({ id: weighting.profile, name: weighting.name }, locale);
+        const context = [weighting.industry, weighting.revenueRange].filter(Boolean).map(option).join(' / ');
+        const changes = Object.entries(weighting.multipliers || {})
+            .map(([pillar, multiplier]) => `${Elev8I18n.pillarShortName(pillar, locale)} ×${multiplier}`)
+            .join(', ');
+        return { context: context || profile, profile, changes, selected: weighting.source === 'selected' };
+    }
 
+    // Pillar weights the server scored a report with (report.weighting.weights); reports
+    // saved before it recorded them use their framework's weights
+    static getPillarWeights(analysis) {
+        if (analysis?.weighting?.weights) return analysis.weighting.weights;
+        const framework = Elev8Calculator.getFramework(analysis);
+        return Object.fromEntries((framework.pillars || []).map(p => [p.name, p.weight]));
+    }
+
+    // Weighted scoring with the report's pillar weights; unknown pillars weigh 1.0
+    static calculateOverallIndex(pillars, weights = {}) {
         let totalScore = 0;
         let totalWeight = 0;
 
@@ -312,149 +344,1254 @@ class Elev8Calculator {
             totalWeight += weight;
         });
 
-        return Math.round(totalScore / totalWeight);
-    }
+        return Math.round(totalScore / totalWeight);
+    }
+
+    // Server-computed index when present; older reports are recomputed from pillar scores
+    static getDisplayIndex(analysis) {
+        if (analysis.indexCheck || analysis.scoring) {
+            return analysis.overall?.score ?? 0;
+        }
+        if (analysis.pillars?.length) {
+            return Elev8Calculator.calculateOverallIndex(analysis.pillars, Elev8Calculator.getPillarWeights(analysis));
+        }
+        return analysis.overall?.score || 0;
+    }
+
+    // Peer comparison for one pillar from a report's benchmark (null when absent)
+    static getPeerBenchmark(benchmark, pillarName) {
+        return benchmark?.pillars?.find(p => p.name === pillarName) || null;
+    }
+
+    static describePeerComparison(comparison, locale) {
+        if (comparison === 'below') return Elev8I18n.t('peer.below', {}, locale);
+        if (comparison === 'above') return Elev8I18n.t('peer.above', {}, locale);
+        return Elev8I18n.t('peer.inLine', {}, locale);
+    }
+
+    // English ordinal ("72nd"); other locales use the plain number ("percentil 72")
+    static formatPercentile(value, locale) {
+        if (Elev8I18n.normalizeLocale(locale || Elev8I18n.getLocale()) !== 'en') return String(value);
+        const mod100 = value % 100;
+        const suffix = mod100 >= 11 && mod100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th');
+        return `${value}${suffix}`;
+    }
+
+    // Peer percentile for any score, from a benchmark entry's percentile table
+    // (null for reports benchmarked before the table was added)
+    static getPercentileAt(score, peer) {
+        return peer?.percentiles?.[Math.round(score)] ?? null;
+    }
+
+    // Estimated pillar score lift for completing one roadmap action, by phase
+    static get ROADMAP_LIFT() {
+        return { d30: 3, d60: 4, d90: 5 };
+    }
+
+    // Pillar a roadmap action most likely improves: the pillar that lists the same action,
+    // else the best match on the framework's action keywords (listed by
+    // GET /api/elev8/frameworks), else the weakest pillar (roadmaps target the biggest gaps)
+    static getActionPillar(action, pillars, framework = Elev8Calculator.REPORT_DEFAULTS.framework) {
+        const text = String(action || '').toLowerCase().trim();
+        if (!text || !pillars?.length) return null;
+
+        const listed = pillars.find(p => (p.actions || []).some(a => String(a).toLowerCase().trim() === text));
+        if (listed) return listed.name;
+
+        const byScore = [...pillars].sort((a, b) => a.score - b.score);
+        let best = null;
+        let bestHits = 0;
+        byScore.forEach(pillar => {
+            const keywords = Elev8Calculator.getFrameworkPillar(framework, pillar.name)?.actionKeywords || [];
+            const hits = keywords.filter(word => text.includes(word)).length;
+            if (hits > bestHits) {
+                best = pillar.name;
+                bestHits = hits;
+            }
+        });
+        return best || byScore[0].name;
+    }
+
+    // Program start date for a report's roadmap tasks (YYYY-MM-DD; today when none was chosen)
+    static getProgramStartDate(analysis) {
+        const chosen = analysis?.programStartDate;
+        if (typeof chosen === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(chosen) && !isNaN(new Date(`${chosen}T00:00:00`).getTime())) {
+            return chosen;
+        }
+        const today = new Date();
+        return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    }
+
+    // Calendar date a number of days after the program start
+    static offsetDate(startDate, days) {
+        const date = new Date(`${startDate}T00:00:00`);
+        date.setDate(date.getDate() + days);
+        return date;
+    }
+
+    // Display rows for a report's roadmap tasks, dated from the program start date.
+    // Tasks are numbered in roadmap order and dependencies refer to those numbers.
+    static getRoadmapTaskRows(analysis, locale) {
+        const tasks = analysis?.roadmapTasks || [];
+        const startDate = Elev8Calculator.getProgramStartDate(analysis);
+        const numbers = Object.fromEntries(tasks.map((task, i) => [task.id, i + 1]));
+        const formatDate = days => Elev8I18n.formatDate(Elev8Calculator.offsetDate(startDate, days), { year: 'numeric', month: 'short', day: 'numeric' }, locale);
+
+        return tasks.map((task, i) => ({
+            id: task.id,
+            number: i + 1,
+            action: task.action,
+            phase: task.phase,
+            pillar: task.pillar ? Elev8I18n.pillarName(task.pillar, locale) : '-',
+            owner: Elev8I18n.t(`tasks.owner.${task.ownerRole}`, {}, locale),
+            effort: Elev8I18n.t(`tasks.effort.${task.effort}`, { days: task.effortDays }, locale),
+            start: formatDate(task.startOffsetDays),
+            due: formatDate(task.dueOffsetDays),
+            dependsOn: (task.dependsOn || []).filter(id => numbers[id]).map(id => `#${numbers[id]}`).join(', ')
+        }));
+    }
+
+    // Display rows for ratios computed from uploaded financial statements
+    static getFinancialMetricRows(financials, locale) {
+        const ratios = financials?.ratios;
+        if (!ratios) return [];
+        const notAvailable = Elev8I18n.t('financials.notAvailable', {}, locale);
+        const show = (value, suffix = '') => (value === null || value === undefined) ? notAvailable : `${value}${suffix}`;
+        return [
+            { label: Elev8I18n.t('financials.grossMargin', {}, locale), value: show(ratios.grossMargin, '%') },
+            { label: Elev8I18n.t('financials.netMargin', {}, locale), value: show(ratios.netMargin, '%') },
+            { label: Elev8I18n.t('financials.currentRatio', {}, locale), value: show(ratios.currentRatio) },
+            { label: Elev8I18n.t('financials.debtToEquity', {}, locale), value: show(ratios.debtToEquity) },
+            { label: Elev8I18n.t('financials.monthsOfRunway', {}, locale), value: show(ratios.monthsOfRunway) }
+        ];
+    }
+
+    // Questionnaire answer as shown in evidence ("Yes", "4/5", "3 months")
+    static formatAnswer(question, value, locale) {
+        if (question.type === 'yesno') return Elev8I18n.t(value ? 'questionnaire.yes' : 'questionnaire.no', {}, locale);
+        if (question.type === 'scale') return `${value}/${(window.ELEV8_QUESTIONNAIRE_SCALE || { max: 5 }).max}`;
+        if (question.unit === '%') return `${value}%`;
+        return question.unit ? `${value} ${Elev8I18n.t(`questionnaire.unit.${question.unit}`, {}, locale)}` : String(value);
+    }
+
+    // Label and answer behind an evidence reference (null when the report has no such answer)
+    static describeEvidence(ref, formData, financials, locale) {
+        const data = formData || {};
+
+        if (ref.startsWith('questionnaire.')) {
+            const question = (window.ELEV8_QUESTIONNAIRE || []).find(q => `questionnaire.${q.id}` === ref);
+            const value = question ? data.questionnaire?.[question.id] : undefined;
+            if (value === undefined || value === null || value === '') return null;
+            return { label: Elev8I18n.questionLabel(question, locale), value: Elev8Calculator.formatAnswer(question, value, locale) };
+        }
+
+        if (ref.startsWith('financials.')) {
+            const ratio = ref.slice('financials.'.length);
+            const value = financials?.ratios?.[ratio];
+            if (value === null || value === undefined) return null;
+            const suffix = ratio === 'grossMargin' || ratio === 'netMargin' ? '%' : '';
+            return { label: Elev8I18n.t(`financials.${ratio}`, {}, locale), value: `${value}${suffix}` };
+        }
+
+        const value = typeof data[ref] === 'string' ? data[ref].trim() : '';
+        const labelKey = `evidence.field.${ref}`;
+        const label = Elev8I18n.t(labelKey, {}, locale);
+        if (!value || label === labelKey) return null;
+        const option = Elev8I18n.t(`option.${value}`, {}, locale);
+        return { label, value: option === `option.${value}` ? value : option };
+    }
+
+    // Resolved evidence for each item of a pillar's insights or actions. An item is null when
+    // the report predates evidence references and an empty list when it is general advice.
+    static getItemEvidence(pillar, list, formData, financials, locale) {
+        const items = pillar[list] || [];
+        const refs = pillar.evidence?.[list];
+        if (!Array.isArray(refs)) return items.map(() => null);
+        return items.map((_, i) => (refs[i] || [])
+            .map(ref => Elev8Calculator.describeEvidence(ref, formData, financials, locale))
+            .filter(Boolean));
+    }
+
+    // Index bands and pillar statuses, highest first; reports carry their framework's bands
+    static getStatusBands(framework) {
+        const bands = framework?.statusBands;
+        return bands?.index?.length && bands?.pillar?.length ? bands : Elev8Calculator.REPORT_DEFAULTS.statusBands;
+    }
+
+    static findStatusBand(bands, score, locale) {
+        const band = bands.find(b => score >= b.min) || bands[bands.length - 1];
+        if (!band) return { label: '', color: '#6B7280', class: '' };
+        return { label: Elev8I18n.t(band.labelKey, {}, locale), color: band.color, class: band.id };
+    }
+
+    // Band of an overall index (Elite, Strong, Stable, At Risk, Critical)
+    static getStatusBand(score, locale, framework) {
+        return Elev8Calculator.findStatusBand(Elev8Calculator.getStatusBands(framework).index, score, locale);
+    }
+
+    // Status of a pillar score (green, yellow, red)
+    static getPillarStatus(score, locale, framework) {
+        return Elev8Calculator.findStatusBand(Elev8Calculator.getStatusBands(framework).pillar, score, locale);
+    }
+
+    // "#10B981" -> [16, 185, 129]
+    static hexToRgb(hex) {
+        const value = parseInt(String(hex).replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    // "+5", "-3", "0"
+    static formatDelta(delta) {
+        return delta > 0 ? `+${delta}` : String(delta);
+    }
+}
+
+// =====================================================
+// ELEV8 ANALYZER APP
+// =====================================================
+class Elev8AnalyzerApp {
+    constructor() {
+        this.usageTracker = new UsageTracker();
+        this.currentAnalysis = null;
+        this.analysisHistory = [];
+        this.streamingAnalysis = null;
+        // Pillar frameworks offered on the intake form (see loadFrameworks)
+        this.frameworks = [];
+        // Weighting profiles offered on the intake form and the automatic one (see loadWeightingProfiles)
+        this.weighting = { profiles: [], automatic: null };
+        // What-if simulator state (see getSimulation)
+        this.simulation = null;
+        // Follow-up chat messages by saved report id (see renderReportChat)
+        this.chatConversations = {};
+        // Saved assessments of the current analysis's business (see loadAssessmentHistory)
+        this.assessmentHistory = null;
+        this.financialStatements = {};
+        this.streamingSupported = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+        this.locale = Elev8I18n.getLocale();
+        this.jobPollIntervalMs = 2000;
+        this.jobPollTimeoutMs = 5 * 60 * 1000;
+        
+        this.init();
+    }
+
+    init() {
+        this.applyLocale();
+        this.renderQuestionnaire();
+        this.bindFormEvents();
+        this.bindActionButtons();
+        // Reports restored from storage may rely on the server's report defaults
+        this.loadFrameworks().then(() => {
+            this.loadFromLocalStorage();
+            this.resumePendingJob();
+        });
+        this.loadWeightingProfiles();
+    }
+
+    // Frameworks configured on the server, and the defaults of reports that predate
+    // frameworks and status bands; the form keeps its built-in options if the list can't be loaded
+    async loadFrameworks() {
+        try {
+            const response = await fetch('/api/elev8/frameworks');
+            if (!response.ok) return;
+            const data = await response.json();
+            if (!Array.isArray(data.frameworks) || data.frameworks.length === 0) return;
+            this.frameworks = data.frameworks;
+            window.ELEV8_REPORT_DEFAULTS = {
+                framework: data.frameworks.find(f => f.id === data.legacyFramework) || data.frameworks[0],
+                statusBands: data.statusBands
+            };
+
+            const select = document.getElementById('framework');
+            if (!select) return;
+            const selected = select.dataset.selected || data.defaultFramework;
+            select.innerHTML = this.frameworks.map(framework => {
+                const key = `framework.${framework.id}`;
+                return this.t(key) === key
+                    ? `<option value="${framework.id}">${framework.name}</option>`
+                    : `<option value="${framework.id}" data-i18n="${key}">${this.t(key)}</option>`;
+            }).join('');
+            select.value = this.frameworks.some(f => f.id === selected) ? selected : data.defaultFramework;
+        } catch (error) {
+            console.error('Failed to load pillar frameworks:', error);
+        }
+    }
+
+    // Weighting profiles for the override selector; "Automatic" names the profile the server
+    // picks for the current industry and revenue range, so it is reloaded when they change
+    async loadWeightingProfiles() {
+        // Only the latest request renders, so a slow response can't name a stale profile
+        const request = this.weightingRequest = (this.weightingRequest || 0) + 1;
+        try {
+            const params = new URLSearchParams({
+                industry: document.getElementById('industry')?.value || '',
+                revenueRange: document.getElementById('revenueRange')?.value || ''
+            });
+            const response = await fetch(`/api/elev8/weighting-profiles?${params}`);
+            if (!response.ok) return;
+            const data = await response.json();
+            if (!Array.isArray(data.profiles) || request !== this.weightingRequest) return;
+            this.weighting = { profiles: data.profiles, automatic: data.automatic || null };
+            this.renderWeightingOptions();
+        } catch (error) {
+            console.error('Failed to load weighting profiles:', error);
+        }
+    }
+
+    renderWeightingOptions() {
+        const select = document.getElementById('weightingProfile');
+        if (!select || this.weighting.profiles.length === 0) return;
+
+        const selected = select.dataset.selected ?? select.value;
+        const auto = this.weighting.profiles.find(p => p.id === this.weighting.automatic);
+        const autoLabel = auto
+            ? this.t('weighting.autoWith', { name: Elev8Calculator.getWeightingProfileName(auto, this.locale) })
+            : this.t('weighting.auto');
+        select.innerHTML = `<option value="">${autoLabel}</option>` + this.weighting.profiles.map(profile =>
+            `<option value="${profile.id}" title="${profile.description}">${Elev8Calculator.getWeightingProfileName(profile, this.locale)}</option>`
+        ).join('');
+        select.value = this.weighting.profiles.some(p => p.id === selected) ? selected : '';
+        delete select.dataset.selected;
+    }
+
+    // Framework of the report being streamed or shown
+    getActiveFramework() {
+        return this.streamingAnalysis?.framework || Elev8Calculator.getFramework(this.currentAnalysis);
+    }
+
+    bindFormEvents() {
+        const form = document.getElementById('toolkitForm');
+        const clearBtn = document.getElementById('clearBtn');
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleGenerate();
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                form.reset();
+                this.clearErrors();
+                this.updateQuestionnaireProgress();
+                this.financialStatements = {};
+                this.loadWeightingProfiles();
+            });
+        }
+
+        // The automatic weighting profile follows the industry and revenue range
+        ['industry', 'revenueRange'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.loadWeightingProfiles());
+        });
+
+        [['pnlCsv', 'profitAndLoss'], ['balanceSheetCsv', 'balanceSheet']].forEach(([inputId, key]) => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('change', () => this.readFinancialStatement(input, key));
+            }
+        });
+
+        const questionnaireContainer = document.getElementById('questionnaireContainer');
+        if (questionnaireContainer) {
+            questionnaireContainer.addEventListener('change', () => this.updateQuestionnaireProgress());
+        }
+
+        const localeSelect = document.getElementById('localeSelect');
+        if (localeSelect) {
+            localeSelect.addEventListener('change', () => this.changeLocale(localeSelect.value));
+        }
+    }
+
+    // UI string in the selected locale (see elev8-i18n.js)
+    t(key, vars = {}) {
+        return Elev8I18n.t(key, vars, this.locale);
+    }
+
+    // ===== LANGUAGE =====
+    // The selected locale labels the UI and is sent with each request as the report language
+    applyLocale() {
+        Elev8I18n.applyToDocument(this.locale);
+        const select = document.getElementById('localeSelect');
+        if (select) {
+            select.value = this.locale;
+            select.setAttribute('aria-label', this.t('header.language'));
+        }
+    }
+
+    changeLocale(locale) {
+        this.locale = Elev8I18n.setLocale(locale);
+        this.applyLocale();
+        this.renderWeightingOptions();
+
+        // Re-render the questionnaire in the new language without losing answers
+        const answers = this.collectQuestionnaire();
+        this.renderQuestionnaire();
+        this.restoreQuestionnaireAnswers(answers);
+
+        if (this.currentAnalysis && !this.streamingAnalysis) {
+            this.renderResults();
+        }
+    }
+
+    // ===== FINANCIAL STATEMENT UPLOAD =====
+    // CSV text is sent with the form; the server parses it and computes the ratios
+    readFinancialStatement(input, key) {
+        const file = input.files && input.files[0];
+        const errorElement = document.getElementById(`${input.id}Error`);
+        if (errorElement) errorElement.style.display = 'none';
+        delete this.financialStatements[key];
+        if (!file) return;
+
+        if (file.size > 40 * 1000) {
+            this.showFieldError(input.id, this.t('validation.csvTooLarge'));
+            input.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.financialStatements[key] = String(reader.result || '');
+        };
+        reader.onerror = () => {
+            this.showFieldError(input.id, this.t('validation.csvUnreadable'));
+            input.value = '';
+        };
+        reader.readAsText(file);
+    }
+
+    renderPeerComparison(peer, index) {
+        if (!peer) return '';
+        return `
+            <div class="pillar-peer-comparison ${peer.comparison.replace(' ', '-')}" data-testid="text-peer-comparison-${index}">
+                ${this.t('peer.summary', {
+                    comparison: Elev8Calculator.describePeerComparison(peer.comparison, this.locale),
+                    percentile: Elev8Calculator.formatPercentile(peer.percentile, this.locale),
+                    median: peer.median
+                })}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    renderConfidenceBadge(confidence, index) {
+        if (!confidence) return '';
+        return `
+            <div class="pillar-confidence ${confidence.level}" title="${this.t('confidence.hint', { score: confidence.score })}" data-testid="text-confidence-${index}">
+                ${this.t(`confidence.${confidence.level}`)}
+            </div>
+        `;
+    }
+
+    // Form elements for a pillar's missing inputs (see shared/confidence.ts for the ids)
+    getMissingInputElements(missing) {
+        return (missing || []).flatMap(ref => {
+            if (ref === 'financialStatements') return ['pnlCsv', 'balanceSheetCsv'];
+            if (ref.startsWith('questionnaire.')) return [`q_${ref.slice('questionnaire.'.length)}`];
+            return [ref];
+        }).map(id => document.getElementById(id)).filter(Boolean);
+    }
+
+    // Scroll to the form and highlight the inputs that would raise a pillar's confidence
+    focusMissingInputs(pillarName) {
+        const pillar = (this.currentAnalysis?.pillars || []).find(p => p.name === pillarName);
+        const elements = this.getMissingInputElements(pillar?.confidence?.missing);
+        if (elements.length === 0) return;
+
+        if (elements.some(el => el.id.startsWith('q_'))) {
+            const panel = document.getElementById('questionnairePanel');
+            if (panel) panel.open = true;
+        }
+
+        document.querySelectorAll('.needs-data').forEach(el => el.classList.remove('needs-data'));
+        elements.forEach(el => {
+            const group = el.closest('.form-group, .questionnaire-question') || el;
+            group.classList.add('needs-data');
+            el.addEventListener('change', () => group.classList.remove('needs-data'), { once: true });
+        });
+
+        elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        elements[0].focus({ preventScroll: true });
+    }
+
+    // Hover chips naming the answers an insight or action was based on
+    renderEvidenceChips(evidence, testId) {
+        if (!evidence) return '';
+        if (evidence.length === 0) {
+            return `<span class="evidence-chips"><span class="evidence-chip general" title="${this.t('evidence.generalHint')}" data-testid="${testId}">${this.t('evidence.general')}</span></span>`;
+        }
+        return `<span class="evidence-chips" data-testid="${testId}">${evidence.map(item => {
+            const label = item.label.length > 32 ? `${item.label.slice(0, 31)}…` : item.label;
+            return `<span class="evidence-chip" tabindex="0" title="${this.escapeHtml(`${item.label}: ${item.value}`)}">${this.escapeHtml(label)}</span>`;
+        }).join('')}</span>`;
+    }
+
+    renderFinancialMetrics(financials) {
+        const rows = Elev8Calculator.getFinancialMetricRows(financials, this.locale);
+        if (rows.length === 0) return '';
+        return `
+            <div class="pillar-financials" data-testid="table-financial-metrics">
+                <strong>${this.t('financials.title')}</strong>
+                <table class="financial-metrics-table">
+                    <tbody>
+                        ${rows.map(row => `<tr><td>${row.label}</td><td>${row.value}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+                <div class="financial-metrics-source">${this.t('financials.source', { months: financials.periodMonths }).replace('&', '&amp;')}</div>
+            </div>
+        `;
+    }
+
+    // ===== ASSESSMENT QUESTIONNAIRE =====
+    renderQuestionnaire() {
+        const container = document.getElementById('questionnaireContainer');
+        const questions = window.ELEV8_QUESTIONNAIRE;
+        if (!container || !Array.isArray(questions)) return;
+
+        const scale = window.ELEV8_QUESTIONNAIRE_SCALE || { min: 1, max: 5 };
+        const pillars = [...new Set(questions.map(q => q.pillar))];
+
+        container.innerHTML = pillars.map(pillar => `
+            <fieldset class="questionnaire-pillar">
+                <legend>${Elev8I18n.pillarName(pillar, this.locale)}</legend>
+                ${questions.filter(q => q.pillar === pillar).map(q => {
+                    const fieldId = `q_${q.id}`;
+                    let control;
+                    if (q.type === 'yesno') {
+                        control = `
+                            <select id="${fieldId}" class="form-select" data-question-id="${q.id}">
+                                <option value="">—</option>
+                                <option value="yes">${this.t('questionnaire.yes')}</option>
+                                <option value="no">${this.t('questionnaire.no')}</option>
+                            </select>`;
+                    } else if (q.type === 'scale') {
+                        const options = [];
+                        for (let v = scale.min; v <= scale.max; v++) {
+                            const hint = v === scale.min ? this.t('questionnaire.scaleMin') : v === scale.max ? this.t('questionnaire.scaleMax') : '';
+                            options.push(`<option value="${v}">${v}${hint ? ` ${hint}` : ''}</option>`);
+                        }
+                        control = `
+                            <select id="${fieldId}" class="form-select" data-question-id="${q.id}">
+                                <option value="">—</option>
+                                ${options.join('')}
+                            </select>`;
+                    } else {
+                        control = `
+                            <input type="number" id="${fieldId}" class="form-input" data-question-id="${q.id}"
+                                min="${q.min ?? 0}" max="${q.max ?? ''}" step="1" placeholder="${q.unit ? this.t(`questionnaire.unit.${q.unit}`) : ''}">`;
+                    }
+                    return `
+                        <div class="questionnaire-question">
+                            <label for="${fieldId}" class="form-label">${Elev8I18n.questionLabel(q, this.locale)}</label>
+                            ${control}
+                            <span class="error-message" id="${fieldId}Error"></span>
+                        </div>`;
+                }).join('')}
+            </fieldset>
+        `).join('');
+
+        this.updateQuestionnaireProgress();
+    }
+
+    collectQuestionnaire() {
+        const answers = {};
+        (window.ELEV8_QUESTIONNAIRE || []).forEach(q => {
+            const value = document.getElementById(`q_${q.id}`)?.value ?? '';
+            if (value === '') return;
+            if (q.type === 'yesno') {
+                answers[q.id] = value === 'yes';
+            } else {
+                answers[q.id] = Number(value);
+            }
+        });
+        return answers;
+    }
+
+    validateQuestionnaire(answers) {
+        let isValid = true;
+        const scale = window.ELEV8_QUESTIONNAIRE_SCALE || { min: 1, max: 5 };
+
+        (window.ELEV8_QUESTIONNAIRE || []).forEach(q => {
+            const value = answers[q.id];
+            if (value === undefined || q.type === 'yesno') return;
+
+            const min = q.type === 'scale' ? scale.min : (q.min ?? 0);
+            const max = q.type === 'scale' ? scale.max : q.max;
+
+            if (!Number.isInteger(value)) {
+                this.showFieldError(`q_${q.id}`, this.t('validation.wholeNumber'));
+                isValid = false;
+            } else if (value < min || (max !== undefined && value > max)) {
+                this.showFieldError(`q_${q.id}`, this.t('validation.range', { min, max }));
+                isValid = false;
+            }
+        });
+
+        if (!isValid) {
+            const panel = document.getElementById('questionnairePanel');
+            if (panel) panel.open = true;
+        }
+
+        return isValid;
+    }
+
+    // Field errors returned by the server for questionnaire answers
+    // Field errors from the server: questionnaire answers by question id, financial
+    // statements on their upload inputs, and form fields by their own id
+    showServerFieldErrors(fields) {
+        const uploadInputs = { financialStatements: 'pnlCsv', profitAndLoss: 'pnlCsv', balanceSheet: 'balanceSheetCsv' };
+        const questionIds = new Set((window.ELEV8_QUESTIONNAIRE || []).map(q => q.id));
+        let questionnaireError = false;
+
+        Object.entries(fields).forEach(([field, message]) => {
+            if (questionIds.has(field)) {
+                questionnaireError = true;
+                this.showFieldError(`q_${field}`, message);
+            } else {
+                this.showFieldError(uploadInputs[field] || field, message);
+            }
+        });
+
+        const panel = document.getElementById('questionnairePanel');
+        if (panel && questionnaireError) panel.open = true;
+    }
+
+    updateQuestionnaireProgress() {
+        const progress = document.getElementById('questionnaireProgress');
+        const total = (window.ELEV8_QUESTIONNAIRE || []).length;
+        if (!progress || !total) return;
+        const answered = Object.keys(this.collectQuestionnaire()).length;
+        progress.textContent = this.t('questionnaire.progress', { answered, total });
+    }
+
+    // Restore intake fields (including questionnaire answers) from a saved report
+    populateForm(formData) {
+        if (!formData) return;
+
+        ['businessName', 'industry', 'revenueRange', 'creditProfile', 'employees', 'challenges', 'goals'].forEach(field => {
+            const el = document.getElementById(field);
+            if (el) el.value = formData[field] || '';
+        });
+
+        // Reports saved before frameworks existed were scored on the business pillars
+        const framework = document.getElementById('framework');
+        if (framework) {
+            framework.dataset.selected = formData.framework || 'business';
+            framework.value = framework.dataset.selected;
+        }
+        const weighting = document.getElementById('weightingProfile');
+        if (weighting) {
+            weighting.dataset.selected = formData.weightingProfile || '';
+            this.loadWeightingProfiles();
+        }
+
+        const answers = formData.questionnaire || {};
+        this.restoreQuestionnaireAnswers(answers);
+
+        const panel = document.getElementById('questionnairePanel');
+        if (panel && Object.keys(answers).length > 0) panel.open = true;
+
+        // Uploaded CSVs are not stored with reports; their metrics are shown in the results
+        ['pnlCsv', 'balanceSheetCsv'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        this.financialStatements = {};
+
+        this.clearErrors();
+        this.updateQuestionnaireProgress();
+    }
+
+    restoreQuestionnaireAnswers(answers) {
+        (window.ELEV8_QUESTIONNAIRE || []).forEach(q => {
+            const el = document.getElementById(`q_${q.id}`);
+            if (!el) return;
+            const value = answers[q.id];
+            if (value === undefined || value === null) {
+                el.value = '';
+            } else if (q.type === 'yesno') {
+                el.value = value ? 'yes' : 'no';
+            } else {
+                el.value = String(value);
+            }
+        });
+        this.updateQuestionnaireProgress();
+    }
+
+    bindActionButtons() {
+        const exportPdfBtn = document.getElementById('exportPdfBtn');
+        const copyAllBtn = document.getElementById('copyAllBtn');
+        const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+        if (exportPdfBtn) {
+            exportPdfBtn.addEventListener('click', () => this.exportToPDF());
+        }
+
+        if (copyAllBtn) {
+            copyAllBtn.addEventListener('click', () => this.copyAllResults());
+        }
+
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => this.clearResults());
+        }
+
+        // Pillar cards are re-rendered often, so delegate from the results container
+        const resultsContainer = document.getElementById('resultsContainer');
+        if (resultsContainer) {
+            resultsContainer.addEventListener('click', (e) => {
+                const deepDiveBtn = e.target.closest('.pillar-deepdive-btn');
+                if (deepDiveBtn) {
+                    this.handlePillarDeepDive(deepDiveBtn.dataset.pillarName, deepDiveBtn);
+                }
+
+                const moreDataBtn = e.target.closest('.pillar-more-data-btn');
+                if (moreDataBtn) {
+                    this.focusMissingInputs(moreDataBtn.dataset.pillarName);
+                }
+
+                if (e.target.closest('.regenerate-btn')) {
+                    this.handleGenerate({ regenerate: true });
+                }
+
+                const modeBtn = e.target.closest('.simulator-mode-btn');
+                if (modeBtn) {
+                    this.setSimulatorMode(modeBtn.dataset.mode);
+                }
+
+                if (e.target.closest('.simulator-reset-btn')) {
+                    this.resetSimulation();
+                }
+            });
+
+            resultsContainer.addEventListener('input', (e) => {
+                if (e.target.matches('.simulator-slider, .simulator-action-check')) {
+                    this.handleSimulatorInput(e.target);
+                }
+            });
+
+            resultsContainer.addEventListener('change', (e) => {
+                if (e.target.id === 'programStartDate') {
+                    this.setProgramStartDate(e.target.value);
+                }
+            });
+
+            resultsContainer.addEventListener('submit', (e) => {
+                if (e.target.id === 'reportChatForm') {
+                    e.preventDefault();
+                    this.sendChatQuestion();
+                }
+            });
+        }
+    }
+
+    // regenerate: bypass the server's cache of results for identical input
+    async handleGenerate({ regenerate = false } = {}) {
+        try {
+            // Check usage limit before generating
+            const usageCheck = await this.usageTracker.checkUsageLimit();
+            if (!usageCheck.allowed) {
+                this.usageTracker.showLimitReachedAlert(usageCheck.count, usageCheck.limit);
+                return;
+            }
+
+            this.setLoadingState(true);
+            this.clearErrors();
+
+            // Collect form data
+            const formData = this.collectFormData();
+            
+            // Validate required fields
+            if (!this.validateForm(formData)) {
+                this.setLoadingState(false);
+                return;
+            }
+
+            const data = await this.generateReport(formData, regenerate);
+
+            if (!data) return;
+
+            await this.completeGeneration(data, formData);
+
+        } catch (error) {
+            console.error('Generation error:', error);
+            
+            if (error.message && error.message.includes('30-report limit')) {
+                const usageCheck = await this.usageTracker.checkUsageLimit();
+                this.usageTracker.showLimitReachedAlert(usageCheck.count, usageCheck.limit);
+                return;
+            }
+            
+            this.showError(error.message || this.t('message.generateFailed'));
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    // Store and render results (raw CSV text is not kept; the parsed metrics are)
+    async completeGeneration(data, formData) {
+        const { financialStatements, ...savedFormData } = formData;
+        this.currentAnalysis = {
+            ...data,
+            locale: formData.locale,
+            businessName: formData.businessName,
+            formData: savedFormData,
+            timestamp: new Date().toISOString()
+        };
+        // Roadmap tasks are dated from today until the user picks another start date
+        if (this.currentAnalysis.roadmapTasks) {
+            this.currentAnalysis.programStartDate = Elev8Calculator.getProgramStartDate(this.currentAnalysis);
+        }
+        
+        this.analysisHistory.unshift(this.currentAnalysis);
+        this.saveToLocalStorage();
+        this.renderResults();
+    }
+
+    // Streams the report so pillars render as they are generated; a stream cut off before it
+    // finished (e.g. by a serverless timeout) continues as a background job. Browsers without
+    // streaming use a job directly. Returns null when the usage limit was hit.
+    async generateReport(formData, regenerate = false) {
+        if (!this.streamingSupported) {
+            return this.generateWithJob(formData, regenerate);
+        }
+
+        try {
+            return await this.generateStreaming(formData, regenerate);
+        } catch (error) {
+            if (!error.streamInterrupted) throw error;
+            // The stream's generation runs on as a job; polling it avoids paying for a second one
+            if (error.jobId) {
+                console.warn('[Generate] Stream interrupted, waiting for its background job:', error.message);
+                return this.waitForJob({ jobId: error.jobId, status: 'running', attempts: 0 });
+            }
+            console.warn('[Generate] Stream interrupted, continuing as a background job:', error.message);
+            return this.generateWithJob(formData, regenerate);
+        }
+    }
+
+    // =====================================================
+    // BACKGROUND GENERATION JOBS
+    // =====================================================
+    // The server queues the analysis and returns a job id, which is kept in localStorage
+    // until the job finishes so a reload can pick it up again. Returns null when the
+    // usage limit was hit.
+    async generateWithJob(formData, regenerate = false) {
+        const response = await fetch('/api/generate/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                formData: formData,
+                tool: 'elev8analyzer',
+                regenerate
+            })
+        });
+
+        // Deployments without the jobs endpoint generate within the request
+        if (response.status === 404 || response.status === 405) {
+            return this.generateStandard(formData, regenerate);
+        }
+
+        const job = await response.json();
+
+        // ...as do deployments without a job store
+        if (job.code === 'JOBS_UNAVAILABLE') {
+            return this.generateStandard(formData, regenerate);
+        }
+
+        if (!response.ok) {
+            if (job.limitReached) {
+                this.usageTracker.showLimitReachedAlert(job.count, job.limit);
+                return null;
+            }
+            if (job.fields) {
+                this.showServerFieldErrors(job.fields);
+            }
+            throw new Error(job.error || this.t('message.generateFailed'));
+        }
+
+        const { financialStatements, ...savedFormData } = formData;
+        this.savePendingJob({ jobId: job.jobId, formData: savedFormData, createdAt: new Date().toISOString() });
+
+        return this.waitForJob(job);
+    }
+
+    // Polls until the job finishes; returns the report, or null when the usage limit was hit
+    async waitForJob(job) {
+        const startedAt = Date.now();
+
+        while (job.status !== 'succeeded' && job.status !== 'failed') {
+            if (Date.now() - startedAt > this.jobPollTimeoutMs) {
+                // The job stays pending, so reloading later picks it up again
+                throw new Error(this.t('job.slow'));
+            }
+
+            this.setLoadingProgress(job.attempts > 1
+                ? this.t('job.retrying', { attempt: job.attempts, max: job.maxAttempts })
+                : this.t('job.running'));
+            await new Promise(resolve => setTimeout(resolve, this.jobPollIntervalMs));
+
+            const response = await fetch(`/api/jobs/${encodeURIComponent(job.jobId)}`);
+            const data = await response.json();
+
+            if (response.status === 404 || data.code === 'JOBS_UNAVAILABLE') {
+                this.clearPendingJob();
+                throw new Error(this.t('job.notFound'));
+            }
+            if (!response.ok) {
+                throw new Error(data.error || this.t('message.generateFailed'));
+            }
+            job = data;
+        }
+
+        this.clearPendingJob();
+
+        if (job.status === 'failed') {
+            if (job.error?.limitReached) {
+                this.usageTracker.showLimitReachedAlert(job.error.count, job.error.limit);
+                return null;
+            }
+            throw new Error(job.error?.error || this.t('message.generateFailed'));
+        }
+
+        return job.result;
+    }
+
+    // Picks up a job that was still running when the page was closed or reloaded
+    async resumePendingJob() {
+        const pending = this.loadPendingJob();
+        if (!pending) return;
+
+        try {
+            this.setLoadingState(true);
+            this.setLoadingProgress(this.t('job.resuming'));
+
+            const data = await this.waitForJob({ jobId: pending.jobId, status: 'queued', attempts: 0 });
+            if (data) {
+                this.populateForm(pending.formData);
+                await this.completeGeneration(data, pending.formData);
+            }
+        } catch (error) {
+            console.error('Resume job error:', error);
+            this.showError(error.message || this.t('message.generateFailed'));
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    savePendingJob(pending) {
+        try {
+            localStorage.setItem('elev8-pending-job', JSON.stringify(pending));
+        } catch (error) {
+            console.error('Failed to save pending job:', error);
+        }
+    }
+
+    loadPendingJob() {
+        try {
+            const saved = localStorage.getItem('elev8-pending-job');
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Failed to load pending job:', error);
+            return null;
+        }
+    }
+
+    clearPendingJob() {
+        localStorage.removeItem('elev8-pending-job');
+    }
+
+    // Single-response generation; returns null when the usage limit was hit
+    async generateStandard(formData, regenerate = false) {
+        const response = await fetch('/api/generate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                formData: formData,
+                tool: 'elev8analyzer',
+                regenerate
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            if (data.limitReached) {
+                this.usageTracker.showLimitReachedAlert(data.count, data.limit);
+                return null;
+            }
+            if (data.fields) {
+                this.showServerFieldErrors(data.fields);
+            }
+            throw new Error(data.error || this.t('message.generateFailed'));
+        }
+
+        return data;
+    }
+
+    // =====================================================
+    // STREAMING GENERATION (Server-Sent Events)
+    // =====================================================
+    async generateStreaming(formData, regenerate = false) {
+        const response = await fetch('/api/generate/stream', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({
+                formData: formData,
+                tool: 'elev8analyzer',
+                regenerate
+            })
+        });
+
+        // Deployments without the streaming endpoint use a background job
+        if (response.status === 404 || response.status === 405) {
+            return this.generateWithJob(formData, regenerate);
+        }
+
+        if (!response.ok) {
+            const data = await response.json();
+            if (data.limitReached) {
+                this.usageTracker.showLimitReachedAlert(data.count, data.limit);
+                return null;
+            }
+            if (data.fields) {
+                this.showServerFieldErrors(data.fields);
+            }
+            throw new Error(data.error || this.t('message.generateFailed'));
+        }
+
+        // Restores the previous results (or the empty state) if the stream fails
+        const container = document.getElementById('resultsContainer');
+        const previousHtml = container ? container.innerHTML : '';
+        const restoreResults = () => {
+            if (this.currentAnalysis) {
+                this.renderResults();
+            } else if (container) {
+                container.innerHTML = previousHtml;
+            }
+        };
 
-    static getStatusBand(score) {
-        if (score >= 85) return { label: 'Elite', color: '#10B981', class: 'elite' };
-        if (score >= 75) return { label: 'Strong', color: '#22C55E', class: 'strong' };
-        if (score >= 60) return { label: 'Stable', color: '#EAB308', class: 'stable' };
-        if (score >= 40) return { label: 'At Risk', color: '#F97316', class: 'at-risk' };
-        return { label: 'Critical', color: '#EF4444', class: 'critical' };
-    }
+        this.renderStreamingShell(formData);
 
-    static getPillarStatus(score) {
-        if (score >= 71) return { color: '#10B981', class: 'green', label: 'Strong' };
-        if (score >= 41) return { color: '#EAB308', class: 'yellow', label: 'Moderate' };
-        return { color: '#EF4444', class: 'red', label: 'Critical' };
-    }
-}
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        // Id of the job the stream runs as; kept as the pending job until the stream settles
+        let jobId = null;
 
-// =====================================================
-// ELEV8 ANALYZER APP
-// =====================================================
-class Elev8AnalyzerApp {
-    constructor() {
-        this.usageTracker = new UsageTracker();
-        this.currentAnalysis = null;
-        this.analysisHistory = [];
-        
-        this.init();
-    }
+        try {
+            while (true) {
+                let chunk;
+                try {
+                    chunk = await reader.read();
+                } catch (readError) {
+                    throw Object.assign(new Error(readError.message || 'The connection was interrupted.'), { streamInterrupted: true });
+                }
+                const { value, done } = chunk;
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+
+                for (const frame of frames) {
+                    const { event, data } = this.parseSseFrame(frame);
+                    if (!event) continue;
+
+                    if (event === 'job') {
+                        jobId = data.jobId;
+                        const { financialStatements, ...savedFormData } = formData;
+                        this.savePendingJob({ jobId, formData: savedFormData, createdAt: new Date().toISOString() });
+                        continue;
+                    }
 
-    init() {
-        this.bindFormEvents();
-        this.bindActionButtons();
-        this.loadFromLocalStorage();
-    }
+                    if (event === 'complete') {
+                        reader.cancel();
+                        if (jobId) this.clearPendingJob();
+                        return data;
+                    }
 
-    bindFormEvents() {
-        const form = document.getElementById('toolkitForm');
-        const clearBtn = document.getElementById('clearBtn');
+                    if (event === 'error') {
+                        reader.cancel();
+                        if (jobId) this.clearPendingJob();
+                        if (data.limitReached) {
+                            this.usageTracker.showLimitReachedAlert(data.count, data.limit);
+                            restoreResults();
+                            return null;
+                        }
+                        throw new Error(data.error || this.t('message.generateFailed'));
+                    }
 
-        if (form) {
-            form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleGenerate();
-            });
-        }
+                    this.handleStreamEvent(event, data);
+                }
+            }
 
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                form.reset();
-                this.clearErrors();
-            });
+            throw Object.assign(new Error('The connection closed before the analysis finished. Please try again.'), { streamInterrupted: true });
+        } catch (error) {
+            // Don't leave a partial analysis on screen
+            restoreResults();
+            if (error.streamInterrupted && jobId) error.jobId = jobId;
+            throw error;
+        } finally {
+            this.streamingAnalysis = null;
         }
     }
 
-    bindActionButtons() {
-        const exportPdfBtn = document.getElementById('exportPdfBtn');
-        const copyAllBtn = document.getElementById('copyAllBtn');
-        const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+    parseSseFrame(frame) {
+        let event = null;
+        const dataLines = [];
 
-        if (exportPdfBtn) {
-            exportPdfBtn.addEventListener('click', () => this.exportToPDF());
-        }
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
 
-        if (copyAllBtn) {
-            copyAllBtn.addEventListener('click', () => this.copyAllResults());
+        try {
+            return { event, data: dataLines.length ? JSON.parse(dataLines.join('\n')) : {} };
+        } catch (error) {
+            console.error('[Elev8 Stream] Failed to parse event data:', error);
+            return { event: null, data: null };
         }
+    }
 
-        if (clearHistoryBtn) {
-            clearHistoryBtn.addEventListener('click', () => this.clearResults());
+    handleStreamEvent(event, data) {
+        const partial = this.streamingAnalysis;
+
+        switch (event) {
+            case 'status':
+                if (data.stage === 'retrying') {
+                    // First attempt failed validation; sections will be sent again
+                    this.renderStreamingShell(partial.formData);
+                    this.setLoadingProgress(this.t('stream.refining'));
+                }
+                break;
+            case 'overall':
+                partial.overall = data;
+                this.renderStreamingOverall(data);
+                break;
+            case 'pillar':
+                partial.pillars.push(data.pillar);
+                this.renderStreamingPillar(data.pillar, data.index);
+                break;
+            case 'roadmap':
+                partial.roadmap = data;
+                this.renderStreamingRoadmap(data);
+                break;
         }
     }
 
-    async handleGenerate() {
-        try {
-            // Check usage limit before generating
-            const usageCheck = await this.usageTracker.checkUsageLimit();
-            if (!usageCheck.allowed) {
-                this.usageTracker.showLimitReachedAlert(usageCheck.count, usageCheck.limit);
-                return;
-            }
+    renderStreamingShell(formData) {
+        const container = document.getElementById('resultsContainer');
+        const noResults = document.getElementById('noResults');
+        if (!container) return;
 
-            this.setLoadingState(true);
-            this.clearErrors();
+        if (noResults) noResults.style.display = 'none';
 
-            // Collect form data
-            const formData = this.collectFormData();
-            
-            // Validate required fields
-            if (!this.validateForm(formData)) {
-                this.setLoadingState(false);
-                return;
-            }
+        const framework = this.frameworks.find(f => f.id === formData.framework) || Elev8Calculator.REPORT_DEFAULTS.framework;
+        this.streamingAnalysis = { formData, framework, overall: null, pillars: [], roadmap: null };
+        this.setLoadingProgress(this.t('stream.analyzingProfile'));
 
-            // Call API
-            const response = await fetch('/api/generate', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    formData: formData,
-                    tool: 'elev8analyzer'
-                })
-            });
+        const placeholders = framework.pillars.map(({ name }, index) => `
+            <div class="pillar-card pillar-card-pending" data-pillar-slot="${index}">
+                <div class="pillar-header">
+                    <div class="pillar-title-row">
+                        ${this.getPillarIcon(name)}
+                        <h4 class="pillar-name">${Elev8I18n.pillarName(name, this.locale)}</h4>
+                    </div>
+                </div>
+                <div class="pillar-pending-text">${this.t('pillar.analyzing')}</div>
+            </div>
+        `).join('');
 
-            const data = await response.json();
+        container.innerHTML = `
+            <div class="elev8-index-card" data-testid="card-overall-index">
+                <div class="elev8-index-score">
+                    <div class="elev8-index-number" id="streamIndexNumber">--</div>
+                    <div class="elev8-index-label">${this.t('results.overallIndex')}</div>
+                </div>
+                <div class="elev8-index-summary" id="streamIndexSummary">
+                    ${this.t('stream.analyzingBusiness', { name: this.escapeHtml(formData.businessName), total: framework.pillars.length })}
+                </div>
+            </div>
 
-            if (!response.ok) {
-                if (data.limitReached) {
-                    this.usageTracker.showLimitReachedAlert(data.count, data.limit);
-                    return;
-                }
-                throw new Error(data.error || 'Failed to generate analysis');
-            }
+            <div class="charts-dashboard">
+                <h3 class="section-title">${this.t('charts.title')}</h3>
+                <div class="charts-grid">
+                    <div class="chart-card chart-wrap" data-chart="radar">
+                        <h4 class="chart-title">${this.t('charts.radar')}</h4>
+                        <canvas id="pillarRadarChart" class="chartjs"></canvas>
+                    </div>
+                    <div class="chart-card chart-wrap" data-chart="bar">
+                        <h4 class="chart-title">${this.t('charts.bar')}</h4>
+                        <canvas id="pillarBarChart" class="chartjs"></canvas>
+                    </div>
+                </div>
+            </div>
 
-            // Store and render results
-            this.currentAnalysis = {
-                ...data,
-                businessName: formData.businessName,
-                timestamp: new Date().toISOString()
-            };
-            
-            this.analysisHistory.unshift(this.currentAnalysis);
-            this.saveToLocalStorage();
-            this.renderResults();
+            <div class="pillars-section">
+                <h3 class="section-title">${this.t('pillars.title', { total: framework.pillars.length })}</h3>
+                <div class="pillars-grid">${placeholders}</div>
+            </div>
+
+            <div class="roadmap-section" id="streamRoadmap"></div>
+        `;
+    }
 
-            // Increment usage after successful generation
-            await this.usageTracker.incrementUsage();
+    renderStreamingOverall(overall) {
+        const number = document.getElementById('streamIndexNumber');
+        const summary = document.getElementById('streamIndexSummary');
 
-        } catch (error) {
-            console.error('Generation error:', error);
-            
-            if (error.message && error.message.includes('30-report limit')) {
-                const usageCheck = await this.usageTracker.checkUsageLimit();
-                this.usageTracker.showLimitReachedAlert(usageCheck.count, usageCheck.limit);
-                return;
-            }
-            
-            this.showError(error.message || 'Failed to generate analysis');
-        } finally {
-            this.setLoadingState(false);
+        if (number && overall.score !== null) {
+            number.textContent = overall.score;
+            number.parentElement.style.color = Elev8Calculator.getStatusBand(overall.score, this.locale, this.getActiveFramework()).color;
+        }
+        if (summary && overall.summary) {
+            summary.textContent = overall.summary;
+        }
+    }
+
+    renderStreamingPillar(pillar, index) {
+        const order = this.streamingAnalysis.framework.pillars.map(p => p.name);
+        const canonicalIndex = order.indexOf(pillar.name);
+        const slot = document.querySelector(`[data-pillar-slot="${canonicalIndex >= 0 ? canonicalIndex : index}"]`);
+
+        if (slot) {
+            slot.outerHTML = this.renderPillarCards([pillar], index, null, null, this.streamingAnalysis.formData);
         }
+
+        const received = this.streamingAnalysis.pillars;
+        this.setLoadingProgress(this.t('stream.progress', { count: received.length, total: order.length }));
+
+        // Redraw the charts with the pillars received so far
+        const ordered = [...received].sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+        this.createRadarChart(ordered);
+        this.createBarChart(ordered);
+    }
+
+    renderStreamingRoadmap(roadmap) {
+        const section = document.getElementById('streamRoadmap');
+        if (!section) return;
+
+        section.innerHTML = `
+            <h3 class="section-title">${this.t('roadmap.title')}</h3>
+            ${this.renderRoadmap(roadmap)}
+        `;
+        this.setLoadingProgress(this.t('stream.finalizing'));
     }
 
     collectFormData() {
@@ -465,7 +1602,14 @@ class Elev8AnalyzerApp {
             creditProfile: document.getElementById('creditProfile')?.value || '',
             employees: document.getElementById('employees')?.value || '',
             challenges: document.getElementById('challenges')?.value || '',
-            goals: document.getElementById('goals')?.value || ''
+            goals: document.getElementById('goals')?.value || '',
+            framework: document.getElementById('framework')?.value || '',
+            weightingProfile: document.getElementById('weightingProfile')?.value || '',
+            locale: this.locale,
+            questionnaire: this.collectQuestionnaire(),
+            financialStatements: Object.keys(this.financialStatements).length > 0
+                ? { ...this.financialStatements }
+                : undefined
         };
     }
 
@@ -473,22 +1617,26 @@ class Elev8AnalyzerApp {
         let isValid = true;
 
         if (!formData.businessName.trim()) {
-            this.showFieldError('businessName', 'Business name is required');
+            this.showFieldError('businessName', this.t('validation.businessName'));
             isValid = false;
         }
 
         if (!formData.industry) {
-            this.showFieldError('industry', 'Industry is required');
+            this.showFieldError('industry', this.t('validation.industry'));
             isValid = false;
         }
 
         if (!formData.revenueRange) {
-            this.showFieldError('revenueRange', 'Revenue range is required');
+            this.showFieldError('revenueRange', this.t('validation.revenueRange'));
             isValid = false;
         }
 
         if (!formData.employees) {
-            this.showFieldError('employees', 'Number of employees is required');
+            this.showFieldError('employees', this.t('validation.employees'));
+            isValid = false;
+        }
+
+        if (!this.validateQuestionnaire(formData.questionnaire || {})) {
             isValid = false;
         }
 
@@ -525,6 +1673,7 @@ class Elev8AnalyzerApp {
         }
 
         if (submitText && loadingText) {
+            loadingText.textContent = this.t('form.analyzing');
             if (isLoading) {
                 submitText.classList.add('hidden');
                 loadingText.classList.remove('hidden');
@@ -535,6 +1684,13 @@ class Elev8AnalyzerApp {
         }
     }
 
+    setLoadingProgress(message) {
+        const loadingText = document.getElementById('loadingText');
+        if (loadingText) {
+            loadingText.textContent = message;
+        }
+    }
+
     renderResults() {
         const container = document.getElementById('resultsContainer');
         const noResults = document.getElementById('noResults');
@@ -547,8 +1703,8 @@ class Elev8AnalyzerApp {
         if (noResults) noResults.style.display = 'none';
 
         const analysis = this.currentAnalysis;
-        const overallIndex = analysis.overall?.score || Elev8Calculator.calculateOverallIndex(analysis.pillars || []);
-        const statusBand = Elev8Calculator.getStatusBand(overallIndex);
+        const overallIndex = Elev8Calculator.getDisplayIndex(analysis);
+        const statusBand = Elev8Calculator.getStatusBand(overallIndex, this.locale, Elev8Calculator.getFramework(analysis));
 
         // Create results HTML
         container.innerHTML = `
@@ -556,7 +1712,7 @@ class Elev8AnalyzerApp {
             <div class="elev8-index-card" data-testid="card-overall-index">
                 <div class="elev8-index-score" style="color: ${statusBand.color}">
                     <div class="elev8-index-number">${overallIndex}</div>
-                    <div class="elev8-index-label">Overall Elev8 Index</div>
+                    <div class="elev8-index-label">${this.t('results.overallIndex')}</div>
                     
                     <!-- Horizontal Progress Bar -->
                     <div class="elev8-progress-container">
@@ -574,45 +1730,52 @@ class Elev8AnalyzerApp {
                     ${statusBand.label}
                 </div>
                 <div class="elev8-index-summary">
-                    ${analysis.overall?.summary || 'Comprehensive business health analysis across 8 critical pillars.'}
+                    ${analysis.overall?.summary || this.t('results.defaultSummary', { total: Elev8Calculator.getFramework(analysis).pillars.length })}
                 </div>
+                ${this.renderScoringNote(analysis)}
             </div>
 
             <!-- Charts Dashboard -->
             <div class="charts-dashboard">
-                <h3 class="section-title">Business Metrics Visualization</h3>
+                <h3 class="section-title">${this.t('charts.title')}</h3>
                 <div class="charts-grid">
-                    <!-- Radar Chart for 8 Pillars -->
+                    <!-- Radar Chart for the framework's pillars -->
                     <div class="chart-card chart-wrap" data-chart="radar">
-                        <h4 class="chart-title">Pillar Performance Radar</h4>
+                        <h4 class="chart-title">${this.t('charts.radar')}</h4>
                         <canvas id="pillarRadarChart" class="chartjs"></canvas>
                     </div>
                     
                     <!-- Bar Chart for Pillar Scores -->
                     <div class="chart-card chart-wrap" data-chart="bar">
-                        <h4 class="chart-title">Pillar Score Comparison</h4>
+                        <h4 class="chart-title">${this.t('charts.bar')}</h4>
                         <canvas id="pillarBarChart" class="chartjs"></canvas>
                     </div>
                     
                     <!-- Progress Gauge for Overall Index -->
                     <div class="chart-card chart-wrap" data-chart="gauge">
-                        <h4 class="chart-title">Business Health Gauge</h4>
+                        <h4 class="chart-title">${this.t('charts.gauge')}</h4>
                         <canvas id="healthGaugeChart" class="chartjs"></canvas>
                     </div>
                     
                     <!-- Roadmap Timeline Chart -->
                     <div class="chart-card chart-wrap" data-chart="timeline">
-                        <h4 class="chart-title">Action Roadmap Timeline</h4>
+                        <h4 class="chart-title">${this.t('charts.timeline')}</h4>
                         <canvas id="roadmapTimelineChart" class="chartjs"></canvas>
                     </div>
                 </div>
             </div>
 
-            <!-- 8 Pillar Cards -->
+            <!-- Score History of this business -->
+            ${this.renderAssessmentHistory(analysis)}
+
+            <!-- What-If Simulator -->
+            ${this.renderSimulator(analysis)}
+
+            <!-- Pillar Cards -->
             <div class="pillars-section">
-                <h3 class="section-title">8 Pillars of Business Health</h3>
+                <h3 class="section-title">${this.t('pillars.title', { total: Elev8Calculator.getFramework(analysis).pillars.length })}</h3>
                 <div class="pillars-grid">
-                    ${this.renderPillarCards(analysis.pillars || [])}
+                    ${this.renderPillarCards(analysis.pillars || [], 0, analysis.financials, analysis.benchmark, analysis.formData)}
                 </div>
             </div>
 
@@ -624,15 +1787,115 @@ class Elev8AnalyzerApp {
 
             <!-- 30/60/90 Day Roadmap -->
             <div class="roadmap-section">
-                <h3 class="section-title">30/60/90-Day Action Roadmap</h3>
+                <h3 class="section-title">${this.t('roadmap.title')}</h3>
                 ${this.renderRoadmap(analysis.roadmap || {})}
+                ${this.renderRoadmapTasks(analysis)}
             </div>
+
+            <!-- Follow-up Chat -->
+            ${this.renderReportChat(analysis)}
         `;
 
+        // <details> toggle events don't bubble, so bind the simulator panel directly
+        const simulatorPanel = document.getElementById('simulatorPanel');
+        if (simulatorPanel) {
+            simulatorPanel.addEventListener('toggle', () => this.updateSimulation());
+            this.updateSimulation();
+        }
+
         // Initialize charts with lazy loading after DOM is updated
         setTimeout(() => {
             this.setupLazyChartLoading(analysis);
         }, 100);
+
+        this.loadAssessmentHistory(analysis);
+    }
+
+    renderScoringNote(analysis) {
+        const indexFlag = analysis.indexCheck?.diverged ? `
+            <div class="elev8-scoring-note index-diverged" data-testid="text-index-divergence">
+                ${this.t('note.indexCheck', analysis.indexCheck)}
+            </div>
+        ` : '';
+
+        return this.renderScoringSource(analysis) + indexFlag + this.renderFrameworkNotice(analysis)
+            + this.renderWeightingNotice(analysis) + this.renderCachedNotice(analysis) + this.renderRedactionNotice(analysis);
+    }
+
+    // Weighting profile the index was computed with
+    renderWeightingNotice(analysis) {
+        const weighting = Elev8Calculator.describeWeighting(analysis.weighting, this.locale);
+        if (!weighting) return '';
+
+        return `
+            <div class="elev8-scoring-note weighting" data-testid="text-weighting-notice">
+                ${this.t(weighting.selected ? 'note.weightingSelected' : 'note.weighting', weighting)}
+                ${weighting.changes ? `<span class="weighting-changes">(${weighting.changes})</span>` : ''}
+            </div>
+        `;
+    }
+
+    // Reports scored on a framework other than the business pillars say which one
+    renderFrameworkNotice(analysis) {
+        const framework = Elev8Calculator.getFramework(analysis);
+        if (framework.id === Elev8Calculator.REPORT_DEFAULTS.framework.id) return '';
+
+        const key = `framework.${framework.id}`;
+        const name = this.t(key) === key ? framework.name : this.t(key);
+        return `
+            <div class="elev8-scoring-note framework" data-testid="text-framework-notice">
+                ${this.t('note.framework', { name, total: framework.pillars.length })}
+            </div>
+        `;
+    }
+
+    // Personal details the server masked in free-text answers before calling the AI provider
+    renderRedactionNotice(analysis) {
+        const redactions = Array.isArray(analysis.inputSafety?.redactions) ? analysis.inputSafety.redactions : [];
+        if (redactions.length === 0) return '';
+
+        const totals = {};
+        redactions.forEach(({ type, count }) => {
+            totals[type] = (totals[type] || 0) + (Number(count) || 0);
+        });
+        const items = Object.entries(totals)
+            .map(([type, count]) => `${this.t(`redaction.${type}`)} (${count})`)
+            .join(', ');
+
+        return `
+            <div class="elev8-scoring-note redacted" data-testid="text-redaction-notice">
+                ${this.t('note.redacted', { items })}
+            </div>
+        `;
+    }
+
+    renderCachedNotice(analysis) {
+        if (!analysis.cached) return '';
+        const cachedAt = analysis.cachedAt ? Elev8I18n.formatDateTime(analysis.cachedAt, this.locale) : this.t('note.cachedEarlier');
+        return `
+            <div class="elev8-scoring-note cached" data-testid="text-cached-notice">
+                <span>${this.t('note.cached', { date: cachedAt })}</span>
+                <button type="button" class="regenerate-btn" data-testid="button-regenerate">${this.t('note.regenerate')}</button>
+            </div>
+        `;
+    }
+
+    renderScoringSource(analysis) {
+        if (analysis.fallback) {
+            return `
+                <div class="elev8-scoring-note fallback" data-testid="text-fallback-notice">
+                    ${this.t('note.fallback', { reason: analysis.fallback.reason || '' })}
+                </div>
+            `;
+        }
+        if (analysis.scoring?.method === 'blended') {
+            return `
+                <div class="elev8-scoring-note" data-testid="text-scoring-note">
+                    ${this.t('note.blended', { ai: analysis.scoring.aiOverall, baseline: analysis.scoring.baselineOverall })}
+                </div>
+            `;
+        }
+        return '';
     }
 
     setupLazyChartLoading(analysis) {
@@ -665,23 +1928,263 @@ class Elev8AnalyzerApp {
     initChartByType(chartType, analysis) {
         switch(chartType) {
             case 'radar':
-                this.createRadarChart(analysis.pillars || []);
+                this.createRadarChart(analysis.pillars || [], analysis.benchmark);
+                if (document.getElementById('simulatorPanel')?.open) this.updateSimulation();
                 break;
             case 'bar':
                 this.createBarChart(analysis.pillars || []);
                 break;
             case 'gauge':
-                this.createGaugeChart(analysis.overall?.score || 0);
+                this.createGaugeChart(Elev8Calculator.getDisplayIndex(analysis));
+                if (document.getElementById('simulatorPanel')?.open) this.updateSimulation();
                 break;
             case 'timeline':
-                this.createTimelineChart(analysis.roadmap || {});
+                this.createTimelineChart(analysis.roadmap || {}, analysis);
                 break;
         }
     }
 
-    createRadarChart(pillars) {
+    // =====================================================
+    // WHAT-IF SIMULATOR
+    // =====================================================
+
+    // Simulator state for the current analysis: a base score per pillar (moved by the
+    // sliders) plus the roadmap actions ticked as done. Kept while the same analysis is shown.
+    getSimulation() {
+        if (this.simulation?.analysis !== this.currentAnalysis) {
+            const pillars = this.currentAnalysis?.pillars || [];
+            this.simulation = {
+                analysis: this.currentAnalysis,
+                mode: 'scores',
+                base: Object.fromEntries(pillars.map(p => [p.name, p.score])),
+                done: new Set()
+            };
+        }
+        return this.simulation;
+    }
+
+    // A report's framework as listed by the server (with action keywords), else as stored on the report
+    getFrameworkDefinition(analysis) {
+        const framework = Elev8Calculator.getFramework(analysis);
+        return this.frameworks.find(f => f.id === framework.id) || framework;
+    }
+
+    // Roadmap actions with their phase, estimated lift and target pillar
+    // (from the report's roadmap tasks when it has them)
+    getSimulatorActions(analysis) {
+        const lifts = Elev8Calculator.ROADMAP_LIFT;
+        const tasks = Object.fromEntries((analysis.roadmapTasks || []).map(task => [task.id, task]));
+        return ['d30', 'd60', 'd90'].flatMap(phase => (analysis.roadmap?.[phase] || []).map((action, i) => ({
+            key: `${phase}-${i}`,
+            phase,
+            action,
+            lift: lifts[phase],
+            pillar: tasks[`${phase}-${i + 1}`]?.pillar || Elev8Calculator.getActionPillar(action, analysis.pillars, this.getFrameworkDefinition(analysis))
+        })));
+    }
+
+    // Total estimated lift per pillar from the actions ticked as done
+    getSimulatedLift() {
+        const simulation = this.getSimulation();
+        const lift = {};
+        this.getSimulatorActions(simulation.analysis).forEach(item => {
+            if (simulation.done.has(item.key) && item.pillar) {
+                lift[item.pillar] = (lift[item.pillar] || 0) + item.lift;
+            }
+        });
+        return lift;
+    }
+
+    // Pillars with simulated scores (slider base plus the lift of completed actions)
+    getSimulatedPillars() {
+        const simulation = this.getSimulation();
+        const lift = this.getSimulatedLift();
+        return (simulation.analysis.pillars || []).map(p => ({
+            ...p,
+            score: Math.max(0, Math.min(100, Math.round((simulation.base[p.name] ?? p.score) + (lift[p.name] || 0))))
+        }));
+    }
+
+    renderSimulator(analysis) {
+        const pillars = analysis.pillars || [];
+        if (pillars.length === 0) return '';
+
+        const simulation = this.getSimulation();
+        const simulated = this.getSimulatedPillars();
+        const phases = { d30: this.t('roadmap.d30'), d60: this.t('roadmap.d60'), d90: this.t('roadmap.d90') };
+        const actions = this.getSimulatorActions(analysis);
+
+        return `
+            <details class="simulator-panel" id="simulatorPanel" data-testid="panel-simulator">
+                <summary class="simulator-summary">${this.t('simulator.title')}</summary>
+                <p class="simulator-hint">${this.t('simulator.hint')}</p>
+
+                <div class="simulator-result" data-testid="simulator-result">
+                    <div class="simulator-index">
+                        <span class="simulator-index-label">${this.t('simulator.index')}</span>
+                        <span class="simulator-index-number" id="simulatedIndex" data-testid="text-simulated-index"></span>
+                        <span class="simulator-band" id="simulatedBand" data-testid="text-simulated-band"></span>
+                    </div>
+                    <div class="simulator-delta" id="simulatedDelta" data-testid="text-simulated-delta"></div>
+                </div>
+
+                <div class="simulator-modes" role="tablist">
+                    <button type="button" class="simulator-mode-btn ${simulation.mode === 'scores' ? 'active' : ''}" data-mode="scores" data-testid="button-simulator-scores">${this.t('simulator.modeScores')}</button>
+                    <button type="button" class="simulator-mode-btn ${simulation.mode === 'roadmap' ? 'active' : ''}" data-mode="roadmap" data-testid="button-simulator-roadmap">${this.t('simulator.modeRoadmap')}</button>
+                    <button type="button" class="simulator-reset-btn" data-testid="button-simulator-reset">${this.t('simulator.reset')}</button>
+                </div>
+
+                <div class="simulator-pane ${simulation.mode === 'scores' ? '' : 'hidden'}" data-pane="scores">
+                    ${simulated.map((pillar, i) => `
+                        <div class="simulator-slider-row">
+                            <label for="simSlider${i}" class="simulator-slider-label">${Elev8I18n.pillarName(pillar.name, this.locale)}</label>
+                            <input type="range" id="simSlider${i}" class="simulator-slider" min="0" max="100" step="1"
+                                value="${pillar.score}" data-pillar-name="${pillar.name}" data-testid="slider-simulator-${i}">
+                            <span class="simulator-slider-value" data-value-for="${pillar.name}"></span>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="simulator-pane ${simulation.mode === 'roadmap' ? '' : 'hidden'}" data-pane="roadmap">
+                    <p class="simulator-hint">${this.t('simulator.roadmapHint')}</p>
+                    ${Object.entries(phases).map(([phase, title]) => {
+                        const items = actions.filter(item => item.phase === phase);
+                        if (items.length === 0) return '';
+                        return `
+                            <div class="simulator-phase">
+                                <h5 class="simulator-phase-title">${title}</h5>
+                                ${items.map(item => `
+                                    <label class="simulator-action">
+                                        <input type="checkbox" class="simulator-action-check" data-action-key="${item.key}"
+                                            ${simulation.done.has(item.key) ? 'checked' : ''} data-testid="checkbox-simulator-${item.key}">
+                                        <span class="simulator-action-text">${this.escapeHtml(item.action)}</span>
+                                        <span class="simulator-action-lift">${this.t('simulator.lift', { lift: item.lift, pillar: Elev8Calculator.getPillarShortName(this.getActiveFramework(), item.pillar, this.locale) })}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    // Refresh the simulated index, band, slider labels and charts. While the panel is
+    // closed the charts show the report's own scores.
+    updateSimulation() {
+        const panel = document.getElementById('simulatorPanel');
+        if (!panel || !this.currentAnalysis) return;
+
+        const analysis = this.currentAnalysis;
+        const actual = analysis.pillars || [];
+        const simulated = this.getSimulatedPillars();
+        const framework = Elev8Calculator.getFramework(analysis);
+        const weights = Elev8Calculator.getPillarWeights(analysis);
+        const currentIndex = Elev8Calculator.calculateOverallIndex(actual, weights);
+        const simulatedIndex = Elev8Calculator.calculateOverallIndex(simulated, weights);
+        const band = Elev8Calculator.getStatusBand(simulatedIndex, this.locale, framework);
+        const delta = simulatedIndex - currentIndex;
+
+        const indexEl = document.getElementById('simulatedIndex');
+        const bandEl = document.getElementById('simulatedBand');
+        const deltaEl = document.getElementById('simulatedDelta');
+        if (indexEl) {
+            indexEl.textContent = simulatedIndex;
+            indexEl.style.color = band.color;
+        }
+        if (bandEl) {
+            bandEl.textContent = band.label;
+            bandEl.style.color = band.color;
+            bandEl.style.borderColor = band.color;
+        }
+        if (deltaEl) {
+            deltaEl.textContent = this.t('simulator.delta', { delta: delta > 0 ? `+${delta}` : delta, current: currentIndex });
+        }
+
+        simulated.forEach(pillar => {
+            const slider = panel.querySelector(`.simulator-slider[data-pillar-name="${pillar.name}"]`);
+            if (slider && Number(slider.value) !== pillar.score) slider.value = pillar.score;
+            const valueEl = panel.querySelector(`[data-value-for="${pillar.name}"]`);
+            if (valueEl) {
+                const percentile = Elev8Calculator.getPercentileAt(pillar.score, Elev8Calculator.getPeerBenchmark(analysis.benchmark, pillar.name));
+                valueEl.textContent = percentile === null
+                    ? pillar.score
+                    : `${pillar.score} · ${this.t('simulator.percentile', { percentile: Elev8Calculator.formatPercentile(percentile, this.locale) })}`;
+            }
+        });
+
+        if (panel.open) {
+            this.updateRadarSimulation(simulated);
+            this.updateGaugeChart(simulatedIndex);
+        } else {
+            this.updateRadarSimulation(null);
+            this.updateGaugeChart(Elev8Calculator.getDisplayIndex(analysis));
+        }
+    }
+
+    // Add, refresh or remove (null) the simulated scores on the radar chart
+    updateRadarSimulation(pillars) {
+        if (!this.radarChart) return;
+        const datasets = this.radarChart.data.datasets;
+        const existing = datasets.findIndex(d => d.simulated);
+
+        if (!pillars) {
+            if (existing < 0) return;
+            datasets.splice(existing, 1);
+        } else if (existing >= 0) {
+            datasets[existing].data = pillars.map(p => p.score);
+        } else {
+            datasets.splice(1, 0, {
+                simulated: true,
+                label: this.t('chart.simulated'),
+                data: pillars.map(p => p.score),
+                backgroundColor: 'rgba(139, 92, 246, 0.15)',
+                borderColor: 'rgba(139, 92, 246, 1)',
+                borderWidth: 2,
+                borderDash: [4, 3],
+                pointBackgroundColor: 'rgba(139, 92, 246, 1)',
+                pointRadius: 3,
+                pointHoverRadius: 5
+            });
+        }
+        this.radarChart.update('none');
+    }
+
+    handleSimulatorInput(target) {
+        const simulation = this.getSimulation();
+
+        if (target.classList.contains('simulator-slider')) {
+            // The slider shows the simulated score, so keep completed-action lift on top of the new base
+            const name = target.dataset.pillarName;
+            simulation.base[name] = Number(target.value) - (this.getSimulatedLift()[name] || 0);
+        } else if (target.classList.contains('simulator-action-check')) {
+            if (target.checked) {
+                simulation.done.add(target.dataset.actionKey);
+            } else {
+                simulation.done.delete(target.dataset.actionKey);
+            }
+        }
+        this.updateSimulation();
+    }
+
+    setSimulatorMode(mode) {
+        this.getSimulation().mode = mode;
+        document.querySelectorAll('.simulator-mode-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        document.querySelectorAll('.simulator-pane').forEach(pane => pane.classList.toggle('hidden', pane.dataset.pane !== mode));
+    }
+
+    resetSimulation() {
+        const simulation = this.getSimulation();
+        (this.currentAnalysis?.pillars || []).forEach(p => { simulation.base[p.name] = p.score; });
+        simulation.done.clear();
+        document.querySelectorAll('.simulator-action-check').forEach(box => { box.checked = false; });
+        this.updateSimulation();
+    }
+
+    createRadarChart(pillars, benchmark = null) {
         const ctx = document.getElementById('pillarRadarChart');
         if (!ctx) return;
+        const framework = this.getActiveFramework();
 
         // Destroy existing chart if it exists
         if (this.radarChart) {
@@ -695,22 +2198,10 @@ class Elev8AnalyzerApp {
         this.radarChart = new Chart(ctx, {
             type: 'radar',
             data: {
-                labels: pillars.map(p => {
-                    // Shorten pillar names for better display
-                    const shortNames = {
-                        'Formation & Compliance': 'Formation',
-                        'Business Credit Readiness': 'Credit',
-                        'Financials & Cash Flow': 'Financials',
-                        'Operations & Systems': 'Operations',
-                        'Sales & Marketing': 'Sales',
-                        'Brand & Web Presence': 'Brand',
-                        'Risk & Legal Posture': 'Legal',
-                        'Growth Strategy & Execution': 'Growth'
-                    };
-                    return shortNames[p.name] || p.name;
-                }),
+                // Short pillar names for better display
+                labels: pillars.map(p => Elev8Calculator.getPillarShortName(framework, p.name, this.locale)),
                 datasets: [{
-                    label: 'Current Score',
+                    label: this.t('chart.currentScore'),
                     data: pillars.map(p => p.score),
                     backgroundColor: 'rgba(16, 185, 129, 0.2)',
                     borderColor: 'rgba(16, 185, 129, 1)',
@@ -721,8 +2212,17 @@ class Elev8AnalyzerApp {
                     pointHoverBorderColor: 'rgba(16, 185, 129, 1)',
                     pointRadius: 4,
                     pointHoverRadius: 6
-                }, {
-                    label: 'Target Score',
+                }, ...(benchmark?.pillars?.length ? [{
+                    label: this.t('chart.peerMedian'),
+                    data: pillars.map(p => Elev8Calculator.getPeerBenchmark(benchmark, p.name)?.median ?? null),
+                    backgroundColor: 'rgba(249, 115, 22, 0.1)',
+                    borderColor: 'rgba(249, 115, 22, 0.8)',
+                    borderWidth: 1.5,
+                    pointBackgroundColor: 'rgba(249, 115, 22, 0.8)',
+                    pointRadius: 2,
+                    pointHoverRadius: 4
+                }] : []), {
+                    label: this.t('chart.targetScore'),
                     data: pillars.map(() => 85), // Target of 85 for all pillars
                     backgroundColor: 'rgba(59, 130, 246, 0.1)',
                     borderColor: 'rgba(59, 130, 246, 0.5)',
@@ -779,6 +2279,7 @@ class Elev8AnalyzerApp {
     createBarChart(pillars) {
         const ctx = document.getElementById('pillarBarChart');
         if (!ctx) return;
+        const framework = this.getActiveFramework();
 
         // Destroy existing chart if it exists
         if (this.barChart) {
@@ -792,35 +2293,27 @@ class Elev8AnalyzerApp {
         // Sort pillars by score
         const sortedPillars = [...pillars].sort((a, b) => b.score - a.score);
 
-        // Determine colors based on scores
+        // Determine colors based on scores; less certain scores are drawn lighter
+        const confidenceAlpha = { high: 0.8, medium: 0.55, low: 0.3 };
         const colors = sortedPillars.map(p => {
-            if (p.score >= 71) return 'rgba(16, 185, 129, 0.8)'; // Green
-            if (p.score >= 41) return 'rgba(234, 179, 8, 0.8)'; // Yellow
-            return 'rgba(239, 68, 68, 0.8)'; // Red
+            const alpha = confidenceAlpha[p.confidence?.level] ?? 0.8;
+            const [r, g, b] = Elev8Calculator.hexToRgb(Elev8Calculator.getPillarStatus(p.score, this.locale, framework).color);
+            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
         });
 
         this.barChart = new Chart(ctx, {
             type: 'bar',
             data: {
+                // Short pillar names, with the confidence level underneath when known
                 labels: sortedPillars.map(p => {
-                    // Shorten pillar names
-                    const shortNames = {
-                        'Formation & Compliance': 'Formation',
-                        'Business Credit Readiness': 'Credit',
-                        'Financials & Cash Flow': 'Financials',
-                        'Operations & Systems': 'Operations',
-                        'Sales & Marketing': 'Sales',
-                        'Brand & Web Presence': 'Brand',
-                        'Risk & Legal Posture': 'Legal',
-                        'Growth Strategy & Execution': 'Growth'
-                    };
-                    return shortNames[p.name] || p.name;
+                    const name = Elev8Calculator.getPillarShortName(framework, p.name, this.locale);
+                    return p.confidence ? [name, this.t(`confidence.${p.confidence.level}`)] : name;
                 }),
                 datasets: [{
-                    label: 'Score',
+                    label: this.t('chart.score'),
                     data: sortedPillars.map(p => p.score),
                     backgroundColor: colors,
-                    borderColor: colors.map(c => c.replace('0.8', '1')),
+                    borderColor: colors.map(c => c.replace(/[\d.]+\)$/, '1)')),
                     borderWidth: 1
                 }]
             },
@@ -857,8 +2350,10 @@ class Elev8AnalyzerApp {
                     },
                     tooltip: {
                         callbacks: {
-                            label: function(context) {
-                                return 'Score: ' + context.parsed.y + '/100';
+                            label: (context) => this.t('pdf.score', { score: context.parsed.y }),
+                            afterLabel: (context) => {
+                                const confidence = sortedPillars[context.dataIndex].confidence;
+                                return confidence ? this.t('confidence.hint', { score: confidence.score }) : '';
                             }
                         }
                     }
@@ -879,18 +2374,13 @@ class Elev8AnalyzerApp {
         const isDarkMode = document.documentElement.classList.contains('dark-mode');
         const textColor = isDarkMode ? '#e5e7eb' : '#1f2937';
 
-        // Determine color based on score
-        let gaugeColor;
-        if (score >= 85) gaugeColor = '#10B981'; // Elite - Green
-        else if (score >= 75) gaugeColor = '#22C55E'; // Strong - Light Green
-        else if (score >= 60) gaugeColor = '#EAB308'; // Stable - Yellow
-        else if (score >= 40) gaugeColor = '#F97316'; // At Risk - Orange
-        else gaugeColor = '#EF4444'; // Critical - Red
+        // Color follows the status band (Elite, Strong, Stable, At Risk, Critical)
+        const gaugeColor = Elev8Calculator.getStatusBand(score, this.locale, this.getActiveFramework()).color;
 
         this.gaugeChart = new Chart(ctx, {
             type: 'doughnut',
             data: {
-                labels: ['Score', 'Remaining'],
+                labels: [this.t('chart.score'), this.t('chart.remaining')],
                 datasets: [{
                     data: [score, 100 - score],
                     backgroundColor: [gaugeColor, isDarkMode ? 'rgba(75, 85, 99, 0.3)' : 'rgba(229, 231, 235, 0.5)'],
@@ -917,15 +2407,16 @@ class Elev8AnalyzerApp {
                 beforeDraw: function(chart) {
                     const width = chart.width,
                         height = chart.height,
-                        ctx = chart.ctx;
+                        ctx = chart.ctx,
+                        dataset = chart.data.datasets[0];
                     
                     ctx.restore();
                     const fontSize = (height / 114).toFixed(2);
                     ctx.font = "bold " + fontSize + "em sans-serif";
-                    ctx.fillStyle = gaugeColor;
+                    ctx.fillStyle = dataset.backgroundColor[0];
                     ctx.textBaseline = "middle";
                     
-                    const text = score + "/100",
+                    const text = dataset.data[0] + "/100",
                         textX = Math.round((width - ctx.measureText(text).width) / 2),
                         textY = height / 1.4;
                     
@@ -936,7 +2427,17 @@ class Elev8AnalyzerApp {
         });
     }
 
-    createTimelineChart(roadmap) {
+    // Show another score on the existing gauge (used by the what-if simulator)
+    updateGaugeChart(score) {
+        if (!this.gaugeChart) return;
+        const dataset = this.gaugeChart.data.datasets[0];
+        dataset.data = [score, 100 - score];
+        dataset.backgroundColor[0] = Elev8Calculator.getStatusBand(score, this.locale, this.getActiveFramework()).color;
+        this.gaugeChart.update('none');
+    }
+
+    // Dated task bars when the report has roadmap tasks, else action counts per phase
+    createTimelineChart(roadmap, analysis = null) {
         const ctx = document.getElementById('roadmapTimelineChart');
         if (!ctx) return;
 
@@ -949,6 +2450,11 @@ class Elev8AnalyzerApp {
         const textColor = isDarkMode ? '#e5e7eb' : '#1f2937';
         const gridColor = isDarkMode ? 'rgba(156, 163, 175, 0.2)' : 'rgba(107, 114, 128, 0.2)';
 
+        if (analysis?.roadmapTasks?.length) {
+            this.timelineChart = this.createTaskTimelineChart(ctx, analysis, textColor, gridColor);
+            return;
+        }
+
         // Count actions for each period
         const actionCounts = {
             '30 Days': (roadmap.d30 || []).length,
@@ -959,9 +2465,9 @@ class Elev8AnalyzerApp {
         this.timelineChart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: ['Start', '30 Days', '60 Days', '90 Days'],
+                labels: [this.t('chart.start'), ...[30, 60, 90].map(days => this.t('chart.days', { days }))],
                 datasets: [{
-                    label: 'Actions to Complete',
+                    label: this.t('chart.actionsToComplete'),
                     data: [
                         actionCounts['30 Days'] + actionCounts['60 Days'] + actionCounts['90 Days'],
                         actionCounts['60 Days'] + actionCounts['90 Days'],
@@ -979,7 +2485,7 @@ class Elev8AnalyzerApp {
                     pointBorderColor: '#fff',
                     pointBorderWidth: 2
                 }, {
-                    label: 'Completed Actions',
+                    label: this.t('chart.completedActions'),
                     data: [0, actionCounts['30 Days'], actionCounts['30 Days'] + actionCounts['60 Days'], 
                            actionCounts['30 Days'] + actionCounts['60 Days'] + actionCounts['90 Days']],
                     borderColor: 'rgba(16, 185, 129, 1)',
@@ -1030,8 +2536,97 @@ class Elev8AnalyzerApp {
                     },
                     tooltip: {
                         callbacks: {
-                            label: function(context) {
-                                return context.dataset.label + ': ' + context.parsed.y + ' actions';
+                            label: (context) => context.dataset.label + ': ' + this.t('chart.actions', { count: context.parsed.y })
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Horizontal bar per roadmap task from its start to its due date, colored by phase
+    createTaskTimelineChart(ctx, analysis, textColor, gridColor) {
+        const rows = Elev8Calculator.getRoadmapTaskRows(analysis, this.locale);
+        const tasks = analysis.roadmapTasks;
+        const startDate = Elev8Calculator.getProgramStartDate(analysis);
+        const phaseColors = { d30: '16, 185, 129', d60: '8, 145, 178', d90: '139, 92, 246' };
+        const shorten = text => text.length > 28 ? `${text.slice(0, 27)}…` : text;
+
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: rows.map(row => `${row.number}. ${shorten(row.action)}`),
+                datasets: [{
+                    label: this.t('chart.taskSchedule'),
+                    data: tasks.map(task => [task.startOffsetDays, task.dueOffsetDays]),
+                    backgroundColor: tasks.map(task => `rgba(${phaseColors[task.phase]}, 0.7)`),
+                    borderColor: tasks.map(task => `rgba(${phaseColors[task.phase]}, 1)`),
+                    borderWidth: 1,
+                    borderRadius: 4,
+                    borderSkipped: false,
+                    barPercentage: 0.7
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        min: 0,
+                        max: 90,
+                        ticks: {
+                            stepSize: 15,
+                            color: textColor,
+                            callback: (value) => Elev8I18n.formatDate(Elev8Calculator.offsetDate(startDate, value), { month: 'short', day: 'numeric' }, this.locale)
+                        },
+                        grid: {
+                            color: gridColor
+                        }
+                    },
+                    y: {
+                        ticks: {
+                            color: textColor,
+                            font: {
+                                size: 10
+                            }
+                        },
+                        grid: {
+                            display: false
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        onClick: () => {},
+                        labels: {
+                            color: textColor,
+                            padding: 10,
+                            font: {
+                                size: 11
+                            },
+                            // One entry per phase rather than per dataset
+                            generateLabels: () => Object.entries(phaseColors).map(([phase, color]) => ({
+                                text: this.t(`roadmap.${phase}`),
+                                fillStyle: `rgba(${color}, 0.7)`,
+                                strokeStyle: `rgba(${color}, 1)`,
+                                fontColor: textColor,
+                                lineWidth: 1
+                            }))
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => rows[items[0].dataIndex].action,
+                            label: (context) => {
+                                const row = rows[context.dataIndex];
+                                return [
+                                    `${row.start} – ${row.due}`,
+                                    `${this.t('tasks.ownerRole')}: ${row.owner}`,
+                                    `${this.t('tasks.effort')}: ${row.effort}`,
+                                    ...(row.dependsOn ? [`${this.t('tasks.dependsOn')}: ${row.dependsOn}`] : [])
+                                ];
                             }
                         }
                     }
@@ -1040,55 +2635,147 @@ class Elev8AnalyzerApp {
         });
     }
 
+    // Icon of a pillar by its framework icon key (see shared/pillar-frameworks.ts)
     getPillarIcon(pillarName) {
         const iconMap = {
-            'Formation & Compliance': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',
-            'Business Credit Readiness': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="4" width="22" height="16" rx="2" ry="2"/><line x1="1" y1="10" x2="23" y2="10"/></svg>',
-            'Financials & Cash Flow': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="1" x2="12" y2="23"/><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/></svg>',
-            'Operations & Systems': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 1v6m0 6v6M5.64 5.64l4.24 4.24m4.24 4.24l4.24 4.24M1 12h6m6 0h6M5.64 18.36l4.24-4.24m4.24-4.24l4.24-4.24"/></svg>',
-            'Sales & Marketing': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>',
-            'Brand & Web Presence': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>',
-            'Risk & Legal Posture': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/></svg>',
-            'Growth Strategy & Execution': '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="22 7 13.5 15.5 8.5 10.5 2 17"/><polyline points="16 7 22 7 22 13"/></svg>'
+            document: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',
+            card: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="4" width="22" height="16" rx="2" ry="2"/><line x1="1" y1="10" x2="23" y2="10"/></svg>',
+            dollar: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="1" x2="12" y2="23"/><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/></svg>',
+            gear: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 1v6m0 6v6M5.64 5.64l4.24 4.24m4.24 4.24l4.24 4.24M1 12h6m6 0h6M5.64 18.36l4.24-4.24m4.24-4.24l4.24-4.24"/></svg>',
+            store: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>',
+            globe: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>',
+            shield: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/></svg>',
+            trend: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="22 7 13.5 15.5 8.5 10.5 2 17"/><polyline points="16 7 22 7 22 13"/></svg>',
+            heart: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg>',
+            users: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>',
+            people: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="7" r="4"/><path d="M5.5 21a6.5 6.5 0 0 1 13 0"/></svg>',
+            gift: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 12 20 22 4 22 4 12"/><rect x="2" y="7" width="20" height="5"/><line x1="12" y1="22" x2="12" y2="7"/><path d="M12 7H7.5a2.5 2.5 0 0 1 0-5C11 2 12 7 12 7z"/><path d="M12 7h4.5a2.5 2.5 0 0 0 0-5C13 2 12 7 12 7z"/></svg>',
+            clipboard: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"/><rect x="8" y="2" width="8" height="4" rx="1" ry="1"/></svg>',
+            megaphone: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 11v2a1 1 0 0 0 1 1h3l6 4V6L7 10H4a1 1 0 0 0-1 1z"/><path d="M16 8a5 5 0 0 1 0 8"/><path d="M19 5a9 9 0 0 1 0 14"/></svg>',
+            compass: '<svg class="pillar-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polygon points="16.24 7.76 14.12 14.12 7.76 16.24 9.88 9.88 16.24 7.76"/></svg>'
         };
-        return iconMap[pillarName] || '';
+        const pillar = Elev8Calculator.getFrameworkPillar(this.getActiveFramework(), pillarName);
+        return iconMap[pillar?.icon] || '';
     }
 
-    renderPillarCards(pillars) {
-        return pillars.map((pillar, index) => {
-            const status = Elev8Calculator.getPillarStatus(pillar.score);
+    renderPillarCards(pillars, indexOffset = 0, financials = null, benchmark = null, formData = null) {
+        const framework = this.getActiveFramework();
+        return pillars.map((pillar, i) => {
+            const index = i + indexOffset;
+            const status = Elev8Calculator.getPillarStatus(pillar.score, this.locale, framework);
             const icon = this.getPillarIcon(pillar.name);
+            const insightEvidence = Elev8Calculator.getItemEvidence(pillar, 'insights', formData, financials, this.locale);
+            const actionEvidence = Elev8Calculator.getItemEvidence(pillar, 'actions', formData, financials, this.locale);
             return `
-                <div class="pillar-card" data-testid="card-pillar-${index}">
+                <div class="pillar-card" data-testid="card-pillar-${index}" data-pillar-index="${index}">
                     <div class="pillar-header">
                         <div class="pillar-title-row">
                             ${icon}
-                            <h4 class="pillar-name">${pillar.name}</h4>
+                            <h4 class="pillar-name">${Elev8I18n.pillarName(pillar.name, this.locale)}</h4>
                         </div>
-                        <div class="pillar-score-badge ${status.class}" style="background-color: ${status.color}20; border-color: ${status.color}; color: ${status.color}">
-                            ${pillar.score}
+                        <div class="pillar-score-group">
+                            <div class="pillar-score-badge ${status.class}" style="background-color: ${status.color}20; border-color: ${status.color}; color: ${status.color}">
+                                ${pillar.score}
+                            </div>
+                            ${this.renderConfidenceBadge(pillar.confidence, index)}
                         </div>
                     </div>
                     <div class="pillar-status-badge ${status.class}" style="background-color: ${status.color}20; color: ${status.color}">
                         ${status.label}
                     </div>
+                    ${pillar.aiScore !== undefined && pillar.baselineScore !== undefined ? `
+                    <div class="pillar-score-sources" data-testid="text-score-sources-${index}">
+                        ${this.t('pillar.scoreSources', { ai: pillar.aiScore, baseline: pillar.baselineScore })}
+                    </div>` : ''}
+                    ${this.renderPeerComparison(Elev8Calculator.getPeerBenchmark(benchmark, pillar.name), index)}
                     <div class="pillar-insights">
-                        <strong>Key Insights:</strong>
+                        <strong>${this.t('pillar.insights')}</strong>
                         <ul>
-                            ${(pillar.insights || []).map(insight => `<li>${insight}</li>`).join('')}
+                            ${(pillar.insights || []).map((insight, j) => `<li>${insight}${this.renderEvidenceChips(insightEvidence[j], `evidence-insight-${index}-${j}`)}</li>`).join('')}
                         </ul>
                     </div>
                     <div class="pillar-actions">
-                        <strong>Priority Actions:</strong>
+                        <strong>${this.t('pillar.actions')}</strong>
                         <ol>
-                            ${(pillar.actions || []).map(action => `<li>${action}</li>`).join('')}
+                            ${(pillar.actions || []).map((action, j) => `<li>${action}${this.renderEvidenceChips(actionEvidence[j], `evidence-action-${index}-${j}`)}</li>`).join('')}
                         </ol>
                     </div>
+                    ${Elev8Calculator.isFinancialsPillar(framework, pillar.name) ? this.renderFinancialMetrics(financials) : ''}
+                    ${pillar.risks?.length ? `
+                    <div class="pillar-risks">
+                        <strong>${this.t('pillar.risks')}</strong>
+                        <ul>
+                            ${pillar.risks.map(risk => `<li>${risk}</li>`).join('')}
+                        </ul>
+                    </div>` : ''}
+                    ${pillar.kpis?.length ? `
+                    <div class="pillar-kpis">
+                        <strong>${this.t('pillar.kpis')}</strong>
+                        <ul>
+                            ${pillar.kpis.map(kpi => `<li>${kpi}</li>`).join('')}
+                        </ul>
+                    </div>` : ''}
+                    ${pillar.confidence && pillar.confidence.level !== 'high' && pillar.confidence.missing.length ? `
+                    <button class="pillar-more-data-btn" data-pillar-name="${pillar.name}" data-testid="button-more-data-${index}">
+                        ${this.t('confidence.provideMore')}
+                    </button>` : ''}
+                    <button class="pillar-deepdive-btn" data-pillar-name="${pillar.name}" data-testid="button-deepdive-${index}">
+                        ${pillar.deepDiveAt ? this.t('pillar.refreshDeepDive') : this.t('pillar.deepDive')}
+                    </button>
                 </div>
             `;
         }).join('');
     }
 
+    // Expand one pillar without regenerating the report (no usage credit)
+    async handlePillarDeepDive(pillarName, button) {
+        if (!this.currentAnalysis || this.streamingAnalysis) return;
+
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = this.t('pillar.analyzing');
+
+        try {
+            const response = await fetch('/api/elev8/pillars/deepdive', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    analysisData: this.currentAnalysis,
+                    pillarName: pillarName,
+                    formData: this.currentAnalysis.formData
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || this.t('pillar.deepDiveFailed'));
+            }
+
+            // Merge into the current analysis (and its history entry) and persist
+            const historyIndex = this.analysisHistory.indexOf(this.currentAnalysis);
+            this.currentAnalysis = { ...this.currentAnalysis, pillars: data.analysisData.pillars };
+            if (historyIndex >= 0) {
+                this.analysisHistory[historyIndex] = this.currentAnalysis;
+            }
+            this.saveToLocalStorage();
+
+            // Re-render only the expanded pillar card
+            const pillarIndex = this.currentAnalysis.pillars.findIndex(p => p.name === data.pillarName);
+            const card = document.querySelector(`.pillar-card[data-pillar-index="${pillarIndex}"]`);
+            if (card) {
+                card.outerHTML = this.renderPillarCards([this.currentAnalysis.pillars[pillarIndex]], pillarIndex, this.currentAnalysis.financials, this.currentAnalysis.benchmark, this.currentAnalysis.formData);
+            }
+        } catch (error) {
+            console.error('Deep dive error:', error);
+            this.showError(error.message || this.t('pillar.deepDiveFailed'));
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
     renderTopStrengths(pillars) {
         const sorted = [...pillars].sort((a, b) => b.score - a.score);
         const topTwo = sorted.slice(0, 2);
@@ -1100,7 +2787,7 @@ class Elev8AnalyzerApp {
                         <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
                         <polyline points="22 4 12 14.01 9 11.01"></polyline>
                     </svg>
-                    Top Strengths
+                    ${this.t('insights.strengths')}
                 </h4>
                 <ul class="insights-list">
                     ${topTwo.map(p => `
@@ -1108,7 +2795,7 @@ class Elev8AnalyzerApp {
                             <svg class="list-icon success-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="20 6 9 17 4 12"></polyline>
                             </svg>
-                            <strong>${p.name}</strong> (Score: ${p.score})
+                            <strong>${Elev8I18n.pillarName(p.name, this.locale)}</strong> ${this.t('insights.score', { score: p.score })}
                         </li>
                     `).join('')}
                 </ul>
@@ -1128,7 +2815,7 @@ class Elev8AnalyzerApp {
                         <line x1="12" y1="9" x2="12" y2="13"></line>
                         <line x1="12" y1="17" x2="12.01" y2="17"></line>
                     </svg>
-                    Priority Gaps
+                    ${this.t('insights.gaps')}
                 </h4>
                 <ul class="insights-list">
                     ${bottomThree.map(p => `
@@ -1138,7 +2825,7 @@ class Elev8AnalyzerApp {
                                 <line x1="12" y1="8" x2="12" y2="12"></line>
                                 <line x1="12" y1="16" x2="12.01" y2="16"></line>
                             </svg>
-                            <strong>${p.name}</strong> (Score: ${p.score})
+                            <strong>${Elev8I18n.pillarName(p.name, this.locale)}</strong> ${this.t('insights.score', { score: p.score })}
                         </li>
                     `).join('')}
                 </ul>
@@ -1150,19 +2837,19 @@ class Elev8AnalyzerApp {
         return `
             <div class="roadmap-grid">
                 <div class="roadmap-phase">
-                    <h4 class="roadmap-phase-title">30 Days (Quick Wins)</h4>
+                    <h4 class="roadmap-phase-title">${this.t('roadmap.d30')}</h4>
                     <ul class="roadmap-actions">
                         ${(roadmap.d30 || []).map(action => `<li>${action}</li>`).join('')}
                     </ul>
                 </div>
                 <div class="roadmap-phase">
-                    <h4 class="roadmap-phase-title">60 Days (Process Improvements)</h4>
+                    <h4 class="roadmap-phase-title">${this.t('roadmap.d60')}</h4>
                     <ul class="roadmap-actions">
                         ${(roadmap.d60 || []).map(action => `<li>${action}</li>`).join('')}
                     </ul>
                 </div>
                 <div class="roadmap-phase">
-                    <h4 class="roadmap-phase-title">90 Days (Strategic Initiatives)</h4>
+                    <h4 class="roadmap-phase-title">${this.t('roadmap.d90')}</h4>
                     <ul class="roadmap-actions">
                         ${(roadmap.d90 || []).map(action => `<li>${action}</li>`).join('')}
                     </ul>
@@ -1171,62 +2858,451 @@ class Elev8AnalyzerApp {
         `;
     }
 
+    // Dated task list for the roadmap, with the program start date picker
+    renderRoadmapTasks(analysis) {
+        if (!analysis.roadmapTasks?.length) return '';
+
+        return `
+            <div class="roadmap-tasks" data-testid="section-roadmap-tasks">
+                <div class="roadmap-tasks-header">
+                    <h4 class="roadmap-tasks-title">${this.t('tasks.title')}</h4>
+                    <label class="program-start-label" for="programStartDate">
+                        ${this.t('tasks.programStart')}
+                        <input type="date" id="programStartDate" class="program-start-input"
+                            value="${Elev8Calculator.getProgramStartDate(analysis)}" data-testid="input-program-start">
+                    </label>
+                </div>
+                <div class="roadmap-task-table-wrap">
+                    <table class="roadmap-task-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>${this.t('tasks.task')}</th>
+                                <th>${this.t('tasks.pillar')}</th>
+                                <th>${this.t('tasks.ownerRole')}</th>
+                                <th>${this.t('tasks.effort')}</th>
+                                <th>${this.t('tasks.start')}</th>
+                                <th>${this.t('tasks.due')}</th>
+                                <th>${this.t('tasks.dependsOn')}</th>
+                            </tr>
+                        </thead>
+                        <tbody id="roadmapTaskRows">
+                            ${this.renderRoadmapTaskRows(analysis)}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRoadmapTaskRows(analysis) {
+        return Elev8Calculator.getRoadmapTaskRows(analysis, this.locale).map(row => `
+            <tr class="roadmap-task phase-${row.phase}" data-testid="row-task-${row.id}">
+                <td>${row.number}</td>
+                <td class="roadmap-task-action">${this.escapeHtml(row.action)}</td>
+                <td>${row.pillar}</td>
+                <td>${row.owner}</td>
+                <td>${row.effort}</td>
+                <td>${row.start}</td>
+                <td>${row.due}</td>
+                <td>${row.dependsOn || '-'}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Re-date the roadmap tasks (kept on the analysis, so saved reports and the PDF use it)
+    setProgramStartDate(value) {
+        if (!this.currentAnalysis || !/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return;
+        this.currentAnalysis.programStartDate = value;
+        this.saveToLocalStorage();
+
+        const rows = document.getElementById('roadmapTaskRows');
+        if (rows) rows.innerHTML = this.renderRoadmapTaskRows(this.currentAnalysis);
+        if (this.timelineChart) this.createTimelineChart(this.currentAnalysis.roadmap || {}, this.currentAnalysis);
+    }
+
+    // =====================================================
+    // FOLLOW-UP CHAT
+    // =====================================================
+
+    // Chat about the saved copy of the report (questions are stored with it on the server)
+    renderReportChat(analysis) {
+        const reportId = analysis.savedReportId;
+        const messages = reportId ? this.chatConversations[reportId] : null;
+        if (reportId && !messages) this.loadChatConversation(reportId);
+
+        return `
+            <div class="report-chat" id="reportChat" data-testid="section-report-chat">
+                <h3 class="section-title">${this.t('chat.title')}</h3>
+                <p class="report-chat-hint">${this.t('chat.hint')}</p>
+                ${reportId ? `
+                    <div class="report-chat-messages" id="reportChatMessages" aria-live="polite" data-testid="list-chat-messages">
+                        ${this.renderChatMessages(messages || [])}
+                    </div>
+                    <form class="report-chat-form" id="reportChatForm">
+                        <textarea id="reportChatInput" class="report-chat-input" rows="2" maxlength="1000"
+                            placeholder="${this.t('chat.placeholder')}" data-testid="input-chat-question"></textarea>
+                        <button type="submit" class="report-chat-send" id="reportChatSend" data-testid="button-chat-send">${this.t('chat.send')}</button>
+                    </form>
+                    <div class="report-chat-status" id="reportChatStatus" data-testid="text-chat-status"></div>
+                ` : `
+                    <p class="report-chat-unsaved" data-testid="text-chat-save-first">${this.t('chat.saveFirst')}</p>
+                `}
+            </div>
+        `;
+    }
+
+    renderChatMessages(messages) {
+        if (messages.length === 0) {
+            return `<p class="report-chat-empty">${this.t('chat.empty')}</p>`;
+        }
+        return messages.map(message => `
+            <div class="report-chat-message ${message.role}">
+                <span class="report-chat-role">${this.t(message.role === 'user' ? 'chat.you' : 'chat.advisor')}</span>
+                <div class="report-chat-text">${this.escapeHtml(message.content)}</div>
+            </div>
+        `).join('');
+    }
+
+    refreshReportChat() {
+        const chat = document.getElementById('reportChat');
+        if (chat && this.currentAnalysis) chat.outerHTML = this.renderReportChat(this.currentAnalysis);
+    }
+
+    // Conversation of a report saved in an earlier session
+    async loadChatConversation(reportId) {
+        this.chatConversations[reportId] = [];
+        try {
+            const response = await fetch(`/api/elev8/reports/load/${reportId}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load conversation');
+            this.chatConversations[reportId] = data.report.conversation || [];
+        } catch (error) {
+            console.warn('[Chat] Could not load conversation:', error.message);
+        }
+        if (this.currentAnalysis?.savedReportId === reportId) {
+            const list = document.getElementById('reportChatMessages');
+            if (list) list.innerHTML = this.renderChatMessages(this.chatConversations[reportId]);
+        }
+    }
+
+    async sendChatQuestion() {
+        const reportId = this.currentAnalysis?.savedReportId;
+        const input = document.getElementById('reportChatInput');
+        const sendBtn = document.getElementById('reportChatSend');
+        const status = document.getElementById('reportChatStatus');
+        const list = document.getElementById('reportChatMessages');
+        const question = input?.value.trim();
+        if (!reportId || !question) return;
+
+        const messages = this.chatConversations[reportId] || [];
+        input.disabled = true;
+        sendBtn.disabled = true;
+        status.textContent = this.t('chat.thinking');
+        list.innerHTML = this.renderChatMessages([...messages, { role: 'user', content: question }]);
+        list.scrollTop = list.scrollHeight;
+
+        try {
+            const response = await fetch(`/api/elev8/reports/${encodeURIComponent(reportId)}/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ question })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.limitReached ? this.t('chat.limitReached', { limit: data.limit }) : (data.error || this.t('chat.failed')));
+            }
+
+            this.chatConversations[reportId] = data.conversation;
+            input.value = '';
+            status.textContent = this.t('chat.remaining', { remaining: Math.max(0, data.usage.limit - data.usage.count), limit: data.usage.limit });
+        } catch (error) {
+            console.error('[Chat] Error:', error);
+            status.textContent = error.message || this.t('chat.failed');
+        } finally {
+            list.innerHTML = this.renderChatMessages(this.chatConversations[reportId] || []);
+            list.scrollTop = list.scrollHeight;
+            input.disabled = false;
+            sendBtn.disabled = false;
+        }
+    }
+
+    // =====================================================
+    // ASSESSMENT HISTORY
+    // =====================================================
+
+    getBusinessName(analysis) {
+        return (analysis.businessName || analysis.formData?.businessName || '').trim();
+    }
+
+    // Trend and changes since the last saved assessment; filled in by loadAssessmentHistory
+    renderAssessmentHistory(analysis) {
+        const name = this.getBusinessName(analysis);
+        if (!name) return '';
+
+        return `
+            <div class="assessment-history" id="assessmentHistory" data-testid="section-assessment-history">
+                <h3 class="section-title">${this.t('history.title')}</h3>
+                <p class="assessment-history-hint">${this.t('history.hint', { name: this.escapeHtml(name) })}</p>
+                <div id="assessmentHistoryBody">
+                    <p class="assessment-history-status">${this.t('history.loading')}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    // Saved reports of the same business, oldest first, with the server's comparison. A saved
+    // report is shown with the reports saved up to it and compared with the one before; an
+    // unsaved analysis is added after the saved reports and compared with the latest.
+    async loadAssessmentHistory(analysis) {
+        const name = this.getBusinessName(analysis);
+        if (!name) {
+            this.assessmentHistory = null;
+            return;
+        }
+
+        let history;
+        try {
+            const business = encodeURIComponent(name);
+            const response = analysis.savedReportId
+                ? await fetch(`/api/elev8/reports/history?business=${business}&report=${encodeURIComponent(analysis.savedReportId)}`)
+                : await fetch('/api/elev8/reports/history', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ business: name, analysis: this.getHistoryFields(analysis) })
+                });
+            history = await response.json();
+            if (!response.ok) throw new Error(history.error || 'Failed to load history');
+        } catch (error) {
+            console.warn('[History] Could not load assessments:', error.message);
+            if (this.currentAnalysis === analysis) {
+                this.assessmentHistory = null;
+                this.setAssessmentHistoryBody(`<p class="assessment-history-status">${this.t('history.failed')}</p>`);
+            }
+            return;
+        }
+        if (this.currentAnalysis !== analysis) return;
+
+        this.assessmentHistory = { analysis, assessments: history.assessments || [], progress: history.progress || null };
+        this.renderAssessmentProgress(name);
+    }
+
+    // Fields of an unsaved analysis the server scores it from (see summarizeAssessment in
+    // shared/assessment-history.ts)
+    getHistoryFields(analysis) {
+        const { businessName, framework, pillars, overall, indexCheck, scoring, timestamp } = analysis;
+        return { businessName, framework, pillars, overall, indexCheck, scoring, timestamp };
+    }
+
+    // Changes since the last assessment of the current analysis (null without an earlier one)
+    getAssessmentProgress() {
+        return this.assessmentHistory?.analysis === this.currentAnalysis ? this.assessmentHistory.progress : null;
+    }
+
+    setAssessmentHistoryBody(html) {
+        const body = document.getElementById('assessmentHistoryBody');
+        if (body) body.innerHTML = html;
+    }
+
+    renderAssessmentProgress(name) {
+        const { assessments, progress } = this.assessmentHistory;
+        if (this.trendChart) {
+            this.trendChart.destroy();
+            this.trendChart = null;
+        }
+        if (!progress) {
+            this.setAssessmentHistoryBody(`<p class="assessment-history-status" data-testid="text-history-empty">${this.t('history.empty', { name: this.escapeHtml(name) })}</p>`);
+            return;
+        }
+
+        const framework = this.getActiveFramework();
+        const previousDate = Elev8I18n.formatDate(progress.previous.createdAt, undefined, this.locale);
+        this.setAssessmentHistoryBody(`
+            <div class="assessment-history-grid">
+                <div class="chart-card">
+                    <canvas id="scoreTrendChart" class="chartjs"></canvas>
+                </div>
+                <div class="assessment-progress" data-testid="list-assessment-progress">
+                    <h4 class="assessment-progress-title">${this.t('history.sinceLast', { name: this.escapeHtml(progress.previous.reportName), date: previousDate, days: progress.daysSince })}</h4>
+                    ${progress.frameworkChanged ? `<p class="assessment-history-status">${this.t('history.frameworkChanged')}</p>` : ''}
+                    <ul class="assessment-progress-list">
+                        ${this.renderProgressRow(this.t('history.index'), progress.overall, true)}
+                        ${progress.pillars.map(p => this.renderProgressRow(Elev8Calculator.getPillarShortName(framework, p.name, this.locale), p)).join('')}
+                    </ul>
+                </div>
+            </div>
+        `);
+        this.createTrendChart(assessments);
+    }
+
+    renderProgressRow(label, change, isIndex = false) {
+        const direction = change.delta === null ? 'new' : change.delta > 0 ? 'up' : change.delta < 0 ? 'down' : 'flat';
+        const delta = change.delta === null
+            ? this.t('history.newPillar')
+            : change.delta === 0 ? this.t('history.unchanged') : Elev8Calculator.formatDelta(change.delta);
+        return `
+            <li class="assessment-progress-row${isIndex ? ' index' : ''}">
+                <span class="assessment-progress-name">${this.escapeHtml(label)}</span>
+                <span class="assessment-progress-scores">${change.previous === null ? '' : `${change.previous} &rarr; `}${change.current}</span>
+                <span class="assessment-delta ${direction}">${delta}</span>
+            </li>
+        `;
+    }
+
+    // Elev8 Index (bold) and each pillar of the current framework over time
+    createTrendChart(assessments) {
+        const ctx = document.getElementById('scoreTrendChart');
+        if (!ctx) return;
+
+        const isDarkMode = document.documentElement.classList.contains('dark-mode');
+        const textColor = isDarkMode ? '#e5e7eb' : '#1f2937';
+        const gridColor = isDarkMode ? 'rgba(156, 163, 175, 0.2)' : 'rgba(107, 114, 128, 0.2)';
+        const palette = ['#6366F1', '#F59E0B', '#10B981', '#EC4899', '#3B82F6', '#8B5CF6', '#14B8A6', '#F97316', '#84CC16', '#EF4444', '#06B6D4', '#A855F7'];
+        const framework = this.getActiveFramework();
+
+        this.trendChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: assessments.map(a => a.id
+                    ? Elev8I18n.formatDate(a.createdAt, { year: 'numeric', month: 'short', day: 'numeric' }, this.locale)
+                    : this.t('history.current')),
+                datasets: [
+                    {
+                        label: this.t('history.index'),
+                        data: assessments.map(a => a.overall),
+                        borderColor: '#0891B2',
+                        backgroundColor: '#0891B2',
+                        borderWidth: 3,
+                        pointRadius: 4,
+                        tension: 0.2
+                    },
+                    ...framework.pillars.map((pillar, i) => ({
+                        label: Elev8Calculator.getPillarShortName(framework, pillar.name, this.locale),
+                        data: assessments.map(a => a.pillars.find(p => p.name === pillar.name)?.score ?? null),
+                        borderColor: palette[i % palette.length],
+                        backgroundColor: palette[i % palette.length],
+                        borderWidth: 1.5,
+                        pointRadius: 2,
+                        spanGaps: true,
+                        tension: 0.2
+                    }))
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        ticks: {
+                            stepSize: 20,
+                            color: textColor
+                        },
+                        grid: {
+                            color: gridColor
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            color: textColor
+                        },
+                        grid: {
+                            display: false
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: textColor,
+                            boxWidth: 12,
+                            font: {
+                                size: 10
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
     exportToPDF() {
         if (!this.currentAnalysis) {
-            alert('No analysis to export. Generate an analysis first.');
+            alert(this.t('message.noAnalysisToExport'));
             return;
         }
 
         // Call the detailed PDF export function with chart embedding (defined in pdf-export.js)
         if (typeof window.exportElev8AnalysisToPDF === 'function') {
-            window.exportElev8AnalysisToPDF(this.currentAnalysis);
+            window.exportElev8AnalysisToPDF(this.currentAnalysis, { progress: this.getAssessmentProgress() });
         } else {
-            alert('PDF export functionality not available.');
+            alert(this.t('message.pdfUnavailable'));
         }
     }
 
     copyAllResults() {
         if (!this.currentAnalysis) {
-            alert('No results to copy.');
+            alert(this.t('message.noResultsToCopy'));
             return;
         }
 
         const text = this.formatResultsAsText();
         navigator.clipboard.writeText(text).then(() => {
-            alert('Results copied to clipboard!');
+            alert(this.t('message.copied'));
         }).catch(err => {
             console.error('Copy failed:', err);
-            alert('Failed to copy results.');
+            alert(this.t('message.copyFailed'));
         });
     }
 
     formatResultsAsText() {
         const a = this.currentAnalysis;
-        const overallIndex = a.overall?.score || Elev8Calculator.calculateOverallIndex(a.pillars || []);
+        const overallIndex = Elev8Calculator.getDisplayIndex(a);
+        // Text follows the language the report was generated in
+        const locale = a.locale || this.locale;
+        const t = (key, vars) => Elev8I18n.t(key, vars, locale);
         
-        let text = `ELEV8 ANALYZER REPORT\n`;
-        text += `Business: ${a.businessName}\n`;
-        text += `Generated: ${new Date(a.timestamp).toLocaleDateString()}\n\n`;
-        text += `OVERALL ELEV8 INDEX: ${overallIndex}/100\n`;
+        let text = `${t('text.title')}\n`;
+        text += `${t('text.business')}: ${a.businessName}\n`;
+        text += `${t('text.generated')}: ${Elev8I18n.formatDate(a.timestamp, undefined, locale)}\n\n`;
+        text += `${t('text.overallIndex')}: ${overallIndex}/100\n`;
+        const weighting = Elev8Calculator.describeWeighting(a.weighting, locale);
+        if (weighting) text += `${t('text.weightedFor', weighting)}\n`;
         text += `${a.overall?.summary || ''}\n\n`;
         
-        text += `8 PILLARS OF BUSINESS HEALTH:\n\n`;
+        text += `${t('text.pillars')}:\n\n`;
         (a.pillars || []).forEach(p => {
-            text += `${p.name}: ${p.score}/100\n`;
-            text += `Insights:\n${(p.insights || []).map(i => `- ${i}`).join('\n')}\n`;
-            text += `Actions:\n${(p.actions || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
+            text += `${Elev8I18n.pillarName(p.name, locale)}: ${p.score}/100\n`;
+            const peer = Elev8Calculator.getPeerBenchmark(a.benchmark, p.name);
+            if (peer) text += `${t('text.peers', {
+                comparison: Elev8Calculator.describePeerComparison(peer.comparison, locale),
+                percentile: Elev8Calculator.formatPercentile(peer.percentile, locale),
+                median: peer.median
+            })}\n`;
+            text += `${t('text.insights')}:\n${(p.insights || []).map(i => `- ${i}`).join('\n')}\n`;
+            text += `${t('text.actions')}:\n${(p.actions || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n`;
+            if (p.risks?.length) text += `${t('text.risks')}:\n${p.risks.map(r => `- ${r}`).join('\n')}\n`;
+            if (p.kpis?.length) text += `${t('text.kpis')}:\n${p.kpis.map(k => `- ${k}`).join('\n')}\n`;
+            if (Elev8Calculator.isFinancialsPillar(Elev8Calculator.getFramework(a), p.name)) {
+                const rows = Elev8Calculator.getFinancialMetricRows(a.financials, locale);
+                if (rows.length) text += `${t('text.financialMetrics')}:\n${rows.map(r => `- ${r.label}: ${r.value}`).join('\n')}\n`;
+            }
+            text += `\n`;
         });
 
-        text += `30/60/90-DAY ROADMAP:\n\n`;
-        text += `30 Days:\n${(a.roadmap?.d30 || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
-        text += `60 Days:\n${(a.roadmap?.d60 || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
-        text += `90 Days:\n${(a.roadmap?.d90 || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
+        text += `${t('text.roadmap')}:\n\n`;
+        text += `${t('chart.days', { days: 30 })}:\n${(a.roadmap?.d30 || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
+        text += `${t('chart.days', { days: 60 })}:\n${(a.roadmap?.d60 || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
+        text += `${t('chart.days', { days: 90 })}:\n${(a.roadmap?.d90 || []).map((ac, i) => `${i+1}. ${ac}`).join('\n')}\n\n`;
 
         return text;
     }
 
     clearResults() {
-        if (confirm('Clear all analysis results?')) {
+        if (confirm(this.t('message.confirmClear'))) {
             this.currentAnalysis = null;
             this.analysisHistory = [];
             localStorage.removeItem('elev8-analysis');
@@ -1262,6 +3338,7 @@ class Elev8AnalyzerApp {
                 this.analysisHistory = data.history || [];
                 
                 if (this.currentAnalysis) {
+                    this.populateForm(this.currentAnalysis.formData);
                     this.renderResults();
                 }
             }
@@ -1277,7 +3354,7 @@ class Elev8AnalyzerApp {
     showSaveModal() {
         // Check if there's an analysis to save
         if (!this.currentAnalysis) {
-            alert('No analysis to save. Generate an analysis first.');
+            alert(this.t('message.noAnalysisToSave'));
             return;
         }
 
@@ -1322,13 +3399,13 @@ class Elev8AnalyzerApp {
 
     async saveReportToDb(reportName, errorDiv, modal) {
         if (!reportName) {
-            errorDiv.textContent = 'Please enter a report name.';
+            errorDiv.textContent = this.t('message.reportNameRequired');
             errorDiv.classList.remove('hidden');
             return;
         }
 
         try {
-            const response = await fetch('/api/reports/save', {
+            const response = await fetch('/api/elev8/reports/save', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -1344,8 +3421,14 @@ class Elev8AnalyzerApp {
             }
 
             console.log('[Save Report] Saved successfully:', data.report);
+            // Follow-up questions are stored with the saved copy
+            this.currentAnalysis.savedReportId = data.report.id;
+            this.chatConversations[data.report.id] = [];
+            this.saveToLocalStorage();
+            this.refreshReportChat();
+            this.loadAssessmentHistory(this.currentAnalysis);
             modal.classList.remove('active');
-            alert(`Report "${reportName}" saved successfully!`);
+            alert(this.t('message.reportSaved', { name: reportName }));
         } catch (error) {
             console.error('[Save Report] Error:', error);
             errorDiv.textContent = error.message || 'Failed to save report. Please try again.';
@@ -1364,7 +3447,7 @@ class Elev8AnalyzerApp {
             errorDiv.classList.add('hidden');
             errorDiv.textContent = '';
             noReportsDiv.classList.add('hidden');
-            listDiv.innerHTML = '<div class="loading-message">Loading saved reports...</div>';
+            listDiv.innerHTML = `<div class="loading-message">${this.t('load.loading')}</div>`;
             
             // Show modal
             modal.classList.add('active');
@@ -1380,7 +3463,7 @@ class Elev8AnalyzerApp {
             
             // Fetch saved reports
             try {
-                const response = await fetch('/api/reports/list?toolkit=elev8analyzer');
+                const response = await fetch('/api/elev8/reports/list');
                 const data = await response.json();
                 
                 if (!response.ok) {
@@ -1406,28 +3489,49 @@ class Elev8AnalyzerApp {
         listDiv.innerHTML = '';
         
         const template = document.getElementById('savedReportTemplate');
-        
+
+        // Reassessments of one business are listed together (most recently saved business
+        // first); reports saved before businesses were tracked come last
+        const groups = new Map();
         reports.forEach(report => {
-            const item = template.content.cloneNode(true);
-            
-            item.querySelector('.saved-report-name').textContent = report.reportName;
-            
-            const date = new Date(report.createdAt);
-            item.querySelector('.saved-report-date').textContent = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-            
-            const loadBtn = item.querySelector('.load-btn');
-            loadBtn.onclick = () => this.loadReportFromDb(report.id, modal);
-            
-            const deleteBtn = item.querySelector('.delete-btn');
-            deleteBtn.onclick = () => this.deleteReport(report.id, report.reportName, () => this.showLoadModal());
-            
-            listDiv.appendChild(item);
+            const key = report.businessKey || '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(report);
+        });
+        const keys = [...groups.keys()].filter(Boolean);
+        if (groups.has('')) keys.push('');
+
+        keys.forEach(key => {
+            const groupReports = groups.get(key);
+            const heading = document.createElement('div');
+            heading.className = 'saved-report-group';
+            heading.dataset.testid = 'text-saved-report-group';
+            heading.textContent = key
+                ? `${groupReports[0].businessName || key} (${this.t('load.assessments', { count: groupReports.length })})`
+                : this.t('load.otherReports');
+            listDiv.appendChild(heading);
+
+            groupReports.forEach(report => {
+                const item = template.content.cloneNode(true);
+                
+                item.querySelector('.saved-report-name').textContent = report.reportName;
+                
+                item.querySelector('.saved-report-date').textContent = Elev8I18n.formatDateTime(report.createdAt, this.locale);
+                
+                const loadBtn = item.querySelector('.load-btn');
+                loadBtn.onclick = () => this.loadReportFromDb(report.id, modal);
+                
+                const deleteBtn = item.querySelector('.delete-btn');
+                deleteBtn.onclick = () => this.deleteReport(report.id, report.reportName, () => this.showLoadModal());
+                
+                listDiv.appendChild(item);
+            });
         });
     }
 
     async loadReportFromDb(reportId, modal) {
         try {
-            const response = await fetch(`/api/reports/${reportId}`);
+            const response = await fetch(`/api/elev8/reports/load/${reportId}`);
             const data = await response.json();
             
             if (!response.ok) {
@@ -1435,10 +3539,12 @@ class Elev8AnalyzerApp {
             }
             
             // Set the loaded analysis as current
-            this.currentAnalysis = data.report.analysisData;
-            this.analysisHistory.unshift(data.report.analysisData);
+            this.currentAnalysis = { ...data.report.analysisData, savedReportId: data.report.id };
+            this.chatConversations[data.report.id] = data.report.conversation || [];
+            this.analysisHistory.unshift(this.currentAnalysis);
             
             // Update UI
+            this.populateForm(data.report.analysisData.formData);
             this.renderResults();
             this.saveToLocalStorage();
             
@@ -1453,12 +3559,12 @@ class Elev8AnalyzerApp {
     }
 
     async deleteReport(reportId, reportName, onSuccess) {
-        if (!confirm(`Delete report "${reportName}"?`)) {
+        if (!confirm(this.t('message.confirmDelete', { name: reportName }))) {
             return;
         }
         
         try {
-            const response = await fetch(`/api/reports/${reportId}`, {
+            const response = await fetch(`/api/elev8/reports/delete/${reportId}`, {
                 method: 'DELETE'
             });
             
@@ -1469,6 +3575,13 @@ class Elev8AnalyzerApp {
             }
             
             console.log('[Delete Report] Deleted successfully:', reportName);
+            delete this.chatConversations[reportId];
+            if (this.currentAnalysis?.savedReportId === reportId) {
+                delete this.currentAnalysis.savedReportId;
+                this.saveToLocalStorage();
+                this.refreshReportChat();
+            }
+            if (this.currentAnalysis) this.loadAssessmentHistory(this.currentAnalysis);
             
             // Refresh the list
             if (onSuccess) onSuccess();
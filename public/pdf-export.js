@@ -242,7 +242,8 @@ window.YBG_PDF = window.YBG_PDF || {};
   }
 
   // ---- Footer Drawing ------------------------------------------------------
-  async function drawFooter(doc, pageNum, totalPages) {
+  // labels: optional translated footer text ({ brand, page(pageNum, totalPages), copyright, disclaimer })
+  async function drawFooter(doc, pageNum, totalPages, labels = {}) {
     const mainFooterY = PAGE.height - MARGINS.bottom + 6;
     const copyrightY = PAGE.height - MARGINS.bottom + 11;
     const disclaimerY = PAGE.height - MARGINS.bottom + 16;
@@ -258,10 +259,10 @@ window.YBG_PDF = window.YBG_PDF || {};
     doc.setTextColor(...TYPOGRAPHY.colorMeta);
     
     // Left side: Elev8 Analyzer branding
-    doc.text(`Elev8 Analyzer Report • Powered by YourBizGuru.com`, CONTENT.left, mainFooterY);
+    doc.text(labels.brand || `Elev8 Analyzer Report • Powered by YourBizGuru.com`, CONTENT.left, mainFooterY);
     
     // Right side: "Page X of Y"
-    const pageText = `Page ${pageNum} of ${totalPages}`;
+    const pageText = labels.page ? labels.page(pageNum, totalPages) : `Page ${pageNum} of ${totalPages}`;
     const pageWidth = doc.getTextWidth(pageText);
     doc.text(pageText, CONTENT.right - pageWidth, mainFooterY);
     
@@ -269,14 +270,14 @@ window.YBG_PDF = window.YBG_PDF || {};
     doc.setFont(TYPOGRAPHY.fontFamily, "normal");
     doc.setFontSize(7); // Smaller than footer size
     doc.setTextColor(120, 120, 120); // More muted gray
-    const copyright = "© 2025 Elev8 Analyzer – All Rights Reserved";
+    const copyright = labels.copyright || "© 2025 Elev8 Analyzer – All Rights Reserved";
     doc.text(copyright, CONTENT.left, copyrightY);
     
     // Disclaimer on last line - matching the app footer
     doc.setFont(TYPOGRAPHY.fontFamily, "italic");
     doc.setFontSize(7);
     doc.setTextColor(130, 130, 130);
-    const disclaimer = "Disclaimer: For informational purposes only. Not legal, tax, or financial advice.";
+    const disclaimer = labels.disclaimer || "Disclaimer: For informational purposes only. Not legal, tax, or financial advice.";
     doc.text(disclaimer, CONTENT.left, disclaimerY);
     
     // Reset to body typography
@@ -1446,8 +1447,8 @@ window.YBG_PDF = window.YBG_PDF || {};
     const charts = {};
     
     // Capture each chart canvas as a data URL
-    const chartIds = ['pillarRadarChart', 'pillarBarChart', 'healthGaugeChart', 'roadmapTimelineChart'];
-    const chartNames = ['radar', 'bar', 'gauge', 'timeline'];
+    const chartIds = ['pillarRadarChart', 'pillarBarChart', 'healthGaugeChart', 'roadmapTimelineChart', 'scoreTrendChart'];
+    const chartNames = ['radar', 'bar', 'gauge', 'timeline', 'trend'];
     
     for (let i = 0; i < chartIds.length; i++) {
       const canvas = document.getElementById(chartIds[i]);
@@ -1463,7 +1464,7 @@ window.YBG_PDF = window.YBG_PDF || {};
       }
     }
     
-    console.log(`[PDF Export] Successfully captured ${Object.keys(charts).length} of 4 charts`);
+    console.log(`[PDF Export] Successfully captured ${Object.keys(charts).length} of ${chartIds.length} charts`);
     return charts;
   }
 
@@ -1598,7 +1599,9 @@ window.YBG_PDF = window.YBG_PDF || {};
     }
   };
 
-  window.exportElev8AnalysisToPDF = async function(analysis) {
+  // options.progress: changes since the business's last saved assessment
+  // (progress from /api/elev8/reports/history), shown as a "Progress Since Last Review" page
+  window.exportElev8AnalysisToPDF = async function(analysis, options = {}) {
     try {
       console.log('[PDF Export] Starting detailed export with charts');
       
@@ -1631,13 +1634,20 @@ window.YBG_PDF = window.YBG_PDF || {};
       // Apply global typography
       applyGlobalTypography(doc);
       
-      const overallIndex = analysis.overall?.score || 0;
+      const overallIndex = typeof Elev8Calculator !== 'undefined'
+        ? Elev8Calculator.getDisplayIndex(analysis)
+        : analysis.overall?.score || 0;
       const businessName = analysis.businessName || 'Business';
-      const timestamp = new Date().toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-      });
+      
+      // Labels follow the language the report was generated in
+      const locale = analysis.locale || Elev8I18n.getLocale();
+      const t = (key, vars) => Elev8I18n.t(key, vars, locale);
+
+      // Index band and pillar colors follow the report framework's status bands
+      const indexBand = typeof Elev8Calculator !== 'undefined'
+        ? Elev8Calculator.getStatusBand(overallIndex, locale, analysis.framework)
+        : null;
+      const timestamp = Elev8I18n.formatDate(new Date(), undefined, locale);
       
       let currentY = CONTENT.top;
       let pageNum = 1;
@@ -1651,7 +1661,7 @@ window.YBG_PDF = window.YBG_PDF || {};
       doc.setFontSize(22);
       doc.setTextColor(8, 145, 178); // Teal
       currentY = CONTENT.top + 12;  // Professional spacing below header divider
-      doc.text("Elev8 Analyzer Report", CONTENT.left, currentY, { align: 'left' });
+      doc.text(t('pdf.title'), CONTENT.left, currentY, { align: 'left' });
       
       // Business name
       doc.setFont(TYPOGRAPHY.fontFamily, "normal");
@@ -1664,7 +1674,7 @@ window.YBG_PDF = window.YBG_PDF || {};
       doc.setFontSize(11);
       doc.setTextColor(...TYPOGRAPHY.colorMeta);
       currentY += 8;
-      doc.text(`Generated: ${timestamp}`, CONTENT.left, currentY);
+      doc.text(t('pdf.generated', { date: timestamp }), CONTENT.left, currentY);
       
       // Overall Index (large display)
       currentY += 25;
@@ -1675,7 +1685,11 @@ window.YBG_PDF = window.YBG_PDF || {};
       
       doc.setFontSize(14);
       doc.setTextColor(...TYPOGRAPHY.colorMeta);
-      doc.text("Overall Elev8 Index", CONTENT.left + 30, currentY);
+      doc.text(t('results.overallIndex'), CONTENT.left + 30, currentY);
+      if (indexBand) {
+        doc.setTextColor(...Elev8Calculator.hexToRgb(indexBand.color));
+        doc.text(indexBand.label, CONTENT.left + 34 + doc.getTextWidth(t('results.overallIndex')), currentY);
+      }
       
       // Executive summary
       if (analysis.overall?.summary) {
@@ -1689,6 +1703,49 @@ window.YBG_PDF = window.YBG_PDF || {};
         currentY += summaryLines.length * TYPOGRAPHY.lineHeight;
       }
       
+      // Scoring method note (rules-based fallback or blended AI + baseline scores), plus the
+      // pillar framework when the report wasn't scored on the business pillars and the
+      // weighting profile
+      const methodNote = analysis.fallback
+        ? t('pdf.fallbackNote', { reason: analysis.fallback.reason || '' }).trim()
+        : analysis.scoring?.method === 'blended'
+          ? t('pdf.blendedNote', { percent: Math.round(analysis.scoring.baselineWeight * 100) })
+          : null;
+      const framework = analysis.framework;
+      const frameworkKey = `framework.${framework?.id}`;
+      const frameworkNote = framework?.id && framework.id !== 'business'
+        ? t('note.framework', { name: t(frameworkKey) === frameworkKey ? framework.name : t(frameworkKey), total: (framework.pillars || []).length })
+        : null;
+      const weighting = typeof Elev8Calculator !== 'undefined'
+        ? Elev8Calculator.describeWeighting(analysis.weighting, locale)
+        : null;
+      const weightingNote = weighting
+        ? `${t('text.weightedFor', weighting)}${weighting.changes ? ` (${weighting.changes})` : ''}.`
+        : null;
+      const scoringNote = [methodNote, frameworkNote, weightingNote].filter(Boolean).join(' ') || null;
+      const indexCheck = analysis.indexCheck;
+      const indexNote = indexCheck?.diverged
+        ? t('pdf.indexNote', indexCheck)
+        : null;
+      if (indexNote) {
+        currentY += 6;
+        doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+        doc.setFontSize(9);
+        doc.setTextColor(239, 68, 68);
+        const indexLines = doc.splitTextToSize(indexNote, CONTENT.width - 20);
+        doc.text(indexLines, CONTENT.left, currentY);
+        currentY += indexLines.length * 4.5;
+      }
+      if (scoringNote) {
+        currentY += 6;
+        doc.setFont(TYPOGRAPHY.fontFamily, "italic");
+        doc.setFontSize(9);
+        doc.setTextColor(...TYPOGRAPHY.colorMeta);
+        const noteLines = doc.splitTextToSize(scoringNote, CONTENT.width - 20);
+        doc.text(noteLines, CONTENT.left, currentY);
+        currentY += noteLines.length * 4.5;
+      }
+      
       // ---- Charts Page ----
       if (chartImages && (chartImages.radar || chartImages.bar || chartImages.gauge)) {
         doc.addPage();
@@ -1703,7 +1760,7 @@ window.YBG_PDF = window.YBG_PDF || {};
         doc.setFont(TYPOGRAPHY.fontFamily, "bold");
         doc.setFontSize(16);
         doc.setTextColor(...TYPOGRAPHY.colorHeading);
-        doc.text("Business Metrics Visualization", CONTENT.left, currentY);
+        doc.text(t('charts.title'), CONTENT.left, currentY);
         currentY += 12;
         
         const chartWidth = (CONTENT.width - 10) / 2; // Two columns
@@ -1715,7 +1772,7 @@ window.YBG_PDF = window.YBG_PDF || {};
           doc.setFont(TYPOGRAPHY.fontFamily, "normal");
           doc.setFontSize(10);
           doc.setTextColor(...TYPOGRAPHY.colorMeta);
-          doc.text("Pillar Performance Radar", chartX, currentY);
+          doc.text(t('charts.radar'), chartX, currentY);
           doc.addImage(chartImages.radar, 'PNG', chartX, currentY + 3, chartWidth, chartHeight);
         }
         
@@ -1724,7 +1781,7 @@ window.YBG_PDF = window.YBG_PDF || {};
           doc.setFont(TYPOGRAPHY.fontFamily, "normal");
           doc.setFontSize(10);
           doc.setTextColor(...TYPOGRAPHY.colorMeta);
-          doc.text("Pillar Score Comparison", chartX, currentY);
+          doc.text(t('charts.bar'), chartX, currentY);
           doc.addImage(chartImages.bar, 'PNG', chartX, currentY + 3, chartWidth, chartHeight);
         }
         
@@ -1735,7 +1792,7 @@ window.YBG_PDF = window.YBG_PDF || {};
           doc.setFont(TYPOGRAPHY.fontFamily, "normal");
           doc.setFontSize(10);
           doc.setTextColor(...TYPOGRAPHY.colorMeta);
-          doc.text("Business Health Gauge", chartX, currentY);
+          doc.text(t('charts.gauge'), chartX, currentY);
           doc.addImage(chartImages.gauge, 'PNG', chartX, currentY + 3, chartWidth, chartHeight);
         }
         
@@ -1744,12 +1801,125 @@ window.YBG_PDF = window.YBG_PDF || {};
           doc.setFont(TYPOGRAPHY.fontFamily, "normal");
           doc.setFontSize(10);
           doc.setTextColor(...TYPOGRAPHY.colorMeta);
-          doc.text("Action Roadmap Timeline", chartX, currentY);
+          doc.text(t('charts.timeline'), chartX, currentY);
           doc.addImage(chartImages.timeline, 'PNG', chartX, currentY + 3, chartWidth, chartHeight);
         }
       }
       
-      // ---- Page: 8 Pillar Breakdown ----
+      // ---- Page: Progress Since Last Review ----
+      const progress = options.progress;
+      if (progress) {
+        doc.addPage();
+        pageNum++;
+        applyGlobalTypography(doc);
+        drawWatermark(doc, iconDataUrl);
+        drawHeader(doc, pageNum, iconDataUrl);
+        
+        currentY = CONTENT.top;
+        
+        doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+        doc.setFontSize(16);
+        doc.setTextColor(...TYPOGRAPHY.colorHeading);
+        doc.text(t('pdf.progressTitle'), CONTENT.left, currentY);
+        currentY += 9;
+        
+        doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+        doc.setFontSize(TYPOGRAPHY.bodySize);
+        doc.setTextColor(...TYPOGRAPHY.colorBody);
+        const introLines = doc.splitTextToSize(t('pdf.progressIntro', {
+          name: progress.previous.reportName,
+          date: Elev8I18n.formatDate(progress.previous.createdAt, undefined, locale),
+          days: progress.daysSince
+        }), CONTENT.width);
+        doc.text(introLines, CONTENT.left, currentY);
+        currentY += introLines.length * TYPOGRAPHY.lineHeight + 3;
+        
+        // Gains in green, declines in red
+        const formatDelta = (delta) => delta === null
+          ? t('history.newPillar')
+          : delta === 0 ? t('history.unchanged') : delta > 0 ? `+${delta}` : String(delta);
+        const setDeltaColor = (delta) => {
+          if (delta > 0) doc.setTextColor(16, 185, 129);
+          else if (delta < 0) doc.setTextColor(239, 68, 68);
+          else doc.setTextColor(...TYPOGRAPHY.colorBody);
+        };
+        
+        doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+        doc.setFontSize(12);
+        setDeltaColor(progress.overall.delta);
+        doc.text(t('pdf.progressIndex', {
+          previous: progress.overall.previous,
+          current: progress.overall.current,
+          delta: formatDelta(progress.overall.delta)
+        }), CONTENT.left, currentY);
+        currentY += 8;
+        
+        if (progress.frameworkChanged) {
+          doc.setFont(TYPOGRAPHY.fontFamily, "italic");
+          doc.setFontSize(9);
+          doc.setTextColor(...TYPOGRAPHY.colorMeta);
+          const noteLines = doc.splitTextToSize(t('history.frameworkChanged'), CONTENT.width);
+          doc.text(noteLines, CONTENT.left, currentY);
+          currentY += noteLines.length * 4.5 + 2;
+        }
+        
+        const columns = [
+          { title: t('pdf.colPillar'), width: 82 },
+          { title: t('pdf.colPrevious'), width: 30 },
+          { title: t('pdf.colCurrent'), width: 30 },
+          { title: t('pdf.colChange'), width: CONTENT.width - 142 }
+        ];
+        const rowHeight = 6.5;
+        
+        // Header row
+        doc.setFillColor(...TABLE_STYLES.headerBg);
+        doc.rect(CONTENT.left, currentY, CONTENT.width, rowHeight, 'F');
+        doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+        doc.setFontSize(9);
+        doc.setTextColor(...TABLE_STYLES.headerText);
+        let colX = CONTENT.left;
+        columns.forEach(col => {
+          doc.text(col.title, colX + 2, currentY + 4.5);
+          colX += col.width;
+        });
+        currentY += rowHeight;
+        
+        doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+        progress.pillars.forEach((pillar, idx) => {
+          if (idx % 2 === 1) {
+            doc.setFillColor(...TABLE_STYLES.zebraColor);
+            doc.rect(CONTENT.left, currentY, CONTENT.width, rowHeight, 'F');
+          }
+          const cells = [
+            Elev8I18n.pillarName(pillar.name, locale),
+            pillar.previous === null ? '-' : String(pillar.previous),
+            String(pillar.current),
+            formatDelta(pillar.delta)
+          ];
+          colX = CONTENT.left;
+          cells.forEach((cell, c) => {
+            if (c === 3) setDeltaColor(pillar.delta);
+            else doc.setTextColor(...TYPOGRAPHY.colorBody);
+            doc.text(cell, colX + 2, currentY + 4.5);
+            colX += columns[c].width;
+          });
+          currentY += rowHeight;
+        });
+        
+        doc.setDrawColor(...TABLE_STYLES.borderColor);
+        doc.line(CONTENT.left, currentY, CONTENT.right, currentY);
+        currentY += 10;
+        
+        if (chartImages.trend) {
+          doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+          doc.setFontSize(10);
+          doc.setTextColor(...TYPOGRAPHY.colorMeta);
+          doc.text(t('pdf.trendChart'), CONTENT.left, currentY);
+          doc.addImage(chartImages.trend, 'PNG', CONTENT.left, currentY + 3, CONTENT.width, 80);
+        }
+      }
+      
+      // ---- Page: Pillar Breakdown ----
       doc.addPage();
       pageNum++;
       applyGlobalTypography(doc);
@@ -1762,12 +1932,78 @@ window.YBG_PDF = window.YBG_PDF || {};
       doc.setFont(TYPOGRAPHY.fontFamily, "bold");
       doc.setFontSize(16);
       doc.setTextColor(...TYPOGRAPHY.colorHeading);
-      doc.text("8 Pillars of Business Health", CONTENT.left, currentY);
+      doc.text(t('pillars.title', { total: (analysis.pillars || []).length }), CONTENT.left, currentY);
       currentY += 9;
       
       // Render each pillar
       const pillars = analysis.pillars || [];
       
+      // Peer comparison table (present when the report includes a benchmark)
+      const benchmark = analysis.benchmark;
+      if (benchmark?.pillars?.length && typeof Elev8Calculator !== 'undefined') {
+        const columns = [
+          { title: t('pdf.colPillar'), width: 72 },
+          { title: t('pdf.colScore'), width: 20 },
+          { title: t('pdf.colPeerMedian'), width: 26 },
+          { title: t('pdf.colPercentile'), width: 24 },
+          { title: t('pdf.colVsPeers'), width: CONTENT.width - 142 }
+        ];
+        const rowHeight = 6.5;
+        
+        // Header row
+        doc.setFillColor(...TABLE_STYLES.headerBg);
+        doc.rect(CONTENT.left, currentY, CONTENT.width, rowHeight, 'F');
+        doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+        doc.setFontSize(9);
+        doc.setTextColor(...TABLE_STYLES.headerText);
+        let colX = CONTENT.left;
+        columns.forEach(col => {
+          doc.text(col.title, colX + 2, currentY + 4.5);
+          colX += col.width;
+        });
+        currentY += rowHeight;
+        
+        doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+        pillars.forEach((pillar, idx) => {
+          const peer = Elev8Calculator.getPeerBenchmark(benchmark, pillar.name);
+          if (idx % 2 === 1) {
+            doc.setFillColor(...TABLE_STYLES.zebraColor);
+            doc.rect(CONTENT.left, currentY, CONTENT.width, rowHeight, 'F');
+          }
+          const cells = [
+            Elev8I18n.pillarName(pillar.name, locale),
+            String(pillar.score),
+            peer ? String(peer.median) : '-',
+            peer ? Elev8Calculator.formatPercentile(peer.percentile, locale) : '-',
+            peer ? Elev8Calculator.describePeerComparison(peer.comparison, locale) : '-'
+          ];
+          colX = CONTENT.left;
+          cells.forEach((cell, c) => {
+            if (c === 4 && peer?.comparison === 'below') {
+              doc.setTextColor(249, 115, 22);
+            } else if (c === 4 && peer?.comparison === 'above') {
+              doc.setTextColor(16, 185, 129);
+            } else {
+              doc.setTextColor(...TYPOGRAPHY.colorBody);
+            }
+            doc.text(cell, colX + 2, currentY + 4.5);
+            colX += columns[c].width;
+          });
+          currentY += rowHeight;
+        });
+        
+        doc.setDrawColor(...TABLE_STYLES.borderColor);
+        doc.line(CONTENT.left, currentY, CONTENT.right, currentY);
+        currentY += 4;
+        
+        doc.setFont(TYPOGRAPHY.fontFamily, "italic");
+        doc.setFontSize(8);
+        doc.setTextColor(120, 120, 120);
+        const peerGroup = [benchmark.industry, benchmark.revenueRange].filter(Boolean).join(', ');
+        doc.text(t('pdf.peerFootnote', { group: peerGroup, version: benchmark.version }), CONTENT.left, currentY);
+        currentY += 8;
+      }
+      
       for (let i = 0; i < pillars.length; i++) {
         const pillar = pillars[i];
         
@@ -1785,27 +2021,47 @@ window.YBG_PDF = window.YBG_PDF || {};
         doc.setFont(TYPOGRAPHY.fontFamily, "bold");
         doc.setFontSize(13);
         doc.setTextColor(...TYPOGRAPHY.colorHeading);
-        doc.text(`${i + 1}. ${pillar.name}`, CONTENT.left, currentY);
+        doc.text(`${i + 1}. ${Elev8I18n.pillarName(pillar.name, locale)}`, CONTENT.left, currentY);
         
         // Score badge
-        const scoreColor = pillar.score >= 71 ? [16, 185, 129] : pillar.score >= 41 ? [234, 179, 8] : [239, 68, 68];
+        const scoreColor = typeof Elev8Calculator !== 'undefined'
+          ? Elev8Calculator.hexToRgb(Elev8Calculator.getPillarStatus(pillar.score, locale, analysis.framework).color)
+          : pillar.score >= 71 ? [16, 185, 129] : pillar.score >= 41 ? [234, 179, 8] : [239, 68, 68];
         doc.setTextColor(...scoreColor);
-        doc.text(`Score: ${pillar.score}/100`, CONTENT.right - 30, currentY, { align: 'right' });
+        doc.text(t('pdf.score', { score: pillar.score }), CONTENT.right - 30, currentY, { align: 'right' });
         
         currentY += 6;
         
+        // Evidence markers: cited answers are numbered once per pillar and listed as footnotes
+        const footnotes = [];
+        const itemEvidence = (list) => typeof Elev8Calculator !== 'undefined'
+          ? Elev8Calculator.getItemEvidence(pillar, list, analysis.formData, analysis.financials, locale)
+          : [];
+        const markEvidence = (evidence) => {
+          if (!evidence) return '';
+          if (evidence.length === 0) return ` (${t('evidence.general')})`;
+          const numbers = evidence.map(item => {
+            const note = `${item.label}: ${item.value}`;
+            const existing = footnotes.indexOf(note);
+            return existing >= 0 ? existing + 1 : footnotes.push(note);
+          });
+          return ` [${numbers.join(', ')}]`;
+        };
+        const insightEvidence = itemEvidence('insights');
+        const actionEvidence = itemEvidence('actions');
+        
         // Insights
         doc.setFont(TYPOGRAPHY.fontFamily, "bold");
         doc.setFontSize(10);
         doc.setTextColor(...TYPOGRAPHY.colorBody);
-        doc.text("Key Insights:", CONTENT.left + 3, currentY);
+        doc.text(t('pillar.insights'), CONTENT.left + 3, currentY);
         currentY += 5;
         
         doc.setFont(TYPOGRAPHY.fontFamily, "normal");
         doc.setFontSize(10);
         
-        (pillar.insights || []).forEach(insight => {
-          const lines = doc.splitTextToSize(`• ${insight}`, CONTENT.width - 10);
+        (pillar.insights || []).forEach((insight, j) => {
+          const lines = doc.splitTextToSize(`• ${insight}${markEvidence(insightEvidence[j])}`, CONTENT.width - 10);
           doc.text(lines, CONTENT.left + 3, currentY);
           currentY += lines.length * 4.7;
         });
@@ -1815,18 +2071,124 @@ window.YBG_PDF = window.YBG_PDF || {};
         // Actions
         doc.setFont(TYPOGRAPHY.fontFamily, "bold");
         doc.setFontSize(10);
-        doc.text("Priority Actions:", CONTENT.left + 3, currentY);
+        doc.text(t('pillar.actions'), CONTENT.left + 3, currentY);
         currentY += 5;
         
         doc.setFont(TYPOGRAPHY.fontFamily, "normal");
         doc.setFontSize(10);
         
         (pillar.actions || []).forEach((action, idx) => {
-          const lines = doc.splitTextToSize(`${idx + 1}. ${action}`, CONTENT.width - 10);
+          const lines = doc.splitTextToSize(`${idx + 1}. ${action}${markEvidence(actionEvidence[idx])}`, CONTENT.width - 10);
           doc.text(lines, CONTENT.left + 3, currentY);
           currentY += lines.length * 4.7;
         });
         
+        // Evidence footnotes
+        if (footnotes.length > 0) {
+          currentY += 1.5;
+          doc.setFont(TYPOGRAPHY.fontFamily, "italic");
+          doc.setFontSize(8);
+          doc.setTextColor(120, 120, 120);
+          doc.text(t('evidence.sources'), CONTENT.left + 3, currentY);
+          currentY += 3.8;
+          
+          footnotes.forEach((note, idx) => {
+            const text = note.length > 160 ? `${note.slice(0, 159)}…` : note;
+            const lines = doc.splitTextToSize(`[${idx + 1}] ${text}`, CONTENT.width - 10);
+            if (currentY + lines.length * 3.8 > CONTENT.bottom) {
+              doc.addPage();
+              pageNum++;
+              applyGlobalTypography(doc);
+              drawWatermark(doc, iconDataUrl);
+              drawHeader(doc, pageNum, iconDataUrl);
+              currentY = CONTENT.top;
+              doc.setFont(TYPOGRAPHY.fontFamily, "italic");
+              doc.setFontSize(8);
+              doc.setTextColor(120, 120, 120);
+            }
+            doc.text(lines, CONTENT.left + 3, currentY);
+            currentY += lines.length * 3.8;
+          });
+          
+          doc.setTextColor(...TYPOGRAPHY.colorBody);
+          doc.setFontSize(10);
+          doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+        }
+        
+        // Financial metrics table (present when statements were uploaded)
+        const metricRows = typeof Elev8Calculator !== 'undefined'
+          && Elev8Calculator.isFinancialsPillar(Elev8Calculator.getFramework(analysis), pillar.name)
+          ? Elev8Calculator.getFinancialMetricRows(analysis.financials, locale)
+          : [];
+        if (metricRows.length > 0) {
+          const tableHeight = 5 + metricRows.length * 5.5 + 5;
+          if (currentY + 2.5 + tableHeight > CONTENT.bottom) {
+            doc.addPage();
+            pageNum++;
+            applyGlobalTypography(doc);
+            drawWatermark(doc, iconDataUrl);
+            drawHeader(doc, pageNum, iconDataUrl);
+            currentY = CONTENT.top;
+          }
+          
+          currentY += 2.5;
+          doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+          doc.setFontSize(10);
+          doc.setTextColor(...TYPOGRAPHY.colorBody);
+          doc.text(t('financials.title'), CONTENT.left + 3, currentY);
+          currentY += 5;
+          
+          const tableLeft = CONTENT.left + 3;
+          const tableRight = CONTENT.left + 93;
+          metricRows.forEach(row => {
+            doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+            doc.text(row.label, tableLeft + 2, currentY);
+            doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+            doc.text(row.value, tableRight - 2, currentY, { align: 'right' });
+            doc.setDrawColor(220, 220, 220);
+            doc.line(tableLeft, currentY + 1.8, tableRight, currentY + 1.8);
+            currentY += 5.5;
+          });
+          
+          doc.setFont(TYPOGRAPHY.fontFamily, "italic");
+          doc.setFontSize(8);
+          doc.setTextColor(120, 120, 120);
+          doc.text(t('financials.source', { months: analysis.financials.periodMonths }), tableLeft, currentY);
+          doc.setTextColor(...TYPOGRAPHY.colorBody);
+          doc.setFontSize(10);
+          doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+          currentY += 4;
+        }
+        
+        // Risks and KPIs (present after a pillar deep dive)
+        [[t('pillar.risks'), pillar.risks], [t('pillar.kpis'), pillar.kpis]].forEach(([label, items]) => {
+          if (!items || items.length === 0) return;
+          
+          currentY += 2.5;
+          doc.setFont(TYPOGRAPHY.fontFamily, "bold");
+          doc.setFontSize(10);
+          doc.text(label, CONTENT.left + 3, currentY);
+          currentY += 5;
+          
+          doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+          items.forEach(item => {
+            const lines = doc.splitTextToSize(`• ${item}`, CONTENT.width - 10);
+            if (currentY + lines.length * 4.7 > CONTENT.bottom) {
+              doc.addPage();
+              pageNum++;
+              applyGlobalTypography(doc);
+              drawWatermark(doc, iconDataUrl);
+              drawHeader(doc, pageNum, iconDataUrl);
+              currentY = CONTENT.top;
+              doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+              doc.setFontSize(10);
+              doc.setTextColor(...TYPOGRAPHY.colorBody);
+            }
+            doc.text(lines, CONTENT.left + 3, currentY);
+            currentY += lines.length * 4.7;
+          });
+        });
+        
         currentY += 6;
         
         // Divider line
@@ -1850,16 +2212,28 @@ window.YBG_PDF = window.YBG_PDF || {};
       doc.setFont(TYPOGRAPHY.fontFamily, "bold");
       doc.setFontSize(16);
       doc.setTextColor(...TYPOGRAPHY.colorHeading);
-      doc.text("30/60/90-Day Action Roadmap", CONTENT.left, currentY);
+      doc.text(t('roadmap.title'), CONTENT.left, currentY);
       currentY += 9;
       
       const roadmap = analysis.roadmap || {};
       const phases = [
-        { title: '30 Days (Quick Wins)', actions: roadmap.d30 || [], color: [16, 185, 129] },
-        { title: '60 Days (Process Improvements)', actions: roadmap.d60 || [], color: [8, 145, 178] },
-        { title: '90 Days (Strategic Initiatives)', actions: roadmap.d90 || [], color: [139, 92, 246] }
+        { key: 'd30', title: t('roadmap.d30'), actions: roadmap.d30 || [], color: [16, 185, 129] },
+        { key: 'd60', title: t('roadmap.d60'), actions: roadmap.d60 || [], color: [8, 145, 178] },
+        { key: 'd90', title: t('roadmap.d90'), actions: roadmap.d90 || [], color: [139, 92, 246] }
       ];
       
+      // Dated tasks (owner, effort, dates, dependencies) when the report has them
+      const taskRows = typeof Elev8Calculator !== 'undefined' && analysis.roadmapTasks?.length
+        ? Elev8Calculator.getRoadmapTaskRows(analysis, locale)
+        : [];
+      if (taskRows.length) {
+        doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+        doc.setFontSize(9);
+        doc.setTextColor(...TYPOGRAPHY.colorMeta);
+        doc.text(`${t('tasks.programStart')}: ${Elev8I18n.formatDate(Elev8Calculator.offsetDate(Elev8Calculator.getProgramStartDate(analysis), 0), undefined, locale)}`, CONTENT.left, currentY);
+        currentY += 7;
+      }
+      
       phases.forEach((phase, phaseIdx) => {
         // Check if we need a new page
         if (currentY > CONTENT.bottom - 40) {
@@ -1884,9 +2258,26 @@ window.YBG_PDF = window.YBG_PDF || {};
         doc.setTextColor(...TYPOGRAPHY.colorBody);
         
         phase.actions.forEach((action, idx) => {
-          const lines = doc.splitTextToSize(`${idx + 1}. ${action}`, CONTENT.width - 8);
+          const task = taskRows.find(row => row.id === `${phase.key}-${idx + 1}`);
+          const lines = doc.splitTextToSize(`${task ? task.number : idx + 1}. ${action}`, CONTENT.width - 8);
           doc.text(lines, CONTENT.left + 3, currentY);
           currentY += lines.length * 4.7 + 1;
+          
+          if (task) {
+            const details = [
+              `${task.start} – ${task.due}`,
+              `${t('tasks.ownerRole')}: ${task.owner}`,
+              `${t('tasks.effort')}: ${task.effort}`,
+              ...(task.dependsOn ? [`${t('tasks.dependsOn')}: ${task.dependsOn}`] : [])
+            ].join('  ·  ');
+            doc.setFontSize(8.5);
+            doc.setTextColor(...TYPOGRAPHY.colorMeta);
+            const detailLines = doc.splitTextToSize(details, CONTENT.width - 14);
+            doc.text(detailLines, CONTENT.left + 8, currentY);
+            currentY += detailLines.length * 4 + 1.5;
+            doc.setFontSize(10);
+            doc.setTextColor(...TYPOGRAPHY.colorBody);
+          }
         });
         
         currentY += 5;
@@ -1894,9 +2285,15 @@ window.YBG_PDF = window.YBG_PDF || {};
       
       // ---- Add Footers to All Pages ----
       const totalPages = pageNum;
+      const footerLabels = {
+        brand: t('pdf.footerBrand'),
+        page: (page, total) => t('pdf.page', { page, total }),
+        copyright: t('pdf.copyright'),
+        disclaimer: t('footer.disclaimer')
+      };
       for (let i = 1; i <= totalPages; i++) {
         doc.setPage(i);
-        await drawFooter(doc, i, totalPages);
+        await drawFooter(doc, i, totalPages, footerLabels);
       }
       
       // Save PDF with timestamp
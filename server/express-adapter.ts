@@ -0,0 +1,48 @@
+import type { Express, Request, Response } from "express";
+import { formatSseEvent, SSE_HEADERS } from "@shared/diagnostic-stream";
+import { getClientIp, runApiHandler, type ApiRequest, type ApiResponse, type ApiRoute } from "@shared/api-handlers";
+import { getUserId } from "./auth";
+
+// Client IP of an Express request (see getClientIp in shared/api-handlers.ts)
+export function getRequestIp(req: Request): string {
+  return getClientIp(req.headers, req.socket?.remoteAddress);
+}
+
+export function toApiRequest(req: Request): ApiRequest {
+  return {
+    method: req.method,
+    path: req.path,
+    params: req.params,
+    query: req.query as Record<string, unknown>,
+    headers: req.headers,
+    body: req.body ?? {},
+    ip: getRequestIp(req),
+    userId: getUserId(req),
+  };
+}
+
+export async function sendApiResponse(res: Response, response: ApiResponse): Promise<void> {
+  if (!('events' in response)) {
+    res.status(response.status).json(response.body);
+    return;
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+  try {
+    await response.events((event, data) => {
+      res.write(formatSseEvent(event, data));
+    });
+  } finally {
+    res.end();
+  }
+}
+
+// Serves the shared handlers (shared/api-handlers.ts) from an Express app
+export function mountApiRoutes(app: Express, routes: ApiRoute[]): void {
+  for (const route of routes) {
+    const method = route.method.toLowerCase() as 'get' | 'post' | 'delete';
+    app[method](route.path, async (req, res) => {
+      await sendApiResponse(res, await runApiHandler(route, toApiRequest(req)));
+    });
+  }
+}
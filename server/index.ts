@@ -4,6 +4,7 @@ import rateLimit from "express-rate-limit";
 import { registerRoutes } from "./routes";
 import { setupVite, serveStatic, log } from "./vite";
 import { authenticateToken } from "./auth";
+import { getAiProviderName } from "@shared/ai-provider";
 
 const app = express();
 
@@ -169,12 +170,15 @@ app.use((req, res, next) => {
     log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     log(`CORS: ${isProduction ? 'Production (locked)' : 'Development (permissive)'}`);
     
-    // Log API key detection (masked)
+    // Log AI provider and API key detection (masked)
+    const aiProvider = getAiProviderName();
+    log(`AI provider: ${aiProvider}${aiProvider === 'local' ? ` (${process.env.AI_BASE_URL})` : ''}`);
+    
     const apiKey = process.env.OPENAI_API_KEY;
     if (apiKey) {
       const masked = `${apiKey.substring(0, 4)}****${apiKey.substring(apiKey.length - 4)}`;
       log(`OPENAI key detected: ${masked}`);
-    } else {
+    } else if (aiProvider === 'openai') {
       log("⚠️  OPENAI_API_KEY not found in environment variables");
     }
   });
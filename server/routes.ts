@@ -3,228 +3,140 @@ import { createServer, type Server } from "http";
 import { storage } from "./storage";
 import express from "express";
 import path from "path";
-import OpenAI from "openai";
-import sanitizeHtml from "sanitize-html";
-import { resolveProfile, type FilingProfile } from "@shared/filing-profiles";
+import { getAiProvider } from "@shared/ai-provider";
+import { createApiRoutes, type ApiContext } from "@shared/api-handlers";
+import { CHAT_TOOL, CHAT_USAGE_TOOL, appendChatExchange, generateReportChatReply, getChatMessageCap, normalizeConversation, validateChatQuestion } from "@shared/report-chat";
+import { PromptRegistry, buildGenerationProvenance } from "@shared/prompt-registry";
+import { GenerationCache } from "@shared/generation-cache";
+import { meterProvider } from "@shared/generation-events";
+import { checkUsage, recordUsage } from "@shared/usage-limits";
+import { MAX_HISTORY_ASSESSMENTS, buildAssessmentHistory, getBusinessKey, getReportBusinessName, type CurrentAssessment } from "@shared/assessment-history";
+import { createDbComplianceReportStore, createDbGenerationEventStore, createDbJobStore, createDbPromptStore, createDbUsageStore } from "@shared/db-stores";
+import { getRequestIp, mountApiRoutes } from "./express-adapter";
 import { db } from "./db";
-import { complianceReports, insertComplianceReportSchema, type ComplianceReport, usageTracking, savedElev8Reports, insertSavedElev8ReportSchema, type SavedElev8Report } from "@shared/schema";
-import { eq, desc, or, and, sql } from "drizzle-orm";
+import { savedElev8Reports, insertSavedElev8ReportSchema, type SavedElev8Report } from "@shared/schema";
+import { eq, desc, and, isNull, lte, sql } from "drizzle-orm";
 import { getUserId, hasAccess, requireAuth } from "./auth";
 
-// Get anonymous user ID from browser-provided client ID
-function getAnonymousUserId(req: Request): string {
-  const clientId = req.headers['x-client-id'] as string;
-  if (!clientId) {
-    throw new Error('X-Client-Id header is required');
+// Give reports saved before business keys existed the key of the business name in their
+// analysis data, so histories can be read by key alone. Reports without a usable name stay
+// unkeyed and are checked again on the next history request (only their names are read).
+async function backfillBusinessKeys(ipAddress: string): Promise<void> {
+  const data = savedElev8Reports.analysisData;
+  const legacy = await db
+    .select({
+      id: savedElev8Reports.id,
+      businessName: sql<string | null>`${data}->>'businessName'`,
+      formBusinessName: sql<string | null>`${data}->'formData'->>'businessName'`,
+    })
+    .from(savedElev8Reports)
+    .where(and(
+      eq(savedElev8Reports.ipAddress, ipAddress),
+      eq(savedElev8Reports.tool, 'Elev8Analyzer'),
+      isNull(savedElev8Reports.businessKey)
+    ));
+
+  for (const row of legacy) {
+    const businessName = getReportBusinessName({ businessName: row.businessName, formData: { businessName: row.formBusinessName } });
+    const businessKey = getBusinessKey(businessName);
+    if (!businessKey) continue;
+    await db
+      .update(savedElev8Reports)
+      .set({ businessKey, businessName })
+      .where(eq(savedElev8Reports.id, row.id));
   }
-  return `anon_${clientId}`;
 }
 
-// Sanitize HTML content to prevent XSS
-function sanitizeHtmlContent(html: string): string {
-  return sanitizeHtml(html, {
-    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']),
-    allowedAttributes: {
-      ...sanitizeHtml.defaults.allowedAttributes,
-      '*': ['style', 'class'],
-    },
-  });
-}
-
-// Get client IP address from request (30-report cap enforcement)
-// Supports Vercel, Cloudflare, and other proxy environments
-function getClientIp(req: Request): string {
-  // Try Vercel-specific headers first (highest priority for Vercel deployments)
-  const vercelIp = req.headers['x-vercel-forwarded-for'] || req.headers['x-vercel-ip-address'];
-  if (vercelIp) {
-    const ip = typeof vercelIp === 'string' ? vercelIp.split(',')[0].trim() : String(vercelIp).trim();
-    console.log(`[IP Detection] Detected via Vercel header: ${ip}`);
-    return ip;
-  }
-  
-  // Try standard x-forwarded-for header (most common proxy header)
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded) {
-    const ip = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : String(forwarded[0]).trim();
-    console.log(`[IP Detection] Detected via x-forwarded-for: ${ip}`);
-    return ip;
-  }
-  
-  // Try x-real-ip header (used by some proxies)
-  const realIp = req.headers['x-real-ip'];
-  if (realIp) {
-    const ip = typeof realIp === 'string' ? realIp.trim() : String(realIp).trim();
-    console.log(`[IP Detection] Detected via x-real-ip: ${ip}`);
-    return ip;
-  }
-  
-  // Fallback to socket remote address (direct connection)
-  const socketIp = req.socket?.remoteAddress;
-  if (socketIp) {
-    console.log(`[IP Detection] Detected via socket: ${socketIp}`);
-    return socketIp;
-  }
-  
-  // Log all headers for debugging when IP cannot be determined
-  console.error('[IP Detection] Failed to detect IP. Available headers:', {
-    'x-vercel-forwarded-for': req.headers['x-vercel-forwarded-for'],
-    'x-vercel-ip-address': req.headers['x-vercel-ip-address'],
-    'x-forwarded-for': req.headers['x-forwarded-for'],
-    'x-real-ip': req.headers['x-real-ip'],
-    'socket.remoteAddress': req.socket?.remoteAddress
-  });
-  
-  return 'unknown';
-}
-
-// Normalize and validate tool parameter (prevent bypass via case/variant strings)
-function normalizeTool(tool: any): 'Elev8Analyzer' | 'GrantGenie' | 'CompliPilot' {
-  const normalized = String(tool || 'GrantGenie').toLowerCase().trim();
-  if (normalized === 'elev8analyzer') {
-    return 'Elev8Analyzer';
-  }
-  if (normalized === 'grantgenie') {
-    return 'GrantGenie';
-  }
-  if (normalized === 'complipilot') {
-    return 'CompliPilot';
-  }
-  return 'GrantGenie'; // Default to GrantGenie for backward compatibility
-}
-
-// Check usage limit (read-only check before generation)
-async function checkUsageLimit(req: Request, tool: string = 'Elev8Analyzer'): Promise<{ allowed: boolean; count: number }> {
+// Assessment history of one business for the current IP (see shared/assessment-history.ts)
+async function sendAssessmentHistory(req: Request, res: Response, business: unknown, current: CurrentAssessment) {
   try {
-    const ipAddress = getClientIp(req);
-    
-    if (ipAddress === 'unknown') {
-      // Log warning but allow the request - better for testing and temporary failures
-      console.warn('[Usage] Unable to determine client IP - allowing request with monitoring');
-      console.warn('[Usage] This should be investigated if it happens frequently in production');
-      return { allowed: true, count: 0 }; // Allow but don't track
-    }
-
-    // Check current usage for this specific tool
-    const existing = await db
-      .select()
-      .from(usageTracking)
-      .where(and(
-        eq(usageTracking.ipAddress, ipAddress),
-        eq(usageTracking.tool, tool)
-      ))
-      .limit(1);
-
-    const currentCount = existing.length > 0 ? existing[0].reportCount : 0;
-
-    // Check against 30-report limit per tool
-    if (currentCount >= 30) {
-      console.log(`[Usage] IP ${ipAddress} has reached limit for ${tool}: ${currentCount}/30`);
-      return { allowed: false, count: currentCount };
-    }
-
-    console.log(`[Usage] IP ${ipAddress} current usage for ${tool}: ${currentCount}/30`);
-    return { allowed: true, count: currentCount };
-  } catch (error) {
-    console.error('[Usage] Check error:', error);
-    // Fail open for soft launch - allow generation if usage tracking fails
-    return { allowed: true, count: 0 };
-  }
-}
+    const ipAddress = getRequestIp(req);
 
-// Increment usage after successful generation (atomic with limit enforcement)
-async function incrementUsage(req: Request, tool: string = 'Elev8Analyzer'): Promise<{ success: boolean; count: number; limitReached?: boolean }> {
-  try {
-    const ipAddress = getClientIp(req);
-    
     if (ipAddress === 'unknown') {
-      // Log warning but allow the increment to complete without tracking
-      console.warn('[Usage] Unable to determine client IP - skipping usage tracking');
-      console.warn('[Usage] Report will be delivered but not counted toward limit');
-      return { success: true, count: 0, limitReached: false }; // Allow but don't track
+      return res.status(400).json({ 
+        error: "Unable to determine client IP address." 
+      });
     }
 
-    // Atomic increment with strict limit enforcement per tool
-    // Only increments if count < 30 (prevents race conditions)
-    const updated = await db
-      .update(usageTracking)
-      .set({
-        reportCount: sql`${usageTracking.reportCount} + 1`,
-        lastUpdated: new Date(),
-      })
-      .where(and(
-        eq(usageTracking.ipAddress, ipAddress),
-        eq(usageTracking.tool, tool),
-        sql`${usageTracking.reportCount} < 30`
-      ))
-      .returning();
-
-    if (updated.length > 0) {
-      // Successfully incremented
-      console.log(`[Usage] IP ${ipAddress} incremented ${tool} to ${updated[0].reportCount}/30`);
-      return { success: true, count: updated[0].reportCount };
+    const businessKey = getBusinessKey(business);
+    if (!businessKey) {
+      return res.status(400).json({ 
+        error: "A business name is required." 
+      });
     }
 
-    // No rows updated - either doesn't exist or already at limit
-    const existing = await db
-      .select()
-      .from(usageTracking)
-      .where(and(
-        eq(usageTracking.ipAddress, ipAddress),
-        eq(usageTracking.tool, tool)
-      ))
-      .limit(1);
+    await backfillBusinessKeys(ipAddress);
+
+    const ownReports = and(
+      eq(savedElev8Reports.ipAddress, ipAddress),
+      eq(savedElev8Reports.tool, 'Elev8Analyzer'),
+      eq(savedElev8Reports.businessKey, businessKey)
+    );
 
-    if (existing.length > 0) {
-      // Record exists and is at/over limit
-      console.log(`[Usage] IP ${ipAddress} already at limit for ${tool}: ${existing[0].reportCount}/30`);
-      return { success: false, count: existing[0].reportCount, limitReached: true };
+    // A saved report is shown with the reports saved up to it
+    let savedBefore: Date | null = null;
+    if (current.reportId) {
+      const [report] = await db
+        .select({ createdAt: savedElev8Reports.createdAt })
+        .from(savedElev8Reports)
+        .where(and(ownReports, eq(savedElev8Reports.id, current.reportId)))
+        .limit(1);
+      savedBefore = report?.createdAt ?? null;
     }
 
-    // First report for this IP and tool - insert with count 1
-    const inserted = await db
-      .insert(usageTracking)
-      .values({
-        ipAddress,
-        tool,
-        reportCount: 1,
+    // Most recent assessments only, with just the analysis fields the scores are read from
+    const data = savedElev8Reports.analysisData;
+    const rows = await db
+      .select({
+        id: savedElev8Reports.id,
+        reportName: savedElev8Reports.reportName,
+        businessKey: savedElev8Reports.businessKey,
+        businessName: savedElev8Reports.businessName,
+        analysisData: sql<unknown>`json_build_object('framework', ${data}->'framework', 'pillars', ${data}->'pillars', 'overall', ${data}->'overall', 'indexCheck', ${data}->'indexCheck', 'scoring', ${data}->'scoring')`,
+        createdAt: savedElev8Reports.createdAt,
       })
-      .returning();
-    
-    console.log(`[Usage] IP ${ipAddress} first ${tool} report: 1/30`);
-    return { success: true, count: inserted[0].reportCount };
-  } catch (error) {
-    console.error('[Usage] Increment error - CRITICAL:', error);
-    // Return error state to prevent uncounted report delivery
-    return { success: false, count: 0, limitReached: true };
+      .from(savedElev8Reports)
+      .where(savedBefore ? and(ownReports, lte(savedElev8Reports.createdAt, savedBefore)) : ownReports)
+      .orderBy(desc(savedElev8Reports.createdAt))
+      .limit(MAX_HISTORY_ASSESSMENTS);
+
+    res.json(buildAssessmentHistory(businessKey, rows, current));
+  } catch (error: any) {
+    console.error("Error loading Elev8 report history:", error);
+    res.status(500).json({ 
+      error: "Failed to load report history.",
+    });
   }
 }
 
 export async function registerRoutes(app: Express): Promise<Server> {
   // Serve static files from public folder
   app.use(express.static(path.join(process.cwd(), "public")));
-  
-  // Database health check endpoint
-  app.get("/api/db/ping", async (req, res) => {
-    try {
-      const result = await db.execute(sql`SELECT 1 as ping`);
-      res.json({ 
-        ok: true, 
-        result: result.rows[0],
-        database: 'connected'
-      });
-    } catch (error: any) {
-      console.error("Database health check failed:", error);
-      res.status(500).json({ 
-        ok: false, 
-        error: error.message,
-        database: 'disconnected'
-      });
-    }
-  });
+
+  // Storage, AI provider and background work for the shared handlers (shared/api-handlers.ts)
+  const context: ApiContext = {
+    label: 'Express',
+    // AI_PROVIDER selects openai, local or mock
+    getProvider: getAiProvider,
+    // Versioned system prompts (bundled defaults, overridable from /api/admin/prompts)
+    promptRegistry: new PromptRegistry(createDbPromptStore(db)),
+    // Results for identical submissions (see shared/generation-cache.ts)
+    generationCache: new GenerationCache<Record<string, any>>(),
+    jobStore: createDbJobStore(db),
+    usageStore: createDbUsageStore(db),
+    reportStore: createDbComplianceReportStore(db),
+    eventStore: createDbGenerationEventStore(db),
+    pingDatabase: async () => (await db.execute(sql`SELECT 1 as ping`)).rows[0],
+    // The server process outlives the request, so a started job simply runs on
+    runInBackground: () => {},
+  };
+
+  // Routes shared with the Vercel catch-all (api/[...path].ts)
+  mountApiRoutes(app, createApiRoutes(context));
 
   // IP detection test endpoint (for troubleshooting Vercel deployments)
   app.get("/api/check-ip", (req, res) => {
-    const detectedIp = getClientIp(req);
+    const detectedIp = getRequestIp(req);
     
     res.json({
       detectedIp,
@@ -240,675 +152,6 @@ export async function registerRoutes(app: Express): Promise<Server> {
     });
   });
 
-  // Auth config endpoint (public)
-  app.get("/api/auth/config", (req, res) => {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-    
-    if (supabaseUrl && supabaseAnonKey) {
-      res.json({
-        supabaseUrl,
-        supabaseAnonKey,
-        authEnabled: true
-      });
-    } else {
-      res.json({
-        authEnabled: false,
-        message: "Authentication service not configured"
-      });
-    }
-  });
-  
-  // Initialize OpenAI client
-  const rawApiKey = process.env.OPENAI_API_KEY;
-  if (!rawApiKey) {
-    throw new Error("OPENAI_API_KEY is required");
-  }
-  
-  // Clean the API key - remove all whitespace and newlines
-  const apiKey = rawApiKey.replace(/\s+/g, '').trim();
-  
-  
-  const openai = new OpenAI({
-    apiKey: apiKey,
-  });
-
-  // GrantGenie grant proposal system prompt template
-  const getGrantProposalSystemPrompt = () => {
-    return `You are GrantGenie, an expert grant writing assistant with AI-powered capabilities.
-
-Your role is to generate professional, compelling grant proposal components that help organizations secure funding for their projects.
-
-CRITICAL FORMATTING RULES:
-1. ALWAYS structure your response with these exact 6 sections using markdown headings:
-   # Executive Summary
-   ## Needs Statement
-   ## Program Description
-   ## Outcomes & Evaluation
-   ## Budget Narrative
-   ## Implementation Timeline
-
-2. Format each section as follows:
-   - Executive Summary: Write 2-3 compelling paragraphs (200-250 words) that capture the essence of the project, the need it addresses, and expected impact
-   - Needs Statement: Write 2-3 paragraphs (250-300 words) that clearly articulate the problem, include relevant data and community context
-   - Program Description: Write 3-4 paragraphs (300-400 words) detailing activities, methods, target population, and implementation approach
-   - Outcomes & Evaluation: Write 2-3 paragraphs (200-250 words) with specific measurable outcomes and evaluation methodology
-   - Budget Narrative: Use bulleted list explaining major budget categories and justifying key expenses
-   - Implementation Timeline: Create a markdown table with columns: Phase | Activity | Timeframe | Milestone
-
-3. PLACEHOLDER HANDLING:
-   - If information is missing, insert clean placeholders like [Pending Details] or [INSERT DATA]
-   - NEVER leave blank sections or break structure
-   - For incomplete tables, include at least one placeholder row
-
-4. WRITING STYLE:
-   - Match the requested tone (professional, passionate, data-driven, community-focused, or academic)
-   - Be specific and compelling without exaggeration
-   - Use clear, persuasive language that demonstrates impact
-   - Include relevant data and evidence when available
-   - Maintain consistent voice throughout
-   - Avoid jargon unless it's industry-standard terminology
-
-5. TABLE FORMATTING:
-   - Always use proper markdown table syntax with | separators
-   - Include header row with column names
-   - Include separator row with dashes
-   - Add at least 3-4 data rows showing project phases
-   
-REMEMBER: Every grant proposal must tell a compelling story with all 6 sections. Focus on impact, feasibility, and measurable outcomes.`;
-  };
-
-  // Elev8 Analyzer 8-Pillar diagnostic system prompt template
-  const getDiagnosticSystemPrompt = () => {
-    return `You are Elev8 Analyzer, an expert business diagnostic assistant that evaluates companies across 8 critical pillars of business health and growth.
-
-Your role is to generate comprehensive, actionable reports that score each pillar (0-100), assign status indicators, and provide prioritized roadmaps for improvement.
-
-CRITICAL OUTPUT STRUCTURE - You MUST return valid JSON matching this exact schema:
-
-{
-  "overall": {
-    "score": <number 0-100>,
-    "summary": "<2-3 sentence high-level assessment>"
-  },
-  "pillars": [
-    {
-      "name": "Formation & Compliance",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Business Credit Readiness",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Financials & Cash Flow",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Operations & Systems",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Sales & Marketing",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Brand & Web Presence",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Risk & Legal Posture",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    },
-    {
-      "name": "Growth Strategy & Execution",
-      "score": <0-100>,
-      "status": "red|yellow|green",
-      "insights": ["insight 1", "insight 2"],
-      "actions": ["action 1", "action 2", "action 3"]
-    }
-  ],
-  "roadmap": {
-    "d30": ["30-day action 1", "30-day action 2", "30-day action 3"],
-    "d60": ["60-day action 1", "60-day action 2", "60-day action 3"],
-    "d90": ["90-day action 1", "90-day action 2", "90-day action 3"]
-  }
-}
-
-SCORING GUIDELINES:
-- Scores 0-40: Red status (critical issues, immediate attention required)
-- Scores 41-70: Yellow status (needs improvement, moderate priority)
-- Scores 71-100: Green status (solid foundation, optimize and maintain)
-- Overall score: Weighted average emphasizing Financials, Operations, and Sales & Marketing
-
-INSIGHTS GUIDELINES:
-- Provide 2 specific, data-driven insights per pillar
-- Reference the business information provided
-- Be honest but constructive
-
-ACTIONS GUIDELINES:
-- Provide exactly 3 prioritized, actionable steps per pillar
-- Make them specific, measurable, and achievable
-- Start with highest-impact items
-- Be realistic given company size and resources
-
-ROADMAP GUIDELINES:
-- 30-day: Quick wins and foundational fixes
-- 60-day: Process improvements and systematic changes
-- 90-day: Strategic initiatives and growth investments
-- Each timeframe should have 3 specific actions
-
-REMEMBER: Return ONLY valid JSON. No markdown, no extra text, just the JSON object.`;
-  };
-
-  // Helper: Compute timeline dates from deadline with validation
-  function computeTimelineDates(timeline: any[], deadline: string | null) {
-    if (!deadline) {
-      return timeline.map(item => ({
-        milestone: item.milestone,
-        owner: item.owner,
-        dueDate: `T${item.offsetDays}`,
-        notes: item.notes
-      }));
-    }
-    
-    // Validate deadline format
-    const deadlineDate = new Date(deadline);
-    if (isNaN(deadlineDate.getTime())) {
-      console.warn(`Invalid deadline format: ${deadline}, falling back to relative dates`);
-      return timeline.map(item => ({
-        milestone: item.milestone,
-        owner: item.owner,
-        dueDate: `T${item.offsetDays}`,
-        notes: item.notes
-      }));
-    }
-    
-    return timeline.map(item => {
-      const dueDate = new Date(deadlineDate);
-      dueDate.setDate(dueDate.getDate() + item.offsetDays);
-      
-      const month = String(dueDate.getMonth() + 1).padStart(2, '0');
-      const day = String(dueDate.getDate()).padStart(2, '0');
-      const year = dueDate.getFullYear();
-      
-      return {
-        milestone: item.milestone,
-        owner: item.owner,
-        dueDate: `${month}/${day}/${year}`,
-        notes: item.notes
-      };
-    });
-  }
-
-  // API endpoint for generating structured compliance data (HYBRID APPROACH)
-  app.post("/api/generate", async (req, res) => {
-    // Normalize and validate tool parameter (prevent usage cap bypass)
-    const tool = normalizeTool(req.body.tool);
-    const toolName = tool === 'GrantGenie' ? 'GrantGenie' : tool === 'Elev8Analyzer' ? 'Elev8 Analyzer' : 'CompliPilot';
-    
-    // Check 30-report usage limit BEFORE generation (soft launch protection)
-    const usageCheck = await checkUsageLimit(req, tool);
-    if (!usageCheck.allowed) {
-      console.log(`[Express] /api/generate - Request blocked: usage limit reached for ${tool} (${usageCheck.count}/30)`);
-      return res.status(429).json({
-        error: `You have reached your 30-report limit for the ${toolName} soft launch. Please upgrade to continue.`,
-        limitReached: true,
-        count: usageCheck.count,
-        limit: 30,
-        tool
-      });
-    }
-
-    const { formData } = req.body;
-    
-    try {
-      console.log(`[Express] /api/generate - Starting ${tool} report generation (usage: ${usageCheck.count}/30)`);
-      
-      // Input validation
-      if (!formData) {
-        return res.status(400).json({
-          error: "Form data is required.",
-        });
-      }
-
-      let response;
-      
-      // Handle Elev8 Analyzer diagnostic flow
-      if (tool === 'Elev8Analyzer') {
-        const {
-          businessName,
-          industry,
-          revenueRange,
-          creditProfile,
-          employees,
-          challenges,
-          goals
-        } = formData;
-
-        // Validate required fields for diagnostic
-        if (!businessName || !industry || !revenueRange || !employees) {
-          return res.status(400).json({
-            error: "Business name, industry, revenue range, and employee count are required.",
-          });
-        }
-
-        console.log(`Generating business analysis for: ${businessName} (${industry})`);
-
-        // Build diagnostic prompt
-        const diagnosticPrompt = `Generate a comprehensive business health diagnostic for the following company:
-
-BUSINESS PROFILE:
-- Business Name: ${businessName}
-- Industry: ${industry}
-- Annual Revenue: ${revenueRange}
-- Credit Profile: ${creditProfile || 'Not provided'}
-- Employees: ${employees}
-
-CHALLENGES:
-${challenges || 'Not specified'}
-
-STRATEGIC GOALS:
-${goals || 'Not specified'}
-
-Analyze this business across all 8 pillars and provide a detailed, actionable assessment. Be specific and realistic based on the profile provided. Return ONLY valid JSON matching the exact structure specified in the system prompt.`;
-
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o",
-          messages: [
-            {
-              role: "system",
-              content: getDiagnosticSystemPrompt()
-            },
-            {
-              role: "user",
-              content: diagnosticPrompt,
-            },
-          ],
-          response_format: { type: "json_object" },
-          max_tokens: 3500,
-        });
-
-        response = JSON.parse(completion.choices[0].message.content || '{}');
-        console.log("Business diagnostic generated successfully");
-
-      } else {
-        // Handle GrantGenie grant proposal flow
-        const {
-          projectName,
-          organizationType,
-          problemNeed,
-          solutionActivities,
-          outcomesImpact,
-          budgetAmount,
-          grantType,
-          tone = 'Professional'
-        } = formData;
-
-        // Validate required fields
-        if (!projectName || !organizationType || !problemNeed || !solutionActivities || !outcomesImpact || !budgetAmount || !grantType) {
-          return res.status(400).json({
-            error: "All required fields must be completed.",
-          });
-        }
-
-        console.log(`Generating grant proposal for: ${projectName} - ${grantType} (${organizationType})`);
-
-        // Build grant proposal prompt with all user inputs
-        const grantProposalPrompt = `You are a professional grant writing expert specializing in compelling, fundable proposals.
-
-Generate a comprehensive grant proposal for:
-- Project/Organization: ${projectName}
-- Organization Type: ${organizationType}
-- Grant Type: ${grantType}
-- Budget: ${budgetAmount}
-- Writing Tone: ${tone}
-
-PROJECT DETAILS:
-Problem/Need Statement:
-${problemNeed}
-
-Proposed Solution/Activities:
-${solutionActivities}
-
-Expected Outcomes & Impact:
-${outcomesImpact}
-
-Generate a JSON object with these fields:
-{
-  "executiveSummary": "Write 2-3 compelling paragraphs (200-250 words) that capture the project's essence, the critical need it addresses, and the transformative impact it will have. Hook the reader immediately.",
-  
-  "needsStatement": "Write 2-3 detailed paragraphs (250-300 words) that clearly articulate the problem. Include relevant data, demographics, community context, and why this issue is urgent and significant.",
-  
-  "programDescription": "Write 3-4 detailed paragraphs (300-400 words) explaining the proposed activities, implementation approach, target population, methods, and how activities directly address the stated need.",
-  
-  "outcomesEvaluation": "Write 2-3 paragraphs (200-250 words) with specific, measurable outcomes (SMART goals), evaluation methodology, success metrics, and how you'll demonstrate impact to funders.",
-  
-  "budgetNarrative": [
-    "List 5-8 major budget categories with clear justifications. For example: 'Personnel (${budgetAmount ? '$' + (parseInt(budgetAmount.replace(/[^0-9]/g, '')) * 0.6).toLocaleString() : '$XX,XXX'}): Program Director and Staff - Salaries for experienced team members who will...'",
-    "Include categories like: Personnel, Programs/Activities, Equipment, Facilities, Evaluation, Administrative Costs"
-  ],
-  
-  "timeline": [
-    {"phase": "Phase 1: Planning", "activity": "Specific activity", "timeframe": "Months 1-2", "milestone": "Deliverable/outcome"},
-    {"phase": "Phase 2: Implementation", "activity": "Specific activity", "timeframe": "Months 3-8", "milestone": "Deliverable/outcome"},
-    {"phase": "Phase 3: Evaluation", "activity": "Specific activity", "timeframe": "Months 9-12", "milestone": "Deliverable/outcome"}
-  ],
-  
-  "recommendations": [
-    "3-5 strategic recommendations for strengthening this proposal before submission"
-  ]
-}
-
-IMPORTANT: 
-- Write in ${tone} tone throughout
-- Be specific and compelling without exaggeration
-- Use data and evidence from the problem statement
-- Ensure all sections tell a cohesive, compelling story
-- Timeline should span the full project period (typically 12 months)
-- Budget narrative should justify how funds directly support activities
-- Return ONLY valid JSON, no explanations`;
-
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o",
-          messages: [
-            {
-              role: "system",
-              content: getGrantProposalSystemPrompt()
-            },
-            {
-              role: "user",
-              content: grantProposalPrompt,
-            },
-          ],
-          response_format: { type: "json_object" },
-          max_tokens: 3000,
-        });
-
-        const aiResponse = JSON.parse(completion.choices[0].message.content || '{}');
-
-        response = {
-          summary: aiResponse.executiveSummary || `Grant proposal for ${projectName}.`,
-          needsStatement: aiResponse.needsStatement || problemNeed,
-          programDescription: aiResponse.programDescription || solutionActivities,
-          outcomesEvaluation: aiResponse.outcomesEvaluation || outcomesImpact,
-          budgetNarrative: aiResponse.budgetNarrative || [`Budget: ${budgetAmount}`],
-          timeline: aiResponse.timeline || [],
-          recommendations: aiResponse.recommendations || ["Review and refine before submission"]
-        };
-
-        console.log("Grant proposal generated successfully");
-      }
-
-      // Increment usage counter AFTER successful generation (atomic operation with limit enforcement)
-      const incrementResult = await incrementUsage(req, tool);
-      
-      // If increment failed due to limit (race condition), reject the request
-      if (!incrementResult.success && incrementResult.limitReached) {
-        console.log(`[Express] /api/generate - Request completed but limit reached during increment for ${tool}: ${incrementResult.count}/30`);
-        return res.status(429).json({
-          error: `You have reached your 30-report limit for the ${toolName} soft launch. Please upgrade to continue.`,
-          limitReached: true,
-          count: incrementResult.count,
-          limit: 30,
-          tool
-        });
-      }
-
-      res.json(response);
-    } catch (error: any) {
-      console.error("Error in /api/generate:", error);
-
-      // Handle specific OpenAI errors
-      if (error.code === "insufficient_quota") {
-        return res.status(503).json({
-          error: "Service temporarily unavailable. Please try again later.",
-        });
-      }
-
-      if (error.status === 429) {
-        return res.status(429).json({
-          error: "Too many requests. Please wait a moment and try again.",
-        });
-      }
-
-      if (error.status === 401) {
-        return res.status(401).json({
-          error: "Authentication failed. Please check API configuration.",
-        });
-      }
-
-      // Generic error response
-      res.status(500).json({
-        error: "An unexpected error occurred. Please try again.",
-      });
-    }
-  });
-
-  // Save a compliance report (uses browser client ID)
-  app.post("/api/reports/save", async (req, res) => {
-    try {
-      // Get anonymous user ID from browser client ID
-      let userId;
-      try {
-        userId = getAnonymousUserId(req);
-      } catch (error: any) {
-        if (error.message === 'X-Client-Id header is required') {
-          return res.status(400).json({ error: 'X-Client-Id header is required' });
-        }
-        throw error;
-      }
-      
-      const reportData = insertComplianceReportSchema.parse(req.body);
-      
-      // Sanitize HTML content before saving
-      const sanitizedData = {
-        ...reportData,
-        htmlContent: sanitizeHtmlContent(reportData.htmlContent),
-        userId: userId, // Force ownership to authenticated user
-        ownerId: '', // Clear legacy ownerId field
-      };
-      
-      const [savedReport] = await db
-        .insert(complianceReports)
-        .values(sanitizedData)
-        .returning();
-
-      res.json(savedReport);
-    } catch (error: any) {
-      console.error("Error saving report:", error);
-      
-      // Production-safe error response
-      if (process.env.NODE_ENV === 'production') {
-        res.status(400).json({
-          error: "Failed to save report. Please try again.",
-        });
-      } else {
-        res.status(400).json({
-          error: "Failed to save report. Please check your input.",
-          details: error.message,
-        });
-      }
-    }
-  });
-
-  // List all saved reports (filtered by toolkit and ownership) - uses browser client ID
-  app.get("/api/reports/list", async (req, res) => {
-    try {
-      // Get anonymous user ID from browser client ID
-      let userId;
-      try {
-        userId = getAnonymousUserId(req);
-      } catch (error: any) {
-        if (error.message === 'X-Client-Id header is required') {
-          return res.status(400).json({ error: 'X-Client-Id header is required' });
-        }
-        throw error;
-      }
-
-      const toolkit = req.query.toolkit as string;
-      if (!toolkit) {
-        return res.status(400).json({
-          error: "toolkit query parameter is required",
-        });
-      }
-
-      // Filter by authenticated user's ID only
-      const reports = await db
-        .select({
-          id: complianceReports.id,
-          name: complianceReports.name,
-          entityName: complianceReports.entityName,
-          entityType: complianceReports.entityType,
-          jurisdiction: complianceReports.jurisdiction,
-          filingType: complianceReports.filingType,
-          deadline: complianceReports.deadline,
-          checksum: complianceReports.checksum,
-          createdAt: complianceReports.createdAt,
-        })
-        .from(complianceReports)
-        .where(and(
-          eq(complianceReports.toolkitCode, toolkit),
-          eq(complianceReports.userId, userId)
-        ))
-        .orderBy(desc(complianceReports.createdAt));
-
-      res.json(reports);
-    } catch (error: any) {
-      console.error("Error listing reports:", error);
-      
-      // Production-safe error response
-      if (process.env.NODE_ENV === 'production') {
-        res.status(500).json({
-          error: "Failed to retrieve reports. Please try again.",
-        });
-      } else {
-        res.status(500).json({
-          error: "Failed to retrieve reports.",
-          details: error.message,
-        });
-      }
-    }
-  });
-
-  // Get a specific report by ID (with ownership validation) - uses browser client ID
-  app.get("/api/reports/:id", async (req, res) => {
-    try {
-      // Get anonymous user ID from browser client ID
-      let userId;
-      try {
-        userId = getAnonymousUserId(req);
-      } catch (error: any) {
-        if (error.message === 'X-Client-Id header is required') {
-          return res.status(400).json({ error: 'X-Client-Id header is required' });
-        }
-        throw error;
-      }
-
-      const { id } = req.params;
-      
-      const [report] = await db
-        .select()
-        .from(complianceReports)
-        .where(and(
-          eq(complianceReports.id, id),
-          eq(complianceReports.userId, userId) // Enforce ownership
-        ));
-
-      if (!report) {
-        return res.status(404).json({
-          error: "Report not found.",
-        });
-      }
-
-      res.json(report);
-    } catch (error: any) {
-      console.error("Error retrieving report:", error);
-      
-      // Production-safe error response
-      if (process.env.NODE_ENV === 'production') {
-        res.status(500).json({
-          error: "Failed to retrieve report. Please try again.",
-        });
-      } else {
-        res.status(500).json({
-          error: "Failed to retrieve report.",
-          details: error.message,
-        });
-      }
-    }
-  });
-
-  // Delete a specific report by ID (with ownership validation) - uses browser client ID
-  app.delete("/api/reports/:id", async (req, res) => {
-    try {
-      // Get anonymous user ID from browser client ID
-      let userId;
-      try {
-        userId = getAnonymousUserId(req);
-      } catch (error: any) {
-        if (error.message === 'X-Client-Id header is required') {
-          return res.status(400).json({ error: 'X-Client-Id header is required' });
-        }
-        throw error;
-      }
-
-      const { id } = req.params;
-      
-      // Delete only if owned by the authenticated user
-      const result = await db
-        .delete(complianceReports)
-        .where(and(
-          eq(complianceReports.id, id),
-          eq(complianceReports.userId, userId) // Enforce ownership
-        ))
-        .returning();
-
-      if (result.length === 0) {
-        return res.status(404).json({
-          error: "Report not found or access denied.",
-        });
-      }
-
-      res.json({ success: true });
-    } catch (error: any) {
-      console.error("Error deleting report:", error);
-      
-      // Production-safe error response
-      if (process.env.NODE_ENV === 'production') {
-        res.status(500).json({
-          error: "Failed to delete report. Please try again.",
-        });
-      } else {
-        res.status(500).json({
-          error: "Failed to delete report.",
-          details: error.message,
-        });
-      }
-    }
-  });
-
   // =====================================================
   // ELEV8 ANALYZER SAVED REPORTS API
   // =====================================================
@@ -916,7 +159,7 @@ IMPORTANT:
   // Save Elev8 Analyzer report (IP-based, no auth required)
   app.post("/api/elev8/reports/save", async (req, res) => {
     try {
-      const ipAddress = getClientIp(req);
+      const ipAddress = getRequestIp(req);
       
       if (ipAddress === 'unknown') {
         return res.status(400).json({ 
@@ -932,12 +175,15 @@ IMPORTANT:
         });
       }
 
-      // Validate using Zod schema
+      // Validate using Zod schema; the business name groups reassessments of one business
+      const businessName = getReportBusinessName(analysisData);
       const validationResult = insertSavedElev8ReportSchema.safeParse({
         ipAddress,
         tool: 'Elev8Analyzer',
         reportName: reportName.trim(),
         analysisData,
+        businessKey: getBusinessKey(businessName),
+        businessName,
       });
 
       if (!validationResult.success) {
@@ -970,7 +216,7 @@ IMPORTANT:
   // List all saved Elev8 Analyzer reports for current IP
   app.get("/api/elev8/reports/list", async (req, res) => {
     try {
-      const ipAddress = getClientIp(req);
+      const ipAddress = getRequestIp(req);
       
       if (ipAddress === 'unknown') {
         return res.status(400).json({ 
@@ -983,6 +229,8 @@ IMPORTANT:
         .select({
           id: savedElev8Reports.id,
           reportName: savedElev8Reports.reportName,
+          businessKey: savedElev8Reports.businessKey,
+          businessName: savedElev8Reports.businessName,
           createdAt: savedElev8Reports.createdAt,
         })
         .from(savedElev8Reports)
@@ -1001,11 +249,30 @@ IMPORTANT:
     }
   });
 
+  // Score history of one business across its saved reports for current IP. `business` is a
+  // business name or the businessKey of a saved report; `report` ends the history at that
+  // saved report.
+  app.get("/api/elev8/reports/history", async (req, res) => {
+    const reportId = typeof req.query.report === 'string' ? req.query.report : undefined;
+    await sendAssessmentHistory(req, res, req.query.business, { reportId });
+  });
+
+  // Score history with an unsaved analysis added after the saved reports
+  app.post("/api/elev8/reports/history", async (req, res) => {
+    const { business, analysis } = req.body || {};
+    if (!analysis || typeof analysis !== 'object') {
+      return res.status(400).json({ 
+        error: "Analysis data is required." 
+      });
+    }
+    await sendAssessmentHistory(req, res, business, { analysis });
+  });
+
   // Load a specific Elev8 Analyzer report
   app.get("/api/elev8/reports/load/:id", async (req, res) => {
     try {
       const { id } = req.params;
-      const ipAddress = getClientIp(req);
+      const ipAddress = getRequestIp(req);
       
       if (ipAddress === 'unknown') {
         return res.status(400).json({ 
@@ -1043,7 +310,7 @@ IMPORTANT:
   app.delete("/api/elev8/reports/delete/:id", async (req, res) => {
     try {
       const { id } = req.params;
-      const ipAddress = getClientIp(req);
+      const ipAddress = getRequestIp(req);
       
       if (ipAddress === 'unknown') {
         return res.status(400).json({ 
@@ -1078,6 +345,98 @@ IMPORTANT:
     }
   });
 
+  // Follow-up question about a saved Elev8 report (counts against the chat allowance, usage_tracking
+  // tool "elev8chat", not the report cap)
+  app.post("/api/elev8/reports/:id/chat", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const ipAddress = getRequestIp(req);
+      
+      if (ipAddress === 'unknown') {
+        return res.status(400).json({ 
+          error: "Unable to determine client IP address." 
+        });
+      }
+
+      // A missing or non-string question is a 400 (INVALID_CHAT_REQUEST)
+      const question = validateChatQuestion(req.body?.question);
+
+      // Get report, ensuring it belongs to this IP and tool
+      const [report] = await db
+        .select()
+        .from(savedElev8Reports)
+        .where(and(
+          eq(savedElev8Reports.id, id),
+          eq(savedElev8Reports.ipAddress, ipAddress),
+          eq(savedElev8Reports.tool, 'Elev8Analyzer')
+        ))
+        .limit(1);
+
+      if (!report) {
+        return res.status(404).json({ 
+          error: "Report not found or access denied." 
+        });
+      }
+
+      const chatCap = getChatMessageCap();
+      const usageCheck = await checkUsage(context.usageStore, ipAddress, CHAT_USAGE_TOOL, chatCap);
+      if (!usageCheck.allowed) {
+        return res.status(429).json({
+          error: "You've used all of your follow-up questions.",
+          code: 'CHAT_LIMIT_REACHED',
+          limitReached: true,
+          count: usageCheck.count,
+          limit: chatCap,
+        });
+      }
+
+      const conversation = normalizeConversation(report.conversation);
+      const systemPrompt = await context.promptRegistry.resolve('elev8-chat');
+      const { reply, completion } = await generateReportChatReply(meterProvider(context.getProvider(), context.eventStore, { ipAddress, userId: getUserId(req) }), report.analysisData, conversation, question, systemPrompt.content);
+
+      const incrementResult = await recordUsage(context.usageStore, ipAddress, CHAT_USAGE_TOOL, chatCap);
+      if (!incrementResult.success && incrementResult.limitReached) {
+        return res.status(429).json({
+          error: "You've used all of your follow-up questions.",
+          code: 'CHAT_LIMIT_REACHED',
+          limitReached: true,
+          count: incrementResult.count,
+          limit: chatCap,
+        });
+      }
+
+      const updated = appendChatExchange(conversation, question, reply, buildGenerationProvenance(systemPrompt, CHAT_TOOL, completion));
+      await db
+        .update(savedElev8Reports)
+        .set({ conversation: updated })
+        .where(eq(savedElev8Reports.id, report.id));
+
+      console.log(`[Elev8 Chat] Answered question ${incrementResult.count}/${chatCap} for report ${id}`);
+
+      res.json({
+        reply,
+        conversation: updated,
+        usage: { count: incrementResult.count, limit: chatCap },
+      });
+    } catch (error: any) {
+      console.error("Error in Elev8 report chat:", error);
+
+      if (error.code === "INVALID_CHAT_REQUEST") {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (error.status === 429) {
+        return res.status(429).json({
+          error: "Too many requests. Please wait a moment and try again.",
+        });
+      }
+
+      res.status(500).json({
+        error: "Failed to answer the question. Please try again.",
+      });
+    }
+  });
+
   // Stub endpoint for merging guest owner to authenticated user (future feature)
   app.post("/api/merge-owner", async (req, res) => {
     try {
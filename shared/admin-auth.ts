@@ -0,0 +1,34 @@
+// Admin Auth - Shared-secret check for operator-only endpoints (/api/admin/*)
+// Used in Express and Vercel. Admin endpoints are disabled unless ADMIN_API_KEY is set.
+
+import { timingSafeEqual } from "crypto";
+
+/*
+ * ENVIRONMENT VARIABLES for Admin Endpoints:
+ *
+ * ADMIN_API_KEY="long-random-string"
+ *   - Required in the X-Admin-Key header of every /api/admin/* request
+ */
+
+export const ADMIN_KEY_HEADER = 'x-admin-key';
+
+export type AdminCheck = 'ok' | 'disabled' | 'denied';
+
+export function verifyAdminKey(provided: string | string[] | undefined): AdminCheck {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) return 'disabled';
+
+  const value = Array.isArray(provided) ? provided[0] : provided;
+  if (!value) return 'denied';
+
+  const a = Buffer.from(value);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b) ? 'ok' : 'denied';
+}
+
+// Response for a failed admin check
+export function adminCheckError(check: AdminCheck): { status: number; body: { error: string } } {
+  return check === 'disabled'
+    ? { status: 503, body: { error: 'Admin API is not configured.' } }
+    : { status: 401, body: { error: 'Admin key required.' } };
+}
@@ -0,0 +1,253 @@
+// Mock AI Fixtures - Deterministic responses for AI_PROVIDER=mock
+// Shapes match what each generation flow expects from the live model (latest prompt versions)
+
+import type { AiTool, ChatMessage } from "./ai-provider.js";
+import { findFrameworkPillar, listFrameworks } from "./pillar-frameworks.js";
+
+export const ELEV8_DIAGNOSTIC_FIXTURE = {
+  overall: {
+    score: 58,
+    summary: "The business has a workable foundation but is held back by thin financial controls and an undeveloped credit profile. Tightening cash flow management and formalizing sales processes will unlock the next stage of growth.",
+  },
+  pillars: [
+    {
+      name: "Formation & Compliance",
+      score: 72,
+      status: "green",
+      insights: [
+        { text: "Entity is registered and in good standing based on the profile provided", evidence: ["questionnaire.fc_good_standing"] },
+        { text: "Annual filings and registered agent details should be tracked on a compliance calendar", evidence: ["questionnaire.fc_compliance_calendar"] },
+      ],
+      actions: [
+        { text: "Create a compliance calendar covering state, federal and local deadlines", evidence: ["questionnaire.fc_compliance_calendar"] },
+        { text: "Confirm the operating agreement reflects current ownership", evidence: [] },
+        { text: "Store formation documents in a shared, backed-up folder", evidence: [] },
+      ],
+    },
+    {
+      name: "Business Credit Readiness",
+      score: 38,
+      status: "red",
+      insights: [
+        { text: "No established business tradelines were reported", evidence: ["creditProfile", "questionnaire.bc_tradelines"] },
+        { text: "Owner credit is likely carrying the business, which limits funding options", evidence: ["creditProfile"] },
+      ],
+      actions: [
+        { text: "Register with Dun & Bradstreet and obtain a DUNS number", evidence: ["questionnaire.bc_duns"] },
+        { text: "Open two net-30 vendor accounts that report to business bureaus", evidence: [] },
+        { text: "Separate all business spending onto a business bank account and card", evidence: [] },
+      ],
+    },
+    {
+      name: "Financials & Cash Flow",
+      score: 49,
+      status: "yellow",
+      insights: [
+        { text: "Revenue is present but margins are not being tracked monthly", evidence: ["revenueRange", "financials.grossMargin"] },
+        { text: "There is no documented cash reserve target", evidence: ["questionnaire.fi_reserve_months"] },
+      ],
+      actions: [
+        { text: "Close the books monthly and review a profit and loss statement", evidence: ["questionnaire.fi_monthly_close"] },
+        { text: "Build a 13-week cash flow forecast", evidence: [] },
+        { text: "Set a reserve target of three months of operating expenses", evidence: [] },
+      ],
+    },
+    {
+      name: "Operations & Systems",
+      score: 55,
+      status: "yellow",
+      insights: [
+        { text: "Core processes live in the owner's head rather than written procedures", evidence: ["employees", "questionnaire.op_documented"] },
+        { text: "Tooling is adequate but not integrated", evidence: ["challenges"] },
+      ],
+      actions: [
+        { text: "Document the five most repeated processes as checklists", evidence: [] },
+        { text: "Consolidate scheduling, invoicing and CRM into connected tools", evidence: [] },
+        { text: "Assign an owner for each recurring operational task", evidence: [] },
+      ],
+    },
+    {
+      name: "Sales & Marketing",
+      score: 52,
+      status: "yellow",
+      insights: [
+        { text: "Most new business comes from referrals with no tracked pipeline", evidence: ["challenges", "questionnaire.sm_pipeline"] },
+        { text: "There is no defined ideal customer profile", evidence: [] },
+      ],
+      actions: [
+        { text: "Define an ideal customer profile and top three offers", evidence: [] },
+        { text: "Set up a simple pipeline with weekly follow-up targets", evidence: [] },
+        { text: "Launch one repeatable lead channel and measure cost per lead", evidence: [] },
+      ],
+    },
+    {
+      name: "Brand & Web Presence",
+      score: 61,
+      status: "yellow",
+      insights: [
+        { text: "A website exists but does not clearly state the offer or next step", evidence: ["questionnaire.br_website"] },
+        { text: "Online reviews are sparse", evidence: ["questionnaire.br_reviews"] },
+      ],
+      actions: [
+        { text: "Rewrite the homepage headline around the customer's main problem", evidence: [] },
+        { text: "Add a single clear call to action on every page", evidence: [] },
+        { text: "Ask the last ten happy customers for a review", evidence: [] },
+      ],
+    },
+    {
+      name: "Risk & Legal Posture",
+      score: 63,
+      status: "yellow",
+      insights: [
+        { text: "General liability coverage is in place but contracts are informal", evidence: ["questionnaire.rl_insurance", "questionnaire.rl_contracts"] },
+        { text: "Key-person risk is concentrated in the owner", evidence: ["employees"] },
+      ],
+      actions: [
+        { text: "Adopt a standard client agreement reviewed by counsel", evidence: [] },
+        { text: "Review insurance coverage against current revenue and headcount", evidence: [] },
+        { text: "Document a backup plan for critical owner responsibilities", evidence: [] },
+      ],
+    },
+    {
+      name: "Growth Strategy & Execution",
+      score: 57,
+      status: "yellow",
+      insights: [
+        { text: "Goals are stated but not broken into quarterly milestones", evidence: ["goals"] },
+        { text: "Growth depends on owner time, which is already at capacity", evidence: ["employees", "challenges"] },
+      ],
+      actions: [
+        { text: "Translate annual goals into three quarterly objectives", evidence: [] },
+        { text: "Hold a monthly review of progress against targets", evidence: [] },
+        { text: "Identify the first role to hire or outsource to free owner time", evidence: [] },
+      ],
+    },
+  ],
+  roadmap: {
+    d30: [
+      "Open a dedicated business bank account and card",
+      "Register for a DUNS number and two reporting vendor accounts",
+      "Build a compliance calendar with all upcoming deadlines",
+    ],
+    d60: [
+      "Implement monthly bookkeeping close and P&L review",
+      "Document the top five operating procedures",
+      "Set up a sales pipeline with weekly activity targets",
+    ],
+    d90: [
+      "Launch a repeatable lead generation channel",
+      "Complete a 13-week cash flow forecast and reserve plan",
+      "Define the first hire or outsourcing plan to support growth",
+    ],
+  },
+};
+
+export const PILLAR_DEEPDIVE_FIXTURE = {
+  insights: [
+    "Current practices in this area depend on the owner rather than documented routines",
+    "The gaps identified limit how quickly the business can take on larger customers",
+    "Competitors of a similar size typically formalize this area before reaching the next revenue stage",
+    "Improvements here would strengthen results in related pillars",
+  ],
+  actions: [
+    "Document the current process and identify the three biggest bottlenecks",
+    "Assign a single owner accountable for this area",
+    "Set monthly targets and review them in a standing meeting",
+    "Adopt one tool that removes the most manual work",
+    "Run a quarterly review comparing results against the targets",
+  ],
+  risks: [
+    "Continued reliance on the owner creates a single point of failure",
+    "Unaddressed gaps may block access to funding or larger contracts",
+  ],
+  kpis: [
+    "Monthly targets met - 80% or higher",
+    "Documented procedures - 5 core processes within 90 days",
+    "Owner hours spent on this area - reduced by 25%",
+  ],
+};
+
+export const GRANT_PROPOSAL_FIXTURE = {
+  executiveSummary: "This proposal requests funding to expand a community program that addresses a clearly documented local need. The project builds on existing partnerships and a track record of service delivery.\n\nWith support, the organization will reach more participants, measure outcomes rigorously and build a sustainable model for continued impact.",
+  needsStatement: "The target community faces persistent gaps in access to the services this program provides. [INSERT DATA] on the size and urgency of the need should be added before submission.\n\nExisting resources do not meet demand, and without intervention the gap is expected to widen.",
+  programDescription: "The program will deliver structured activities to the target population over twelve months. Activities are sequenced so that planning, delivery and evaluation reinforce one another.\n\nStaff and partners will coordinate outreach, service delivery and follow-up, with regular check-ins to adjust the approach based on participant feedback.",
+  outcomesEvaluation: "The project will track participation, completion and outcome measures against SMART targets. Baseline data will be collected at intake and compared against results at six and twelve months.\n\nFindings will be shared with funders in quarterly reports and a final evaluation summary.",
+  budgetNarrative: [
+    "Personnel: Program staff salaries for delivery and coordination",
+    "Programs/Activities: Materials and supplies for participant sessions",
+    "Evaluation: Data collection tools and external evaluation support",
+    "Administrative Costs: Share of facilities and overhead supporting the program",
+  ],
+  timeline: [
+    { phase: "Phase 1: Planning", activity: "Finalize partnerships and recruit participants", timeframe: "Months 1-2", milestone: "Program launch" },
+    { phase: "Phase 2: Implementation", activity: "Deliver core program activities", timeframe: "Months 3-8", milestone: "Mid-point progress report" },
+    { phase: "Phase 3: Evaluation", activity: "Measure outcomes and report results", timeframe: "Months 9-12", milestone: "Final evaluation report" },
+  ],
+  recommendations: [
+    "Add local data points to strengthen the needs statement",
+    "Include letters of support from named partners",
+    "Tie each budget line directly to a program activity",
+  ],
+};
+
+const COMPLIANCE_REPORT_FIXTURE = `<h2>Compliance Report</h2>
+<p>This is a mock compliance report generated without contacting an AI provider.</p>
+<h3>Next Steps</h3>
+<ul>
+<li>Confirm the filing deadline with the state agency</li>
+<li>Gather formation documents and officer information</li>
+<li>Submit the filing and keep the confirmation for your records</li>
+</ul>`;
+
+const REPORT_CHAT_FIXTURE = `Based on your report, Business Credit Readiness is one of your lowest pillars, so vendor tradelines are a good next step:
+1. Confirm your business name, address and phone number match across your bank, EIN records and D-U-N-S profile.
+2. Open net-30 accounts with two or three vendors that report to the business credit bureaus.
+3. Make small purchases each month and pay them before the due date.
+4. Check your business credit file after 60-90 days to confirm the tradelines are reporting.`;
+
+const GENERIC_RESPONSE_FIXTURE = "This is a mock response from the offline AI provider. Set AI_PROVIDER to \"openai\" or \"local\" to generate live content.";
+
+// Pillar names the diagnostic prompt asks for, in order (its numbered PILLARS list)
+function requestedPillarNames(messages: ChatMessage[]): string[] {
+  const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+  const section = prompt.split(/^PILLARS \(/m)[1];
+  if (!section) return [];
+  return Array.from(section.matchAll(/^\d+\. (.+?) \(weight [^)]*\):/gm), match => match[1]);
+}
+
+// The diagnostic fixture with the pillars the prompt asks for, like the model returns for
+// any framework: each pillar reuses the fixture pillar of its basis (by position for a
+// pillar no framework defines) under its own name
+export function buildDiagnosticFixture(messages: ChatMessage[]): typeof ELEV8_DIAGNOSTIC_FIXTURE {
+  const names = requestedPillarNames(messages);
+  if (names.length === 0) return ELEV8_DIAGNOSTIC_FIXTURE;
+
+  const frameworks = listFrameworks();
+  const corePillars = ELEV8_DIAGNOSTIC_FIXTURE.pillars;
+  const pillars = names.map((name, i) => {
+    const basis = frameworks.map(framework => findFrameworkPillar(framework, name)).find(Boolean)?.basis;
+    const source = corePillars.find(pillar => pillar.name === basis) || corePillars[i % corePillars.length];
+    return { ...source, name };
+  });
+  return { ...ELEV8_DIAGNOSTIC_FIXTURE, pillars };
+}
+
+// Return the fixture body for a tool as the provider would return it (JSON text or plain text)
+export function getMockFixture(tool: AiTool, json: boolean, messages: ChatMessage[] = []): string {
+  if (tool === 'elev8analyzer') {
+    return JSON.stringify(buildDiagnosticFixture(messages));
+  }
+  if (tool === 'elev8deepdive') {
+    return JSON.stringify(PILLAR_DEEPDIVE_FIXTURE);
+  }
+  if (tool === 'elev8chat') {
+    return REPORT_CHAT_FIXTURE;
+  }
+  if (tool === 'grantgenie') {
+    return JSON.stringify(GRANT_PROPOSAL_FIXTURE);
+  }
+  if (tool === 'complipilot') {
+    return COMPLIANCE_REPORT_FIXTURE;
+  }
+  return json ? JSON.stringify({ result: GENERIC_RESPONSE_FIXTURE }) : GENERIC_RESPONSE_FIXTURE;
+}
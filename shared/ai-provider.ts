@@ -0,0 +1,277 @@
+// AI Provider Layer - Shared by Express (server/routes.ts) and Vercel (api/[...path].ts)
+// Selects OpenAI, an OpenAI-compatible local endpoint, or the offline mock provider
+// from environment configuration, with per-tool model settings.
+
+import OpenAI from "openai";
+import { getMockFixture } from "./ai-fixtures.js";
+
+/*
+ * ENVIRONMENT VARIABLES for AI Providers:
+ *
+ * AI_PROVIDER="openai" | "local" | "mock" (default: "openai")
+ *   - openai: OpenAI API using OPENAI_API_KEY
+ *   - local:  any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM) at AI_BASE_URL
+ *   - mock:   deterministic fixture responses, no network or key required
+ *
+ * AI_BASE_URL="http://localhost:11434/v1"
+ *   - Base URL for the local provider
+ *
+ * AI_API_KEY=""
+ *   - Optional key for the local provider (most local servers ignore it)
+ *
+ * AI_MODEL / AI_MAX_TOKENS / AI_TEMPERATURE
+ *   - Global overrides applied to every tool
+ *
+ * AI_<TOOL>_MODEL / AI_<TOOL>_MAX_TOKENS / AI_<TOOL>_TEMPERATURE
+ *   - Per-tool overrides, e.g. AI_ELEV8ANALYZER_MODEL=llama3.1
+ *   - TOOL is one of ELEV8ANALYZER, ELEV8DEEPDIVE, ELEV8CHAT, GRANTGENIE, COMPLIPILOT, GENERIC
+ */
+
+export type AiProviderName = 'openai' | 'local' | 'mock';
+
+export type AiTool = 'elev8analyzer' | 'elev8deepdive' | 'elev8chat' | 'grantgenie' | 'complipilot' | 'generic';
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface ToolModelConfig {
+  model: string;
+  maxTokens: number;
+  temperature?: number;
+}
+
+export interface CompletionRequest {
+  tool: AiTool | string;
+  messages: ChatMessage[];
+  json?: boolean;
+  // Cancels the provider call, e.g. when a generation runs out of time
+  signal?: AbortSignal;
+}
+
+export interface CompletionResult {
+  content: string;
+  provider: AiProviderName;
+  model: string;
+  usage?: {
+    promptTokens: number;
+    completionTokens: number;
+  };
+}
+
+// Called with each content fragment as it arrives from a streaming completion
+export type StreamDeltaHandler = (delta: string) => void;
+
+export interface AiProvider {
+  name: AiProviderName;
+  complete(request: CompletionRequest): Promise<CompletionResult>;
+  // Same result as complete(), but reports content fragments while generating
+  stream(request: CompletionRequest, onDelta: StreamDeltaHandler): Promise<CompletionResult>;
+}
+
+// Defaults match the values previously hardcoded in each generation flow
+const TOOL_DEFAULTS: Record<AiTool, ToolModelConfig> = {
+  elev8analyzer: { model: 'gpt-4o', maxTokens: 3500 },
+  elev8deepdive: { model: 'gpt-4o', maxTokens: 2000 },
+  elev8chat: { model: 'gpt-4o', maxTokens: 800 },
+  grantgenie: { model: 'gpt-4o', maxTokens: 3000 },
+  complipilot: { model: 'gpt-4o', maxTokens: 4000 },
+  generic: { model: 'gpt-5', maxTokens: 2048 },
+};
+
+// Normalize a tool name to a known tool key (unknown tools use generic settings)
+export function normalizeAiTool(tool: string | undefined | null): AiTool {
+  const normalized = String(tool || '').toLowerCase().trim();
+  if (normalized in TOOL_DEFAULTS) {
+    return normalized as AiTool;
+  }
+  return 'generic';
+}
+
+function readNumberEnv(key: string): number | undefined {
+  const raw = process.env[key];
+  if (raw === undefined || raw.trim() === '') return undefined;
+  const value = Number(raw);
+  return isNaN(value) ? undefined : value;
+}
+
+// Resolve model, max tokens and temperature for a tool (per-tool env > global env > default)
+export function getToolModelConfig(tool: AiTool | string): ToolModelConfig {
+  const key = normalizeAiTool(tool);
+  const prefix = `AI_${key.toUpperCase()}_`;
+  const defaults = TOOL_DEFAULTS[key];
+
+  return {
+    model: process.env[`${prefix}MODEL`] || process.env.AI_MODEL || defaults.model,
+    maxTokens: readNumberEnv(`${prefix}MAX_TOKENS`) ?? readNumberEnv('AI_MAX_TOKENS') ?? defaults.maxTokens,
+    temperature: readNumberEnv(`${prefix}TEMPERATURE`) ?? readNumberEnv('AI_TEMPERATURE') ?? defaults.temperature,
+  };
+}
+
+// Get configured provider name from environment
+export function getAiProviderName(): AiProviderName {
+  const name = (process.env.AI_PROVIDER || 'openai').toLowerCase().trim();
+  if (name === 'local' || name === 'mock') {
+    return name;
+  }
+  return 'openai';
+}
+
+// Whether the provider could not be reached at all (refused, reset or timed out connections);
+// these errors carry no HTTP status
+export function isProviderConnectionError(error: unknown): boolean {
+  return error instanceof OpenAI.APIConnectionError;
+}
+
+// OpenAI and OpenAI-compatible endpoints share the same client
+class OpenAICompatibleProvider implements AiProvider {
+  private client: OpenAI;
+
+  constructor(public name: AiProviderName, options: { apiKey: string; baseURL?: string }) {
+    this.client = new OpenAI(options);
+  }
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    const config = getToolModelConfig(request.tool);
+
+    const completion = await this.client.chat.completions.create({
+      model: config.model,
+      messages: request.messages,
+      max_tokens: config.maxTokens,
+      ...(config.temperature !== undefined && { temperature: config.temperature }),
+      ...(request.json && { response_format: { type: "json_object" as const } }),
+    }, { signal: request.signal });
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      provider: this.name,
+      model: completion.model || config.model,
+      usage: completion.usage
+        ? {
+            promptTokens: completion.usage.prompt_tokens,
+            completionTokens: completion.usage.completion_tokens,
+          }
+        : undefined,
+    };
+  }
+
+  async stream(request: CompletionRequest, onDelta: StreamDeltaHandler): Promise<CompletionResult> {
+    const config = getToolModelConfig(request.tool);
+
+    const stream = await this.client.chat.completions.create({
+      model: config.model,
+      messages: request.messages,
+      max_tokens: config.maxTokens,
+      stream: true,
+      // Usage on the final chunk is OpenAI-specific; local servers may reject the option
+      ...(this.name === 'openai' && { stream_options: { include_usage: true } }),
+      ...(config.temperature !== undefined && { temperature: config.temperature }),
+      ...(request.json && { response_format: { type: "json_object" as const } }),
+    }, { signal: request.signal });
+
+    let content = '';
+    let model = config.model;
+    let usage: CompletionResult['usage'];
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (chunk.model) {
+        model = chunk.model;
+      }
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens,
+        };
+      }
+    }
+
+    return { content, provider: this.name, model, usage };
+  }
+}
+
+const MOCK_STREAM_CHUNK_SIZE = 48;
+
+// Deterministic offline provider backed by fixtures (no network, no key)
+class MockProvider implements AiProvider {
+  name: AiProviderName = 'mock';
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    request.signal?.throwIfAborted();
+    const config = getToolModelConfig(request.tool);
+    const content = getMockFixture(normalizeAiTool(request.tool), request.json === true, request.messages);
+    const promptLength = request.messages.reduce((sum, m) => sum + m.content.length, 0);
+
+    return {
+      content,
+      provider: 'mock',
+      model: `mock:${config.model}`,
+      // Rough 4-characters-per-token estimate keeps usage figures stable across runs
+      usage: {
+        promptTokens: Math.ceil(promptLength / 4),
+        completionTokens: Math.ceil(content.length / 4),
+      },
+    };
+  }
+
+  async stream(request: CompletionRequest, onDelta: StreamDeltaHandler): Promise<CompletionResult> {
+    const result = await this.complete(request);
+
+    // Emit the fixture in small fragments, yielding between them like a network stream
+    for (let i = 0; i < result.content.length; i += MOCK_STREAM_CHUNK_SIZE) {
+      request.signal?.throwIfAborted();
+      onDelta(result.content.slice(i, i + MOCK_STREAM_CHUNK_SIZE));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return result;
+  }
+}
+
+// Create a provider from environment configuration (throws if required settings are missing)
+export function createAiProvider(name: AiProviderName = getAiProviderName()): AiProvider {
+  if (name === 'mock') {
+    return new MockProvider();
+  }
+
+  if (name === 'local') {
+    const baseURL = process.env.AI_BASE_URL;
+    if (!baseURL) {
+      throw new Error('AI_BASE_URL is required when AI_PROVIDER=local');
+    }
+    return new OpenAICompatibleProvider('local', {
+      baseURL,
+      apiKey: (process.env.AI_API_KEY || 'local').trim(),
+    });
+  }
+
+  const rawApiKey = process.env.OPENAI_API_KEY;
+  if (!rawApiKey) {
+    throw new Error('OPENAI_API_KEY is required');
+  }
+
+  // Clean the API key - remove all whitespace and newlines
+  return new OpenAICompatibleProvider('openai', {
+    apiKey: rawApiKey.replace(/\s+/g, '').trim(),
+  });
+}
+
+let cachedProvider: AiProvider | null = null;
+
+// Lazily create and cache the configured provider
+export function getAiProvider(): AiProvider {
+  if (!cachedProvider) {
+    cachedProvider = createAiProvider();
+  }
+  return cachedProvider;
+}
+
+// Drop the cached provider (used after configuration changes)
+export function resetAiProvider(): void {
+  cachedProvider = null;
+}
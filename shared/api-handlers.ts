@@ -0,0 +1,1073 @@
+// Elev8 API Handlers - Framework-agnostic request handlers shared by Express and Vercel
+// Used by server/routes.ts (through server/express-adapter.ts) and api/[...path].ts (through
+// api/_lib/vercel-adapter.ts), so every route behaves the same on both. A handler takes a plain
+// request (method, path params, query, headers, parsed body, client IP) and returns a status and
+// JSON body, or Server-Sent Events; storage, the AI provider and background work come from the
+// ApiContext each adapter builds. Run `npx tsx test-api-parity.ts` to compare the two adapters.
+
+import { isProviderConnectionError, type AiProvider } from "./ai-provider.js";
+import { generateValidatedDiagnostic } from "./diagnostic-schema.js";
+import { streamValidatedDiagnostic, type SendEvent } from "./diagnostic-stream.js";
+import { DEEPDIVE_TOOL, DEEPDIVE_USAGE_TOOL, generatePillarDeepDive, getDeepDiveCap, mergePillarDeepDive } from "./pillar-deepdive.js";
+import { computeBaselineScores, blendWithBaseline, buildBaselineReport, describeFallbackReason, shouldFallBackToBaseline } from "./baseline-scoring.js";
+import { validateQuestionnaireAnswers, formatQuestionnaireForPrompt } from "./questionnaire.js";
+import { findPillarByBasis, formatFrameworkForPrompt, listFrameworkViews, resolveFrameworkId } from "./pillar-frameworks.js";
+import { attachWeighting, getWeightedFramework, listWeightingProfileViews, resolveWeightingProfileId } from "./weighting-profiles.js";
+import { parseFinancialStatements, formatFinancialsForPrompt } from "./financial-statements.js";
+import { attachBenchmark } from "./industry-benchmarks.js";
+import { attachEvidence, formatEvidenceForPrompt } from "./evidence.js";
+import { attachConfidence } from "./confidence.js";
+import { attachRoadmapTasks } from "./roadmap-tasks.js";
+import { USER_TEXT_GUARD, attachInputSafety, fenceUserText, safeUserText, scrubFreeText } from "./prompt-safety.js";
+import { COMPLIANCE_SELECT_OPTIONS, ELEV8_SELECT_OPTIONS, validateSelectFields } from "./intake-options.js";
+import { PromptRegistry, buildGenerationProvenance } from "./prompt-registry.js";
+import { normalizeLocale, formatLanguageInstruction } from "./locales.js";
+import { GenerationCache, buildGenerationCacheKey, isRegenerateRequest, markCached } from "./generation-cache.js";
+import { ADMIN_KEY_HEADER, adminCheckError, verifyAdminKey } from "./admin-auth.js";
+import { buildCostSummary, meterProvider, parseCostQuery, type GenerationEventStore, type GenerationRequester } from "./generation-events.js";
+import { GenerationJobError, createMemoryJobStore, getJobMaxAttempts, getJobTimeoutMs, isJobRunnable, newJobId, runGenerationJob, toJobResponse, withTimeout, type JobHandlers, type JobStore } from "./generation-jobs.js";
+import { checkUsage, getUsageMode, recordUsage, resolveReportTool, usageLimitError, type ReportTool, type UsageStore } from "./usage-limits.js";
+import { CLIENT_ID_HEADER, getReportOwnerId, prepareComplianceReport, type ComplianceReportStore } from "./compliance-reports.js";
+import { resolveProfile } from "./filing-profiles.js";
+
+export type ApiMethod = 'GET' | 'POST' | 'DELETE';
+
+export interface ApiRequest {
+  method: string;
+  path: string;
+  params: Record<string, string>;
+  query: Record<string, unknown>;
+  headers: Record<string, string | string[] | undefined>;  // lowercase names
+  body: any;
+  ip: string;              // 'unknown' when it cannot be determined
+  userId: string | null;   // signed-in user, when the adapter authenticates requests
+}
+
+export type ApiResponse =
+  | { status: number; body: unknown }
+  | { status: 200; events: (send: SendEvent) => Promise<void> };
+
+export type ApiHandler = (request: ApiRequest) => Promise<ApiResponse>;
+
+export interface ApiRoute {
+  method: ApiMethod;
+  path: string;            // Express-style, e.g. /api/jobs/:id
+  handler: ApiHandler;
+}
+
+export interface ApiContext {
+  label: string;                                  // log prefix, e.g. "Express"
+  getProvider: () => AiProvider;                  // resolved per request, so a misconfigured provider only fails generation
+  promptRegistry: PromptRegistry;
+  generationCache: GenerationCache<Record<string, any>>;
+  jobStore: JobStore | null;                      // null: background jobs are unavailable (every instance must see the same jobs)
+  usageStore: UsageStore | null;                  // null: usage is not counted
+  reportStore: ComplianceReportStore | null;      // null: compliance reports are unavailable
+  eventStore: GenerationEventStore | null;        // null: generations are not recorded
+  pingDatabase: (() => Promise<unknown>) | null;  // null: no database configured
+  // Keeps the platform from stopping a started background job when the response is sent
+  runInBackground(task: Promise<unknown>): void;
+}
+
+// A generated report to count and cache, or a response to send as is
+// (invalid input, cache hit, rules-based fallback)
+type Generation =
+  | { report: Record<string, any>; cacheKey: string | null }
+  | { response: ApiResponse };
+
+function json(status: number, body: unknown): ApiResponse {
+  return { status, body };
+}
+
+function firstHeader(value: string | string[] | undefined): string | undefined {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Client IP for usage limits and saved Elev8 reports
+// Supports Vercel, Cloudflare, and other proxy environments
+export function getClientIp(headers: ApiRequest['headers'], remoteAddress?: string | null): string {
+  // Try Vercel-specific headers first (highest priority for Vercel deployments)
+  const vercelIp = firstHeader(headers['x-vercel-forwarded-for']) || firstHeader(headers['x-vercel-ip-address']);
+  if (vercelIp) {
+    return vercelIp.split(',')[0].trim();
+  }
+
+  // Try standard x-forwarded-for header (most common proxy header)
+  const forwarded = firstHeader(headers['x-forwarded-for']);
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+
+  // Try x-real-ip header (used by some proxies)
+  const realIp = firstHeader(headers['x-real-ip']);
+  if (realIp) {
+    return realIp.trim();
+  }
+
+  // Fallback to socket remote address (direct connection)
+  if (remoteAddress) {
+    return remoteAddress;
+  }
+
+  console.error('[IP Detection] Failed to detect IP. Available headers:', {
+    'x-vercel-forwarded-for': headers['x-vercel-forwarded-for'],
+    'x-vercel-ip-address': headers['x-vercel-ip-address'],
+    'x-forwarded-for': headers['x-forwarded-for'],
+    'x-real-ip': headers['x-real-ip'],
+  });
+  return 'unknown';
+}
+
+// Route for a method and path, with its path params; routes are matched in order
+export function matchApiRoute(routes: ApiRoute[], method: string, path: string): { route: ApiRoute; params: Record<string, string> } | null {
+  const segments = path.replace(/\/+$/, '').split('/');
+
+  for (const route of routes) {
+    if (route.method !== method.toUpperCase()) continue;
+    const pattern = route.path.split('/');
+    if (pattern.length !== segments.length) continue;
+
+    const params: Record<string, string> = {};
+    const matches = pattern.every((part, i) => {
+      if (!part.startsWith(':')) return part === segments[i];
+      if (!segments[i]) return false;
+      params[part.slice(1)] = decodeURIComponent(segments[i]);
+      return true;
+    });
+    if (matches) return { route, params };
+  }
+  return null;
+}
+
+// Runs a handler; anything it throws becomes a JSON 500, never a platform error page
+export async function runApiHandler(route: ApiRoute, request: ApiRequest): Promise<ApiResponse> {
+  try {
+    return await route.handler(request);
+  } catch (error: any) {
+    console.error(`[API] ${request.method} ${request.path} error:`, error);
+    return json(500, {
+      error: 'Something went wrong. Please try again later.',
+      ...(process.env.NODE_ENV !== 'production' && { debug: error.message })
+    });
+  }
+}
+
+// Weighting profile, per-pillar benchmark, evidence and confidence, roadmap tasks and applied redactions for an Elev8 report built from formData
+export function annotateReport(report: any, formData: any): any {
+  return attachInputSafety(attachRoadmapTasks(attachConfidence(attachEvidence(attachBenchmark(attachWeighting(report, formData), formData), formData), formData)), formData);
+}
+
+// Elev8 Analyzer diagnostic user prompt (shared by /api/generate, /api/generate/stream and jobs)
+export function buildDiagnosticPrompt(formData: any): string {
+  const {
+    businessName,
+    industry,
+    revenueRange,
+    creditProfile,
+    employees,
+    challenges,
+    goals,
+    questionnaire,
+    financials,
+    locale
+  } = formData;
+
+  const framework = getWeightedFramework(formData);
+  const financialsPillar = findPillarByBasis(framework, 'Financials & Cash Flow')?.name || 'Financials & Cash Flow';
+  const questionnaireSection = formatQuestionnaireForPrompt(questionnaire);
+  const financialsSection = formatFinancialsForPrompt(financials);
+  const evidenceSection = formatEvidenceForPrompt(formData);
+  const languageInstruction = formatLanguageInstruction(normalizeLocale(locale));
+
+  return `Generate a comprehensive business health diagnostic for the following company:
+
+BUSINESS PROFILE:
+- Business Name: ${safeUserText(businessName, 'Not provided')}
+- Industry: ${industry}
+- Annual Revenue: ${revenueRange}
+- Credit Profile: ${creditProfile || 'Not provided'}
+- Employees: ${employees}
+
+CHALLENGES:
+${safeUserText(challenges)}
+
+STRATEGIC GOALS:
+${safeUserText(goals)}
+${questionnaireSection ? `\n${questionnaireSection}\n` : ''}${financialsSection ? `\n${financialsSection}\n\nBase the ${financialsPillar} score on these figures and reference them in its insights.\n` : ''}${evidenceSection ? `\n${evidenceSection}\n` : ''}
+${formatFrameworkForPrompt(framework)}
+
+${USER_TEXT_GUARD}
+
+Analyze this business across all ${framework.pillars.length} pillars and provide a detailed, actionable assessment. Be specific and realistic based on the profile provided. Return ONLY valid JSON matching the exact structure specified in the system prompt.${languageInstruction ? `\n\n${languageInstruction}` : ''}`;
+}
+
+// GrantGenie grant proposal user prompt, from intake text already masked by scrubFreeText()
+export function buildGrantProposalPrompt(formData: any, safeText: any): string {
+  const { organizationType, budgetAmount, grantType, tone } = formData;
+
+  return `You are a professional grant writing expert specializing in compelling, fundable proposals.
+
+Generate a comprehensive grant proposal for:
+- Project/Organization: ${fenceUserText(safeText.projectName)}
+- Organization Type: ${safeUserText(organizationType)}
+- Grant Type: ${safeUserText(grantType)}
+- Budget: ${safeUserText(budgetAmount)}
+- Writing Tone: ${safeUserText(tone, 'Professional')}
+
+PROJECT DETAILS:
+Problem/Need Statement:
+${fenceUserText(safeText.problemNeed)}
+
+Proposed Solution/Activities:
+${fenceUserText(safeText.solutionActivities)}
+
+Expected Outcomes & Impact:
+${fenceUserText(safeText.outcomesImpact)}
+
+${USER_TEXT_GUARD}
+
+Generate a JSON object with these fields:
+{
+  "executiveSummary": "Write 2-3 compelling paragraphs (200-250 words) that capture the project's essence, the critical need it addresses, and the transformative impact it will have. Hook the reader immediately.",
+
+  "needsStatement": "Write 2-3 detailed paragraphs (250-300 words) that clearly articulate the problem. Include relevant data, demographics, community context, and why this issue is urgent and significant.",
+
+  "programDescription": "Write 3-4 detailed paragraphs (300-400 words) explaining the proposed activities, implementation approach, target population, methods, and how activities directly address the stated need.",
+
+  "outcomesEvaluation": "Write 2-3 paragraphs (200-250 words) with specific, measurable outcomes (SMART goals), evaluation methodology, success metrics, and how you'll demonstrate impact to funders.",
+
+  "budgetNarrative": [
+    "List 5-8 major budget categories with clear justifications. For example: 'Personnel (${budgetAmount ? '$' + (parseInt(String(budgetAmount).replace(/[^0-9]/g, '')) * 0.6).toLocaleString() : '$XX,XXX'}): Program Director and Staff - Salaries for experienced team members who will...'",
+    "Include categories like: Personnel, Programs/Activities, Equipment, Facilities, Evaluation, Administrative Costs"
+  ],
+
+  "timeline": [
+    {"phase": "Phase 1: Planning", "activity": "Specific activity", "timeframe": "Months 1-2", "milestone": "Deliverable/outcome"},
+    {"phase": "Phase 2: Implementation", "activity": "Specific activity", "timeframe": "Months 3-8", "milestone": "Deliverable/outcome"},
+    {"phase": "Phase 3: Evaluation", "activity": "Specific activity", "timeframe": "Months 9-12", "milestone": "Deliverable/outcome"}
+  ],
+
+  "recommendations": [
+    "3-5 strategic recommendations for strengthening this proposal before submission"
+  ]
+}
+
+IMPORTANT:
+- Write in the Writing Tone given above throughout
+- Be specific and compelling without exaggeration
+- Use data and evidence from the problem statement
+- Ensure all sections tell a cohesive, compelling story
+- Timeline should span the full project period (typically 12 months)
+- Budget narrative should justify how funds directly support activities
+- Return ONLY valid JSON, no explanations`;
+}
+
+// Validates and normalizes an Elev8 intake in place; the 400 response when it is invalid
+function prepareElev8Intake(formData: any): ApiResponse | null {
+  if (!formData || !formData.businessName || !formData.industry || !formData.revenueRange || !formData.employees) {
+    return json(400, {
+      error: "Business name, industry, revenue range, and employee count are required.",
+    });
+  }
+
+  const questionnaireCheck = validateQuestionnaireAnswers(formData.questionnaire);
+  if (Object.keys(questionnaireCheck.errors).length > 0) {
+    return json(400, {
+      error: "Some questionnaire answers are invalid.",
+      fields: questionnaireCheck.errors,
+    });
+  }
+  formData.questionnaire = questionnaireCheck.answers;
+
+  const selectErrors = validateSelectFields(formData, ELEV8_SELECT_OPTIONS);
+  if (Object.keys(selectErrors).length > 0) {
+    return json(400, {
+      error: "Some fields have values that are not among the form's options.",
+      fields: selectErrors,
+    });
+  }
+
+  try {
+    formData.framework = resolveFrameworkId(formData.framework);
+    formData.weightingProfile = resolveWeightingProfileId(formData.weightingProfile);
+    formData.financials = parseFinancialStatements(formData.financialStatements) || undefined;
+  } catch (error: any) {
+    return json(400, {
+      error: error.message,
+      code: error.code,
+      ...(error.field ? { fields: { [error.field]: error.message } } : {}),
+    });
+  }
+  delete formData.financialStatements;
+  formData.locale = normalizeLocale(formData.locale);
+  return null;
+}
+
+// Status and body for a generation the AI provider could not complete
+function describeGenerationError(error: any): { status: number; body: Record<string, unknown> } {
+  // Model output could not be validated or repaired
+  if (error.code === "INVALID_DIAGNOSTIC") {
+    return {
+      status: 502,
+      body: {
+        error: "The analysis could not be generated in the expected format. Please try again.",
+        code: error.code,
+        issues: error.issues,
+      },
+    };
+  }
+
+  if (error.code === "JOB_TIMEOUT") {
+    return { status: 504, body: { error: "The analysis took too long to generate. Please try again.", code: error.code } };
+  }
+
+  if (error.code === "insufficient_quota") {
+    return { status: 503, body: { error: "Service temporarily unavailable. Please try again later." } };
+  }
+
+  if (isProviderConnectionError(error)) {
+    return { status: 503, body: { error: "The AI service could not be reached. Please try again later." } };
+  }
+
+  if (error.status === 429) {
+    return { status: 429, body: { error: "Too many requests. Please wait a moment and try again." } };
+  }
+
+  if (error.status === 401) {
+    return { status: 401, body: { error: "Authentication failed. Please check API configuration." } };
+  }
+
+  return { status: 500, body: { error: "An unexpected error occurred. Please try again." } };
+}
+
+// Every route that Express and Vercel both serve, in match order
+export function createApiRoutes(context: ApiContext): ApiRoute[] {
+  const log = (message: string) => console.log(`[${context.label}] ${message}`);
+
+  // AI provider for one request or job; each completion is recorded in generation_events
+  const meteredProvider = (requester: GenerationRequester) => meterProvider(context.getProvider(), context.eventStore, requester);
+  const requesterOf = (request: ApiRequest): GenerationRequester => ({ ipAddress: request.ip, userId: request.userId });
+
+  const resolveTool = (request: ApiRequest): ReportTool | ApiResponse => {
+    try {
+      return resolveReportTool(request.body?.tool ?? request.query.tool);
+    } catch (error: any) {
+      return json(400, { error: error.message, code: error.code });
+    }
+  };
+
+  // The 429 response when the requester's IP has used its reports for the tool
+  const checkReportLimit = async (request: ApiRequest, tool: ReportTool): Promise<ApiResponse | null> => {
+    const usage = await checkUsage(context.usageStore, request.ip, tool);
+    if (usage.allowed) return null;
+    log(`${request.path} - Request blocked: usage limit reached for ${tool} (${usage.count}/${usage.limit})`);
+    return json(429, usageLimitError(tool, usage));
+  };
+
+  // How an Elev8 generation job produces, commits and falls back (see shared/generation-jobs.ts)
+  const elev8JobHandlers: JobHandlers = {
+    async generate(job, signal) {
+      const formData = job.formData;
+      const systemPrompt = await context.promptRegistry.resolve('elev8-diagnostic');
+      const { diagnostic, completion, validation } = await generateValidatedDiagnostic(meteredProvider({ ipAddress: job.ipAddress, userId: null }), job.tool, [
+        {
+          role: "system",
+          content: systemPrompt.content
+        },
+        {
+          role: "user",
+          content: buildDiagnosticPrompt(formData),
+        },
+      ], { framework: getWeightedFramework(formData), signal });
+
+      return {
+        ...annotateReport(blendWithBaseline(diagnostic, computeBaselineScores(formData)), formData),
+        financials: formData.financials,
+        generation: buildGenerationProvenance(systemPrompt, job.tool, completion),
+        validation
+      };
+    },
+
+    async commit(job, result) {
+      const usage = await recordUsage(context.usageStore, job.ipAddress, job.tool);
+      if (!usage.success && usage.limitReached) {
+        log(`Job ${job.id} - Completed but limit reached during increment for ${job.tool}: ${usage.count}/${usage.limit}`);
+        throw new GenerationJobError(usageLimitError(job.tool, usage));
+      }
+      context.generationCache.set(buildGenerationCacheKey(job.tool, result.generation.prompt.version, job.formData), result);
+    },
+
+    // Rules-based report instead of a failed job; does not consume a report credit
+    async fallback(job, error) {
+      if (!shouldFallBackToBaseline(error)) return null;
+      const formData = job.formData;
+      const systemPrompt = await context.promptRegistry.resolve('elev8-diagnostic');
+      return {
+        ...annotateReport(buildBaselineReport(formData, computeBaselineScores(formData), describeFallbackReason(error, formData.locale)), formData),
+        financials: formData.financials,
+        generation: buildGenerationProvenance(systemPrompt, job.tool)
+      };
+    }
+  };
+
+  // Runs a background Elev8 generation job
+  const runJob = (jobStore: JobStore, id: string, handlers = elev8JobHandlers) => runGenerationJob(jobStore, id, handlers).catch((error) => {
+    console.error(`[${context.label}] Job ${id} could not be run:`, error);
+    return null;
+  });
+
+  // Elev8 diagnostic, blended with the rules-based baseline
+  const generateElev8Report = async (request: ApiRequest, formData: any, tool: ReportTool): Promise<Generation> => {
+    const invalid = prepareElev8Intake(formData);
+    if (invalid) return { response: invalid };
+
+    log(`/api/generate - Generating business analysis for: ${formData.businessName} (${formData.industry})`);
+
+    const systemPrompt = await context.promptRegistry.resolve('elev8-diagnostic');
+    const baseline = computeBaselineScores(formData);
+
+    // Identical input: return the earlier result without using a report credit
+    const cacheKey = buildGenerationCacheKey(tool, systemPrompt.version, formData);
+    const cached = isRegenerateRequest(request.body) ? null : context.generationCache.get(cacheKey);
+    if (cached) {
+      log(`/api/generate - Returning cached analysis from ${cached.cachedAt}`);
+      return { response: json(200, markCached(cached)) };
+    }
+
+    const blocked = await checkReportLimit(request, tool);
+    if (blocked) return { response: blocked };
+
+    try {
+      // Validate against the framework's pillars (repairs or retries once before failing),
+      // within the same time limit as a job attempt
+      const { diagnostic, completion, validation } = await withTimeout(signal => generateValidatedDiagnostic(meteredProvider(requesterOf(request)), tool, [
+        {
+          role: "system",
+          content: systemPrompt.content
+        },
+        {
+          role: "user",
+          content: buildDiagnosticPrompt(formData),
+        },
+      ], { framework: getWeightedFramework(formData), signal }), getJobTimeoutMs());
+
+      return {
+        cacheKey,
+        report: {
+          ...annotateReport(blendWithBaseline(diagnostic, baseline), formData),
+          financials: formData.financials,
+          generation: buildGenerationProvenance(systemPrompt, tool, completion),
+          validation
+        }
+      };
+    } catch (error: any) {
+      if (!shouldFallBackToBaseline(error)) throw error;
+
+      // Rules-based report instead of an error; does not consume a report credit
+      console.warn(`[${context.label}] /api/generate - AI generation failed, returning baseline report: ${error.message}`);
+      return {
+        response: json(200, {
+          ...annotateReport(buildBaselineReport(formData, baseline, describeFallbackReason(error, formData.locale)), formData),
+          financials: formData.financials,
+          generation: buildGenerationProvenance(systemPrompt, tool)
+        })
+      };
+    }
+  };
+
+  // GrantGenie grant proposal
+  const generateGrantProposal = async (request: ApiRequest, formData: any, tool: ReportTool): Promise<Generation> => {
+    const { projectName, organizationType, problemNeed, solutionActivities, outcomesImpact, budgetAmount, grantType } = formData;
+
+    if (!projectName || !organizationType || !problemNeed || !solutionActivities || !outcomesImpact || !budgetAmount || !grantType) {
+      return { response: json(400, { error: "All required fields must be completed." }) };
+    }
+
+    log(`/api/generate - Generating grant proposal for: ${projectName} - ${grantType} (${organizationType})`);
+
+    // Personal data in the narrative fields is masked before it reaches the provider
+    const { formData: safeText, record: inputSafety } = scrubFreeText(formData);
+    const systemPrompt = await context.promptRegistry.resolve('grant-proposal');
+
+    const cacheKey = buildGenerationCacheKey(tool, systemPrompt.version, formData);
+    const cached = isRegenerateRequest(request.body) ? null : context.generationCache.get(cacheKey);
+    if (cached) {
+      log(`/api/generate - Returning cached grant proposal from ${cached.cachedAt}`);
+      return { response: json(200, markCached(cached)) };
+    }
+
+    const blocked = await checkReportLimit(request, tool);
+    if (blocked) return { response: blocked };
+
+    const completion = await meteredProvider(requesterOf(request)).complete({
+      tool,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt.content
+        },
+        {
+          role: "user",
+          content: buildGrantProposalPrompt(formData, safeText),
+        },
+      ],
+      json: true,
+    });
+
+    const aiResponse = JSON.parse(completion.content || '{}');
+
+    return {
+      cacheKey,
+      report: {
+        summary: aiResponse.executiveSummary || `Grant proposal for ${projectName}.`,
+        needsStatement: aiResponse.needsStatement || problemNeed,
+        programDescription: aiResponse.programDescription || solutionActivities,
+        outcomesEvaluation: aiResponse.outcomesEvaluation || outcomesImpact,
+        budgetNarrative: aiResponse.budgetNarrative || [`Budget: ${budgetAmount}`],
+        timeline: aiResponse.timeline || [],
+        recommendations: aiResponse.recommendations || ["Review and refine before submission"],
+        inputSafety,
+        generation: buildGenerationProvenance(systemPrompt, tool, completion)
+      }
+    };
+  };
+
+  // CompliPilot compliance report: a bundled filing profile's checklist when one matches,
+  // otherwise generated HTML (not cached)
+  const generateComplianceReport = async (request: ApiRequest, formData: any, tool: ReportTool): Promise<Generation> => {
+    const selectErrors = validateSelectFields(formData, COMPLIANCE_SELECT_OPTIONS);
+    if (Object.keys(selectErrors).length > 0) {
+      return {
+        response: json(400, {
+          error: "Some fields have values that are not among the form's options.",
+          fields: selectErrors,
+        })
+      };
+    }
+
+    const blocked = await checkReportLimit(request, tool);
+    if (blocked) return { response: blocked };
+
+    const profile = resolveProfile(formData.filingType || '', formData.jurisdiction || '', formData.entityType || '');
+
+    if (profile) {
+      const checklistHtml = profile.checklist.map(item =>
+        `<li><strong>${item.label}:</strong> ${item.description}</li>`
+      ).join('\n');
+
+      return {
+        cacheKey: null,
+        report: {
+          reportHtml: `<h2>Filing Profile: ${profile.name}</h2>
+<h3>Requirements Checklist</h3>
+<ul>${checklistHtml}</ul>`
+        }
+      };
+    }
+
+    const prompt = `Generate a compliance report for:
+Entity: ${safeUserText(formData.entityName)}
+Type: ${formData.entityType || 'Not specified'}
+Jurisdiction: ${safeUserText(formData.jurisdiction)}
+Filing Type: ${formData.filingType || 'Not specified'}
+Deadline: ${safeUserText(formData.deadline)}
+
+${USER_TEXT_GUARD}`;
+
+    const completion = await meteredProvider(requesterOf(request)).complete({
+      tool,
+      messages: [{
+        role: "system",
+        content: "You are an AI assistant. Generate professional reports in HTML format."
+      }, {
+        role: "user",
+        content: prompt
+      }],
+    });
+
+    return { cacheKey: null, report: { reportHtml: completion.content || '' } };
+  };
+
+  // Report generation for every tool; a report uses one credit of the tool's cap
+  const generate: ApiHandler = async (request) => {
+    const tool = resolveTool(request);
+    if (typeof tool !== 'string') return tool;
+
+    const formData = request.body?.formData;
+    if (!formData) {
+      return json(400, { error: "Form data is required." });
+    }
+
+    // Each tool checks the report cap after its cache lookup, so a cached report is
+    // returned even at the cap
+    let generation: Generation;
+    try {
+      generation = tool === 'elev8analyzer'
+        ? await generateElev8Report(request, formData, tool)
+        : tool === 'grantgenie'
+          ? await generateGrantProposal(request, formData, tool)
+          : await generateComplianceReport(request, formData, tool);
+    } catch (error: any) {
+      console.error(`[${context.label}] Error in /api/generate:`, error);
+      const { status, body } = describeGenerationError(error);
+      return json(status, body);
+    }
+
+    if ('response' in generation) return generation.response;
+
+    // Count the report only once it exists; the increment enforces the cap atomically
+    const usage = await recordUsage(context.usageStore, request.ip, tool);
+    if (!usage.success && usage.limitReached) {
+      log(`/api/generate - Request completed but limit reached during increment for ${tool}: ${usage.count}/${usage.limit}`);
+      return json(429, usageLimitError(tool, usage));
+    }
+
+    if (generation.cacheKey) context.generationCache.set(generation.cacheKey, generation.report);
+    return json(200, generation.report);
+  };
+
+  // Streaming Elev8 diagnostic over Server-Sent Events (see shared/diagnostic-stream.ts)
+  // Errors before generation starts are plain JSON responses; later errors are "error" events.
+  // The generation runs as a job whose id is sent first, so a client whose stream is cut off
+  // polls this generation instead of starting (and being charged for) another one.
+  const generateStream: ApiHandler = async (request) => {
+    const tool = resolveTool(request);
+    if (typeof tool !== 'string') return tool;
+    if (tool !== 'elev8analyzer') {
+      return json(400, { error: "Streaming generation is only available for Elev8 Analyzer." });
+    }
+
+    const formData = request.body?.formData;
+    const invalid = prepareElev8Intake(formData);
+    if (invalid) return invalid;
+
+    const systemPrompt = await context.promptRegistry.resolve('elev8-diagnostic');
+    const cacheKey = buildGenerationCacheKey(tool, systemPrompt.version, formData);
+
+    // Identical input: replay the earlier result without using a report credit (even at the cap)
+    const cached = isRegenerateRequest(request.body) ? null : context.generationCache.get(cacheKey);
+    if (!cached) {
+      const blocked = await checkReportLimit(request, tool);
+      if (blocked) return blocked;
+    }
+
+    log(`/api/generate/stream - Streaming business analysis for: ${formData.businessName} (${formData.industry})`);
+
+    return {
+      status: 200,
+      events: async (send) => {
+        if (cached) {
+          log(`/api/generate/stream - Returning cached analysis from ${cached.cachedAt}`);
+          send('complete', markCached(cached));
+          return;
+        }
+
+        // Without a shared job store nobody else could poll the job, so it stays with this request
+        const jobStore = context.jobStore || createMemoryJobStore();
+        const job = await jobStore.create({
+          id: newJobId(),
+          tool,
+          status: 'queued',
+          formData,
+          ipAddress: request.ip,
+          maxAttempts: getJobMaxAttempts()
+        });
+        if (context.jobStore) send('job', { jobId: job.id });
+
+        const settled = await runJob(jobStore, job.id, {
+          ...elev8JobHandlers,
+          async generate(job, signal) {
+            if (job.attempts > 1) send('status', { stage: 'retrying', attempt: job.attempts });
+            const { diagnostic, completion, validation } = await streamValidatedDiagnostic(meteredProvider(requesterOf(request)), tool, [
+              {
+                role: "system",
+                content: systemPrompt.content
+              },
+              {
+                role: "user",
+                content: buildDiagnosticPrompt(formData),
+              },
+            ], send, getWeightedFramework(formData), signal);
+
+            return {
+              ...annotateReport(blendWithBaseline(diagnostic, computeBaselineScores(formData)), formData),
+              financials: formData.financials,
+              generation: buildGenerationProvenance(systemPrompt, tool, completion),
+              validation
+            };
+          }
+        });
+
+        if (settled?.status === 'succeeded') {
+          send('complete', settled.result);
+        } else if (settled?.status === 'failed' && settled.error) {
+          send('error', settled.error);
+        } else if (settled && context.jobStore) {
+          // Another worker has the job, or it is left for the next poll: the client polls it
+          log(`/api/generate/stream - Job ${job.id} continues in the background (${settled.status})`);
+        } else {
+          send('error', { error: "An unexpected error occurred. Please try again." });
+        }
+      }
+    };
+  };
+
+  // Without a shared job store a poll could reach an instance that never saw the job
+  const jobsUnavailable = (): ApiResponse =>
+    json(503, { error: "Background generation is unavailable: no job store is configured.", code: "JOBS_UNAVAILABLE" });
+
+  // Elev8 diagnostic as a background job: responds with a job id right away, and the
+  // result is fetched from GET /api/jobs/:id once the job succeeds
+  const createJob: ApiHandler = async (request) => {
+    const tool = resolveTool(request);
+    if (typeof tool !== 'string') return tool;
+    if (tool !== 'elev8analyzer') {
+      return json(400, { error: "Background generation is only available for Elev8 Analyzer." });
+    }
+    const jobStore = context.jobStore;
+    if (!jobStore) return jobsUnavailable();
+
+    const formData = request.body?.formData;
+    const invalid = prepareElev8Intake(formData);
+    if (invalid) return invalid;
+
+    try {
+      // Identical input: the job is created already finished with the earlier result (even at the cap)
+      const systemPrompt = await context.promptRegistry.resolve('elev8-diagnostic');
+      const cacheKey = buildGenerationCacheKey(tool, systemPrompt.version, formData);
+      const cached = isRegenerateRequest(request.body) ? null : context.generationCache.get(cacheKey);
+      if (!cached) {
+        const blocked = await checkReportLimit(request, tool);
+        if (blocked) return blocked;
+      }
+
+      const job = await jobStore.create({
+        id: newJobId(),
+        tool,
+        status: cached ? 'succeeded' : 'queued',
+        formData,
+        ipAddress: request.ip,
+        maxAttempts: getJobMaxAttempts(),
+        result: cached ? markCached(cached) : null
+      });
+
+      if (!cached) {
+        log(`/api/generate/jobs - Queued job ${job.id} for: ${formData.businessName} (${formData.industry})`);
+        context.runInBackground(runJob(jobStore, job.id));
+      }
+
+      return json(202, toJobResponse(job));
+    } catch (error: any) {
+      console.error(`[${context.label}] Error in /api/generate/jobs:`, error);
+      return json(500, { error: "Failed to start the analysis. Please try again." });
+    }
+  };
+
+  // Status and result of a background generation job
+  const getJob: ApiHandler = async (request) => {
+    const jobStore = context.jobStore;
+    if (!jobStore) return jobsUnavailable();
+
+    try {
+      const job = await jobStore.get(request.params.id);
+      if (!job) {
+        return json(404, { error: "Job not found.", code: "JOB_NOT_FOUND" });
+      }
+
+      // Queued, or the worker running it stopped before finishing: run it (again) from here
+      if (isJobRunnable(job)) {
+        log(`/api/jobs - Resuming job ${job.id} (${job.status}, attempt ${job.attempts}/${job.maxAttempts})`);
+        context.runInBackground(runJob(jobStore, job.id));
+      }
+
+      return json(200, toJobResponse(job));
+    } catch (error: any) {
+      console.error(`[${context.label}] Error in /api/jobs:`, error);
+      return json(500, { error: "Failed to load the job status." });
+    }
+  };
+
+  // 429 body when the deep-dive allowance is used up
+  const deepDiveLimitError = (usage: { count: number; limit: number }) => json(429, {
+    error: "You've used all of your pillar deep dives.",
+    code: 'DEEPDIVE_LIMIT_REACHED',
+    limitReached: true,
+    count: usage.count,
+    limit: usage.limit,
+  });
+
+  // Expand a single pillar of an existing analysis; counts against the deep-dive allowance,
+  // not a report credit
+  const deepDive: ApiHandler = async (request) => {
+    const { analysisData, pillarName, formData } = request.body || {};
+
+    if (!analysisData || !Array.isArray(analysisData.pillars) || !pillarName) {
+      return json(400, { error: "Analysis data and pillar name are required." });
+    }
+
+    const deepDiveCap = getDeepDiveCap();
+    const usageCheck = await checkUsage(context.usageStore, request.ip, DEEPDIVE_USAGE_TOOL, deepDiveCap);
+    if (!usageCheck.allowed) return deepDiveLimitError(usageCheck);
+
+    console.log(`[Elev8 Deep Dive] Expanding "${pillarName}" for ${analysisData.businessName || 'unnamed business'}`);
+
+    try {
+      const systemPrompt = await context.promptRegistry.resolve('elev8-deepdive');
+      const { pillarName: name, deepDive, completion } = await generatePillarDeepDive(meteredProvider(requesterOf(request)), analysisData, pillarName, formData, systemPrompt.content);
+      const generation = buildGenerationProvenance(systemPrompt, DEEPDIVE_TOOL, completion);
+
+      const usage = await recordUsage(context.usageStore, request.ip, DEEPDIVE_USAGE_TOOL, deepDiveCap);
+      if (!usage.success && usage.limitReached) return deepDiveLimitError(usage);
+
+      return json(200, {
+        pillarName: name,
+        deepDive,
+        generation,
+        analysisData: mergePillarDeepDive(analysisData, name, deepDive, generation),
+        usage: { count: usage.count, limit: deepDiveCap },
+      });
+    } catch (error: any) {
+      console.error(`[${context.label}] Error in pillar deep dive:`, error);
+
+      if (error.code === "INVALID_DEEPDIVE_REQUEST") {
+        return json(400, { error: error.message });
+      }
+
+      if (error.code === "INVALID_DEEPDIVE") {
+        return json(502, {
+          error: "The deep dive could not be generated in the expected format. Please try again.",
+          code: error.code,
+          issues: error.issues,
+        });
+      }
+
+      if (error.status === 429) {
+        return json(429, { error: "Too many requests. Please wait a moment and try again." });
+      }
+
+      return json(500, { error: "Failed to generate pillar deep dive." });
+    }
+  };
+
+  // Report count for the requester's IP (GET or action=check), or count one report (action=increment)
+  const usage: ApiHandler = async (request) => {
+    if (request.ip === 'unknown') {
+      return json(400, { error: 'Unable to determine client IP address' });
+    }
+
+    const tool = resolveTool(request);
+    if (typeof tool !== 'string') return tool;
+    const mode = getUsageMode();
+
+    if (request.method === 'GET' || String(request.query.action || 'check') === 'check') {
+      const usage = await checkUsage(context.usageStore, request.ip, tool);
+      return json(200, {
+        reportCount: usage.count,
+        hasReachedLimit: !usage.allowed,
+        limit: usage.limit,
+        tool,
+        mode
+      });
+    }
+
+    const usage = await recordUsage(context.usageStore, request.ip, tool);
+    if (!usage.success) {
+      return json(429, {
+        success: false,
+        error: 'Usage limit reached',
+        reportCount: usage.count,
+        limit: usage.limit,
+        tool
+      });
+    }
+    return json(200, {
+      success: true,
+      reportCount: usage.count,
+      limit: usage.limit,
+      tool,
+      mode
+    });
+  };
+
+  // Database health check
+  const pingDatabase: ApiHandler = async () => {
+    if (!context.pingDatabase) {
+      return json(200, { ok: false, error: 'Database not configured', database: 'not_configured' });
+    }
+
+    try {
+      return json(200, { ok: true, result: await context.pingDatabase(), database: 'connected' });
+    } catch (error: any) {
+      console.error("Database health check failed:", error);
+      return json(500, { ok: false, error: 'Database connection failed', database: 'disconnected' });
+    }
+  };
+
+  // Auth config (public - the anon key is meant to be public)
+  const authConfig: ApiHandler = async () => {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+
+    if (supabaseUrl && supabaseAnonKey) {
+      return json(200, { supabaseUrl, supabaseAnonKey, authEnabled: true });
+    }
+    return json(200, { authEnabled: false, message: "Authentication service not configured" });
+  };
+
+  // Operator-only routes require the X-Admin-Key header (see shared/admin-auth.ts)
+  const requireAdmin = (handler: ApiHandler): ApiHandler => async (request) => {
+    const check = verifyAdminKey(request.headers[ADMIN_KEY_HEADER]);
+    if (check !== 'ok') {
+      const { status, body } = adminCheckError(check);
+      return json(status, body);
+    }
+    return handler(request);
+  };
+
+  // Prompt registry and cost errors carry their own status and code
+  const adminError = (error: any, message: string): ApiResponse => {
+    if (error.code && error.status) {
+      return json(error.status, { error: error.message, code: error.code });
+    }
+    console.error(`[${context.label}] ${message}`, error);
+    return json(500, { error: message });
+  };
+
+  // Compliance report routes: the 400 response without an X-Client-Id, else the owner id
+  const reportOwner = (request: ApiRequest): string | ApiResponse =>
+    getReportOwnerId(request.headers[CLIENT_ID_HEADER]) ?? json(400, { error: 'X-Client-Id header is required' });
+
+  const reportsUnavailable = (action: string): ApiResponse =>
+    json(503, { error: `Report ${action} is temporarily unavailable`, message: 'Database not configured' });
+
+  // Production-safe error response (details outside production)
+  const reportError = (error: any, message: string): ApiResponse => {
+    console.error(`[${context.label}] ${message}`, error);
+    return json(500, {
+      error: `${message} Please try again.`,
+      ...(process.env.NODE_ENV !== 'production' && { details: error.message })
+    });
+  };
+
+  const saveReport: ApiHandler = async (request) => {
+    const owner = reportOwner(request);
+    if (typeof owner !== 'string') return owner;
+    if (!context.reportStore) return reportsUnavailable('saving');
+
+    let report;
+    try {
+      report = prepareComplianceReport(request.body, owner);
+    } catch (error: any) {
+      return json(400, { error: error.message, details: error.details });
+    }
+
+    try {
+      return json(200, await context.reportStore.insert(report));
+    } catch (error: any) {
+      return reportError(error, 'Failed to save report.');
+    }
+  };
+
+  const listReports: ApiHandler = async (request) => {
+    const owner = reportOwner(request);
+    if (typeof owner !== 'string') return owner;
+
+    const toolkit = request.query.toolkit;
+    if (typeof toolkit !== 'string' || !toolkit) {
+      return json(400, { error: 'toolkit query parameter is required' });
+    }
+    if (!context.reportStore) return json(200, []);
+
+    try {
+      return json(200, await context.reportStore.list(owner, toolkit));
+    } catch (error: any) {
+      return reportError(error, 'Failed to retrieve reports.');
+    }
+  };
+
+  const getReport: ApiHandler = async (request) => {
+    const owner = reportOwner(request);
+    if (typeof owner !== 'string') return owner;
+    if (!context.reportStore) return reportsUnavailable('retrieval');
+
+    try {
+      const report = await context.reportStore.get(owner, request.params.id);
+      return report ? json(200, report) : json(404, { error: 'Report not found.' });
+    } catch (error: any) {
+      return reportError(error, 'Failed to retrieve report.');
+    }
+  };
+
+  const deleteReport: ApiHandler = async (request) => {
+    const owner = reportOwner(request);
+    if (typeof owner !== 'string') return owner;
+    if (!context.reportStore) return reportsUnavailable('deletion');
+
+    try {
+      const deleted = await context.reportStore.delete(owner, request.params.id);
+      return deleted ? json(200, { success: true }) : json(404, { error: 'Report not found or access denied.' });
+    } catch (error: any) {
+      return reportError(error, 'Failed to delete report.');
+    }
+  };
+
+  return [
+    { method: 'GET', path: '/api/db/ping', handler: pingDatabase },
+    { method: 'GET', path: '/api/auth/config', handler: authConfig },
+    { method: 'GET', path: '/api/usage', handler: usage },
+    { method: 'POST', path: '/api/usage', handler: usage },
+
+    { method: 'POST', path: '/api/generate', handler: generate },
+    { method: 'POST', path: '/api/generate/stream', handler: generateStream },
+    { method: 'POST', path: '/api/generate/jobs', handler: createJob },
+    { method: 'GET', path: '/api/jobs/:id', handler: getJob },
+
+    // Pillar frameworks and weighting profiles for the intake form's selectors
+    { method: 'GET', path: '/api/elev8/frameworks', handler: async () => json(200, listFrameworkViews()) },
+    { method: 'GET', path: '/api/elev8/weighting-profiles', handler: async (request) => json(200, listWeightingProfileViews(request.query.industry, request.query.revenueRange)) },
+    { method: 'POST', path: '/api/elev8/pillars/deepdive', handler: deepDive },
+
+    // List bundled and stored prompt versions, flagging the active one per prompt
+    { method: 'GET', path: '/api/admin/prompts', handler: requireAdmin(async () => {
+      try {
+        return json(200, { prompts: await context.promptRegistry.list() });
+      } catch (error: any) {
+        return adminError(error, 'Failed to list prompt versions.');
+      }
+    }) },
+    // Add a new prompt version (pass "activate": true to make it live immediately)
+    { method: 'POST', path: '/api/admin/prompts', handler: requireAdmin(async (request) => {
+      try {
+        return json(201, { prompt: await context.promptRegistry.createVersion(request.body, 'admin') });
+      } catch (error: any) {
+        return adminError(error, 'Failed to create prompt version.');
+      }
+    }) },
+    // Activate a stored or bundled prompt version without a redeploy
+    { method: 'POST', path: '/api/admin/prompts/activate', handler: requireAdmin(async (request) => {
+      try {
+        return json(200, { prompt: await context.promptRegistry.activate(request.body?.name, request.body?.version) });
+      } catch (error: any) {
+        return adminError(error, 'Failed to activate prompt version.');
+      }
+    }) },
+    // Token and cost totals of recorded generations, grouped by day, tool, ip and/or user
+    { method: 'GET', path: '/api/admin/generation-costs', handler: requireAdmin(async (request) => {
+      if (!context.eventStore) {
+        return json(503, { error: 'Generation costs are only recorded when a database is configured.' });
+      }
+      try {
+        const query = parseCostQuery(request.query);
+        return json(200, buildCostSummary(query, await context.eventStore.summarize(query)));
+      } catch (error: any) {
+        return adminError(error, 'Failed to summarize generation costs.');
+      }
+    }) },
+
+    // Compliance reports of the other toolkits, owned by the browser's X-Client-Id
+    { method: 'POST', path: '/api/reports/save', handler: saveReport },
+    { method: 'GET', path: '/api/reports/list', handler: listReports },
+    { method: 'GET', path: '/api/reports/:id', handler: getReport },
+    { method: 'DELETE', path: '/api/reports/:id', handler: deleteReport },
+  ];
+}
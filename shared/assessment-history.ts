@@ -0,0 +1,160 @@
+// Elev8 Assessment History - Saved reports of one business over time, with score changes
+// Used by the saved Elev8 report routes in server/routes.ts (Express stores saved reports).
+// A saved report belongs to the business whose normalized name it was saved under
+// (business_key), so "Big Stake Consulting LLC" and "Big Stake Consulting, L.L.C." share one
+// history. Reports saved before business keys existed are given the key of the business name
+// in their analysisData when a history is first read. The browser renders the progress of
+// the report on screen from the history, so unsaved analyses are scored here as well.
+
+import { computeOverallIndex } from "./diagnostic-schema.js";
+import { getReportFramework } from "./pillar-frameworks.js";
+import { getIndexBand, statusFromScore, type PillarStatus, type StatusScale } from "./status-bands.js";
+
+// Assessments returned per business (the most recent are kept)
+export const MAX_HISTORY_ASSESSMENTS = 40;
+
+// Legal suffixes ignored when matching business names
+const LEGAL_SUFFIXES = new Set(['llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'lp', 'llp', 'pllc', 'pc']);
+
+export interface AssessmentPoint {
+  id: string | null;                        // null for an unsaved analysis
+  reportName: string;
+  createdAt: string;
+  framework: string;
+  overall: number;
+  band: string;
+  pillars: Array<{ name: string; score: number; status: PillarStatus }>;
+}
+
+export interface ScoreChange {
+  previous: number | null;
+  current: number | null;
+  delta: number | null;
+}
+
+export interface AssessmentProgress {
+  previous: { id: string | null; reportName: string; createdAt: string };
+  daysSince: number;
+  frameworkChanged: boolean;
+  overall: ScoreChange & { previousBand: string; currentBand: string };
+  // In the current assessment's pillar order; pillars it does not share with the previous one have no delta
+  pillars: Array<ScoreChange & { name: string; previousStatus: PillarStatus | null; currentStatus: PillarStatus }>;
+}
+
+export interface AssessmentHistory {
+  business: { key: string; name: string };
+  assessments: AssessmentPoint[];           // oldest first
+  progress: AssessmentProgress | null;      // latest assessment against the one before it
+}
+
+// Report the history is read for: a saved report (the history ends with it) or an unsaved
+// analysis (added after the saved reports)
+export interface CurrentAssessment {
+  reportId?: string;
+  analysis?: unknown;
+}
+
+// Saved report row as read for the history
+export interface SavedAssessmentRow {
+  id: string | null;
+  reportName: string;
+  createdAt: Date | string;
+  businessKey?: string | null;
+  businessName?: string | null;
+  analysisData: unknown;
+}
+
+// Business name a report was generated for
+export function getReportBusinessName(analysis: any): string | null {
+  const name = analysis?.businessName ?? analysis?.formData?.businessName;
+  return typeof name === 'string' && name.trim() ? name.trim() : null;
+}
+
+// "Big Stake Consulting, L.L.C." -> "big-stake-consulting" (null when nothing is left)
+export function getBusinessKey(name: unknown): string | null {
+  if (typeof name !== 'string') return null;
+  const words = name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.length ? words.join('-') : null;
+}
+
+// Scores of one saved report; the index follows Elev8Calculator.getDisplayIndex (reports
+// scored before the server computed the index are recomputed from their pillars)
+export function summarizeAssessment(row: SavedAssessmentRow): AssessmentPoint {
+  const analysis: any = row.analysisData ?? {};
+  const framework = getReportFramework(analysis);
+  const scale: StatusScale = analysis.framework?.statusBands?.pillar?.length ? analysis.framework.statusBands : framework.statusBands;
+  const pillars = (Array.isArray(analysis.pillars) ? analysis.pillars : [])
+    .filter((pillar: any) => typeof pillar?.name === 'string' && typeof pillar.score === 'number')
+    .map((pillar: any) => ({ name: pillar.name, score: pillar.score, status: statusFromScore(pillar.score, scale) }));
+  const overall = analysis.indexCheck || analysis.scoring || !pillars.length
+    ? Number(analysis.overall?.score) || 0
+    : computeOverallIndex(pillars, framework);
+
+  return {
+    id: row.id,
+    reportName: row.reportName,
+    createdAt: new Date(row.createdAt).toISOString(),
+    framework: framework.id,
+    overall,
+    band: getIndexBand(overall, scale).id,
+    pillars,
+  };
+}
+
+function change(previous: number | null, current: number | null): ScoreChange {
+  return { previous, current, delta: previous === null || current === null ? null : current - previous };
+}
+
+export function compareAssessments(current: AssessmentPoint, previous: AssessmentPoint): AssessmentProgress {
+  return {
+    previous: { id: previous.id, reportName: previous.reportName, createdAt: previous.createdAt },
+    daysSince: Math.max(0, Math.round((Date.parse(current.createdAt) - Date.parse(previous.createdAt)) / 86_400_000)),
+    frameworkChanged: current.framework !== previous.framework,
+    overall: { ...change(previous.overall, current.overall), previousBand: previous.band, currentBand: current.band },
+    pillars: current.pillars.map(pillar => {
+      const before = previous.pillars.find(p => p.name === pillar.name) || null;
+      return {
+        name: pillar.name,
+        ...change(before?.score ?? null, pillar.score),
+        previousStatus: before?.status ?? null,
+        currentStatus: pillar.status,
+      };
+    }),
+  };
+}
+
+// History of one business from saved reports of an IP address (in any order; reports of other
+// businesses are ignored), up to the current assessment when one is given
+export function buildAssessmentHistory(businessKey: string, rows: SavedAssessmentRow[], current: CurrentAssessment = {}): AssessmentHistory {
+  let matching = rows
+    .filter(row => (row.businessKey ?? getBusinessKey(getReportBusinessName(row.analysisData))) === businessKey)
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+  const savedIndex = current.reportId ? matching.findIndex(row => row.id === current.reportId) : -1;
+  if (savedIndex >= 0) {
+    matching = matching.slice(0, savedIndex + 1);
+  } else if (current.analysis) {
+    const analysis: any = current.analysis;
+    matching.push({ id: null, reportName: '', createdAt: analysis.timestamp || new Date(), analysisData: analysis });
+  }
+  matching = matching.slice(-MAX_HISTORY_ASSESSMENTS);
+
+  const assessments = matching.map(summarizeAssessment);
+  const latest = matching[matching.length - 1];
+
+  return {
+    business: { key: businessKey, name: (latest && (latest.businessName || getReportBusinessName(latest.analysisData))) || businessKey },
+    assessments,
+    progress: assessments.length > 1
+      ? compareAssessments(assessments[assessments.length - 1], assessments[assessments.length - 2])
+      : null,
+  };
+}
@@ -0,0 +1,639 @@
+// Elev8 Baseline Text - Wording of the rules-based baseline report in each report locale
+// Used by shared/baseline-scoring.ts for factor notes, pillar insights and actions, the summary
+// and the fallback reason. Strings use {name} placeholders like public/elev8-i18n.js, and the
+// question and pillar names match its "question." and "pillar." entries. Missing strings fall
+// back to English; pillars of frameworks from ELEV8_FRAMEWORKS keep their own fallback text.
+
+import type { PillarName } from "./diagnostic-schema.js";
+import { DEFAULT_LOCALE, type Locale } from "./locales.js";
+import type { PillarDefinition, PillarFallback, PillarFramework } from "./pillar-frameworks.js";
+import { SCALE_MAX, type QuestionnaireQuestion } from "./questionnaire.js";
+
+const BASELINE_STRINGS: Record<Locale, Record<string, string>> = {
+  en: {
+    // Revenue range
+    "rule.revenue.preRevenue": "Pre-revenue stage means there is no financial or sales track record yet",
+    "rule.revenue.under100k": "Revenue under $100K leaves little margin for reserves or investment",
+    "rule.revenue.100kTo500k": "Revenue of $100K-$500K shows early traction but limited financial depth",
+    "rule.revenue.500kTo1m": "Revenue of $500K-$1M indicates an established customer base",
+    "rule.revenue.1mTo5m": "Seven-figure revenue supports stronger financing and operating capacity",
+    "rule.revenue.5mTo10m": "Revenue of $5M-$10M reflects a mature, scaled operation",
+    "rule.revenue.over10m": "Revenue above $10M reflects an established company with deep resources",
+
+    // Credit profile
+    "rule.credit.excellent": "Excellent credit (740+) opens the best financing terms",
+    "rule.credit.good": "Good credit (670-739) qualifies for most conventional financing",
+    "rule.credit.fair": "Fair credit (580-669) limits financing options and raises costs",
+    "rule.credit.poor": "Poor credit (below 580) blocks most traditional financing",
+    "rule.credit.unknown": "No established credit profile means lenders have nothing to evaluate",
+    "rule.credit.missing": "Credit profile was not provided",
+
+    // Employees
+    "rule.employees.solo": "A solo operation concentrates all work and risk in the owner",
+    "rule.employees.1to5": "A small team of 1-5 relies heavily on the owner for day-to-day execution",
+    "rule.employees.6to10": "A team of 6-10 is large enough to start delegating core functions",
+    "rule.employees.11to25": "A team of 11-25 typically has some documented roles and processes",
+    "rule.employees.26to50": "A team of 26-50 usually has dedicated management layers",
+    "rule.employees.51to100": "A team of 51-100 generally has formal HR, finance and compliance functions",
+    "rule.employees.over100": "A team of 100+ indicates established systems and governance",
+
+    // Industry
+    "rule.industry.healthcare": "Healthcare carries heavy licensing and regulatory obligations",
+    "rule.industry.financialServices": "Financial services face strict regulatory and licensing oversight",
+    "rule.industry.construction": "Construction has elevated liability exposure and uneven cash flow",
+    "rule.industry.foodBeverage": "Food and beverage businesses run on thin margins with health-code exposure",
+    "rule.industry.technology": "Technology businesses tend to have a stronger digital presence",
+    "rule.industry.retail": "Retail and e-commerce depend on visible, customer-facing branding",
+    "rule.industry.manufacturing": "Manufacturing requires structured operations but carries product liability",
+    "rule.industry.realEstate": "Real estate businesses typically hold assets that support borrowing",
+
+    // Challenges and goals
+    "rule.challenge.cashFlow": "Reported challenges include cash flow or profitability pressure",
+    "rule.challenge.credit": "Reported challenges include access to credit or funding",
+    "rule.challenge.sales": "Reported challenges include customer acquisition or sales",
+    "rule.challenge.brand": "Reported challenges include branding or online presence",
+    "rule.challenge.operations": "Reported challenges include operational processes or systems",
+    "rule.challenge.legal": "Reported challenges include legal, contract or insurance exposure",
+    "rule.challenge.compliance": "Reported challenges include licensing, filings or compliance",
+    "rule.challenge.staffing": "Reported challenges include staffing or capacity constraints",
+    "rule.goals.specific": "Strategic goals are clearly articulated",
+    "rule.goals.missing": "No strategic goals were provided",
+
+    // Financial statements
+    "rule.ratio.netLoss": "The uploaded P&L shows a net loss",
+    "rule.ratio.netMargin": "The uploaded P&L shows a net margin of 10% or more",
+    "rule.ratio.lowGrossMargin": "Gross margin is below 20%, leaving little room for overhead",
+    "rule.ratio.lowCurrentRatio": "Current liabilities exceed current assets (current ratio below 1.0)",
+    "rule.ratio.highCurrentRatio": "Current ratio of 2.0 or higher shows strong short-term liquidity",
+    "rule.ratio.highLeverage": "Debt-to-equity above 3.0 indicates heavy leverage",
+    "rule.ratio.shortRunway": "Cash covers less than 3 months of expenses",
+    "rule.ratio.longRunway": "Cash covers 6 or more months of expenses",
+
+    // Questionnaire answers (English question labels live with the questions)
+    "questionnaire.note": "Questionnaire: {question} {answer}",
+    "questionnaire.yes": "Yes",
+    "questionnaire.no": "No",
+    "questionnaire.scale": "{value} of {max}",
+    "questionnaire.unit.months": "months",
+
+    // Report
+    "report.businessName": "This business",
+    "report.summary": "{business} scores {score} on the rules-based Elev8 baseline. The strongest area is {strongest} ({strongestScore}) and the biggest gap is {weakest} ({weakestScore}). This report was built from your intake answers only; regenerate later for a full AI analysis.",
+    "reason.invalidDiagnostic": "The AI analysis could not be generated in the expected format.",
+    "reason.capacity": "The AI analysis service is temporarily at capacity.",
+    "reason.unavailable": "The AI analysis service is temporarily unavailable.",
+  },
+  es: {
+    // Revenue range
+    "rule.revenue.preRevenue": "La etapa sin ingresos significa que aún no hay historial financiero ni de ventas",
+    "rule.revenue.under100k": "Ingresos menores a $100K dejan poco margen para reservas o inversión",
+    "rule.revenue.100kTo500k": "Ingresos de $100K-$500K muestran tracción inicial pero poca solidez financiera",
+    "rule.revenue.500kTo1m": "Ingresos de $500K-$1M indican una base de clientes establecida",
+    "rule.revenue.1mTo5m": "Ingresos de siete cifras respaldan mayor capacidad de financiamiento y operación",
+    "rule.revenue.5mTo10m": "Ingresos de $5M-$10M reflejan una operación madura y escalada",
+    "rule.revenue.over10m": "Ingresos superiores a $10M reflejan una empresa establecida con amplios recursos",
+
+    // Credit profile
+    "rule.credit.excellent": "Un crédito excelente (740+) da acceso a las mejores condiciones de financiamiento",
+    "rule.credit.good": "Un buen crédito (670-739) califica para la mayoría del financiamiento convencional",
+    "rule.credit.fair": "Un crédito regular (580-669) limita las opciones de financiamiento y eleva los costos",
+    "rule.credit.poor": "Un crédito bajo (menos de 580) impide la mayoría del financiamiento tradicional",
+    "rule.credit.unknown": "Sin un historial de crédito establecido, los prestamistas no tienen nada que evaluar",
+    "rule.credit.missing": "No se indicó el perfil de crédito",
+
+    // Employees
+    "rule.employees.solo": "Una operación de una sola persona concentra todo el trabajo y el riesgo en el dueño",
+    "rule.employees.1to5": "Un equipo pequeño de 1-5 depende en gran medida del dueño para la ejecución diaria",
+    "rule.employees.6to10": "Un equipo de 6-10 es lo bastante grande para empezar a delegar funciones clave",
+    "rule.employees.11to25": "Un equipo de 11-25 suele tener algunos roles y procesos documentados",
+    "rule.employees.26to50": "Un equipo de 26-50 suele tener niveles de gerencia dedicados",
+    "rule.employees.51to100": "Un equipo de 51-100 generalmente tiene funciones formales de RR. HH., finanzas y cumplimiento",
+    "rule.employees.over100": "Un equipo de más de 100 indica sistemas y gobierno corporativo establecidos",
+
+    // Industry
+    "rule.industry.healthcare": "El sector salud conlleva importantes obligaciones regulatorias y de licencias",
+    "rule.industry.financialServices": "Los servicios financieros enfrentan una estricta supervisión regulatoria y de licencias",
+    "rule.industry.construction": "La construcción tiene una mayor exposición a responsabilidades y un flujo de caja irregular",
+    "rule.industry.foodBeverage": "Los negocios de alimentos y bebidas operan con márgenes reducidos y exposición a normas sanitarias",
+    "rule.industry.technology": "Los negocios de tecnología suelen tener una presencia digital más sólida",
+    "rule.industry.retail": "El comercio minorista y el e-commerce dependen de una marca visible ante el cliente",
+    "rule.industry.manufacturing": "La manufactura requiere operaciones estructuradas pero conlleva responsabilidad por productos",
+    "rule.industry.realEstate": "Los negocios de bienes raíces suelen tener activos que respaldan el endeudamiento",
+
+    // Challenges and goals
+    "rule.challenge.cashFlow": "Los desafíos reportados incluyen presión sobre el flujo de caja o la rentabilidad",
+    "rule.challenge.credit": "Los desafíos reportados incluyen el acceso a crédito o financiamiento",
+    "rule.challenge.sales": "Los desafíos reportados incluyen la captación de clientes o las ventas",
+    "rule.challenge.brand": "Los desafíos reportados incluyen la marca o la presencia en línea",
+    "rule.challenge.operations": "Los desafíos reportados incluyen procesos o sistemas operativos",
+    "rule.challenge.legal": "Los desafíos reportados incluyen exposición legal, contractual o de seguros",
+    "rule.challenge.compliance": "Los desafíos reportados incluyen licencias, declaraciones o cumplimiento",
+    "rule.challenge.staffing": "Los desafíos reportados incluyen limitaciones de personal o capacidad",
+    "rule.goals.specific": "Las metas estratégicas están claramente definidas",
+    "rule.goals.missing": "No se indicaron metas estratégicas",
+
+    // Financial statements
+    "rule.ratio.netLoss": "El estado de resultados cargado muestra una pérdida neta",
+    "rule.ratio.netMargin": "El estado de resultados cargado muestra un margen neto del 10% o más",
+    "rule.ratio.lowGrossMargin": "El margen bruto es inferior al 20%, lo que deja poco espacio para los gastos generales",
+    "rule.ratio.lowCurrentRatio": "Los pasivos corrientes superan a los activos corrientes (razón corriente inferior a 1.0)",
+    "rule.ratio.highCurrentRatio": "Una razón corriente de 2.0 o más muestra una sólida liquidez a corto plazo",
+    "rule.ratio.highLeverage": "Una razón deuda-capital superior a 3.0 indica un alto apalancamiento",
+    "rule.ratio.shortRunway": "El efectivo cubre menos de 3 meses de gastos",
+    "rule.ratio.longRunway": "El efectivo cubre 6 meses de gastos o más",
+
+    // Questionnaire answers
+    "questionnaire.note": "Cuestionario: {question} {answer}",
+    "questionnaire.yes": "Sí",
+    "questionnaire.no": "No",
+    "questionnaire.scale": "{value} de {max}",
+    "questionnaire.unit.months": "meses",
+    "question.fc_good_standing": "¿El negocio es una entidad registrada y al corriente?",
+    "question.fc_ein_bank": "¿El negocio tiene un EIN y una cuenta bancaria exclusiva del negocio?",
+    "question.fc_compliance_calendar": "¿Se registran los vencimientos de licencias y declaraciones en un calendario de cumplimiento?",
+    "question.bc_duns": "¿El negocio tiene un número D-U-N-S?",
+    "question.bc_tradelines": "¿Cuántas cuentas reportan a los burós de crédito empresarial?",
+    "question.bc_on_time": "¿Todas las cuentas del negocio se pagan a tiempo o por adelantado?",
+    "question.fi_monthly_close": "¿Se cierran y revisan los libros contables cada mes?",
+    "question.fi_reserve_months": "¿Cuántos meses de gastos operativos se tienen en reserva?",
+    "question.fi_margin_visibility": "¿Qué tan bien conoce su margen de ganancia por producto o servicio?",
+    "question.op_documented": "¿Qué tan documentados están los procesos principales?",
+    "question.op_owner_independence": "¿Qué tan bien podría operar el negocio durante dos semanas sin el dueño?",
+    "question.sm_pipeline": "¿Se registran los prospectos en un CRM o embudo de ventas?",
+    "question.sm_channels": "¿Cuántos canales medibles de captación de prospectos están activos?",
+    "question.sm_top_customer_pct": "¿Qué porcentaje de los ingresos proviene del cliente más grande?",
+    "question.br_website": "¿El sitio web explica claramente la oferta y el siguiente paso?",
+    "question.br_reviews": "¿Cuántas reseñas en línea tiene el negocio?",
+    "question.rl_insurance": "¿El negocio tiene seguro de responsabilidad civil general?",
+    "question.rl_contracts": "¿Existen contratos escritos con clientes revisados por un abogado?",
+    "question.gs_written_plan": "¿Existe un plan escrito con metas trimestrales?",
+    "question.gs_kpi_review": "¿Con qué constancia se revisan los KPI frente a las metas?",
+
+    // Pillar names in the summary
+    "pillar.Formation & Compliance": "Constitución y cumplimiento",
+    "pillar.Business Credit Readiness": "Preparación crediticia",
+    "pillar.Financials & Cash Flow": "Finanzas y flujo de caja",
+    "pillar.Operations & Systems": "Operaciones y sistemas",
+    "pillar.Sales & Marketing": "Ventas y marketing",
+    "pillar.Brand & Web Presence": "Marca y presencia web",
+    "pillar.Risk & Legal Posture": "Riesgo y postura legal",
+    "pillar.Growth Strategy & Execution": "Estrategia de crecimiento y ejecución",
+    "pillar.Mission & Program Impact": "Misión e impacto de los programas",
+    "pillar.Governance & Board": "Gobernanza y junta directiva",
+    "pillar.Legal & Regulatory Compliance": "Cumplimiento legal y regulatorio",
+    "pillar.Financial Health & Reserves": "Salud financiera y reservas",
+    "pillar.Fundraising & Revenue Diversity": "Recaudación y diversidad de ingresos",
+    "pillar.Grant Readiness": "Preparación para subvenciones",
+    "pillar.Staff & Volunteer Capacity": "Capacidad de personal y voluntarios",
+    "pillar.Communications & Community Presence": "Comunicación y presencia comunitaria",
+    "pillar.Strategic Planning & Sustainability": "Planificación estratégica y sostenibilidad",
+
+    // Report
+    "report.businessName": "Este negocio",
+    "report.summary": "{business} obtiene {score} en la base de reglas de Elev8. El área más sólida es {strongest} ({strongestScore}) y la mayor brecha es {weakest} ({weakestScore}). Este informe se generó solo con sus respuestas; vuelva a generarlo más tarde para obtener un análisis completo con IA.",
+    "reason.invalidDiagnostic": "No se pudo generar el análisis de IA en el formato esperado.",
+    "reason.capacity": "El servicio de análisis de IA está temporalmente al límite de su capacidad.",
+    "reason.unavailable": "El servicio de análisis de IA no está disponible temporalmente.",
+  },
+};
+
+// Insights and actions of the eight core pillars (see PillarFallback)
+const CORE_GUIDANCE: Record<Locale, Record<PillarName, PillarFallback>> = {
+  en: {
+    "Formation & Compliance": {
+      red: "Formation and compliance gaps could expose the business to penalties or loss of good standing",
+      yellow: "The legal foundation is in place but compliance tracking is likely informal",
+      green: "The business appears to have a solid legal and compliance foundation",
+      improve: [
+        "Confirm the entity is in good standing and all registrations are current",
+        "Create a compliance calendar covering state, federal and local deadlines",
+        "Review the operating agreement or bylaws against current ownership and operations",
+      ],
+      maintain: [
+        "Review the compliance calendar quarterly",
+        "Keep formation and licensing documents in a shared, backed-up location",
+        "Reassess licensing needs before entering new states or service lines",
+      ],
+    },
+    "Business Credit Readiness": {
+      red: "The business credit profile is too thin to support financing on favorable terms",
+      yellow: "Some credit foundation exists but it is not yet strong enough for larger financing",
+      green: "The credit profile supports access to financing when needed",
+      improve: [
+        "Separate all business spending onto a business bank account and card",
+        "Register with Dun & Bradstreet and open two vendor accounts that report to business bureaus",
+        "Pay every account early and monitor business credit reports monthly",
+      ],
+      maintain: [
+        "Monitor business credit reports quarterly",
+        "Establish a business line of credit before it is needed",
+        "Keep credit utilization below 30% of available limits",
+      ],
+    },
+    "Financials & Cash Flow": {
+      red: "Financial visibility and cash reserves are likely insufficient to absorb a slow month",
+      yellow: "Finances are functional but margins and cash flow are not actively managed",
+      green: "Revenue and financial management provide a stable platform",
+      improve: [
+        "Close the books monthly and review a profit and loss statement",
+        "Build a 13-week cash flow forecast",
+        "Set a cash reserve target of three months of operating expenses",
+      ],
+      maintain: [
+        "Review margins by product or service line each quarter",
+        "Update the annual budget against actual results monthly",
+        "Keep the cash reserve at or above the three-month target",
+      ],
+    },
+    "Operations & Systems": {
+      red: "Operations depend on the owner and undocumented processes, limiting capacity",
+      yellow: "Core operations work but are not documented or systematized",
+      green: "Operational systems and team structure support consistent delivery",
+      improve: [
+        "Document the five most repeated processes as checklists",
+        "Assign a clear owner for each recurring operational task",
+        "Consolidate scheduling, invoicing and customer records into connected tools",
+      ],
+      maintain: [
+        "Review key processes twice a year for bottlenecks",
+        "Track one or two operational metrics weekly",
+        "Cross-train team members on critical tasks",
+      ],
+    },
+    "Sales & Marketing": {
+      red: "Customer acquisition is inconsistent and not driven by a repeatable process",
+      yellow: "Sales are coming in but the pipeline and marketing channels are not measured",
+      green: "Sales and marketing produce steady, measurable demand",
+      improve: [
+        "Define an ideal customer profile and the top three offers",
+        "Set up a simple sales pipeline with weekly follow-up targets",
+        "Launch one repeatable lead channel and track cost per lead",
+      ],
+      maintain: [
+        "Review pipeline conversion rates monthly",
+        "Test one new marketing channel each quarter",
+        "Build a referral program around the happiest customers",
+      ],
+    },
+    "Brand & Web Presence": {
+      red: "The online presence does not give prospects enough confidence to buy",
+      yellow: "A basic presence exists but does not clearly communicate the offer",
+      green: "The brand and web presence support credibility and lead generation",
+      improve: [
+        "Make sure the website clearly states the offer and a single next step",
+        "Claim and complete the Google Business Profile and key directory listings",
+        "Ask recent satisfied customers for reviews",
+      ],
+      maintain: [
+        "Refresh website content and case studies each quarter",
+        "Respond to every online review within a week",
+        "Keep branding consistent across all customer touchpoints",
+      ],
+    },
+    "Risk & Legal Posture": {
+      red: "Liability, contract and key-person risks are largely unmanaged",
+      yellow: "Basic protections are likely in place but contracts and coverage need review",
+      green: "Risk management and legal protections appear appropriate for the business",
+      improve: [
+        "Adopt a standard client agreement reviewed by counsel",
+        "Review insurance coverage against current revenue and headcount",
+        "Document a backup plan for the owner's critical responsibilities",
+      ],
+      maintain: [
+        "Review insurance coverage annually",
+        "Keep contracts and templates current with counsel",
+        "Update the business continuity plan as the team grows",
+      ],
+    },
+    "Growth Strategy & Execution": {
+      red: "Growth is not guided by a defined plan or measurable milestones",
+      yellow: "Growth goals exist but are not broken into an executable plan",
+      green: "A clear growth strategy is in place with capacity to execute",
+      improve: [
+        "Translate annual goals into three quarterly objectives",
+        "Hold a monthly review of progress against targets",
+        "Identify the first role to hire or outsource to free owner time",
+      ],
+      maintain: [
+        "Revisit the strategic plan each quarter",
+        "Tie team goals directly to company objectives",
+        "Evaluate expansion opportunities against current capacity",
+      ],
+    },
+  },
+  es: {
+    "Formation & Compliance": {
+      red: "Las deficiencias de constitución y cumplimiento podrían exponer al negocio a multas o a perder su buena situación legal",
+      yellow: "La base legal existe, pero el seguimiento del cumplimiento probablemente es informal",
+      green: "El negocio parece tener una base legal y de cumplimiento sólida",
+      improve: [
+        "Confirmar que la entidad esté al corriente y que todos los registros estén vigentes",
+        "Crear un calendario de cumplimiento con los vencimientos estatales, federales y locales",
+        "Revisar el acuerdo operativo o los estatutos frente a la propiedad y las operaciones actuales",
+      ],
+      maintain: [
+        "Revisar el calendario de cumplimiento cada trimestre",
+        "Guardar los documentos de constitución y licencias en un lugar compartido y respaldado",
+        "Reevaluar las licencias necesarias antes de entrar en nuevos estados o líneas de servicio",
+      ],
+    },
+    "Business Credit Readiness": {
+      red: "El perfil de crédito empresarial es demasiado limitado para obtener financiamiento en condiciones favorables",
+      yellow: "Existe cierta base crediticia, pero aún no es suficiente para financiamientos mayores",
+      green: "El perfil de crédito permite acceder a financiamiento cuando se necesite",
+      improve: [
+        "Pasar todos los gastos del negocio a una cuenta bancaria y una tarjeta del negocio",
+        "Registrarse en Dun & Bradstreet y abrir dos cuentas con proveedores que reporten a los burós empresariales",
+        "Pagar todas las cuentas por adelantado y revisar los reportes de crédito empresarial cada mes",
+      ],
+      maintain: [
+        "Revisar los reportes de crédito empresarial cada trimestre",
+        "Establecer una línea de crédito empresarial antes de necesitarla",
+        "Mantener el uso del crédito por debajo del 30% de los límites disponibles",
+      ],
+    },
+    "Financials & Cash Flow": {
+      red: "La visibilidad financiera y las reservas de efectivo probablemente no bastan para absorber un mes flojo",
+      yellow: "Las finanzas funcionan, pero los márgenes y el flujo de caja no se gestionan activamente",
+      green: "Los ingresos y la gestión financiera ofrecen una base estable",
+      improve: [
+        "Cerrar los libros cada mes y revisar un estado de resultados",
+        "Elaborar un pronóstico de flujo de caja a 13 semanas",
+        "Fijar una meta de reserva de efectivo de tres meses de gastos operativos",
+      ],
+      maintain: [
+        "Revisar los márgenes por producto o línea de servicio cada trimestre",
+        "Comparar cada mes el presupuesto anual con los resultados reales",
+        "Mantener la reserva de efectivo en la meta de tres meses o por encima",
+      ],
+    },
+    "Operations & Systems": {
+      red: "Las operaciones dependen del dueño y de procesos no documentados, lo que limita la capacidad",
+      yellow: "Las operaciones principales funcionan, pero no están documentadas ni sistematizadas",
+      green: "Los sistemas operativos y la estructura del equipo permiten una entrega constante",
+      improve: [
+        "Documentar como listas de verificación los cinco procesos más repetidos",
+        "Asignar un responsable claro para cada tarea operativa recurrente",
+        "Unificar la agenda, la facturación y los registros de clientes en herramientas conectadas",
+      ],
+      maintain: [
+        "Revisar los procesos clave dos veces al año para detectar cuellos de botella",
+        "Dar seguimiento semanal a una o dos métricas operativas",
+        "Capacitar de forma cruzada al equipo en las tareas críticas",
+      ],
+    },
+    "Sales & Marketing": {
+      red: "La captación de clientes es irregular y no sigue un proceso repetible",
+      yellow: "Llegan ventas, pero no se miden el embudo ni los canales de marketing",
+      green: "Las ventas y el marketing generan una demanda constante y medible",
+      improve: [
+        "Definir un perfil de cliente ideal y las tres ofertas principales",
+        "Crear un embudo de ventas sencillo con metas semanales de seguimiento",
+        "Lanzar un canal de prospectos repetible y medir el costo por prospecto",
+      ],
+      maintain: [
+        "Revisar cada mes las tasas de conversión del embudo",
+        "Probar un nuevo canal de marketing cada trimestre",
+        "Crear un programa de referidos con los clientes más satisfechos",
+      ],
+    },
+    "Brand & Web Presence": {
+      red: "La presencia en línea no da a los prospectos la confianza suficiente para comprar",
+      yellow: "Existe una presencia básica, pero no comunica la oferta con claridad",
+      green: "La marca y la presencia web refuerzan la credibilidad y la generación de prospectos",
+      improve: [
+        "Asegurarse de que el sitio web presente claramente la oferta y un único siguiente paso",
+        "Reclamar y completar el Perfil de Empresa de Google y los directorios clave",
+        "Pedir reseñas a clientes satisfechos recientes",
+      ],
+      maintain: [
+        "Actualizar el contenido del sitio web y los casos de éxito cada trimestre",
+        "Responder cada reseña en línea en menos de una semana",
+        "Mantener una marca coherente en todos los puntos de contacto con el cliente",
+      ],
+    },
+    "Risk & Legal Posture": {
+      red: "Los riesgos de responsabilidad, contratos y personas clave están en gran parte sin gestionar",
+      yellow: "Probablemente existen protecciones básicas, pero los contratos y las coberturas necesitan revisión",
+      green: "La gestión de riesgos y las protecciones legales parecen adecuadas para el negocio",
+      improve: [
+        "Adoptar un contrato estándar con clientes revisado por un abogado",
+        "Revisar la cobertura de seguros frente a los ingresos y el personal actuales",
+        "Documentar un plan de respaldo para las responsabilidades críticas del dueño",
+      ],
+      maintain: [
+        "Revisar la cobertura de seguros cada año",
+        "Mantener los contratos y plantillas actualizados con un abogado",
+        "Actualizar el plan de continuidad del negocio a medida que crece el equipo",
+      ],
+    },
+    "Growth Strategy & Execution": {
+      red: "El crecimiento no sigue un plan definido ni hitos medibles",
+      yellow: "Existen metas de crecimiento, pero no se han convertido en un plan ejecutable",
+      green: "Hay una estrategia de crecimiento clara y capacidad para ejecutarla",
+      improve: [
+        "Convertir las metas anuales en tres objetivos trimestrales",
+        "Revisar cada mes el avance frente a las metas",
+        "Identificar el primer puesto a contratar o tercerizar para liberar tiempo del dueño",
+      ],
+      maintain: [
+        "Revisar el plan estratégico cada trimestre",
+        "Vincular las metas del equipo directamente con los objetivos de la empresa",
+        "Evaluar las oportunidades de expansión frente a la capacidad actual",
+      ],
+    },
+  },
+};
+
+// Translations of the bundled frameworks' own pillar content, by framework id and pillar id
+// (English is the fallback text in shared/pillar-frameworks.ts)
+const FRAMEWORK_GUIDANCE: Partial<Record<Locale, Record<string, Record<string, PillarFallback>>>> = {
+  es: {
+    nonprofit: {
+      mission: {
+        red: "Los resultados de los programas no se miden, por lo que la organización no puede demostrar el impacto de su trabajo",
+        yellow: "Los programas sirven a la misión, pero sus resultados se registran de manera informal",
+        green: "Los programas están alineados con la misión y sus resultados se miden",
+        improve: [
+          "Redactar un modelo lógico de una página para cada programa que vincule actividades y resultados",
+          "Elegir dos indicadores de resultados por programa y empezar a registrarlos cada mes",
+          "Compartir un resumen de resultados con la junta directiva cada trimestre",
+        ],
+        maintain: [
+          "Publicar un informe anual de impacto con datos de resultados",
+          "Revisar cada programa frente a la misión una vez al año",
+          "Recoger la opinión de las personas atendidas al final de cada ciclo del programa",
+        ],
+      },
+      governance: {
+        red: "La supervisión de la junta directiva es demasiado limitada para proteger a la organización y a sus financiadores",
+        yellow: "Existe una junta directiva, pero sus políticas y su supervisión son informales",
+        green: "La junta directiva ejerce una supervisión activa e independiente",
+        improve: [
+          "Adoptar políticas de conflicto de intereses, denuncia de irregularidades y conservación de documentos",
+          "Fijar un calendario de reuniones de la junta con actas y una revisión financiera en cada reunión",
+          "Incorporar miembros a la junta que cubran las carencias en finanzas, asuntos legales y recaudación",
+        ],
+        maintain: [
+          "Realizar una autoevaluación anual de la junta directiva",
+          "Mantener un plan de sucesión para los cargos de la junta y la dirección ejecutiva",
+          "Revisar las políticas de la junta cada dos años",
+        ],
+      },
+      compliance: {
+        red: "Las declaraciones o registros pendientes podrían poner en riesgo la exención de impuestos",
+        yellow: "Se presentan las declaraciones, pero los vencimientos no se controlan de forma sistemática",
+        green: "La exención, los registros y las declaraciones anuales están al día",
+        improve: [
+          "Confirmar que la exención de impuestos y los registros estatales estén vigentes",
+          "Crear un calendario de cumplimiento para las declaraciones anuales y las renovaciones de solicitud de donativos",
+          "Registrarse para solicitar donativos en cada estado donde se pidan donaciones",
+        ],
+        maintain: [
+          "Revisar el calendario de cumplimiento cada trimestre",
+          "Guardar las cartas de exención y las declaraciones en un lugar compartido y respaldado",
+          "Verificar los requisitos de registro antes de recaudar fondos en nuevos estados",
+        ],
+      },
+      finance: {
+        red: "Las reservas y el control financiero son demasiado limitados para absorber una subvención retrasada o la pérdida de un donante",
+        yellow: "Las finanzas se registran, pero las reservas y los fondos restringidos no se gestionan activamente",
+        green: "La gestión financiera y las reservas ofrecen una base estable",
+        improve: [
+          "Cerrar los libros cada mes e informar por separado los fondos restringidos y no restringidos",
+          "Elaborar un pronóstico de flujo de caja a 13 semanas que incluya los pagos de subvenciones esperados",
+          "Adoptar una política de reservas con una meta de tres meses de gastos operativos",
+        ],
+        maintain: [
+          "Revisar el presupuesto frente a los resultados reales con la junta cada trimestre",
+          "Mantener las reservas no restringidas en la meta de la política o por encima",
+          "Programar una auditoría o revisión independiente cada año",
+        ],
+      },
+      fundraising: {
+        red: "Los ingresos dependen de muy pocas fuentes, lo que expone los programas a la pérdida de un solo financiador",
+        yellow: "Existen varias fuentes de ingresos, pero la captación y retención de donantes no se gestionan",
+        green: "Los ingresos están diversificados y las relaciones con los donantes se gestionan activamente",
+        improve: [
+          "Desglosar los ingresos por fuente y fijar la meta de que ninguna supere un tercio del presupuesto",
+          "Crear una base de datos de donantes con su historial de donaciones y recordatorios de seguimiento",
+          "Lanzar un programa de donación mensual para los donantes actuales",
+        ],
+        maintain: [
+          "Revisar las tasas de retención de donantes cada trimestre",
+          "Probar una nueva fuente de ingresos cada año",
+          "Agradecer e informar a los principales donantes al menos dos veces al año",
+        ],
+      },
+      grants: {
+        red: "La organización no está preparada para competir por subvenciones institucionales",
+        yellow: "Existen algunos materiales para subvenciones, pero cada solicitud se prepara desde cero",
+        green: "Los materiales, los datos y los informes para subvenciones están listos para los financiadores institucionales",
+        improve: [
+          "Reunir una biblioteca de subvenciones con la declaración de misión, presupuestos, auditorías y la lista de la junta",
+          "Crear un calendario de subvenciones con prospectos, fechas límite y vencimientos de informes",
+          "Preparar datos estándar de resultados y un presupuesto por programa para los programas principales",
+        ],
+        maintain: [
+          "Actualizar la biblioteca de subvenciones al cierre de cada año fiscal",
+          "Entregar cada informe a los financiadores en su fecha límite o antes",
+          "Investigar cinco nuevos financiadores potenciales cada trimestre",
+        ],
+      },
+      operations: {
+        red: "Las operaciones dependen de unas pocas personas y de procesos no documentados, lo que limita la capacidad",
+        yellow: "Las operaciones principales funcionan, pero no están documentadas ni sistematizadas",
+        green: "Los sistemas operativos permiten una entrega constante de los programas",
+        improve: [
+          "Documentar como listas de verificación los cinco procesos más repetidos",
+          "Asignar un responsable claro para cada tarea operativa recurrente",
+          "Unificar los registros de donantes, programas y finanzas en herramientas conectadas",
+        ],
+        maintain: [
+          "Revisar los procesos clave dos veces al año para detectar cuellos de botella",
+          "Dar seguimiento mensual a una o dos métricas operativas",
+          "Capacitar de forma cruzada al personal en las tareas críticas",
+        ],
+      },
+      people: {
+        red: "La capacidad del personal y los voluntarios está al límite, lo que pone en riesgo los programas y el bienestar de las personas",
+        yellow: "Los roles están cubiertos, pero el reclutamiento, la capacitación y la retención son improvisados",
+        green: "El personal y los voluntarios se reclutan, capacitan y retienen de forma planificada",
+        improve: [
+          "Redactar descripciones de puesto para todo el personal y los voluntarios clave",
+          "Establecer un proceso de reclutamiento, incorporación y reconocimiento de voluntarios",
+          "Identificar el primer puesto a contratar para aliviar a la persona más sobrecargada",
+        ],
+        maintain: [
+          "Encuestar una vez al año al personal y a los voluntarios sobre su carga de trabajo y satisfacción",
+          "Dar seguimiento a la retención de voluntarios cada trimestre",
+          "Presupuestar la capacitación y el desarrollo profesional",
+        ],
+      },
+      communications: {
+        red: "La organización no es lo bastante visible para atraer donantes, voluntarios y aliados",
+        yellow: "Existe una presencia básica, pero la historia de impacto no se comunica de forma constante",
+        green: "La comunicación genera confianza entre donantes, aliados y la comunidad",
+        improve: [
+          "Asegurarse de que el sitio web presente la misión, el impacto reciente y una forma clara de donar",
+          "Publicar cada mes una historia de las personas atendidas",
+          "Inscribir la organización en directorios de beneficencia y actualizar sus perfiles de organización sin fines de lucro",
+        ],
+        maintain: [
+          "Enviar a los donantes un boletín periódico con los resultados más destacados",
+          "Mantener un mensaje coherente en el sitio web, las redes sociales y los eventos",
+          "Reunirse con los aliados clave de la comunidad al menos dos veces al año",
+        ],
+      },
+      strategy: {
+        red: "La organización planifica año con año sin un modelo sostenible a largo plazo",
+        yellow: "Existen metas, pero no forman parte de un plan estratégico escrito y financiado",
+        green: "Un plan estratégico vigente guía los programas, el financiamiento y el liderazgo",
+        improve: [
+          "Redactar con la junta un plan estratégico a tres años",
+          "Convertir el plan en metas anuales con responsables e indicadores",
+          "Documentar un plan de sucesión de emergencia para la dirección ejecutiva",
+        ],
+        maintain: [
+          "Revisar el avance frente al plan estratégico cada trimestre",
+          "Actualizar el plan con la junta cada tres años",
+          "Estimar el financiamiento necesario para cada meta estratégica antes de comprometerse con ella",
+        ],
+      },
+    },
+  },
+};
+
+// String with {name} placeholders filled in; falls back to English, then the key
+export function baselineText(key: string, vars: Record<string, string | number> = {}, locale: Locale = DEFAULT_LOCALE): string {
+  const template = BASELINE_STRINGS[locale][key] ?? BASELINE_STRINGS[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (_, name) => (vars[name] !== undefined ? String(vars[name]) : ''));
+}
+
+// Pillar name as written in the locale (names without a translation stay as they are)
+export function localizePillarName(name: string, locale: Locale): string {
+  return BASELINE_STRINGS[locale][`pillar.${name}`] ?? name;
+}
+
+// Factor note of a questionnaire answer, e.g. "Questionnaire: Does the business have a D-U-N-S number? Yes"
+export function formatQuestionnaireNote(question: QuestionnaireQuestion, value: boolean | number, locale: Locale): string {
+  let answer: string;
+  if (question.type === 'yesno') answer = baselineText(value ? 'questionnaire.yes' : 'questionnaire.no', {}, locale);
+  else if (question.type === 'scale') answer = baselineText('questionnaire.scale', { value: Number(value), max: SCALE_MAX }, locale);
+  else if (question.unit === '%') answer = `${value}%`;
+  else answer = question.unit ? `${value} ${BASELINE_STRINGS[locale][`questionnaire.unit.${question.unit}`] ?? question.unit}` : String(value);
+
+  const label = BASELINE_STRINGS[locale][`question.${question.id}`] ?? question.label;
+  return baselineText('questionnaire.note', { question: label, answer }, locale);
+}
+
+// Insights and actions of a framework pillar: its own fallback content (translated for the
+// bundled frameworks), else its basis pillar's
+export function getPillarGuidance(framework: PillarFramework, pillar: PillarDefinition, locale: Locale): PillarFallback {
+  if (pillar.fallback) {
+    return locale === DEFAULT_LOCALE
+      ? pillar.fallback
+      : FRAMEWORK_GUIDANCE[locale]?.[framework.id]?.[pillar.id] ?? pillar.fallback;
+  }
+  return CORE_GUIDANCE[locale][pillar.basis];
+}
@@ -0,0 +1,560 @@
+// Elev8 Baseline Scoring - Deterministic rules engine for the pillars
+// Derives baseline pillar scores from intake fields so results are stable for the
+// same inputs. Used by /api/generate to blend with AI scores, and as a complete
+// fallback report when the AI provider fails (like CompliPilot's filing profiles).
+// Rules are written for the eight core pillars; each framework pillar takes the
+// score of its basis pillar (see shared/pillar-frameworks.ts), and the index uses the
+// weights of the intake's weighting profile (see shared/weighting-profiles.ts). Notes,
+// insights and actions are written in the intake's locale (see shared/baseline-i18n.ts).
+
+import {
+  PILLAR_NAMES,
+  checkReportedIndex,
+  computeOverallIndex,
+  type Diagnostic,
+  type PillarName,
+} from "./diagnostic-schema.js";
+import { MAX_EVIDENCE_REFS, questionRef, ratioRef } from "./evidence.js";
+import type { FinancialRatios } from "./financial-statements.js";
+import { QUESTIONNAIRE, scoreAnswer, validateQuestionnaireAnswers } from "./questionnaire.js";
+import { describeFramework, type PillarFramework } from "./pillar-frameworks.js";
+import { getWeightedFramework } from "./weighting-profiles.js";
+import { getIndexBand, statusFromScore } from "./status-bands.js";
+import { DEFAULT_LOCALE, normalizeLocale, type Locale } from "./locales.js";
+import { baselineText, formatQuestionnaireNote, getPillarGuidance, localizePillarName } from "./baseline-i18n.js";
+import { isProviderConnectionError } from "./ai-provider.js";
+
+/*
+ * ENVIRONMENT VARIABLES for Baseline Scoring:
+ *
+ * ELEV8_BASELINE_WEIGHT="0.3"
+ *   - Share of each final pillar score taken from the baseline (0 = AI only, 1 = rules only)
+ *
+ * ELEV8_BASELINE_FALLBACK="true"
+ *   - Return a rules-based report instead of an error when AI generation times out, the
+ *     provider cannot be reached, returns a 5xx or rate-limits the request, or its output
+ *     fails validation
+ *     (auth and configuration errors, such as a missing or rejected API key or an
+ *     exhausted quota, are always returned as errors)
+ */
+
+type PillarAdjustments = Partial<Record<PillarName, number>>;
+
+// noteKey: factor note in shared/baseline-i18n.ts
+interface ScoringRule {
+  noteKey: string;
+  adjustments: PillarAdjustments;
+}
+
+interface TextSignal extends ScoringRule {
+  pattern: RegExp;
+}
+
+interface RatioRule extends ScoringRule {
+  ratio: keyof FinancialRatios;
+  applies: (ratios: FinancialRatios) => boolean;
+}
+
+// A rule that applied, with its note in the report locale and the evidence reference of
+// the answer that triggered it
+interface AppliedRule {
+  note: string;
+  adjustments: PillarAdjustments;
+  evidence: string;
+}
+
+export interface BaselinePillar {
+  name: string;
+  basis: PillarName;
+  score: number;
+  factors: Array<{ note: string; delta: number; evidence: string }>;
+}
+
+export interface BaselineScores {
+  framework: PillarFramework;  // the intake's framework with its weighting profile applied
+  pillars: BaselinePillar[];
+  overall: number;
+}
+
+const BASE_SCORE = 55;
+const MIN_BASELINE_SCORE = 10;
+const MAX_BASELINE_SCORE = 90;
+
+// Keyed by the revenue range options in elev8-analyzer.html
+const REVENUE_RULES: Record<string, ScoringRule> = {
+  "Pre-Revenue": {
+    noteKey: "rule.revenue.preRevenue",
+    adjustments: { "Financials & Cash Flow": -25, "Business Credit Readiness": -20, "Sales & Marketing": -15, "Operations & Systems": -10, "Growth Strategy & Execution": -5 },
+  },
+  "$0 - $100K": {
+    noteKey: "rule.revenue.under100k",
+    adjustments: { "Financials & Cash Flow": -15, "Business Credit Readiness": -12, "Sales & Marketing": -8, "Operations & Systems": -5 },
+  },
+  "$100K - $500K": {
+    noteKey: "rule.revenue.100kTo500k",
+    adjustments: { "Financials & Cash Flow": -5, "Business Credit Readiness": -5 },
+  },
+  "$500K - $1M": {
+    noteKey: "rule.revenue.500kTo1m",
+    adjustments: { "Financials & Cash Flow": 5, "Business Credit Readiness": 3, "Sales & Marketing": 5, "Operations & Systems": 3 },
+  },
+  "$1M - $5M": {
+    noteKey: "rule.revenue.1mTo5m",
+    adjustments: { "Financials & Cash Flow": 10, "Business Credit Readiness": 8, "Sales & Marketing": 8, "Operations & Systems": 8, "Growth Strategy & Execution": 5 },
+  },
+  "$5M - $10M": {
+    noteKey: "rule.revenue.5mTo10m",
+    adjustments: { "Financials & Cash Flow": 15, "Business Credit Readiness": 12, "Sales & Marketing": 10, "Operations & Systems": 10, "Growth Strategy & Execution": 8, "Formation & Compliance": 5 },
+  },
+  "$10M+": {
+    noteKey: "rule.revenue.over10m",
+    adjustments: { "Financials & Cash Flow": 18, "Business Credit Readiness": 15, "Sales & Marketing": 12, "Operations & Systems": 12, "Growth Strategy & Execution": 10, "Formation & Compliance": 8, "Risk & Legal Posture": 5 },
+  },
+};
+
+// Keyed by the credit profile options in elev8-analyzer.html
+const CREDIT_RULES: Record<string, ScoringRule> = {
+  "Excellent (740+)": {
+    noteKey: "rule.credit.excellent",
+    adjustments: { "Business Credit Readiness": 25, "Financials & Cash Flow": 5 },
+  },
+  "Good (670-739)": {
+    noteKey: "rule.credit.good",
+    adjustments: { "Business Credit Readiness": 12, "Financials & Cash Flow": 2 },
+  },
+  "Fair (580-669)": {
+    noteKey: "rule.credit.fair",
+    adjustments: { "Business Credit Readiness": -5 },
+  },
+  "Poor (<580)": {
+    noteKey: "rule.credit.poor",
+    adjustments: { "Business Credit Readiness": -20, "Financials & Cash Flow": -5 },
+  },
+  "Unknown/Not Established": {
+    noteKey: "rule.credit.unknown",
+    adjustments: { "Business Credit Readiness": -15 },
+  },
+};
+
+const MISSING_CREDIT_RULE: ScoringRule = {
+  noteKey: "rule.credit.missing",
+  adjustments: { "Business Credit Readiness": -5 },
+};
+
+// Keyed by the employee count options in elev8-analyzer.html
+const EMPLOYEE_RULES: Record<string, ScoringRule> = {
+  "Just Me (0 employees)": {
+    noteKey: "rule.employees.solo",
+    adjustments: { "Operations & Systems": -12, "Growth Strategy & Execution": -8, "Risk & Legal Posture": -5 },
+  },
+  "1-5": {
+    noteKey: "rule.employees.1to5",
+    adjustments: { "Operations & Systems": -5, "Growth Strategy & Execution": -3 },
+  },
+  "6-10": {
+    noteKey: "rule.employees.6to10",
+    adjustments: {},
+  },
+  "11-25": {
+    noteKey: "rule.employees.11to25",
+    adjustments: { "Operations & Systems": 5, "Formation & Compliance": 3 },
+  },
+  "26-50": {
+    noteKey: "rule.employees.26to50",
+    adjustments: { "Operations & Systems": 8, "Formation & Compliance": 5, "Risk & Legal Posture": 3 },
+  },
+  "51-100": {
+    noteKey: "rule.employees.51to100",
+    adjustments: { "Operations & Systems": 10, "Formation & Compliance": 6, "Risk & Legal Posture": 5 },
+  },
+  "100+": {
+    noteKey: "rule.employees.over100",
+    adjustments: { "Operations & Systems": 12, "Formation & Compliance": 8, "Risk & Legal Posture": 6 },
+  },
+};
+
+// Keyed by the industry options in elev8-analyzer.html (unlisted industries have no adjustment)
+const INDUSTRY_RULES: Record<string, ScoringRule> = {
+  "Healthcare": {
+    noteKey: "rule.industry.healthcare",
+    adjustments: { "Formation & Compliance": -5, "Risk & Legal Posture": -8 },
+  },
+  "Financial Services": {
+    noteKey: "rule.industry.financialServices",
+    adjustments: { "Formation & Compliance": -5, "Risk & Legal Posture": -8 },
+  },
+  "Construction": {
+    noteKey: "rule.industry.construction",
+    adjustments: { "Risk & Legal Posture": -8, "Financials & Cash Flow": -3 },
+  },
+  "Food & Beverage": {
+    noteKey: "rule.industry.foodBeverage",
+    adjustments: { "Financials & Cash Flow": -5, "Risk & Legal Posture": -5 },
+  },
+  "Technology / Software": {
+    noteKey: "rule.industry.technology",
+    adjustments: { "Brand & Web Presence": 5, "Growth Strategy & Execution": 5 },
+  },
+  "Retail / E-commerce": {
+    noteKey: "rule.industry.retail",
+    adjustments: { "Brand & Web Presence": 5, "Sales & Marketing": 3 },
+  },
+  "Manufacturing": {
+    noteKey: "rule.industry.manufacturing",
+    adjustments: { "Operations & Systems": 3, "Risk & Legal Posture": -3 },
+  },
+  "Real Estate": {
+    noteKey: "rule.industry.realEstate",
+    adjustments: { "Business Credit Readiness": 3, "Risk & Legal Posture": -3 },
+  },
+};
+
+// Problems mentioned in the challenges field lower the related pillars
+const CHALLENGE_SIGNALS: TextSignal[] = [
+  {
+    pattern: /cash[\s-]?flow|late pay|payroll|profit|margin|debt|expenses/i,
+    noteKey: "rule.challenge.cashFlow",
+    adjustments: { "Financials & Cash Flow": -8 },
+  },
+  {
+    pattern: /credit|loan|funding|financing|capital/i,
+    noteKey: "rule.challenge.credit",
+    adjustments: { "Business Credit Readiness": -6 },
+  },
+  {
+    pattern: /lead|customer|sales|marketing|conversion|pipeline/i,
+    noteKey: "rule.challenge.sales",
+    adjustments: { "Sales & Marketing": -8 },
+  },
+  {
+    pattern: /website|brand|online|seo|social media|reviews/i,
+    noteKey: "rule.challenge.brand",
+    adjustments: { "Brand & Web Presence": -8 },
+  },
+  {
+    pattern: /process|system|efficien|workflow|manual|operation/i,
+    noteKey: "rule.challenge.operations",
+    adjustments: { "Operations & Systems": -8 },
+  },
+  {
+    pattern: /lawsuit|legal|contract|insurance|liabilit/i,
+    noteKey: "rule.challenge.legal",
+    adjustments: { "Risk & Legal Posture": -6 },
+  },
+  {
+    pattern: /license|permit|registration|filing|compliance|tax/i,
+    noteKey: "rule.challenge.compliance",
+    adjustments: { "Formation & Compliance": -6 },
+  },
+  {
+    pattern: /hir(e|ing)|staff|talent|turnover|burnout|capacity/i,
+    noteKey: "rule.challenge.staffing",
+    adjustments: { "Operations & Systems": -5, "Growth Strategy & Execution": -3 },
+  },
+];
+
+const SPECIFIC_GOALS_RULE: ScoringRule = {
+  noteKey: "rule.goals.specific",
+  adjustments: { "Growth Strategy & Execution": 5 },
+};
+
+const MISSING_GOALS_RULE: ScoringRule = {
+  noteKey: "rule.goals.missing",
+  adjustments: { "Growth Strategy & Execution": -5 },
+};
+
+// Uploaded financial statements (ratios computed by shared/financial-statements.ts)
+const isNum = (value: number | null | undefined): value is number => typeof value === 'number';
+
+const FINANCIAL_RATIO_RULES: RatioRule[] = [
+  {
+    ratio: 'netMargin',
+    applies: r => isNum(r.netMargin) && r.netMargin < 0,
+    noteKey: "rule.ratio.netLoss",
+    adjustments: { "Financials & Cash Flow": -8 },
+  },
+  {
+    ratio: 'netMargin',
+    applies: r => isNum(r.netMargin) && r.netMargin >= 10,
+    noteKey: "rule.ratio.netMargin",
+    adjustments: { "Financials & Cash Flow": 6 },
+  },
+  {
+    ratio: 'grossMargin',
+    applies: r => isNum(r.grossMargin) && r.grossMargin < 20,
+    noteKey: "rule.ratio.lowGrossMargin",
+    adjustments: { "Financials & Cash Flow": -4 },
+  },
+  {
+    ratio: 'currentRatio',
+    applies: r => isNum(r.currentRatio) && r.currentRatio < 1,
+    noteKey: "rule.ratio.lowCurrentRatio",
+    adjustments: { "Financials & Cash Flow": -6, "Business Credit Readiness": -3 },
+  },
+  {
+    ratio: 'currentRatio',
+    applies: r => isNum(r.currentRatio) && r.currentRatio >= 2,
+    noteKey: "rule.ratio.highCurrentRatio",
+    adjustments: { "Financials & Cash Flow": 5, "Business Credit Readiness": 2 },
+  },
+  {
+    ratio: 'debtToEquity',
+    applies: r => isNum(r.debtToEquity) && r.debtToEquity > 3,
+    noteKey: "rule.ratio.highLeverage",
+    adjustments: { "Financials & Cash Flow": -5, "Business Credit Readiness": -4, "Risk & Legal Posture": -2 },
+  },
+  {
+    ratio: 'monthsOfRunway',
+    applies: r => isNum(r.monthsOfRunway) && r.monthsOfRunway < 3,
+    noteKey: "rule.ratio.shortRunway",
+    adjustments: { "Financials & Cash Flow": -6, "Risk & Legal Posture": -2 },
+  },
+  {
+    ratio: 'monthsOfRunway',
+    applies: r => isNum(r.monthsOfRunway) && r.monthsOfRunway >= 6,
+    noteKey: "rule.ratio.longRunway",
+    adjustments: { "Financials & Cash Flow": 6 },
+  },
+];
+
+// Read a 0-1 number from the environment (falls back when missing or invalid)
+function readWeight(key: string, fallback: number): number {
+  const raw = process.env[key];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  return isNaN(value) ? fallback : Math.max(0, Math.min(1, value));
+}
+
+// Share of each final score taken from the baseline
+export function getBaselineWeight(): number {
+  return readWeight('ELEV8_BASELINE_WEIGHT', 0.3);
+}
+
+// Whether AI failures should return the rules-based report
+export function isBaselineFallbackEnabled(): boolean {
+  return (process.env.ELEV8_BASELINE_FALLBACK || 'true').toLowerCase().trim() !== 'false';
+}
+
+// Failures of the provider rather than of the deployment: timeouts, connection errors, 5xx
+// errors, rate limits and output that still failed validation after its repair attempt. An
+// exhausted quota is a billing problem, not a rate limit.
+function isProviderFailure(error: any): boolean {
+  if (error?.code === 'JOB_TIMEOUT' || isProviderConnectionError(error)) return true;
+  if (error?.code === 'INVALID_DIAGNOSTIC') return true;
+  if (error?.status === 429) return error.code !== 'insufficient_quota';
+  return typeof error?.status === 'number' && error.status >= 500;
+}
+
+// Whether this AI failure should return the rules-based report instead of an error
+export function shouldFallBackToBaseline(error: any): boolean {
+  return isBaselineFallbackEnabled() && isProviderFailure(error);
+}
+
+// Collect every rule that applies to the intake, with notes in the report locale
+function collectRules(formData: any, locale: Locale): AppliedRule[] {
+  const rules: AppliedRule[] = [];
+  const data = formData || {};
+  const apply = (rule: ScoringRule, evidence: string) =>
+    rules.push({ note: baselineText(rule.noteKey, {}, locale), adjustments: rule.adjustments, evidence });
+
+  const revenueRule = REVENUE_RULES[data.revenueRange];
+  if (revenueRule) apply(revenueRule, 'revenueRange');
+
+  const creditRule = data.creditProfile ? CREDIT_RULES[data.creditProfile] : MISSING_CREDIT_RULE;
+  if (creditRule) apply(creditRule, 'creditProfile');
+
+  const employeeRule = EMPLOYEE_RULES[data.employees];
+  if (employeeRule) apply(employeeRule, 'employees');
+
+  const industryRule = INDUSTRY_RULES[data.industry];
+  if (industryRule) apply(industryRule, 'industry');
+
+  const challenges = String(data.challenges || '');
+  for (const signal of CHALLENGE_SIGNALS) {
+    if (signal.pattern.test(challenges)) apply(signal, 'challenges');
+  }
+
+  const goals = String(data.goals || '').trim();
+  if (!goals) {
+    apply(MISSING_GOALS_RULE, 'goals');
+  } else if (goals.length >= 40) {
+    apply(SPECIFIC_GOALS_RULE, 'goals');
+  }
+
+  const ratios = data.financials?.ratios;
+  if (ratios) {
+    for (const rule of FINANCIAL_RATIO_RULES) {
+      if (rule.applies(ratios)) apply(rule, ratioRef(rule.ratio));
+    }
+  }
+
+  // Structured questionnaire answers only move their own pillar
+  const { answers } = validateQuestionnaireAnswers(data.questionnaire);
+  for (const question of QUESTIONNAIRE) {
+    const value = answers[question.id];
+    if (value === undefined) continue;
+    const delta = scoreAnswer(question, value);
+    if (delta !== 0) {
+      rules.push({
+        note: formatQuestionnaireNote(question, value, locale),
+        adjustments: { [question.pillar]: delta },
+        evidence: questionRef(question.id),
+      });
+    }
+  }
+
+  return rules;
+}
+
+// Compute deterministic baseline scores for every pillar of the intake's framework
+// (factor notes are written in the intake's locale)
+export function computeBaselineScores(formData: any, locale: Locale = normalizeLocale(formData?.locale)): BaselineScores {
+  const rules = collectRules(formData, locale);
+  const framework = getWeightedFramework(formData);
+
+  const core = new Map(PILLAR_NAMES.map(name => {
+    const factors = rules
+      .filter(rule => rule.adjustments[name])
+      .map(rule => ({ note: rule.note, delta: rule.adjustments[name] as number, evidence: rule.evidence }));
+
+    const raw = factors.reduce((sum, factor) => sum + factor.delta, BASE_SCORE);
+    const score = Math.max(MIN_BASELINE_SCORE, Math.min(MAX_BASELINE_SCORE, raw));
+
+    return [name, { score, factors }];
+  }));
+
+  const pillars: BaselinePillar[] = framework.pillars.map(({ name, basis }) => ({ name, basis, ...core.get(basis)! }));
+
+  return { framework, pillars, overall: computeOverallIndex(pillars, framework) };
+}
+
+// Blend validated AI scores with the baseline. Each pillar keeps both source scores;
+// statuses are recomputed and the overall index is computed server-side from the
+// blended pillars. The model-reported index is kept alongside a divergence check.
+export function blendWithBaseline(
+  diagnostic: Diagnostic,
+  baseline: BaselineScores,
+  weight: number = getBaselineWeight(),
+): any {
+  const blend = (ai: number, rules: number) => Math.round(ai * (1 - weight) + rules * weight);
+  const { framework } = baseline;
+
+  const pillars = diagnostic.pillars.map(pillar => {
+    const rules = baseline.pillars.find(p => p.name === pillar.name);
+    if (!rules) return pillar;
+
+    const score = blend(pillar.score, rules.score);
+    return {
+      ...pillar,
+      score,
+      status: statusFromScore(score, framework.statusBands),
+      aiScore: pillar.score,
+      baselineScore: rules.score,
+    };
+  });
+
+  const indexCheck = checkReportedIndex(diagnostic, undefined, framework);
+  const score = computeOverallIndex(pillars, framework);
+
+  return {
+    ...diagnostic,
+    overall: {
+      ...diagnostic.overall,
+      score,
+      band: getIndexBand(score, framework.statusBands).id,
+      reportedScore: diagnostic.overall.score,
+    },
+    pillars,
+    framework: describeFramework(framework),
+    scoring: {
+      method: 'blended',
+      baselineWeight: weight,
+      aiOverall: indexCheck.computed,
+      baselineOverall: baseline.overall,
+    },
+    indexCheck,
+  };
+}
+
+// Build a complete rules-only report in the intake's locale (used when AI generation fails)
+export function buildBaselineReport(
+  formData: any,
+  baseline: BaselineScores,
+  reason: string,
+  locale: Locale = normalizeLocale(formData?.locale),
+): any {
+  const { framework } = baseline;
+
+  const pillars = baseline.pillars.map(pillar => {
+    const guidance = getPillarGuidance(framework, framework.pillars.find(p => p.name === pillar.name)!, locale);
+    const status = statusFromScore(pillar.score, framework.statusBands);
+
+    // Strongest factors first so the insights explain the score
+    const ranked = [...pillar.factors].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    const topFactors = ranked.slice(0, 2);
+    const actions = status === 'green' ? guidance.maintain : guidance.improve;
+
+    return {
+      name: pillar.name,
+      score: pillar.score,
+      status,
+      insights: [guidance[status], ...topFactors.map(factor => factor.note)],
+      actions,
+      // The status insight rests on every factor behind the score; actions are standard guidance
+      evidence: {
+        insights: [
+          Array.from(new Set(ranked.map(factor => factor.evidence))).slice(0, MAX_EVIDENCE_REFS),
+          ...topFactors.map(factor => [factor.evidence]),
+        ],
+        actions: actions.map(() => []),
+      },
+      baselineScore: pillar.score,
+    };
+  });
+
+  const ranked = [...pillars].sort((a, b) => a.score - b.score);
+  const weakest = ranked.slice(0, 3);
+  const strongest = ranked[ranked.length - 1];
+  const summary = baselineText('report.summary', {
+    business: formData?.businessName || baselineText('report.businessName', {}, locale),
+    score: baseline.overall,
+    strongest: localizePillarName(strongest.name, locale),
+    strongestScore: strongest.score,
+    weakest: localizePillarName(weakest[0].name, locale),
+    weakestScore: weakest[0].score,
+  }, locale);
+
+  return {
+    overall: {
+      score: baseline.overall,
+      band: getIndexBand(baseline.overall, framework.statusBands).id,
+      summary,
+    },
+    pillars,
+    framework: describeFramework(framework),
+    roadmap: {
+      d30: weakest.map(pillar => pillar.actions[0]),
+      d60: weakest.map(pillar => pillar.actions[1]),
+      d90: weakest.map(pillar => pillar.actions[2]),
+    },
+    scoring: {
+      method: 'baseline',
+      baselineWeight: 1,
+      baselineOverall: baseline.overall,
+    },
+    fallback: {
+      reason,
+    },
+  };
+}
+
+// User-facing reason for falling back to the baseline report
+export function describeFallbackReason(error: any, locale: Locale = DEFAULT_LOCALE): string {
+  if (error?.code === 'INVALID_DIAGNOSTIC') {
+    return baselineText('reason.invalidDiagnostic', {}, locale);
+  }
+  if (error?.status === 429) {
+    return baselineText('reason.capacity', {}, locale);
+  }
+  return baselineText('reason.unavailable', {}, locale);
+}
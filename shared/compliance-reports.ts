@@ -0,0 +1,99 @@
+// Compliance Reports - Saved reports of the other YourBizGuru toolkits (GrantGenie, CompliPilot)
+// Used by the /api/reports handlers in shared/api-handlers.ts (Express and Vercel). Reports
+// belong to the browser's X-Client-Id, stored as "anon_<id>" until sign-in is required. The
+// owner, checksum and sanitized HTML are always set here, never taken from the request.
+
+import { createHash } from "crypto";
+import sanitizeHtml from "sanitize-html";
+import { z } from "zod";
+
+export const CLIENT_ID_HEADER = 'x-client-id';
+
+const complianceReportInputSchema = z.object({
+  name: z.string(),
+  entityName: z.string(),
+  entityType: z.string(),
+  jurisdiction: z.string(),
+  filingType: z.string(),
+  deadline: z.string().nullish(),
+  htmlContent: z.string(),
+  metadata: z.unknown().optional(),
+  toolkitCode: z.string().optional(),
+});
+
+export interface NewComplianceReport {
+  userId: string;
+  ownerId: string;
+  toolkitCode: string;
+  name: string;
+  entityName: string;
+  entityType: string;
+  jurisdiction: string;
+  filingType: string;
+  deadline: string | null;
+  htmlContent: string;
+  checksum: string;
+  metadata: unknown;
+}
+
+// Storage for compliance reports (compliance_reports table in Express and Vercel); every
+// read and delete is scoped to the owning user
+export interface ComplianceReportStore {
+  insert(report: NewComplianceReport): Promise<Record<string, unknown>>;
+  // Newest first, without htmlContent and metadata
+  list(userId: string, toolkitCode: string): Promise<Array<Record<string, unknown>>>;
+  get(userId: string, id: string): Promise<Record<string, unknown> | null>;
+  delete(userId: string, id: string): Promise<boolean>;
+}
+
+export class ComplianceReportError extends Error {
+  code = 'INVALID_REPORT';
+  status = 400;
+
+  constructor(message: string, public details: unknown) {
+    super(message);
+    this.name = 'ComplianceReportError';
+  }
+}
+
+// Owner id of a request's X-Client-Id header, or null without one
+export function getReportOwnerId(clientId: unknown): string | null {
+  const id = Array.isArray(clientId) ? clientId[0] : clientId;
+  return typeof id === 'string' && id.trim() ? `anon_${id.trim()}` : null;
+}
+
+// Sanitize HTML content to prevent XSS
+export function sanitizeReportHtml(html: string): string {
+  return sanitizeHtml(html, {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']),
+    allowedAttributes: {
+      ...sanitizeHtml.defaults.allowedAttributes,
+      '*': ['style', 'class'],
+    },
+  });
+}
+
+// Row to insert for POST /api/reports/save
+export function prepareComplianceReport(body: unknown, userId: string): NewComplianceReport {
+  const validation = complianceReportInputSchema.safeParse(body);
+  if (!validation.success) {
+    throw new ComplianceReportError('Invalid input', validation.error.issues);
+  }
+
+  const data = validation.data;
+  return {
+    userId,
+    ownerId: '',
+    toolkitCode: data.toolkitCode?.trim() || 'grantgenie',
+    name: data.name,
+    entityName: data.entityName,
+    entityType: data.entityType,
+    jurisdiction: data.jurisdiction,
+    filingType: data.filingType,
+    deadline: data.deadline ?? null,
+    htmlContent: sanitizeReportHtml(data.htmlContent),
+    // Duplicate detection across saves of the same filing
+    checksum: createHash('md5').update(`${data.entityName}-${data.jurisdiction}-${data.filingType}`).digest('hex'),
+    metadata: data.metadata ?? {},
+  };
+}
@@ -0,0 +1,133 @@
+// Elev8 Pillar Confidence - How much of the input behind each pillar score was provided
+// Used by /api/generate, /api/generate/stream and generation jobs in Express and Vercel.
+// Each pillar lists the intake fields, questionnaire answers and financial statements that
+// inform it; confidence is the weighted share of those that were filled in. Missing inputs
+// use the evidence reference ids from shared/evidence.ts plus "financialStatements".
+// Framework pillars use the inputs of their basis pillar.
+
+import { PILLAR_NAMES, type PillarName } from "./diagnostic-schema.js";
+import { getPillarBasis, getReportFramework } from "./pillar-frameworks.js";
+import { questionRef } from "./evidence.js";
+import { QUESTIONNAIRE, validateQuestionnaireAnswers } from "./questionnaire.js";
+
+export type ConfidenceLevel = 'low' | 'medium' | 'high';
+
+export interface PillarConfidence {
+  score: number;           // 0-100
+  level: ConfidenceLevel;
+  missing: string[];       // inputs that would raise confidence, most valuable first
+}
+
+// Share of a pillar's inputs needed for each level
+const HIGH_CONFIDENCE = 75;
+const MEDIUM_CONFIDENCE = 45;
+
+// Free-text answers shorter than this count as half an answer
+const MIN_DETAILED_TEXT = 40;
+
+const FIELD_WEIGHT = 2;
+const QUESTION_WEIGHT = 1;
+
+// Intake fields behind each pillar (in line with the baseline scoring rules)
+const PILLAR_FIELDS: Record<PillarName, string[]> = {
+  "Formation & Compliance": ["industry", "employees", "challenges"],
+  "Business Credit Readiness": ["creditProfile", "revenueRange", "challenges"],
+  "Financials & Cash Flow": ["revenueRange", "creditProfile", "challenges"],
+  "Operations & Systems": ["employees", "industry", "challenges"],
+  "Sales & Marketing": ["revenueRange", "challenges", "goals"],
+  "Brand & Web Presence": ["industry", "challenges"],
+  "Risk & Legal Posture": ["industry", "employees", "challenges"],
+  "Growth Strategy & Execution": ["goals", "employees", "revenueRange"],
+};
+
+// Weight of uploaded financial statements for the pillars their ratios inform
+const STATEMENT_WEIGHTS: Partial<Record<PillarName, number>> = {
+  "Financials & Cash Flow": 4,
+  "Business Credit Readiness": 2,
+};
+
+const TEXT_FIELDS = new Set(["challenges", "goals"]);
+
+function levelFor(score: number): ConfidenceLevel {
+  if (score >= HIGH_CONFIDENCE) return 'high';
+  if (score >= MEDIUM_CONFIDENCE) return 'medium';
+  return 'low';
+}
+
+// 0 (missing) to 1 (complete) for one intake field
+function fieldCompleteness(formData: any, field: string): number {
+  const value = typeof formData?.[field] === 'string' ? formData[field].trim() : '';
+  if (!value) return 0;
+  // An unknown credit profile is an answer, but says little about the business
+  if (value === 'Unknown/Not Established') return 0.5;
+  if (TEXT_FIELDS.has(field) && value.length < MIN_DETAILED_TEXT) return 0.5;
+  return 1;
+}
+
+function hasStatements(formData: any): boolean {
+  const ratios = formData?.financials?.ratios;
+  return !!ratios && Object.values(ratios).some(value => typeof value === 'number');
+}
+
+export function computePillarConfidence(formData: any): Record<PillarName, PillarConfidence> {
+  const { answers } = validateQuestionnaireAnswers(formData?.questionnaire);
+  const result = {} as Record<PillarName, PillarConfidence>;
+
+  for (const pillar of PILLAR_NAMES) {
+    const gaps: Array<{ ref: string; weight: number }> = [];
+    let total = 0;
+    let provided = 0;
+
+    for (const field of PILLAR_FIELDS[pillar]) {
+      const completeness = fieldCompleteness(formData, field);
+      total += FIELD_WEIGHT;
+      provided += FIELD_WEIGHT * completeness;
+      if (completeness < 1) gaps.push({ ref: field, weight: FIELD_WEIGHT * (1 - completeness) });
+    }
+
+    const statementWeight = STATEMENT_WEIGHTS[pillar];
+    if (statementWeight) {
+      total += statementWeight;
+      if (hasStatements(formData)) {
+        provided += statementWeight;
+      } else {
+        gaps.push({ ref: 'financialStatements', weight: statementWeight });
+      }
+    }
+
+    for (const question of QUESTIONNAIRE.filter(q => q.pillar === pillar)) {
+      total += QUESTION_WEIGHT;
+      if (answers[question.id] !== undefined) {
+        provided += QUESTION_WEIGHT;
+      } else {
+        gaps.push({ ref: questionRef(question.id), weight: QUESTION_WEIGHT });
+      }
+    }
+
+    const score = total > 0 ? Math.round((provided / total) * 100) : 0;
+    result[pillar] = {
+      score,
+      level: levelFor(score),
+      // Stable sort keeps intake fields ahead of questions with the same weight
+      missing: gaps.sort((a, b) => b.weight - a.weight).map(gap => gap.ref),
+    };
+  }
+
+  return result;
+}
+
+// Add each pillar's confidence to a report (pillars with unrecognized names are left as-is)
+export function attachConfidence<T extends { pillars?: any[] }>(report: T, formData: any): T {
+  if (!Array.isArray(report.pillars)) return report;
+
+  const confidence = computePillarConfidence(formData);
+  const framework = getReportFramework(report);
+  return {
+    ...report,
+    pillars: report.pillars.map(pillar => {
+      const basis = getPillarBasis(framework, pillar?.name);
+      const entry = basis ? confidence[basis] : undefined;
+      return entry ? { ...pillar, confidence: entry } : pillar;
+    }),
+  };
+}
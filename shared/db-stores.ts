@@ -0,0 +1,313 @@
+// Database Stores - PostgreSQL implementations of the stores the shared request handlers use
+// Used by server/routes.ts (Express, with server/db.ts) and api/[...path].ts (Vercel, with
+// api/_lib/db-serverless.ts); each factory takes the drizzle client of its entry point.
+// Prompt versions, report counts, compliance reports, generation jobs and generation events
+// live in the tables of the same names in shared/schema.ts.
+
+import { and, asc, desc, eq, gte, inArray, isNull, lt, lte, or, sql, type SQL } from "drizzle-orm";
+import type { NodePgDatabase } from "drizzle-orm/node-postgres";
+import { complianceReports, generationEvents, generationJobs, promptTemplates, usageTracking } from "./schema.js";
+import type { PromptStore } from "./prompt-registry.js";
+import type { UsageStore } from "./usage-limits.js";
+import type { ComplianceReportStore } from "./compliance-reports.js";
+import type { GenerationJob, JobStore } from "./generation-jobs.js";
+import { COST_GROUP_KEYS, type CostGroup, type GenerationEventStore } from "./generation-events.js";
+
+export type StoreDatabase = NodePgDatabase<Record<string, unknown>>;
+
+// Prompt versions for the prompt registry (prompt_templates table)
+export function createDbPromptStore(db: StoreDatabase): PromptStore {
+  return {
+    async getActive(name) {
+      const rows = await db
+        .select()
+        .from(promptTemplates)
+        .where(and(eq(promptTemplates.name, name), eq(promptTemplates.isActive, true)))
+        .limit(1);
+      return rows[0] || null;
+    },
+
+    async find(name, version) {
+      const rows = await db
+        .select()
+        .from(promptTemplates)
+        .where(and(eq(promptTemplates.name, name), eq(promptTemplates.version, version)))
+        .limit(1);
+      return rows[0] || null;
+    },
+
+    async list() {
+      return db
+        .select()
+        .from(promptTemplates)
+        .orderBy(asc(promptTemplates.name), asc(promptTemplates.createdAt));
+    },
+
+    async insert(prompt) {
+      await db.insert(promptTemplates).values({
+        name: prompt.name,
+        version: prompt.version,
+        content: prompt.content,
+        description: prompt.description ?? null,
+        createdBy: prompt.createdBy ?? null,
+      });
+    },
+
+    async activate(name, version) {
+      return db.transaction(async (tx) => {
+        await tx
+          .update(promptTemplates)
+          .set({ isActive: false })
+          .where(eq(promptTemplates.name, name));
+        const updated = await tx
+          .update(promptTemplates)
+          .set({ isActive: true, activatedAt: new Date() })
+          .where(and(eq(promptTemplates.name, name), eq(promptTemplates.version, version)))
+          .returning();
+        return updated.length > 0;
+      });
+    },
+  };
+}
+
+// Folds counts stored under the tool names of older Express builds ("Elev8Analyzer",
+// "GrantGenie", "CompliPilot") into the lowercase keys now used. Deleting and re-adding in
+// one statement keeps two instances running it at once from counting a row twice.
+async function foldLegacyUsageTools(db: StoreDatabase): Promise<void> {
+  await db.execute(sql`
+    WITH legacy AS (
+      DELETE FROM ${usageTracking} WHERE ${usageTracking.tool} <> lower(${usageTracking.tool})
+      RETURNING ip_address, lower(tool) AS tool, report_count, last_updated
+    )
+    INSERT INTO ${usageTracking} (ip_address, tool, report_count, last_updated)
+    SELECT ip_address, tool, sum(report_count), max(last_updated) FROM legacy GROUP BY ip_address, tool
+    ON CONFLICT (ip_address, tool) DO UPDATE SET
+      report_count = ${usageTracking.reportCount} + excluded.report_count,
+      last_updated = greatest(${usageTracking.lastUpdated}, excluded.last_updated)
+  `);
+}
+
+// Report counts per IP address and tool (usage_tracking table)
+export function createDbUsageStore(db: StoreDatabase): UsageStore {
+  // Once per instance, before the first count is read
+  let legacyFolded: Promise<void> | null = null;
+  const foldLegacy = () => {
+    legacyFolded ??= foldLegacyUsageTools(db).catch((error: any) => {
+      legacyFolded = null;
+      console.error('[Usage] Failed to fold legacy tool names:', error.message);
+    });
+    return legacyFolded;
+  };
+
+  const store: UsageStore = {
+    async getCount(ipAddress, tool) {
+      await foldLegacy();
+      const [row] = await db
+        .select({ reportCount: usageTracking.reportCount })
+        .from(usageTracking)
+        .where(and(eq(usageTracking.ipAddress, ipAddress), eq(usageTracking.tool, tool)))
+        .limit(1);
+      return row?.reportCount ?? 0;
+    },
+
+    async increment(ipAddress, tool, cap) {
+      await foldLegacy();
+      // Only increments below the cap, so concurrent requests cannot overshoot it
+      const [updated] = await db
+        .update(usageTracking)
+        .set({
+          reportCount: sql`${usageTracking.reportCount} + 1`,
+          lastUpdated: new Date(),
+        })
+        .where(and(
+          eq(usageTracking.ipAddress, ipAddress),
+          eq(usageTracking.tool, tool),
+          ...(cap === null ? [] : [sql`${usageTracking.reportCount} < ${cap}`])
+        ))
+        .returning();
+      if (updated) return { count: updated.reportCount, incremented: true };
+
+      const count = await store.getCount(ipAddress, tool);
+      if (count > 0) return { count, incremented: false };
+
+      // First report for this IP and tool
+      const [inserted] = await db
+        .insert(usageTracking)
+        .values({ ipAddress, tool, reportCount: 1 })
+        .returning();
+      return { count: inserted.reportCount, incremented: true };
+    },
+  };
+  return store;
+}
+
+// Compliance reports (compliance_reports table)
+export function createDbComplianceReportStore(db: StoreDatabase): ComplianceReportStore {
+  return {
+    async insert(report) {
+      const [saved] = await db.insert(complianceReports).values(report).returning();
+      return saved;
+    },
+
+    async list(userId, toolkitCode) {
+      return db
+        .select({
+          id: complianceReports.id,
+          name: complianceReports.name,
+          entityName: complianceReports.entityName,
+          entityType: complianceReports.entityType,
+          jurisdiction: complianceReports.jurisdiction,
+          filingType: complianceReports.filingType,
+          deadline: complianceReports.deadline,
+          checksum: complianceReports.checksum,
+          createdAt: complianceReports.createdAt,
+        })
+        .from(complianceReports)
+        .where(and(eq(complianceReports.toolkitCode, toolkitCode), eq(complianceReports.userId, userId)))
+        .orderBy(desc(complianceReports.createdAt));
+    },
+
+    async get(userId, id) {
+      const [report] = await db
+        .select()
+        .from(complianceReports)
+        .where(and(eq(complianceReports.id, id), eq(complianceReports.userId, userId)));
+      return report ?? null;
+    },
+
+    async delete(userId, id) {
+      const deleted = await db
+        .delete(complianceReports)
+        .where(and(eq(complianceReports.id, id), eq(complianceReports.userId, userId)))
+        .returning({ id: complianceReports.id });
+      return deleted.length > 0;
+    },
+  };
+}
+
+// Background generation jobs (generation_jobs table); every transition is a conditional
+// update, so two workers can't claim, commit or finish the same attempt
+export function createDbJobStore(db: StoreDatabase): JobStore {
+  return {
+    async create(job) {
+      const done = job.status === 'succeeded' || job.status === 'failed';
+      const rows = await db
+        .insert(generationJobs)
+        .values({
+          id: job.id,
+          tool: job.tool,
+          status: job.status,
+          formData: job.formData,
+          ipAddress: job.ipAddress,
+          maxAttempts: job.maxAttempts,
+          result: job.result ?? null,
+          error: job.error ?? null,
+          completedAt: done ? new Date() : null,
+        })
+        .returning();
+      return rows[0] as GenerationJob;
+    },
+
+    async get(id) {
+      const rows = await db
+        .select()
+        .from(generationJobs)
+        .where(eq(generationJobs.id, id))
+        .limit(1);
+      return (rows[0] as GenerationJob) || null;
+    },
+
+    async claim(id, leaseExpiresAt) {
+      const now = new Date();
+      const rows = await db
+        .update(generationJobs)
+        .set({
+          status: 'running',
+          attempts: sql`${generationJobs.attempts} + 1`,
+          leaseExpiresAt,
+          updatedAt: now,
+        })
+        .where(and(
+          eq(generationJobs.id, id),
+          sql`${generationJobs.attempts} < ${generationJobs.maxAttempts}`,
+          or(
+            eq(generationJobs.status, 'queued'),
+            and(
+              eq(generationJobs.status, 'running'),
+              or(isNull(generationJobs.leaseExpiresAt), lte(generationJobs.leaseExpiresAt, now))
+            )
+          )
+        ))
+        .returning();
+      return (rows[0] as GenerationJob) || null;
+    },
+
+    async lockCommit(id, attempt, leaseExpiresAt) {
+      const rows = await db
+        .update(generationJobs)
+        .set({ status: 'committing', leaseExpiresAt, updatedAt: new Date() })
+        .where(and(
+          eq(generationJobs.id, id),
+          eq(generationJobs.status, 'running'),
+          eq(generationJobs.attempts, attempt)
+        ))
+        .returning({ id: generationJobs.id });
+      return rows.length > 0;
+    },
+
+    async finish(id, attempt, update) {
+      const done = update.status === 'succeeded' || update.status === 'failed';
+      const rows = await db
+        .update(generationJobs)
+        .set({
+          status: update.status,
+          ...(update.result !== undefined ? { result: update.result } : {}),
+          ...(update.error !== undefined ? { error: update.error } : {}),
+          leaseExpiresAt: null,
+          updatedAt: new Date(),
+          completedAt: done ? new Date() : null,
+        })
+        .where(and(
+          eq(generationJobs.id, id),
+          inArray(generationJobs.status, ['running', 'committing']),
+          eq(generationJobs.attempts, attempt)
+        ))
+        .returning({ id: generationJobs.id });
+      return rows.length > 0;
+    },
+  };
+}
+
+const COST_GROUP_COLUMNS: Record<CostGroup, SQL> = {
+  day: sql`to_char(date_trunc('day', ${generationEvents.createdAt}), 'YYYY-MM-DD')`,
+  tool: sql`${generationEvents.tool}`,
+  ip: sql`${generationEvents.ipAddress}`,
+  user: sql`${generationEvents.userId}`,
+};
+
+// AI completions for /api/admin/generation-costs (generation_events table)
+export function createDbGenerationEventStore(db: StoreDatabase): GenerationEventStore {
+  return {
+    async insert(event) {
+      await db.insert(generationEvents).values(event);
+    },
+
+    async summarize(query) {
+      const groups = query.groupBy.map(group => COST_GROUP_COLUMNS[group]);
+      return db
+        .select({
+          ...Object.fromEntries(query.groupBy.map(group => [COST_GROUP_KEYS[group], COST_GROUP_COLUMNS[group]])),
+          generations: sql`count(*)`,
+          failed: sql`count(*) filter (where ${generationEvents.status} = 'failed')`,
+          promptTokens: sql`coalesce(sum(${generationEvents.promptTokens}), 0)`,
+          completionTokens: sql`coalesce(sum(${generationEvents.completionTokens}), 0)`,
+          estimatedCostUsd: sql`coalesce(sum(${generationEvents.estimatedCostUsd}), 0)`,
+          avgLatencyMs: sql`avg(${generationEvents.latencyMs})`,
+        })
+        .from(generationEvents)
+        .where(and(gte(generationEvents.createdAt, query.from), lt(generationEvents.createdAt, query.to)))
+        .groupBy(...groups)
+        .orderBy(...groups);
+    },
+  };
+}
@@ -0,0 +1,362 @@
+// Elev8 Diagnostic Schema - Validation and auto-repair of the pillar diagnostic JSON
+// Used by /api/generate in both Express (server/routes.ts) and Vercel (api/[...path].ts).
+// The pillars, their order and their index weights come from the report's pillar
+// framework (shared/pillar-frameworks.ts).
+
+import { z } from "zod";
+import type { AiProvider, ChatMessage, CompletionResult } from "./ai-provider.js";
+import { MAX_EVIDENCE_REFS } from "./evidence.js";
+import { CORE_PILLAR_NAMES, findFrameworkPillar, getFramework, type PillarFramework, type PillarName } from "./pillar-frameworks.js";
+import { statusFromScore } from "./status-bands.js";
+
+// The eight core pillars intake rules are written for (the business framework's pillars)
+export const PILLAR_NAMES = CORE_PILLAR_NAMES;
+export type { PillarName };
+
+const scoreSchema = z.number().int().min(0).max(100);
+
+export const pillarSchema = z.object({
+  name: z.string().min(1),
+  score: scoreSchema,
+  status: z.enum(["red", "yellow", "green"]),
+  insights: z.array(z.string().min(1)).min(1),
+  actions: z.array(z.string().min(1)).min(1),
+  // Evidence references per insight and action (see shared/evidence.ts)
+  evidence: z.object({
+    insights: z.array(z.array(z.string())),
+    actions: z.array(z.array(z.string())),
+  }).optional(),
+});
+
+// Diagnostic schema requiring every pillar of a framework
+export function buildDiagnosticSchema(framework: PillarFramework = getFramework()) {
+  return z.object({
+    overall: z.object({
+      score: scoreSchema,
+      summary: z.string().min(1),
+    }),
+    pillars: z.array(pillarSchema).length(framework.pillars.length).superRefine((pillars, ctx) => {
+      const seen = new Set(pillars.map(p => p.name));
+      for (const { name } of framework.pillars) {
+        if (!seen.has(name)) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Missing pillar "${name}"` });
+        }
+      }
+    }),
+    roadmap: z.object({
+      d30: z.array(z.string().min(1)).min(1),
+      d60: z.array(z.string().min(1)).min(1),
+      d90: z.array(z.string().min(1)).min(1),
+    }),
+  });
+}
+
+export type DiagnosticPillar = z.infer<typeof pillarSchema>;
+export type Diagnostic = z.infer<ReturnType<typeof buildDiagnosticSchema>>;
+
+// Structured error raised when the model output cannot be validated or repaired
+export class DiagnosticValidationError extends Error {
+  code = 'INVALID_DIAGNOSTIC';
+
+  constructor(public issues: string[]) {
+    super(`Diagnostic response failed validation: ${issues.join('; ')}`);
+    this.name = 'DiagnosticValidationError';
+  }
+}
+
+// Map a model-reported pillar name onto a framework pillar name (null if unrecognized)
+export function normalizePillarName(name: unknown, framework: PillarFramework = getFramework()): string | null {
+  const raw = String(name ?? '').trim();
+  if (!raw) return null;
+
+  const exact = findFrameworkPillar(framework, raw);
+  if (exact) return exact.name;
+
+  const lower = raw.toLowerCase();
+  for (const pillar of framework.pillars) {
+    if (pillar.keywords.some(keyword => lower.includes(keyword.toLowerCase()))) {
+      return pillar.name;
+    }
+  }
+  return null;
+}
+
+// Coerce a score to an integer in 0-100 (null if not numeric)
+export function clampScore(value: unknown): number | null {
+  const num = typeof value === 'string' ? parseFloat(value) : Number(value);
+  if (value === null || value === undefined || isNaN(num)) return null;
+  return Math.max(0, Math.min(100, Math.round(num)));
+}
+
+// Weighted overall index from pillar scores (weights from the framework; unknown pillars weigh 1.0)
+export function computeOverallIndex(
+  pillars: Array<{ name?: string; score?: number }>,
+  framework: PillarFramework = getFramework(),
+): number {
+  let totalScore = 0;
+  let totalWeight = 0;
+
+  pillars.forEach(pillar => {
+    const weight = findFrameworkPillar(framework, pillar.name)?.weight ?? 1.0;
+    totalScore += (pillar.score ?? 0) * weight;
+    totalWeight += weight;
+  });
+
+  return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
+}
+
+// Model-reported vs computed overall index (computed from the model's own pillar scores)
+export interface IndexCheck {
+  reported: number;
+  computed: number;
+  difference: number;
+  tolerance: number;
+  diverged: boolean;
+}
+
+// Points of difference allowed before the reported index is flagged (ELEV8_INDEX_TOLERANCE, default 5)
+export function getIndexTolerance(): number {
+  const raw = process.env.ELEV8_INDEX_TOLERANCE;
+  const value = raw === undefined || raw.trim() === '' ? NaN : Number(raw);
+  return isNaN(value) || value < 0 ? 5 : value;
+}
+
+export function checkReportedIndex(
+  diagnostic: Diagnostic,
+  tolerance: number = getIndexTolerance(),
+  framework: PillarFramework = getFramework(),
+): IndexCheck {
+  const computed = computeOverallIndex(diagnostic.pillars, framework);
+  const difference = Math.abs(diagnostic.overall.score - computed);
+
+  return {
+    reported: diagnostic.overall.score,
+    computed,
+    difference,
+    tolerance,
+    diverged: difference > tolerance,
+  };
+}
+
+// Coerce a model-provided list (or single string) into trimmed, non-empty strings
+export function toStringList(value: unknown): string[] {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item ?? '').trim()).filter(Boolean);
+  }
+  if (typeof value === 'string' && value.trim()) {
+    return [value.trim()];
+  }
+  return [];
+}
+
+// Split a model-provided list whose items may be {"text", "evidence"} objects into the
+// item texts and their evidence references (one list per text, in the same order)
+export function toEvidenceList(value: unknown): { items: string[]; evidence: string[][]; cited: boolean } {
+  const items: string[] = [];
+  const evidence: string[][] = [];
+  let cited = false;
+
+  for (const item of Array.isArray(value) ? value : typeof value === 'string' ? [value] : []) {
+    const isObject = item !== null && typeof item === 'object';
+    const text = String((isObject ? (item as any).text : item) ?? '').trim();
+    if (!text) continue;
+
+    const refs = isObject ? toStringList((item as any).evidence) : [];
+    if (isObject) cited = true;
+    items.push(text);
+    evidence.push(Array.from(new Set(refs)).slice(0, MAX_EVIDENCE_REFS));
+  }
+
+  return { items, evidence, cited };
+}
+
+// Repair common model mistakes without inventing content.
+// Returns the repaired object and a list of fixes applied; anything that cannot
+// be repaired (missing pillars, empty roadmap phases) is left for validation to report.
+export function repairDiagnostic(raw: any, framework: PillarFramework = getFramework()): { data: any; fixes: string[] } {
+  const fixes: string[] = [];
+  const source = raw && typeof raw === 'object' ? raw : {};
+
+  const pillars: DiagnosticPillar[] = [];
+  const seen = new Set<string>();
+  let cited = false;
+
+  for (const pillar of Array.isArray(source.pillars) ? source.pillars : []) {
+    const name = normalizePillarName(pillar?.name, framework);
+    if (!name) {
+      fixes.push(`Dropped unrecognized pillar "${pillar?.name}"`);
+      continue;
+    }
+    if (seen.has(name)) {
+      fixes.push(`Dropped duplicate pillar "${pillar?.name}"`);
+      continue;
+    }
+    if (name !== pillar.name) {
+      fixes.push(`Renamed pillar "${pillar.name}" to "${name}"`);
+    }
+
+    const score = clampScore(pillar.score);
+    if (score === null) {
+      // Leave as-is so validation reports the missing score
+      pillars.push({ ...pillar, name });
+      seen.add(name);
+      continue;
+    }
+    if (score !== pillar.score) {
+      fixes.push(`Clamped ${name} score from ${pillar.score} to ${score}`);
+    }
+
+    const status = statusFromScore(score, framework.statusBands);
+    if (status !== pillar.status) {
+      fixes.push(`Set ${name} status to ${status}`);
+    }
+
+    const insights = toEvidenceList(pillar.insights);
+    const actions = toEvidenceList(pillar.actions);
+    cited = cited || insights.cited || actions.cited;
+
+    pillars.push({
+      name,
+      score,
+      status,
+      insights: insights.items,
+      actions: actions.items,
+      evidence: { insights: insights.evidence, actions: actions.evidence },
+    });
+    seen.add(name);
+  }
+
+  // Evidence is only meaningful when the prompt asked for it (items came back as objects)
+  if (!cited) {
+    pillars.forEach(pillar => delete pillar.evidence);
+  }
+
+  // Keep pillars in framework order so downstream rendering is stable
+  const order = framework.pillars.map(p => p.name);
+  pillars.sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+
+  const overall = source.overall && typeof source.overall === 'object' ? source.overall : {};
+  let overallScore = clampScore(overall.score);
+  if (overallScore === null && pillars.length === order.length && pillars.every(p => typeof p.score === 'number')) {
+    overallScore = computeOverallIndex(pillars, framework);
+    fixes.push(`Computed missing overall score (${overallScore}) from pillar scores`);
+  } else if (overallScore !== null && overallScore !== overall.score) {
+    fixes.push(`Clamped overall score from ${overall.score} to ${overallScore}`);
+  }
+
+  const roadmap = source.roadmap && typeof source.roadmap === 'object' ? source.roadmap : {};
+
+  return {
+    data: {
+      overall: {
+        score: overallScore ?? overall.score,
+        summary: typeof overall.summary === 'string' ? overall.summary.trim() : overall.summary,
+      },
+      pillars,
+      roadmap: {
+        d30: toStringList(roadmap.d30),
+        d60: toStringList(roadmap.d60),
+        d90: toStringList(roadmap.d90),
+      },
+    },
+    fixes,
+  };
+}
+
+// Flatten zod issues into readable messages
+export function formatIssues(error: z.ZodError): string[] {
+  return error.issues.map(issue => {
+    const path = issue.path.join('.');
+    return path ? `${path}: ${issue.message}` : issue.message;
+  });
+}
+
+// Parse, repair and validate a raw model response (valid when issues is empty)
+export function validateDiagnostic(
+  content: string,
+  framework: PillarFramework = getFramework(),
+): { diagnostic: Diagnostic | null; fixes: string[]; issues: string[] } {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(content || '{}');
+  } catch (error: any) {
+    return { diagnostic: null, fixes: [], issues: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const { data, fixes } = repairDiagnostic(parsed, framework);
+  const result = buildDiagnosticSchema(framework).safeParse(data);
+
+  if (!result.success) {
+    return { diagnostic: null, fixes, issues: formatIssues(result.error) };
+  }
+  return { diagnostic: result.data, fixes, issues: [] };
+}
+
+export interface DiagnosticGenerationResult {
+  diagnostic: Diagnostic;
+  completion: CompletionResult;
+  validation: {
+    attempts: number;
+    repaired: boolean;
+    fixes: string[];
+  };
+}
+
+export interface DiagnosticGenerationOptions {
+  // When set, each attempt is streamed and its content fragments are reported here
+  onDelta?: (delta: string, attempt: number) => void;
+  // Pillars to require (defaults to the ELEV8_FRAMEWORK framework)
+  framework?: PillarFramework;
+  // Cancels the provider calls (see withTimeout in shared/generation-jobs.ts)
+  signal?: AbortSignal;
+}
+
+// Generate a diagnostic, repairing the response and retrying once with the
+// validation issues before failing with a DiagnosticValidationError
+export async function generateValidatedDiagnostic(
+  provider: AiProvider,
+  tool: string,
+  messages: ChatMessage[],
+  options: DiagnosticGenerationOptions = {},
+): Promise<DiagnosticGenerationResult> {
+  const { onDelta, framework = getFramework(), signal } = options;
+  let conversation = messages;
+  let issues: string[] = [];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const request = { tool, messages: conversation, json: true, signal };
+    const completion = onDelta
+      ? await provider.stream(request, delta => onDelta(delta, attempt))
+      : await provider.complete(request);
+    const result = validateDiagnostic(completion.content, framework);
+
+    if (result.diagnostic) {
+      if (result.fixes.length > 0) {
+        console.log(`[Diagnostic] Repaired response (attempt ${attempt}):`, result.fixes);
+      }
+      return {
+        diagnostic: result.diagnostic,
+        completion,
+        validation: {
+          attempts: attempt,
+          repaired: result.fixes.length > 0,
+          fixes: result.fixes,
+        },
+      };
+    }
+
+    issues = result.issues;
+    console.warn(`[Diagnostic] Invalid response (attempt ${attempt}):`, issues);
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: completion.content },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required schema:\n${issues.map(i => `- ${i}`).join('\n')}\n\nReturn the complete corrected JSON object with all ${framework.pillars.length} pillars (${framework.pillars.map(p => p.name).join(', ')}) and the d30, d60 and d90 roadmap arrays. Return ONLY valid JSON.`,
+      },
+    ];
+  }
+
+  throw new DiagnosticValidationError(issues);
+}
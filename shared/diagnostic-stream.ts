@@ -0,0 +1,197 @@
+// Elev8 Diagnostic Streaming - Incremental parsing of a streamed diagnostic and
+// the Server-Sent Events protocol used by POST /api/generate/stream
+//
+// Event sequence: job -> status -> overall -> pillar (one per framework pillar) -> roadmap -> complete
+// The job event (only sent when a job store is configured) carries the id of the job the
+// stream runs as, which the client polls if the stream is cut off before completing.
+// A status event with stage "retrying" means the first attempt failed validation and
+// the partial sections will be sent again. Failures are sent as an "error" event.
+
+import type { AiProvider, ChatMessage } from "./ai-provider.js";
+import {
+  clampScore,
+  generateValidatedDiagnostic,
+  normalizePillarName,
+  toEvidenceList,
+  type DiagnosticGenerationResult,
+} from "./diagnostic-schema.js";
+import { getFramework, type PillarFramework } from "./pillar-frameworks.js";
+import { statusFromScore } from "./status-bands.js";
+
+export type DiagnosticStreamEvent =
+  | { type: 'overall'; data: { score: number | null; summary: string } }
+  | { type: 'pillar'; data: { index: number; pillar: any } }
+  | { type: 'roadmap'; data: { d30: string[]; d60: string[]; d90: string[] } };
+
+export type SendEvent = (event: string, data: unknown) => void;
+
+interface Container {
+  kind: '{' | '[';
+  key: string | null;
+  start: number;
+  expectKey: boolean;
+}
+
+// Scans streamed JSON text and reports each top-level section as soon as it closes.
+// Partial sections are only lightly repaired; the final validated diagnostic is authoritative.
+export class DiagnosticStreamParser {
+  private text = '';
+  private position = 0;
+  private stack: Container[] = [];
+  private inString = false;
+  private escaped = false;
+  private stringStart = 0;
+  private lastKey: string | null = null;
+  private pillarCount = 0;
+
+  constructor(private framework: PillarFramework = getFramework()) {}
+
+  feed(delta: string): DiagnosticStreamEvent[] {
+    const events: DiagnosticStreamEvent[] = [];
+    this.text += delta;
+
+    for (; this.position < this.text.length; this.position++) {
+      const char = this.text[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          const parent = this.stack[this.stack.length - 1];
+          if (parent?.kind === '{' && parent.expectKey) {
+            this.lastKey = this.readJson(this.stringStart, this.position + 1);
+          }
+        }
+        continue;
+      }
+
+      const parent = this.stack[this.stack.length - 1];
+
+      if (char === '"') {
+        this.inString = true;
+        this.stringStart = this.position;
+      } else if (char === ':') {
+        if (parent) parent.expectKey = false;
+      } else if (char === ',') {
+        if (parent?.kind === '{') parent.expectKey = true;
+      } else if (char === '{' || char === '[') {
+        const key = parent?.kind === '{' ? this.lastKey : null;
+        this.stack.push({ kind: char, key, start: this.position, expectKey: char === '{' });
+      } else if (char === '}' || char === ']') {
+        const closed = this.stack.pop();
+        if (closed) {
+          const event = this.toEvent(closed, this.position + 1);
+          if (event) events.push(event);
+        }
+      }
+    }
+
+    return events;
+  }
+
+  private readJson(start: number, end: number): any {
+    try {
+      return JSON.parse(this.text.slice(start, end));
+    } catch {
+      return null;
+    }
+  }
+
+  private toEvent(closed: Container, end: number): DiagnosticStreamEvent | null {
+    const depth = this.stack.length;
+    const parent = this.stack[depth - 1];
+
+    // Top-level "overall" and "roadmap" objects (depth 1 = inside the root object)
+    if (closed.kind === '{' && depth === 1 && closed.key === 'overall') {
+      const overall = this.readJson(closed.start, end);
+      if (!overall) return null;
+      return {
+        type: 'overall',
+        data: {
+          score: clampScore(overall.score),
+          summary: typeof overall.summary === 'string' ? overall.summary.trim() : '',
+        },
+      };
+    }
+
+    if (closed.kind === '{' && depth === 1 && closed.key === 'roadmap') {
+      const roadmap = this.readJson(closed.start, end);
+      if (!roadmap) return null;
+      const list = (value: unknown) => Array.isArray(value) ? value.map(item => String(item)) : [];
+      return { type: 'roadmap', data: { d30: list(roadmap.d30), d60: list(roadmap.d60), d90: list(roadmap.d90) } };
+    }
+
+    // Each object directly inside the top-level "pillars" array
+    if (closed.kind === '{' && depth === 2 && parent.kind === '[' && parent.key === 'pillars') {
+      const pillar = this.readJson(closed.start, end);
+      if (!pillar) return null;
+      const score = clampScore(pillar.score);
+      const insights = toEvidenceList(pillar.insights);
+      const actions = toEvidenceList(pillar.actions);
+      return {
+        type: 'pillar',
+        data: {
+          index: this.pillarCount++,
+          pillar: {
+            ...pillar,
+            name: normalizePillarName(pillar.name, this.framework) ?? pillar.name,
+            score: score ?? 0,
+            status: score === null ? pillar.status : statusFromScore(score, this.framework.statusBands),
+            insights: insights.items,
+            actions: actions.items,
+            ...(insights.cited || actions.cited ? { evidence: { insights: insights.evidence, actions: actions.evidence } } : {}),
+          },
+        },
+      };
+    }
+
+    return null;
+  }
+}
+
+// Stream a validated diagnostic, sending each section as an SSE event while the
+// model generates. Resolves with the same result as generateValidatedDiagnostic.
+export async function streamValidatedDiagnostic(
+  provider: AiProvider,
+  tool: string,
+  messages: ChatMessage[],
+  send: SendEvent,
+  framework: PillarFramework = getFramework(),
+  signal?: AbortSignal,
+): Promise<DiagnosticGenerationResult> {
+  let parser = new DiagnosticStreamParser(framework);
+  let currentAttempt = 1;
+
+  send('status', { stage: 'started', attempt: currentAttempt });
+
+  return generateValidatedDiagnostic(provider, tool, messages, {
+    framework,
+    signal,
+    onDelta: (delta, attempt) => {
+      if (attempt !== currentAttempt) {
+        currentAttempt = attempt;
+        parser = new DiagnosticStreamParser(framework);
+        send('status', { stage: 'retrying', attempt });
+      }
+      for (const event of parser.feed(delta)) {
+        send(event.type, event.data);
+      }
+    },
+  });
+}
+
+// Format one Server-Sent Event frame
+export function formatSseEvent(event: string, data: unknown): string {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Headers for an SSE response (X-Accel-Buffering disables proxy buffering)
+export const SSE_HEADERS: Record<string, string> = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no',
+};
@@ -0,0 +1,111 @@
+// Elev8 Evidence References - Links pillar insights and actions to the answers they rely on
+// Used by /api/generate, /api/generate/stream and generation jobs in Express and Vercel.
+// A reference is an intake field name ("industry"), an answered question
+// ("questionnaire.bc_duns") or an uploaded financial ratio ("financials.netMargin").
+// The browser labels references in the pillar cards and PDF; an item without any is general advice.
+
+import type { FinancialRatios } from "./financial-statements.js";
+import { QUESTIONNAIRE, formatAnswer, validateQuestionnaireAnswers } from "./questionnaire.js";
+
+// Per pillar, one list of references per insight and per action (same order as the items)
+export interface PillarEvidence {
+  insights: string[][];
+  actions: string[][];
+}
+
+export interface EvidenceSource {
+  ref: string;
+  label: string;
+  value: string;
+}
+
+export const MAX_EVIDENCE_REFS = 4;
+
+// Intake fields that can be cited (business name is not evidence for anything)
+const FIELD_LABELS: Record<string, string> = {
+  industry: 'Industry',
+  revenueRange: 'Annual revenue',
+  creditProfile: 'Credit profile',
+  employees: 'Employees',
+  challenges: 'Challenges',
+  goals: 'Strategic goals',
+};
+
+const RATIO_LABELS: Record<keyof FinancialRatios, { label: string; suffix: string }> = {
+  grossMargin: { label: 'Gross margin', suffix: '%' },
+  netMargin: { label: 'Net margin', suffix: '%' },
+  currentRatio: { label: 'Current ratio', suffix: '' },
+  debtToEquity: { label: 'Debt-to-equity', suffix: '' },
+  monthsOfRunway: { label: 'Months of runway', suffix: '' },
+};
+
+export function questionRef(id: string): string {
+  return `questionnaire.${id}`;
+}
+
+export function ratioRef(ratio: keyof FinancialRatios): string {
+  return `financials.${ratio}`;
+}
+
+// Everything the business actually provided that an insight could be based on
+export function listEvidenceSources(formData: any): EvidenceSource[] {
+  const data = formData || {};
+  const sources: EvidenceSource[] = [];
+
+  for (const [field, label] of Object.entries(FIELD_LABELS)) {
+    const value = typeof data[field] === 'string' ? data[field].trim() : '';
+    if (value) sources.push({ ref: field, label, value });
+  }
+
+  const { answers } = validateQuestionnaireAnswers(data.questionnaire);
+  for (const question of QUESTIONNAIRE) {
+    if (answers[question.id] === undefined) continue;
+    sources.push({ ref: questionRef(question.id), label: question.label, value: formatAnswer(question, answers[question.id]) });
+  }
+
+  const ratios = data.financials?.ratios;
+  if (ratios) {
+    for (const [ratio, { label, suffix }] of Object.entries(RATIO_LABELS)) {
+      const value = ratios[ratio];
+      if (typeof value === 'number') sources.push({ ref: ratioRef(ratio as keyof FinancialRatios), label, value: `${value}${suffix}` });
+    }
+  }
+
+  return sources;
+}
+
+// Prompt section listing the reference ids the model may cite ('' when nothing citable was provided)
+export function formatEvidenceForPrompt(formData: any): string {
+  const sources = listEvidenceSources(formData);
+  if (sources.length === 0) return '';
+
+  return `EVIDENCE REFERENCES (cite these ids in the "evidence" list of each insight and action that relies on them; use [] for general advice):
+${sources.map(source => `- ${source.ref}: ${source.label}`).join('\n')}`;
+}
+
+// Keep only references to answers this submission provided, with one list per item.
+// Pillars without evidence (older prompt versions, deep dives) are left unchanged.
+export function attachEvidence<T extends { pillars?: any[] }>(report: T, formData: any): T {
+  if (!Array.isArray(report.pillars)) return report;
+
+  const known = new Set(listEvidenceSources(formData).map(source => source.ref));
+  const filter = (items: unknown, lists: unknown): string[][] =>
+    (Array.isArray(items) ? items : []).map((_, index) => {
+      const refs = Array.isArray(lists) ? lists[index] : null;
+      return Array.isArray(refs) ? refs.filter(ref => known.has(ref)) : [];
+    });
+
+  return {
+    ...report,
+    pillars: report.pillars.map(pillar => {
+      if (!pillar?.evidence) return pillar;
+      return {
+        ...pillar,
+        evidence: {
+          insights: filter(pillar.insights, pillar.evidence.insights),
+          actions: filter(pillar.actions, pillar.evidence.actions),
+        },
+      };
+    }),
+  };
+}
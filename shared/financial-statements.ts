@@ -0,0 +1,263 @@
+// Elev8 Financial Statements - P&L and balance sheet CSV parsing and ratio computation
+// Used by /api/generate in Express and Vercel to ground the Financials & Cash Flow pillar
+// in real numbers. CSVs are simple "line item, amount" rows; header rows and unknown
+// line items are ignored, and the last numeric cell on a row is taken as its amount.
+
+export interface FinancialStatementsInput {
+  profitAndLoss?: string;
+  balanceSheet?: string;
+}
+
+export interface FinancialInputs {
+  revenue?: number;
+  cogs?: number;
+  grossProfit?: number;
+  operatingExpenses?: number;
+  netIncome?: number;
+  cash?: number;
+  currentAssets?: number;
+  totalAssets?: number;
+  currentLiabilities?: number;
+  totalLiabilities?: number;
+  totalEquity?: number;
+}
+
+export interface FinancialRatios {
+  grossMargin: number | null;      // percent
+  netMargin: number | null;        // percent
+  currentRatio: number | null;
+  debtToEquity: number | null;
+  monthsOfRunway: number | null;   // cash / average monthly expenses
+}
+
+export interface FinancialMetrics {
+  periodMonths: number;
+  inputs: FinancialInputs;
+  ratios: FinancialRatios;
+}
+
+// Structured error raised when an uploaded CSV cannot be used; field names the offending
+// part of the request (financialStatements, profitAndLoss or balanceSheet)
+export class FinancialStatementError extends Error {
+  code = 'INVALID_FINANCIALS';
+  field: string;
+
+  constructor(message: string, field: string) {
+    super(message);
+    this.name = 'FinancialStatementError';
+    this.field = field;
+  }
+}
+
+// Keeps both statements within the default 100kb JSON body limit
+export const MAX_CSV_LENGTH = 40_000;
+const MAX_CSV_ROWS = 500;
+const DEFAULT_PERIOD_MONTHS = 12;
+
+type LineItemKey = keyof FinancialInputs | 'periodMonths';
+
+// Normalized line item labels, most specific first
+const LINE_ITEMS: Array<{ key: LineItemKey; pattern: RegExp }> = [
+  { key: 'periodMonths', pattern: /^(period|months|period months|months covered)$/ },
+  { key: 'cogs', pattern: /^(total )?(cost of goods sold|cost of sales|cost of revenue|cogs)$/ },
+  { key: 'grossProfit', pattern: /^gross (profit|margin)$/ },
+  { key: 'netIncome', pattern: /^net (income|profit|earnings|loss|income \(loss\)|profit \(loss\))$/ },
+  { key: 'revenue', pattern: /^(total )?(revenue|revenues|sales|net sales|gross sales|income|gross receipts)$/ },
+  { key: 'operatingExpenses', pattern: /^(total )?(operating expenses|opex|expenses|overhead)$/ },
+  { key: 'cash', pattern: /^(total )?(cash|cash and cash equivalents|cash and equivalents|cash on hand)$/ },
+  { key: 'currentAssets', pattern: /^(total )?current assets$/ },
+  { key: 'totalAssets', pattern: /^total assets$/ },
+  { key: 'currentLiabilities', pattern: /^(total )?current liabilities$/ },
+  { key: 'totalLiabilities', pattern: /^total liabilities$/ },
+  { key: 'totalEquity', pattern: /^(total )?(equity|owners equity|shareholders equity|stockholders equity|members equity)$/ },
+];
+
+function normalizeLabel(label: string): string {
+  return label
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9() ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Split one CSV line, honoring double-quoted cells ("1,200" stays one cell)
+function splitCsvLine(line: string): string[] {
+  const cells: string[] = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+// "$1,200.50" -> 1200.5, "(300)" -> -300; null when the cell is not an amount
+function parseAmount(cell: string): number | null {
+  let text = cell.replace(/[$\s,]/g, '');
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+  const value = Number(text);
+  return negative ? -value : value;
+}
+
+function parseCsv(text: string, label: string, field: keyof FinancialStatementsInput, values: Partial<Record<LineItemKey, number>>): void {
+  if (typeof text !== 'string') {
+    throw new FinancialStatementError(`The ${label} must be CSV text.`, field);
+  }
+  if (text.length > MAX_CSV_LENGTH) {
+    throw new FinancialStatementError(`The ${label} CSV is too large (limit ${MAX_CSV_LENGTH / 1000}KB).`, field);
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length > MAX_CSV_ROWS) {
+    throw new FinancialStatementError(`The ${label} CSV has too many rows (limit ${MAX_CSV_ROWS}).`, field);
+  }
+
+  let recognized = 0;
+  for (const line of lines) {
+    const cells = splitCsvLine(line);
+    const amount = cells.slice(1).reverse().map(parseAmount).find(value => value !== null);
+    if (amount === undefined || amount === null) continue;
+
+    const name = normalizeLabel(cells[0] || '');
+    const item = LINE_ITEMS.find(entry => entry.pattern.test(name));
+    if (!item) continue;
+
+    recognized++;
+    if (values[item.key] === undefined) values[item.key] = amount;
+  }
+
+  if (recognized === 0) {
+    throw new FinancialStatementError(
+      `No recognizable line items were found in the ${label} CSV. Use rows like "Revenue,250000".`,
+      field
+    );
+  }
+}
+
+function round(value: number, places: number): number {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function divide(numerator: number | undefined, denominator: number | undefined): number | null {
+  if (numerator === undefined || denominator === undefined || denominator === 0) return null;
+  return numerator / denominator;
+}
+
+export function computeFinancialRatios(inputs: FinancialInputs, periodMonths: number): FinancialRatios {
+  const { revenue, cogs, operatingExpenses, netIncome, cash, currentAssets, currentLiabilities, totalAssets, totalEquity } = inputs;
+
+  const grossProfit = inputs.grossProfit ?? (revenue !== undefined && cogs !== undefined ? revenue - cogs : undefined);
+  const totalLiabilities = inputs.totalLiabilities
+    ?? (totalAssets !== undefined && totalEquity !== undefined ? totalAssets - totalEquity : undefined);
+  const totalExpenses = revenue !== undefined && netIncome !== undefined
+    ? revenue - netIncome
+    : cogs !== undefined || operatingExpenses !== undefined ? (cogs ?? 0) + (operatingExpenses ?? 0) : undefined;
+
+  const grossMargin = divide(grossProfit, revenue);
+  const netMargin = divide(netIncome, revenue);
+  const currentRatio = divide(currentAssets, currentLiabilities);
+  // Debt-to-equity is not meaningful with zero or negative equity
+  const debtToEquity = totalEquity !== undefined && totalEquity > 0 ? divide(totalLiabilities, totalEquity) : null;
+  const monthsOfRunway = totalExpenses !== undefined && totalExpenses > 0 ? divide(cash, totalExpenses / periodMonths) : null;
+
+  return {
+    grossMargin: grossMargin === null ? null : round(grossMargin * 100, 1),
+    netMargin: netMargin === null ? null : round(netMargin * 100, 1),
+    currentRatio: currentRatio === null ? null : round(currentRatio, 2),
+    debtToEquity: debtToEquity === null ? null : round(debtToEquity, 2),
+    monthsOfRunway: monthsOfRunway === null ? null : round(monthsOfRunway, 1),
+  };
+}
+
+// Parse the uploaded CSVs into inputs and ratios (null when nothing was uploaded); a
+// statement that isn't CSV text throws rather than being skipped
+export function parseFinancialStatements(input: FinancialStatementsInput | undefined | null): FinancialMetrics | null {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new FinancialStatementError('The financial statements must be an object with profitAndLoss and balanceSheet CSV text.', 'financialStatements');
+  }
+
+  const { profitAndLoss, balanceSheet } = input;
+  const isBlank = (value: unknown) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  const hasPnl = !isBlank(profitAndLoss);
+  const hasBalance = !isBlank(balanceSheet);
+  if (!hasPnl && !hasBalance) return null;
+
+  const values: Partial<Record<LineItemKey, number>> = {};
+  if (hasPnl) parseCsv(profitAndLoss as string, 'profit & loss', 'profitAndLoss', values);
+  if (hasBalance) parseCsv(balanceSheet as string, 'balance sheet', 'balanceSheet', values);
+
+  const { periodMonths: rawPeriod, ...inputs } = values;
+  const periodMonths = rawPeriod !== undefined && rawPeriod >= 1 && rawPeriod <= 12 ? Math.round(rawPeriod) : DEFAULT_PERIOD_MONTHS;
+
+  return { periodMonths, inputs, ratios: computeFinancialRatios(inputs, periodMonths) };
+}
+
+const INPUT_LABELS: Record<keyof FinancialInputs, string> = {
+  revenue: 'Revenue',
+  cogs: 'Cost of Goods Sold',
+  grossProfit: 'Gross Profit',
+  operatingExpenses: 'Operating Expenses',
+  netIncome: 'Net Income',
+  cash: 'Cash',
+  currentAssets: 'Current Assets',
+  totalAssets: 'Total Assets',
+  currentLiabilities: 'Current Liabilities',
+  totalLiabilities: 'Total Liabilities',
+  totalEquity: 'Total Equity',
+};
+
+function formatCurrency(value: number): string {
+  const formatted = `$${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  return value < 0 ? `-${formatted}` : formatted;
+}
+
+// Prompt section with the reported line items and computed ratios ('' when no upload)
+export function formatFinancialsForPrompt(metrics: FinancialMetrics | null | undefined): string {
+  if (!metrics || !metrics.inputs) return '';
+
+  const items = (Object.keys(INPUT_LABELS) as Array<keyof FinancialInputs>)
+    .filter(key => typeof metrics.inputs[key] === 'number')
+    .map(key => `- ${INPUT_LABELS[key]}: ${formatCurrency(metrics.inputs[key] as number)}`);
+
+  const { grossMargin, netMargin, currentRatio, debtToEquity, monthsOfRunway } = metrics.ratios || ({} as FinancialRatios);
+  const show = (value: number | null | undefined, suffix = '') =>
+    value === null || value === undefined ? 'Not available' : `${value}${suffix}`;
+
+  return `FINANCIAL STATEMENTS (uploaded CSV, ${metrics.periodMonths}-month P&L period):
+${items.join('\n')}
+
+KEY RATIOS:
+- Gross Margin: ${show(grossMargin, '%')}
+- Net Margin: ${show(netMargin, '%')}
+- Current Ratio: ${show(currentRatio)}
+- Debt-to-Equity: ${show(debtToEquity)}
+- Months of Runway (cash / average monthly expenses): ${show(monthsOfRunway)}`;
+}
@@ -0,0 +1,99 @@
+// Generation Cache - Reuses results for repeat submissions of identical input
+// Used by /api/generate and /api/generate/stream in Express and Vercel. Entries are keyed
+// by a hash of the tool, the active prompt version and the normalized form data, so
+// activating a new prompt version or changing any answer produces a fresh generation.
+// The cache is per server instance; cached responses never consume a report credit.
+
+import { createHash } from "crypto";
+
+/*
+ * ENVIRONMENT VARIABLES for the Generation Cache:
+ *
+ * GENERATION_CACHE_TTL_SECONDS="3600"
+ *   - How long a generated result is reused for identical input (0 disables the cache)
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+const MAX_ENTRIES = 500;
+
+export interface CachedGeneration<T> {
+  response: T;
+  cachedAt: string;
+}
+
+export function getGenerationCacheTtlMs(): number {
+  const raw = Number(process.env.GENERATION_CACHE_TTL_SECONDS || DEFAULT_TTL_SECONDS);
+  return (isNaN(raw) || raw < 0 ? DEFAULT_TTL_SECONDS : raw) * 1000;
+}
+
+// Trimmed strings with collapsed whitespace, sorted keys, and empty values dropped,
+// so cosmetic differences in the submitted form don't defeat the cache
+export function normalizeFormData(value: unknown): unknown {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeFormData);
+  }
+  if (value && typeof value === 'object') {
+    const normalized: Record<string, unknown> = {};
+    for (const key of Object.keys(value).sort()) {
+      const item = normalizeFormData((value as Record<string, unknown>)[key]);
+      if (item === undefined || item === null || item === '') continue;
+      normalized[key] = item;
+    }
+    return normalized;
+  }
+  return value;
+}
+
+export function buildGenerationCacheKey(tool: string, promptVersion: string, formData: unknown): string {
+  const payload = JSON.stringify([tool.toLowerCase(), promptVersion, normalizeFormData(formData)]);
+  return createHash('sha256').update(payload).digest('hex');
+}
+
+// True when the client explicitly asked for a fresh generation
+export function isRegenerateRequest(body: any): boolean {
+  return body?.regenerate === true;
+}
+
+export class GenerationCache<T = unknown> {
+  private entries = new Map<string, CachedGeneration<T> & { expiresAt: number }>();
+
+  constructor(private ttlMs = getGenerationCacheTtlMs(), private maxEntries = MAX_ENTRIES) {}
+
+  get enabled(): boolean {
+    return this.ttlMs > 0;
+  }
+
+  get(key: string): CachedGeneration<T> | null {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { response: entry.response, cachedAt: entry.cachedAt };
+  }
+
+  set(key: string, response: T): void {
+    if (!this.enabled) return;
+
+    // Re-inserting moves the key to the end, so the oldest entry is always first
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      if (oldest !== undefined) this.entries.delete(oldest);
+    }
+    this.entries.set(key, { response, cachedAt: new Date().toISOString(), expiresAt: Date.now() + this.ttlMs });
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+}
+
+// Response body for a cache hit
+export function markCached<T extends object>(hit: CachedGeneration<T>): T & { cached: true; cachedAt: string } {
+  return { ...hit.response, cached: true, cachedAt: hit.cachedAt };
+}
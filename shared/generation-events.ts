@@ -0,0 +1,280 @@
+// Elev8 Generation Events - Token, cost and latency accounting for every AI completion
+// Used by /api/generate, /api/generate/stream, generation jobs, deep dives and report chat in
+// Express and Vercel, and by GET /api/admin/generation-costs. meterProvider() wraps the AI
+// provider for one request so each completion (repair retries included) is stored in
+// generation_events with its tool, provider, model, tokens, estimated cost, latency and requester.
+
+import { getToolModelConfig, type AiProvider, type CompletionResult } from "./ai-provider.js";
+
+/*
+ * ENVIRONMENT VARIABLES for Cost Accounting:
+ *
+ * AI_MODEL_PRICES='{"gpt-4o": {"input": 2.5, "output": 10}}'
+ *   - USD per million prompt (input) and completion (output) tokens, merged over the
+ *     bundled prices below; a model uses the longest matching name prefix
+ *     ("gpt-4o-2024-08-06" is priced as "gpt-4o")
+ */
+
+export type GenerationStatus = 'succeeded' | 'failed';
+
+export interface GenerationRequester {
+  ipAddress: string | null;
+  userId: string | null;
+}
+
+export interface GenerationEvent extends GenerationRequester {
+  tool: string;
+  provider: string;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  estimatedCostUsd: number | null;  // null when the model has no known price
+  latencyMs: number;
+  status: GenerationStatus;
+}
+
+export type CostGroup = 'day' | 'tool' | 'ip' | 'user';
+
+export interface CostQuery {
+  from: Date;
+  to: Date;            // exclusive
+  groupBy: CostGroup[];
+}
+
+export interface CostSummaryRow {
+  day?: string;        // YYYY-MM-DD (UTC)
+  tool?: string;
+  ipAddress?: string | null;
+  userId?: string | null;
+  generations: number;
+  failed: number;
+  promptTokens: number;
+  completionTokens: number;
+  estimatedCostUsd: number;
+  avgCostUsd: number;
+  avgLatencyMs: number;
+}
+
+// Storage for generation events (database-backed in Express and Vercel)
+export interface GenerationEventStore {
+  insert(event: GenerationEvent): Promise<void>;
+  // Rows grouped by query.groupBy, in group order
+  summarize(query: CostQuery): Promise<Array<Record<string, unknown>>>;
+}
+
+export class CostQueryError extends Error {
+  code = 'INVALID_COST_QUERY';
+  status = 400;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'CostQueryError';
+  }
+}
+
+interface ModelPrice {
+  input: number;   // USD per million prompt tokens
+  output: number;  // USD per million completion tokens
+}
+
+// List prices at the time of writing; override with AI_MODEL_PRICES when they change
+const MODEL_PRICES: Record<string, ModelPrice> = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 },
+};
+
+export const COST_GROUPS: CostGroup[] = ['day', 'tool', 'ip', 'user'];
+
+// Response key of each group column
+export const COST_GROUP_KEYS: Record<CostGroup, keyof CostSummaryRow> = {
+  day: 'day',
+  tool: 'tool',
+  ip: 'ipAddress',
+  user: 'userId',
+};
+
+const DEFAULT_GROUPS: CostGroup[] = ['day', 'tool'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getModelPrices(): Record<string, ModelPrice> {
+  const raw = process.env.AI_MODEL_PRICES;
+  if (!raw) return MODEL_PRICES;
+
+  try {
+    const overrides = JSON.parse(raw);
+    const valid = Object.entries(overrides || {}).filter(([, price]: [string, any]) =>
+      typeof price?.input === 'number' && typeof price?.output === 'number');
+    return { ...MODEL_PRICES, ...Object.fromEntries(valid) as Record<string, ModelPrice> };
+  } catch {
+    console.error('[Generation Events] AI_MODEL_PRICES is not valid JSON; using bundled prices');
+    return MODEL_PRICES;
+  }
+}
+
+// Estimated USD cost of one completion. Local and mock models are free; a model
+// without a known price returns null rather than a misleading 0.
+export function estimateCostUsd(provider: string, model: string, usage: CompletionResult['usage']): number | null {
+  if (provider === 'local' || provider === 'mock') return 0;
+  if (!usage) return null;
+
+  const prices = getModelPrices();
+  const name = model.toLowerCase();
+  const match = Object.keys(prices)
+    .filter(key => name.startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!match) return null;
+
+  const price = prices[match];
+  const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+export function buildGenerationEvent(
+  tool: string,
+  provider: string,
+  completion: CompletionResult | null,
+  latencyMs: number,
+  requester: GenerationRequester,
+): GenerationEvent {
+  const model = completion?.model || getToolModelConfig(tool).model;
+  return {
+    tool,
+    provider,
+    model,
+    promptTokens: completion?.usage?.promptTokens ?? 0,
+    completionTokens: completion?.usage?.completionTokens ?? 0,
+    estimatedCostUsd: completion ? estimateCostUsd(provider, model, completion.usage) : 0,
+    latencyMs,
+    status: completion ? 'succeeded' : 'failed',
+    ipAddress: requester.ipAddress,
+    userId: requester.userId,
+  };
+}
+
+// The provider for one request, recording every completion it makes. Recording never
+// fails a generation: store errors are logged and the completion is returned as usual.
+export function meterProvider(
+  provider: AiProvider,
+  store: GenerationEventStore | null,
+  requester: GenerationRequester,
+): AiProvider {
+  if (!store) return provider;
+
+  const record = async (tool: string, completion: CompletionResult | null, startedAt: number) => {
+    try {
+      await store.insert(buildGenerationEvent(tool, provider.name, completion, Date.now() - startedAt, requester));
+    } catch (error: any) {
+      console.error('[Generation Events] Failed to record generation:', error.message);
+    }
+  };
+
+  const metered = async (tool: string, run: () => Promise<CompletionResult>) => {
+    const startedAt = Date.now();
+    try {
+      const completion = await run();
+      await record(tool, completion, startedAt);
+      return completion;
+    } catch (error) {
+      await record(tool, null, startedAt);
+      throw error;
+    }
+  };
+
+  return {
+    name: provider.name,
+    complete: request => metered(String(request.tool), () => provider.complete(request)),
+    stream: (request, onDelta) => metered(String(request.tool), () => provider.stream(request, onDelta)),
+  };
+}
+
+function parseDate(value: unknown, name: string): Date | null {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(String(value));
+  if (isNaN(date.getTime())) {
+    throw new CostQueryError(`"${name}" must be a date (YYYY-MM-DD or ISO 8601).`);
+  }
+  return date;
+}
+
+// Query string of GET /api/admin/generation-costs: from and to (a date-only "to" includes
+// that whole day; default the last 30 days) and groupBy (comma-separated, default "day,tool")
+export function parseCostQuery(query: any, now: Date = new Date()): CostQuery {
+  const toValue = query?.to;
+  let to = parseDate(toValue, 'to') || now;
+  if (typeof toValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(toValue)) {
+    to = new Date(to.getTime() + DAY_MS);
+  }
+  const from = parseDate(query?.from, 'from') || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from >= to) {
+    throw new CostQueryError('"from" must be before "to".');
+  }
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    throw new CostQueryError(`The date range is limited to ${MAX_RANGE_DAYS} days.`);
+  }
+
+  const rawGroups = typeof query?.groupBy === 'string' && query.groupBy.trim()
+    ? query.groupBy.split(',').map((group: string) => group.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_GROUPS;
+  const unknown = rawGroups.filter((group: string) => !COST_GROUPS.includes(group as CostGroup));
+  if (unknown.length > 0) {
+    throw new CostQueryError(`Unknown groupBy value(s): ${unknown.join(', ')}. Use ${COST_GROUPS.join(', ')}.`);
+  }
+
+  return { from, to, groupBy: Array.from(new Set(rawGroups)) as CostGroup[] };
+}
+
+function toNumber(value: unknown): number {
+  const number = Number(value);
+  return isFinite(number) ? number : 0;
+}
+
+function roundUsd(value: number): number {
+  return Math.round(value * 1_000_000) / 1_000_000;
+}
+
+// Response of GET /api/admin/generation-costs from a store's summarize() rows
+// (Postgres returns sums as strings; they are numbers here)
+export function buildCostSummary(query: CostQuery, rawRows: Array<Record<string, unknown>>) {
+  const rows: CostSummaryRow[] = rawRows.map(raw => {
+    const generations = toNumber(raw.generations);
+    const estimatedCostUsd = roundUsd(toNumber(raw.estimatedCostUsd));
+    const groups = Object.fromEntries(query.groupBy.map(group => [COST_GROUP_KEYS[group], raw[COST_GROUP_KEYS[group]] ?? null]));
+    return {
+      ...groups,
+      generations,
+      failed: toNumber(raw.failed),
+      promptTokens: toNumber(raw.promptTokens),
+      completionTokens: toNumber(raw.completionTokens),
+      estimatedCostUsd,
+      avgCostUsd: generations > 0 ? roundUsd(estimatedCostUsd / generations) : 0,
+      avgLatencyMs: Math.round(toNumber(raw.avgLatencyMs)),
+    };
+  });
+
+  const generations = rows.reduce((sum, row) => sum + row.generations, 0);
+  const estimatedCostUsd = roundUsd(rows.reduce((sum, row) => sum + row.estimatedCostUsd, 0));
+  return {
+    from: query.from.toISOString(),
+    to: query.to.toISOString(),
+    groupBy: query.groupBy,
+    rows,
+    totals: {
+      generations,
+      failed: rows.reduce((sum, row) => sum + row.failed, 0),
+      promptTokens: rows.reduce((sum, row) => sum + row.promptTokens, 0),
+      completionTokens: rows.reduce((sum, row) => sum + row.completionTokens, 0),
+      estimatedCostUsd,
+      avgCostUsd: generations > 0 ? roundUsd(estimatedCostUsd / generations) : 0,
+      avgLatencyMs: generations > 0
+        ? Math.round(rows.reduce((sum, row) => sum + row.avgLatencyMs * row.generations, 0) / generations)
+        : 0,
+    },
+  };
+}
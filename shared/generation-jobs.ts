@@ -0,0 +1,302 @@
+// Generation Jobs - Elev8 diagnostics generated in the background and fetched by polling
+// Used by POST /api/generate/jobs and GET /api/jobs/:id in Express and Vercel. The POST
+// stores a queued job and returns its id right away; the generation then runs with its
+// own time limit and is retried on failure. A job still "running" after its lease has
+// expired (the instance timed out or was recycled) is picked up again by the next poll.
+// A report credit is counted only when a job succeeds, and only by the one worker that
+// moves the job to "committing" (a timed-out attempt is aborted, but a worker whose lease
+// ran out may still finish). One invocation retries only while a whole attempt fits in its
+// time budget; otherwise the job stays queued and the next poll resumes it.
+
+import { randomUUID } from "crypto";
+import { isProviderConnectionError } from "./ai-provider.js";
+
+/*
+ * ENVIRONMENT VARIABLES for Generation Jobs:
+ *
+ * GENERATION_JOB_TIMEOUT_SECONDS="50"
+ *   - Time limit for one generation attempt, and for an Elev8 report from POST /api/generate
+ *     (keep it below the serverless function timeout)
+ *
+ * GENERATION_JOB_MAX_ATTEMPTS="2"
+ *   - Attempts per job before it is marked failed (timeouts and AI errors are retried)
+ *
+ * GENERATION_JOB_BUDGET_SECONDS="110"
+ *   - Time one invocation spends on a job across its attempts (keep it below the function's
+ *     maxDuration in vercel.json); a retry that would not fit is left to the next poll
+ */
+
+export type JobStatus = 'queued' | 'running' | 'committing' | 'succeeded' | 'failed';
+
+export interface JobError {
+  error: string;
+  code?: string;
+  limitReached?: boolean;
+  count?: number;
+  limit?: number;
+}
+
+export interface GenerationJob {
+  id: string;
+  tool: string;
+  status: JobStatus;
+  formData: any;
+  ipAddress: string;
+  attempts: number;
+  maxAttempts: number;
+  result: any | null;
+  error: JobError | null;
+  leaseExpiresAt: Date | string | null;
+  createdAt: Date | string;
+  updatedAt: Date | string;
+  completedAt: Date | string | null;
+}
+
+export type NewGenerationJob = Pick<GenerationJob, 'id' | 'tool' | 'status' | 'formData' | 'ipAddress' | 'maxAttempts'>
+  & Partial<Pick<GenerationJob, 'result' | 'error'>>;
+
+export interface JobUpdate {
+  status: JobStatus;
+  result?: any;
+  error?: JobError | null;
+}
+
+// Persistence for jobs (implemented per backend on top of generation_jobs)
+export interface JobStore {
+  create(job: NewGenerationJob): Promise<GenerationJob>;
+  get(id: string): Promise<GenerationJob | null>;
+  // Moves a queued or lease-expired job to running and counts the attempt; null if another worker got it
+  claim(id: string, leaseExpiresAt: Date): Promise<GenerationJob | null>;
+  // Moves the job from running the given attempt to committing; false if another worker took it over
+  lockCommit(id: string, attempt: number, leaseExpiresAt: Date): Promise<boolean>;
+  // Applies only while the job is still running or committing the given attempt, so a superseded worker can't overwrite it
+  finish(id: string, attempt: number, update: JobUpdate): Promise<boolean>;
+}
+
+// Errors that should fail the job without another attempt (e.g. the usage cap was reached)
+export class GenerationJobError extends Error {
+  code: string;
+  detail: JobError;
+
+  constructor(detail: JobError) {
+    super(detail.error);
+    this.name = 'GenerationJobError';
+    this.code = detail.code || 'JOB_FAILED';
+    this.detail = detail;
+  }
+}
+
+const DEFAULT_TIMEOUT_SECONDS = 50;
+const DEFAULT_MAX_ATTEMPTS = 2;
+const DEFAULT_BUDGET_SECONDS = 110;
+// Extra time before a running job counts as abandoned, so a slow attempt isn't started twice
+const LEASE_GRACE_MS = 15000;
+
+export function getJobTimeoutMs(): number {
+  const raw = Number(process.env.GENERATION_JOB_TIMEOUT_SECONDS || DEFAULT_TIMEOUT_SECONDS);
+  return (isNaN(raw) || raw <= 0 ? DEFAULT_TIMEOUT_SECONDS : raw) * 1000;
+}
+
+export function getJobBudgetMs(): number {
+  const raw = Number(process.env.GENERATION_JOB_BUDGET_SECONDS || DEFAULT_BUDGET_SECONDS);
+  return (isNaN(raw) || raw <= 0 ? DEFAULT_BUDGET_SECONDS : raw) * 1000;
+}
+
+export function getJobMaxAttempts(): number {
+  const raw = parseInt(process.env.GENERATION_JOB_MAX_ATTEMPTS || String(DEFAULT_MAX_ATTEMPTS), 10);
+  return isNaN(raw) || raw < 1 ? DEFAULT_MAX_ATTEMPTS : raw;
+}
+
+export function newJobId(): string {
+  return randomUUID();
+}
+
+function isLeaseExpired(job: GenerationJob, now: number): boolean {
+  return !job.leaseExpiresAt || new Date(job.leaseExpiresAt).getTime() <= now;
+}
+
+// True when nobody is working on the job and it still needs a result (an abandoned
+// commit is never retried; runGenerationJob fails it instead)
+export function isJobRunnable(job: GenerationJob, now = Date.now()): boolean {
+  return job.status === 'queued'
+    || ((job.status === 'running' || job.status === 'committing') && isLeaseExpired(job, now));
+}
+
+// Runs work under a time limit; at the limit its signal is aborted, so the provider call
+// stops rather than running on, and the result rejects with code JOB_TIMEOUT
+export function withTimeout<T>(run: (signal: AbortSignal) => Promise<T>, ms: number): Promise<T> {
+  const controller = new AbortController();
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      const error: any = new Error(`Generation timed out after ${Math.round(ms / 1000)} seconds.`);
+      error.code = 'JOB_TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+// User-facing error for a failed job
+export function describeJobError(error: any): JobError {
+  if (error instanceof GenerationJobError) {
+    return error.detail;
+  }
+  if (error?.code === 'JOB_TIMEOUT') {
+    return { error: 'The analysis took too long to generate. Please try again.', code: error.code };
+  }
+  if (error?.code === 'INVALID_DIAGNOSTIC') {
+    return { error: 'The analysis could not be generated in the expected format. Please try again.', code: error.code };
+  }
+  if (error?.status === 429) {
+    return { error: 'Too many requests. Please wait a moment and try again.' };
+  }
+  if (isProviderConnectionError(error)) {
+    return { error: 'The AI service could not be reached. Please try again later.' };
+  }
+  return { error: 'An unexpected error occurred. Please try again.' };
+}
+
+export interface JobHandlers {
+  // Produces the report; runs under the attempt time limit, which aborts the signal
+  generate(job: GenerationJob, signal: AbortSignal): Promise<any>;
+  // Counts the report credit and caches the result; throw GenerationJobError to fail the job instead
+  commit(job: GenerationJob, result: any): Promise<void>;
+  // Report to deliver when the last attempt fails (e.g. the rules-based baseline); null to fail the job
+  fallback?(job: GenerationJob, error: any): Promise<any | null>;
+}
+
+// Runs a job to completion, retrying failed attempts. Returns the job as last seen by this
+// worker, or null when it doesn't exist. Safe to call for a job another worker already has.
+export async function runGenerationJob(
+  store: JobStore,
+  id: string,
+  handlers: JobHandlers,
+  timeoutMs = getJobTimeoutMs(),
+  budgetMs = getJobBudgetMs()
+): Promise<GenerationJob | null> {
+  const deadline = Date.now() + budgetMs;
+  let attempted = false;
+
+  for (;;) {
+    const current = await store.get(id);
+    if (!current || !isJobRunnable(current)) return current;
+
+    // Abandoned on its last attempt or while committing: nothing left to retry
+    if (current.status === 'committing' || (current.status === 'running' && current.attempts >= current.maxAttempts)) {
+      await store.finish(id, current.attempts, {
+        status: 'failed',
+        error: describeJobError({ code: 'JOB_TIMEOUT' })
+      });
+      return store.get(id);
+    }
+
+    // A retry needs a whole attempt's time left in this invocation; the next poll resumes it otherwise
+    if (attempted && deadline - Date.now() < timeoutMs) return current;
+
+    const attemptMs = Math.min(timeoutMs, Math.max(deadline - Date.now(), 0));
+    const job = await store.claim(id, new Date(Date.now() + attemptMs + LEASE_GRACE_MS));
+    if (!job) return store.get(id);
+    attempted = true;
+
+    let committing = false;
+    try {
+      const result = await withTimeout(signal => handlers.generate(job, signal), attemptMs);
+      // The lease may have run out while generating; the worker that took over commits instead
+      committing = await store.lockCommit(id, job.attempts, new Date(Date.now() + LEASE_GRACE_MS));
+      if (!committing) return store.get(id);
+      await handlers.commit(job, result);
+      await store.finish(id, job.attempts, { status: 'succeeded', result, error: null });
+      return store.get(id);
+    } catch (error: any) {
+      // A failed commit isn't retried: it may already have counted the report credit
+      const finalAttempt = committing || error instanceof GenerationJobError || job.attempts >= job.maxAttempts;
+      console.warn(`[Jobs] ${id} attempt ${job.attempts}/${job.maxAttempts} failed: ${error.message}`);
+
+      if (!finalAttempt) {
+        await store.finish(id, job.attempts, { status: 'queued', error: describeJobError(error) });
+        continue;
+      }
+
+      const fallback = error instanceof GenerationJobError || !handlers.fallback
+        ? null
+        : await handlers.fallback(job, error);
+      await store.finish(id, job.attempts, fallback
+        ? { status: 'succeeded', result: fallback, error: null }
+        : { status: 'failed', error: describeJobError(error) });
+      return store.get(id);
+    }
+  }
+}
+
+// Public view of a job (form data and IP address stay on the server)
+export function toJobResponse(job: GenerationJob) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    ...(job.status === 'succeeded' ? { result: job.result } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt
+  };
+}
+
+// Per-instance store for deployments without a database (jobs don't survive a restart)
+export function createMemoryJobStore(): JobStore {
+  const jobs = new Map<string, GenerationJob>();
+  const copy = (job: GenerationJob | undefined) => (job ? { ...job } : null);
+
+  return {
+    async create(job) {
+      const now = new Date();
+      const done = job.status === 'succeeded' || job.status === 'failed';
+      const stored: GenerationJob = {
+        result: null,
+        error: null,
+        ...job,
+        attempts: 0,
+        leaseExpiresAt: null,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: done ? now : null
+      };
+      jobs.set(job.id, stored);
+      return { ...stored };
+    },
+
+    async get(id) {
+      return copy(jobs.get(id));
+    },
+
+    async claim(id, leaseExpiresAt) {
+      const job = jobs.get(id);
+      if (!job || !isJobRunnable(job) || job.attempts >= job.maxAttempts) return null;
+      Object.assign(job, { status: 'running', attempts: job.attempts + 1, leaseExpiresAt, updatedAt: new Date() });
+      return { ...job };
+    },
+
+    async lockCommit(id, attempt, leaseExpiresAt) {
+      const job = jobs.get(id);
+      if (!job || job.status !== 'running' || job.attempts !== attempt) return false;
+      Object.assign(job, { status: 'committing', leaseExpiresAt, updatedAt: new Date() });
+      return true;
+    },
+
+    async finish(id, attempt, update) {
+      const job = jobs.get(id);
+      if (!job || (job.status !== 'running' && job.status !== 'committing') || job.attempts !== attempt) return false;
+      const done = update.status === 'succeeded' || update.status === 'failed';
+      Object.assign(job, {
+        ...update,
+        leaseExpiresAt: null,
+        updatedAt: new Date(),
+        completedAt: done ? new Date() : null
+      });
+      return true;
+    }
+  };
+}
@@ -0,0 +1,157 @@
+// Elev8 Industry Benchmarks - Bundled peer score distributions per industry and revenue range
+// Used by /api/generate in Express and Vercel to report each pillar as a percentile
+// against peers. Keys match the industry and revenue range options in elev8-analyzer.html.
+// Bump BENCHMARK_VERSION whenever the dataset changes so saved reports record which
+// version they were compared against. Medians are per core pillar; framework pillars are
+// compared on their basis pillar, and only frameworks marked with benchmarks are compared.
+
+import { PILLAR_NAMES, normalizePillarName, type PillarName } from "./diagnostic-schema.js";
+import { BUSINESS_FRAMEWORK_ID, getFramework, getReportFramework, type PillarFramework } from "./pillar-frameworks.js";
+
+export const BENCHMARK_VERSION = "2025.1";
+
+export type PeerComparison = 'below' | 'in line' | 'above';
+
+export interface PillarBenchmark {
+  name: string;
+  score: number;
+  median: number;
+  spread: number;
+  p25: number;
+  p75: number;
+  percentile: number;
+  comparison: PeerComparison;
+  percentiles: number[];    // percentile of every score 0-100, for scores the browser simulates
+}
+
+export interface BenchmarkComparison {
+  version: string;
+  industry: string;
+  revenueRange: string | null;
+  pillars: PillarBenchmark[];
+}
+
+const DEFAULT_INDUSTRY = "Other";
+
+// Peer median pillar scores, in PILLAR_NAMES order:
+// Formation, Credit, Financials, Operations, Sales, Brand, Risk, Growth
+const INDUSTRY_MEDIANS: Record<string, number[]> = {
+  "Technology / Software":      [62, 52, 54, 58, 56, 64, 55, 60],
+  "Professional Services":      [66, 55, 58, 54, 52, 56, 60, 52],
+  "Healthcare":                 [72, 58, 57, 60, 48, 50, 66, 50],
+  "Manufacturing":              [68, 60, 55, 62, 47, 45, 60, 50],
+  "Retail / E-commerce":        [60, 52, 50, 55, 58, 62, 52, 52],
+  "Construction":               [64, 54, 50, 52, 46, 44, 56, 48],
+  "Food & Beverage":            [62, 48, 46, 54, 54, 58, 52, 48],
+  "Real Estate":                [66, 60, 56, 52, 54, 54, 58, 54],
+  "Financial Services":         [74, 64, 62, 60, 52, 54, 66, 54],
+  "Transportation & Logistics": [66, 56, 50, 60, 46, 42, 56, 48],
+  "Education":                  [66, 50, 50, 54, 48, 52, 56, 50],
+  "Other":                      [62, 52, 52, 54, 50, 52, 54, 50],
+};
+
+// Spread of peer scores per pillar (standard deviation, same order)
+const PILLAR_SPREAD = [14, 16, 15, 13, 14, 15, 14, 14];
+
+// Added to every pillar median; larger businesses tend to be more established
+const REVENUE_ADJUSTMENTS: Record<string, number> = {
+  "Pre-Revenue": -10,
+  "$0 - $100K": -6,
+  "$100K - $500K": -2,
+  "$500K - $1M": 0,
+  "$1M - $5M": 4,
+  "$5M - $10M": 7,
+  "$10M+": 10,
+};
+
+// Percentile bands treated as "in line with peers"
+const BELOW_PEERS_PERCENTILE = 35;
+const ABOVE_PEERS_PERCENTILE = 65;
+
+// z-score for the 25th/75th percentile of a normal distribution
+const QUARTILE_Z = 0.6745;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z: number): number {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function toPercentile(score: number, peer: { median: number; spread: number }): number {
+  return Math.max(1, Math.min(99, Math.round(normalCdf((score - peer.median) / peer.spread) * 100)));
+}
+
+function clamp(value: number): number {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+// Peer distribution for one industry and revenue range (unknown keys fall back to "Other" / no adjustment)
+export function getPeerDistribution(industry: string | undefined, revenueRange: string | undefined): {
+  industry: string;
+  revenueRange: string | null;
+  pillars: Array<{ name: PillarName; median: number; spread: number }>;
+} {
+  const industryKey = industry && INDUSTRY_MEDIANS[industry] ? industry : DEFAULT_INDUSTRY;
+  const revenueKey = revenueRange && REVENUE_ADJUSTMENTS[revenueRange] !== undefined ? revenueRange : null;
+  const adjustment = revenueKey ? REVENUE_ADJUSTMENTS[revenueKey] : 0;
+
+  return {
+    industry: industryKey,
+    revenueRange: revenueKey,
+    pillars: PILLAR_NAMES.map((name, i) => ({
+      name,
+      median: clamp(INDUSTRY_MEDIANS[industryKey][i] + adjustment),
+      spread: PILLAR_SPREAD[i],
+    })),
+  };
+}
+
+// Compare each pillar score with the peer distribution
+export function compareWithPeers(
+  pillars: Array<{ name?: string; score?: number }>,
+  industry: string | undefined,
+  revenueRange: string | undefined,
+  framework: PillarFramework = getFramework(BUSINESS_FRAMEWORK_ID),
+): BenchmarkComparison {
+  const peers = getPeerDistribution(industry, revenueRange);
+
+  const compared: PillarBenchmark[] = [];
+  for (const { name, basis } of framework.pillars) {
+    const peer = peers.pillars.find(p => p.name === basis)!;
+    const pillar = pillars.find(p => normalizePillarName(p?.name, framework) === name);
+    if (!pillar || typeof pillar.score !== 'number') continue;
+
+    const percentile = toPercentile(pillar.score, peer);
+    compared.push({
+      name,
+      score: pillar.score,
+      median: peer.median,
+      spread: peer.spread,
+      p25: clamp(peer.median - QUARTILE_Z * peer.spread),
+      p75: clamp(peer.median + QUARTILE_Z * peer.spread),
+      percentile,
+      comparison: percentile < BELOW_PEERS_PERCENTILE ? 'below' : percentile > ABOVE_PEERS_PERCENTILE ? 'above' : 'in line',
+      percentiles: Array.from({ length: 101 }, (_, score) => toPercentile(score, peer)),
+    });
+  }
+
+  return {
+    version: BENCHMARK_VERSION,
+    industry: peers.industry,
+    revenueRange: peers.revenueRange,
+    pillars: compared,
+  };
+}
+
+// Add the peer comparison for the report's pillar scores (reports on frameworks without
+// benchmarks are left as-is)
+export function attachBenchmark<T extends { pillars?: Array<{ name?: string; score?: number }> }>(
+  report: T,
+  formData: any
+): T & { benchmark?: BenchmarkComparison } {
+  const framework = getReportFramework(report);
+  if (!framework.benchmarks) return report;
+  return { ...report, benchmark: compareWithPeers(report.pillars || [], formData?.industry, formData?.revenueRange, framework) };
+}
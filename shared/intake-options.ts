@@ -0,0 +1,90 @@
+// Intake Select Options - The values the Elev8 and CompliPilot forms offer for each select field
+// Used by /api/generate, /api/generate/stream and /api/generate/jobs in Express and Vercel to
+// reject anything else before it reaches a prompt. The lists must match public/elev8-analyzer.html
+// and public/toolkit-config.js.
+
+export type SelectOptions = Record<string, readonly string[]>;
+
+export const ELEV8_SELECT_OPTIONS: SelectOptions = {
+  industry: [
+    "Technology / Software",
+    "Professional Services",
+    "Healthcare",
+    "Manufacturing",
+    "Retail / E-commerce",
+    "Construction",
+    "Food & Beverage",
+    "Real Estate",
+    "Financial Services",
+    "Transportation & Logistics",
+    "Education",
+    "Other",
+  ],
+  revenueRange: [
+    "Pre-Revenue",
+    "$0 - $100K",
+    "$100K - $500K",
+    "$500K - $1M",
+    "$1M - $5M",
+    "$5M - $10M",
+    "$10M+",
+  ],
+  creditProfile: [
+    "Excellent (740+)",
+    "Good (670-739)",
+    "Fair (580-669)",
+    "Poor (<580)",
+    "Unknown/Not Established",
+  ],
+  employees: [
+    "Just Me (0 employees)",
+    "1-5",
+    "6-10",
+    "11-25",
+    "26-50",
+    "51-100",
+    "100+",
+  ],
+};
+
+export const COMPLIANCE_SELECT_OPTIONS: SelectOptions = {
+  entityType: [
+    "LLC (Limited Liability Company)",
+    "Corporation",
+    "S-Corporation",
+    "C-Corporation",
+    "Nonprofit Organization",
+    "Sole Proprietorship",
+    "Partnership",
+    "LLP (Limited Liability Partnership)",
+  ],
+  filingType: [
+    "Annual Report",
+    "BOIR (Beneficial Ownership Information Report)",
+    "DBE Certification",
+    "MBE Certification",
+    "8a Certification",
+    "SAM.gov Registration",
+    "Business License Renewal",
+    "SBA Filing",
+    "State Tax Registration",
+    "Operating Agreement Update",
+    "Other Compliance Filing",
+  ],
+};
+
+// Field errors for select values that are not among the form's options; empty values are left
+// to the required-field checks
+export function validateSelectFields(formData: Record<string, unknown>, options: SelectOptions): Record<string, string> {
+  const errors: Record<string, string> = {};
+
+  for (const [field, allowed] of Object.entries(options)) {
+    const value = formData?.[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+      errors[field] = 'Value is not one of the form options';
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,34 @@
+// Elev8 Report Locales - Language of generated diagnostics and deep dives
+// Used by /api/generate, /api/generate/stream, the pillar deep dive and the report chat in
+// Express and Vercel. UI and PDF labels live in public/elev8-i18n.js, which uses the same codes.
+// Pillar names and JSON keys always stay in English so scoring and validation are unchanged.
+
+export const SUPPORTED_LOCALES = ['en', 'es'] as const;
+
+export type Locale = typeof SUPPORTED_LOCALES[number];
+
+export const DEFAULT_LOCALE: Locale = 'en';
+
+const LANGUAGE_NAMES: Record<Locale, string> = {
+  en: 'English',
+  es: 'Spanish',
+};
+
+// Supported locale for a request value ("es-MX" -> "es"); anything else is English
+export function normalizeLocale(value: unknown): Locale {
+  if (typeof value !== 'string') return DEFAULT_LOCALE;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return (SUPPORTED_LOCALES as readonly string[]).includes(code) ? code as Locale : DEFAULT_LOCALE;
+}
+
+// Prompt section asking for text values in the report language ('' for English)
+export function formatLanguageInstruction(locale: Locale): string {
+  if (locale === DEFAULT_LOCALE) return '';
+  return `LANGUAGE: Write every text value (summaries, insights, actions, risks, KPIs and roadmap items) in ${LANGUAGE_NAMES[locale]}. Keep the JSON keys and the pillar "name" values exactly as specified, in English.`;
+}
+
+// Prompt line asking for a plain-text reply in the report language ('' for English)
+export function formatReplyLanguageInstruction(locale: Locale): string {
+  if (locale === DEFAULT_LOCALE) return '';
+  return `LANGUAGE: Reply in ${LANGUAGE_NAMES[locale]}.`;
+}
@@ -0,0 +1,212 @@
+// Elev8 Pillar Deep-Dive - Expanded analysis for a single pillar of an existing report
+// Used by POST /api/elev8/pillars/deepdive in both Express and Vercel.
+// Deep dives do not re-score the pillar and do not consume report usage credits; they have
+// their own allowance per IP address.
+
+import { z } from "zod";
+import type { AiProvider, ChatMessage, CompletionResult } from "./ai-provider.js";
+import { formatIssues, normalizePillarName, toStringList } from "./diagnostic-schema.js";
+import { getPillarBasis, getReportFramework } from "./pillar-frameworks.js";
+import { formatQuestionnaireForPrompt, validateQuestionnaireAnswers } from "./questionnaire.js";
+import { formatFinancialsForPrompt } from "./financial-statements.js";
+import { getBundledPrompt } from "./prompt-templates.js";
+import { formatLanguageInstruction, normalizeLocale } from "./locales.js";
+import { USER_TEXT_GUARD, safeScore, safeUserList, safeUserText } from "./prompt-safety.js";
+
+/*
+ * ENVIRONMENT VARIABLES for Pillar Deep Dives:
+ *
+ * DEEPDIVE_CAP="40"
+ *   - Deep dives allowed per IP address across all reports
+ */
+
+export const DEEPDIVE_TOOL = 'elev8deepdive';
+
+// usage_tracking tool name for the deep-dive allowance (separate from the elev8analyzer report count)
+export const DEEPDIVE_USAGE_TOOL = 'elev8deepdive';
+
+const DEFAULT_DEEPDIVE_CAP = 40;
+
+export const pillarDeepDiveSchema = z.object({
+  insights: z.array(z.string().min(1)).min(3),
+  actions: z.array(z.string().min(1)).min(5).max(7),
+  risks: z.array(z.string().min(1)).min(1),
+  kpis: z.array(z.string().min(1)).min(1),
+});
+
+export type PillarDeepDive = z.infer<typeof pillarDeepDiveSchema>;
+
+// Structured error raised when the model output cannot be validated or repaired
+export class DeepDiveValidationError extends Error {
+  code = 'INVALID_DEEPDIVE';
+
+  constructor(public issues: string[]) {
+    super(`Pillar deep-dive response failed validation: ${issues.join('; ')}`);
+    this.name = 'DeepDiveValidationError';
+  }
+}
+
+// Structured error for requests that do not reference a pillar in the analysis
+export class DeepDiveRequestError extends Error {
+  code = 'INVALID_DEEPDIVE_REQUEST';
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'DeepDiveRequestError';
+  }
+}
+
+export function getDeepDiveCap(): number {
+  const raw = parseInt(process.env.DEEPDIVE_CAP || String(DEFAULT_DEEPDIVE_CAP), 10);
+  return isNaN(raw) || raw < 0 ? DEFAULT_DEEPDIVE_CAP : raw;
+}
+
+// Latest bundled deep-dive system prompt (routes resolve the active version through the prompt registry)
+export function getDeepDiveSystemPrompt(): string {
+  return getBundledPrompt('elev8-deepdive')?.content || '';
+}
+
+// Locate the requested pillar in an analysis (null if the name is unknown or absent)
+export function findPillar(analysisData: any, pillarName: unknown): { index: number; name: string } | null {
+  const framework = getReportFramework(analysisData);
+  const name = normalizePillarName(pillarName, framework);
+  if (!name || !Array.isArray(analysisData?.pillars)) return null;
+
+  const index = analysisData.pillars.findIndex((p: any) => normalizePillarName(p?.name, framework) === name);
+  return index >= 0 ? { index, name } : null;
+}
+
+export function buildDeepDivePrompt(analysisData: any, pillarName: string, formData?: any): string {
+  const framework = getReportFramework(analysisData);
+  const pillar = analysisData.pillars.find((p: any) => normalizePillarName(p?.name, framework) === pillarName) || {};
+  const profile = formData || {};
+  const otherPillars = analysisData.pillars
+    .filter((p: any) => p !== pillar)
+    .map((p: any) => `- ${safeUserText(p?.name, 'Unnamed pillar')}: ${safeScore(p?.score)}`)
+    .join('\n');
+  const questionnaireSection = formatQuestionnaireForPrompt(
+    validateQuestionnaireAnswers(profile.questionnaire).answers,
+    getPillarBasis(framework, pillarName) ?? undefined
+  );
+  const financialsSection = formatFinancialsForPrompt(analysisData.financials || profile.financials);
+  const languageInstruction = formatLanguageInstruction(normalizeLocale(analysisData.locale || profile.locale));
+
+  return `Provide a deep-dive analysis of the "${pillarName}" pillar for the following business.
+
+BUSINESS PROFILE:
+- Business Name: ${safeUserText(analysisData.businessName || profile.businessName, 'Not provided')}
+- Industry: ${safeUserText(profile.industry, 'Not provided')}
+- Annual Revenue: ${safeUserText(profile.revenueRange, 'Not provided')}
+- Credit Profile: ${safeUserText(profile.creditProfile, 'Not provided')}
+- Employees: ${safeUserText(profile.employees, 'Not provided')}
+- Challenges: ${safeUserText(profile.challenges)}
+- Goals: ${safeUserText(profile.goals)}
+${questionnaireSection ? `\n${questionnaireSection}\n` : ''}${financialsSection ? `\n${financialsSection}\n` : ''}
+OVERALL ASSESSMENT (Elev8 Index ${safeScore(analysisData.overall?.score)}):
+${safeUserText(analysisData.overall?.summary, 'Not available')}
+
+CURRENT "${pillarName}" ANALYSIS (score ${safeScore(pillar.score)}, status ${safeUserText(pillar.status, 'N/A')}):
+Insights:
+${safeUserList(toStringList(pillar.insights))}
+Actions:
+${safeUserList(toStringList(pillar.actions))}
+
+OTHER PILLAR SCORES:
+${otherPillars || '- Not available'}
+
+${USER_TEXT_GUARD}
+
+Return ONLY valid JSON matching the exact structure specified in the system prompt.${languageInstruction ? `\n\n${languageInstruction}` : ''}`;
+}
+
+// Parse, repair and validate a raw deep-dive response (valid when issues is empty)
+export function validateDeepDive(content: string): { deepDive: PillarDeepDive | null; issues: string[] } {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(content || '{}');
+  } catch (error: any) {
+    return { deepDive: null, issues: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  // Trim over-long action lists rather than rejecting them
+  const repaired = {
+    insights: toStringList(parsed?.insights),
+    actions: toStringList(parsed?.actions).slice(0, 7),
+    risks: toStringList(parsed?.risks),
+    kpis: toStringList(parsed?.kpis),
+  };
+
+  const result = pillarDeepDiveSchema.safeParse(repaired);
+  if (!result.success) {
+    return { deepDive: null, issues: formatIssues(result.error) };
+  }
+  return { deepDive: result.data, issues: [] };
+}
+
+// Generate a deep dive, retrying once with the validation issues before failing
+export async function generatePillarDeepDive(
+  provider: AiProvider,
+  analysisData: any,
+  pillarName: unknown,
+  formData?: any,
+  systemPrompt: string = getDeepDiveSystemPrompt(),
+): Promise<{ pillarName: string; deepDive: PillarDeepDive; completion: CompletionResult }> {
+  const target = findPillar(analysisData, pillarName);
+  if (!target) {
+    throw new DeepDiveRequestError(`Pillar "${pillarName}" was not found in the analysis.`);
+  }
+
+  const messages: ChatMessage[] = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: buildDeepDivePrompt(analysisData, target.name, formData) },
+  ];
+
+  let conversation = messages;
+  let issues: string[] = [];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const completion = await provider.complete({ tool: DEEPDIVE_TOOL, messages: conversation, json: true });
+    const result = validateDeepDive(completion.content);
+
+    if (result.deepDive) {
+      return { pillarName: target.name, deepDive: result.deepDive, completion };
+    }
+
+    issues = result.issues;
+    console.warn(`[Deep Dive] Invalid response (attempt ${attempt}):`, issues);
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: completion.content },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required schema:\n${issues.map(i => `- ${i}`).join('\n')}\n\nReturn the complete corrected JSON object. Return ONLY valid JSON.`,
+      },
+    ];
+  }
+
+  throw new DeepDiveValidationError(issues);
+}
+
+// Merge a deep dive into the analysis, replacing the pillar's insights and actions.
+// Returns a new analysis object; the pillar score and status are left unchanged, and
+// evidence references for the replaced items are dropped.
+export function mergePillarDeepDive(analysisData: any, pillarName: string, deepDive: PillarDeepDive, generation?: unknown): any {
+  const framework = getReportFramework(analysisData);
+  return {
+    ...analysisData,
+    pillars: analysisData.pillars.map((pillar: any) => {
+      if (normalizePillarName(pillar?.name, framework) !== pillarName) return pillar;
+      return {
+        ...pillar,
+        insights: deepDive.insights,
+        actions: deepDive.actions,
+        evidence: undefined,
+        risks: deepDive.risks,
+        kpis: deepDive.kpis,
+        deepDiveAt: new Date().toISOString(),
+        ...(generation ? { deepDiveGeneration: generation } : {}),
+      };
+    }),
+  };
+}
@@ -0,0 +1,618 @@
+// Elev8 Pillar Frameworks - The pillars a diagnostic scores, with weights, icons and prompt text
+// Used by diagnostic generation, validation, baseline scoring and report annotation in Express
+// and Vercel, and by GET /api/elev8/frameworks for the intake form. "business" is the original
+// eight-pillar framework; "nonprofit" is a ten-pillar edition. Intake rules, questionnaire
+// questions and confidence inputs are written for the eight core pillars, so every framework
+// pillar names the core pillar ("basis") whose rules, questions and roadmap owner it uses.
+
+import { z } from "zod";
+import { DEFAULT_STATUS_SCALE, formatStatusBandsForPrompt, resolveStatusScale, statusThresholdsSchema, type StatusScale } from "./status-bands.js";
+
+/*
+ * ENVIRONMENT VARIABLES for Pillar Frameworks:
+ *
+ * ELEV8_FRAMEWORK="business"
+ *   - Framework used when the intake form does not choose one
+ *
+ * ELEV8_FRAMEWORKS='[{"id": "franchise", "name": "Franchise", "description": "...", "benchmarks": false, "pillars": [...]}]'
+ *   - Additional frameworks in the PillarFramework shape below (an entry with a bundled id
+ *     replaces that framework); invalid entries are logged and ignored. "statusBands" may
+ *     move the score thresholds, e.g. {"pillar": {"green": 75, "yellow": 50}} (see
+ *     shared/status-bands.ts)
+ */
+
+export const CORE_PILLAR_NAMES = [
+  "Formation & Compliance",
+  "Business Credit Readiness",
+  "Financials & Cash Flow",
+  "Operations & Systems",
+  "Sales & Marketing",
+  "Brand & Web Presence",
+  "Risk & Legal Posture",
+  "Growth Strategy & Execution",
+] as const;
+
+export type PillarName = typeof CORE_PILLAR_NAMES[number];
+
+// Words in a roadmap action that point to the core pillar it improves (see getActionKeywords)
+const CORE_ACTION_KEYWORDS: Record<PillarName, string[]> = {
+  "Formation & Compliance": ['compliance', 'license', 'licensing', 'registration', 'registered', 'filing', 'entity', 'ein', 'operating agreement', 'bylaws', 'good standing'],
+  "Business Credit Readiness": ['credit', 'duns', 'd-u-n-s', 'dun & bradstreet', 'tradeline', 'vendor account', 'net-30', 'lender', 'line of credit'],
+  "Financials & Cash Flow": ['cash', 'books', 'bookkeeping', 'p&l', 'profit', 'margin', 'forecast', 'budget', 'reserve', 'expense', 'financial'],
+  "Operations & Systems": ['process', 'procedure', 'document', 'checklist', 'system', 'workflow', 'automat', 'tool', 'operation', 'cross-train'],
+  "Sales & Marketing": ['sales', 'lead', 'pipeline', 'marketing', 'customer profile', 'offer', 'crm', 'referral', 'conversion', 'follow-up'],
+  "Brand & Web Presence": ['website', 'homepage', 'brand', 'review', 'seo', 'social', 'google business', 'online', 'directory'],
+  "Risk & Legal Posture": ['insurance', 'contract', 'legal', 'liability', 'counsel', 'attorney', 'continuity', 'backup plan'],
+  "Growth Strategy & Execution": ['goal', 'plan', 'strategy', 'strategic', 'kpi', 'quarter', 'objective', 'expansion', 'growth', 'hire', 'outsource'],
+};
+
+const fallbackSchema = z.object({
+  red: z.string().min(1),
+  yellow: z.string().min(1),
+  green: z.string().min(1),
+  improve: z.array(z.string().min(1)).length(3),
+  maintain: z.array(z.string().min(1)).length(3),
+});
+
+const pillarDefinitionSchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/),
+  name: z.string().min(1),
+  shortName: z.string().min(1),
+  weight: z.number().positive().max(5),
+  icon: z.string().min(1),
+  prompt: z.string().min(1),
+  guidance: z.string().min(1),
+  keywords: z.array(z.string().min(1)).default([]),
+  basis: z.enum(CORE_PILLAR_NAMES),
+  fallback: fallbackSchema.optional(),
+});
+
+const frameworkSchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/),
+  name: z.string().min(1),
+  description: z.string().default(''),
+  benchmarks: z.boolean().default(false),
+  pillars: z.array(pillarDefinitionSchema).min(3).max(12).refine(
+    pillars => new Set(pillars.map(p => p.name.toLowerCase())).size === pillars.length,
+    { message: 'Pillar names must be unique' },
+  ),
+  statusBands: statusThresholdsSchema.optional().transform(resolveStatusScale),
+});
+
+// Rules-only report content: one insight per status, and three actions to improve
+// (red/yellow) or maintain (green) the pillar in priority order
+export type PillarFallback = z.infer<typeof fallbackSchema>;
+
+export interface PillarDefinition {
+  id: string;
+  name: string;               // exact name the model returns and reports store
+  shortName: string;          // chart label
+  weight: number;             // weight in the overall index
+  icon: string;               // icon key in the browser (see getPillarIcon in elev8-script.js)
+  prompt: string;             // what the pillar covers, for the diagnostic prompt
+  guidance: string;           // how the model should score it
+  keywords: string[];         // map model-reported names onto this pillar
+  basis: PillarName;          // core pillar whose intake rules and questions it uses
+  fallback?: PillarFallback;  // defaults to the basis pillar's content (shared/baseline-i18n.ts)
+}
+
+export interface PillarFramework {
+  id: string;
+  name: string;
+  description: string;
+  benchmarks: boolean;        // peer benchmarks (shared/industry-benchmarks.ts) apply
+  pillars: PillarDefinition[];
+  statusBands: StatusScale;   // index bands and pillar status thresholds
+}
+
+// Framework summary stored on each report, used by the browser and PDF export
+export interface FrameworkView {
+  id: string;
+  name: string;
+  pillars: Array<Pick<PillarDefinition, 'name' | 'shortName' | 'weight' | 'icon' | 'basis'>>;
+  statusBands: StatusScale;
+}
+
+export class FrameworkError extends Error {
+  code = 'UNKNOWN_FRAMEWORK';
+  status = 400;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'FrameworkError';
+  }
+}
+
+// Reports saved before frameworks existed were scored on these pillars
+export const BUSINESS_FRAMEWORK_ID = 'business';
+
+const BUSINESS_FRAMEWORK: PillarFramework = {
+  id: BUSINESS_FRAMEWORK_ID,
+  name: 'Small Business',
+  description: 'Eight pillars of business health and growth for for-profit companies',
+  benchmarks: true,
+  statusBands: DEFAULT_STATUS_SCALE,
+  pillars: [
+    {
+      id: 'formation',
+      name: 'Formation & Compliance',
+      shortName: 'Formation',
+      weight: 1.0,
+      icon: 'document',
+      prompt: 'Entity structure, registrations, licenses, good standing and ongoing filing obligations',
+      guidance: 'Score high when the entity is registered, in good standing and deadlines are tracked; low when registrations, licenses or filings are missing or informal',
+      keywords: ['formation', 'compliance', 'entity'],
+      basis: 'Formation & Compliance',
+    },
+    {
+      id: 'credit',
+      name: 'Business Credit Readiness',
+      shortName: 'Credit',
+      weight: 1.0,
+      icon: 'card',
+      prompt: 'Business credit profile, reporting tradelines, payment history and access to financing',
+      guidance: 'Score high when the business has an established, separate credit profile with on-time history; low when credit is thin, personal-only or unknown',
+      keywords: ['credit', 'fundab'],
+      basis: 'Business Credit Readiness',
+    },
+    {
+      id: 'financials',
+      name: 'Financials & Cash Flow',
+      shortName: 'Financials',
+      weight: 1.5,
+      icon: 'dollar',
+      prompt: 'Revenue, margins, bookkeeping discipline, cash flow and reserves',
+      guidance: 'Score high with consistent books, healthy margins and several months of reserves; low with losses, thin margins or no financial visibility',
+      keywords: ['financ', 'cash'],
+      basis: 'Financials & Cash Flow',
+    },
+    {
+      id: 'operations',
+      name: 'Operations & Systems',
+      shortName: 'Operations',
+      weight: 1.2,
+      icon: 'gear',
+      prompt: 'Documented processes, tools, team structure and dependence on the owner',
+      guidance: 'Score high when delivery is documented, delegated and supported by connected tools; low when it depends on the owner and manual work',
+      keywords: ['operation', 'system', 'process'],
+      basis: 'Operations & Systems',
+    },
+    {
+      id: 'sales',
+      name: 'Sales & Marketing',
+      shortName: 'Sales',
+      weight: 1.2,
+      icon: 'store',
+      prompt: 'Customer acquisition, sales pipeline, marketing channels and conversion',
+      guidance: 'Score high when demand is steady and measured through a repeatable pipeline; low when sales are inconsistent or untracked',
+      keywords: ['sales', 'marketing'],
+      basis: 'Sales & Marketing',
+    },
+    {
+      id: 'brand',
+      name: 'Brand & Web Presence',
+      shortName: 'Brand',
+      weight: 1.0,
+      icon: 'globe',
+      prompt: 'Website, reviews, listings and how clearly the brand communicates the offer',
+      guidance: 'Score high when the online presence builds credibility and generates leads; low when it is missing, outdated or unclear',
+      keywords: ['brand', 'web', 'online'],
+      basis: 'Brand & Web Presence',
+    },
+    {
+      id: 'risk',
+      name: 'Risk & Legal Posture',
+      shortName: 'Risk',
+      weight: 1.0,
+      icon: 'shield',
+      prompt: 'Contracts, insurance, liability exposure and key-person risk',
+      guidance: 'Score high when contracts, coverage and continuity plans fit the business; low when liability and key-person risks are unmanaged',
+      keywords: ['risk', 'legal'],
+      basis: 'Risk & Legal Posture',
+    },
+    {
+      id: 'growth',
+      name: 'Growth Strategy & Execution',
+      shortName: 'Growth',
+      weight: 1.0,
+      icon: 'trend',
+      prompt: 'Written goals, plans, KPIs and capacity to execute on growth',
+      guidance: 'Score high when goals are specific, planned by quarter and reviewed against KPIs; low when growth is unplanned',
+      keywords: ['growth', 'strategy', 'execution'],
+      basis: 'Growth Strategy & Execution',
+    },
+  ],
+};
+
+const NONPROFIT_FRAMEWORK: PillarFramework = {
+  id: 'nonprofit',
+  name: 'Nonprofit Organizations',
+  description: 'Ten pillars of organizational health for charities and other nonprofits',
+  benchmarks: false,
+  statusBands: DEFAULT_STATUS_SCALE,
+  pillars: [
+    {
+      id: 'mission',
+      name: 'Mission & Program Impact',
+      shortName: 'Mission',
+      weight: 1.3,
+      icon: 'heart',
+      prompt: 'Clarity of mission, program design and how outcomes for the people served are measured',
+      guidance: 'Score high when programs follow from a clear mission and outcomes are measured and reported; low when impact is anecdotal or programs drift from the mission',
+      keywords: ['mission', 'program', 'impact'],
+      basis: 'Growth Strategy & Execution',
+      fallback: {
+        red: 'Program outcomes are not measured, so the organization cannot show the impact of its work',
+        yellow: 'Programs serve the mission but outcomes are tracked informally',
+        green: 'Programs are tied to the mission and their outcomes are measured',
+        improve: [
+          'Write a one-page logic model for each program linking activities to outcomes',
+          'Choose two outcome measures per program and start recording them monthly',
+          'Share an outcomes summary with the board each quarter',
+        ],
+        maintain: [
+          'Publish an annual impact report with outcome data',
+          'Review each program against the mission every year',
+          'Collect feedback from the people served after each program cycle',
+        ],
+      },
+    },
+    {
+      id: 'governance',
+      name: 'Governance & Board',
+      shortName: 'Governance',
+      weight: 1.2,
+      icon: 'users',
+      prompt: 'Board composition, oversight, conflict-of-interest policies and succession',
+      guidance: 'Score high with an engaged, independent board that meets regularly and follows written policies; low when the board is inactive, too small or dominated by one person',
+      keywords: ['governance', 'board'],
+      basis: 'Risk & Legal Posture',
+      fallback: {
+        red: 'Board oversight is too limited to protect the organization and its funders',
+        yellow: 'A board is in place but its policies and oversight are informal',
+        green: 'The board provides active, independent oversight',
+        improve: [
+          'Adopt conflict-of-interest, whistleblower and document-retention policies',
+          'Set a board meeting calendar with minutes and a financial review at each meeting',
+          'Recruit board members to fill skill gaps in finance, legal and fundraising',
+        ],
+        maintain: [
+          'Run an annual board self-assessment',
+          'Keep a board succession plan for officers and the executive director',
+          'Review board policies every two years',
+        ],
+      },
+    },
+    {
+      id: 'compliance',
+      name: 'Legal & Regulatory Compliance',
+      shortName: 'Compliance',
+      weight: 1.0,
+      icon: 'document',
+      prompt: 'Tax-exempt status, state registrations, charitable solicitation filings and annual returns',
+      guidance: 'Score high when exempt status, registrations and annual filings are current and tracked; low when filings are late or exemption is at risk',
+      keywords: ['legal', 'regulat', 'compliance', 'exempt'],
+      basis: 'Formation & Compliance',
+      fallback: {
+        red: 'Missed filings or registrations could put tax-exempt status at risk',
+        yellow: 'Filings are made but deadlines are not tracked systematically',
+        green: 'Exempt status, registrations and annual filings are current',
+        improve: [
+          'Confirm tax-exempt status and state registrations are current',
+          'Create a compliance calendar for annual returns and charitable solicitation renewals',
+          'Register for charitable solicitation in every state where donations are requested',
+        ],
+        maintain: [
+          'Review the compliance calendar quarterly',
+          'Keep exemption letters and filings in a shared, backed-up location',
+          'Check registration requirements before fundraising in new states',
+        ],
+      },
+    },
+    {
+      id: 'finance',
+      name: 'Financial Health & Reserves',
+      shortName: 'Finances',
+      weight: 1.5,
+      icon: 'dollar',
+      prompt: 'Budgeting, restricted versus unrestricted funds, operating reserves and cash flow',
+      guidance: 'Score high with monthly financials, tracked restrictions and three or more months of unrestricted reserves; low with deficits, commingled restricted funds or no reserves',
+      keywords: ['financ', 'reserve', 'cash'],
+      basis: 'Financials & Cash Flow',
+      fallback: {
+        red: 'Reserves and financial tracking are too thin to absorb a delayed grant or a lost donor',
+        yellow: 'Finances are tracked but reserves and restricted funds are not actively managed',
+        green: 'Financial management and reserves provide a stable platform',
+        improve: [
+          'Close the books monthly and report restricted and unrestricted funds separately',
+          'Build a 13-week cash flow forecast that includes expected grant payments',
+          'Adopt a reserve policy targeting three months of operating expenses',
+        ],
+        maintain: [
+          'Review budget against actuals with the board each quarter',
+          'Keep unrestricted reserves at or above the policy target',
+          'Schedule an independent audit or review each year',
+        ],
+      },
+    },
+    {
+      id: 'fundraising',
+      name: 'Fundraising & Revenue Diversity',
+      shortName: 'Fundraising',
+      weight: 1.2,
+      icon: 'gift',
+      prompt: 'Mix of individual donors, grants, earned revenue and events, and dependence on any single source',
+      guidance: 'Score high when no single source is more than a third of revenue and donor retention is tracked; low when one funder or event carries the budget',
+      keywords: ['fundrais', 'donor', 'revenue', 'donation'],
+      basis: 'Sales & Marketing',
+      fallback: {
+        red: 'Revenue depends on too few sources, leaving programs exposed to a single lost funder',
+        yellow: 'Several revenue sources exist but donor acquisition and retention are not managed',
+        green: 'Revenue is diversified and donor relationships are actively managed',
+        improve: [
+          'Map revenue by source and set a target that no source exceeds a third of the budget',
+          'Set up a donor database with gift history and follow-up reminders',
+          'Launch a monthly giving program for existing donors',
+        ],
+        maintain: [
+          'Review donor retention rates each quarter',
+          'Test one new revenue source each year',
+          'Thank and report back to major donors at least twice a year',
+        ],
+      },
+    },
+    {
+      id: 'grants',
+      name: 'Grant Readiness',
+      shortName: 'Grants',
+      weight: 1.0,
+      icon: 'clipboard',
+      prompt: 'Ready-to-submit documents, outcome data, budgets and track record with institutional funders',
+      guidance: 'Score high when audits, budgets, outcome data and a grant calendar are ready; low when applications are assembled from scratch or reports to funders are late',
+      keywords: ['grant', 'funder'],
+      basis: 'Business Credit Readiness',
+      fallback: {
+        red: 'The organization is not ready to compete for institutional grants',
+        yellow: 'Some grant materials exist but applications are assembled from scratch each time',
+        green: 'Grant materials, data and reporting are ready for institutional funders',
+        improve: [
+          'Assemble a grant library with the mission statement, budgets, audits and board list',
+          'Build a grant calendar of prospects, deadlines and report due dates',
+          'Prepare standard outcome data and a program budget for the main programs',
+        ],
+        maintain: [
+          'Update the grant library after each fiscal year closes',
+          'Submit every funder report on or before its due date',
+          'Research five new funder prospects each quarter',
+        ],
+      },
+    },
+    {
+      id: 'operations',
+      name: 'Operations & Systems',
+      shortName: 'Operations',
+      weight: 1.0,
+      icon: 'gear',
+      prompt: 'Documented processes, technology, data management and dependence on the executive director',
+      guidance: 'Score high when processes are documented and supported by shared tools; low when operations depend on one person and manual work',
+      keywords: ['operation', 'system', 'process'],
+      basis: 'Operations & Systems',
+      fallback: {
+        red: 'Operations depend on a few people and undocumented processes, limiting capacity',
+        yellow: 'Core operations work but are not documented or systematized',
+        green: 'Operational systems support consistent program delivery',
+        improve: [
+          'Document the five most repeated processes as checklists',
+          'Assign a clear owner for each recurring operational task',
+          'Consolidate donor, program and financial records into connected tools',
+        ],
+        maintain: [
+          'Review key processes twice a year for bottlenecks',
+          'Track one or two operational metrics monthly',
+          'Cross-train staff on critical tasks',
+        ],
+      },
+    },
+    {
+      id: 'people',
+      name: 'Staff & Volunteer Capacity',
+      shortName: 'People',
+      weight: 1.0,
+      icon: 'people',
+      prompt: 'Staffing levels, volunteer recruitment and retention, training and burnout risk',
+      guidance: 'Score high when roles are filled, volunteers are recruited and retained deliberately and workloads are sustainable; low when a few people carry everything',
+      keywords: ['staff', 'volunteer', 'capacity', 'people'],
+      basis: 'Operations & Systems',
+      fallback: {
+        red: 'Staff and volunteer capacity is stretched, putting programs and people at risk of burnout',
+        yellow: 'Roles are covered but recruitment, training and retention are ad hoc',
+        green: 'Staff and volunteers are recruited, trained and retained deliberately',
+        improve: [
+          'Write role descriptions for every staff and key volunteer position',
+          'Set up a volunteer recruitment, onboarding and recognition process',
+          'Identify the first role to hire or contract to relieve the most overloaded person',
+        ],
+        maintain: [
+          'Survey staff and volunteers once a year on workload and satisfaction',
+          'Track volunteer retention each quarter',
+          'Budget for training and professional development',
+        ],
+      },
+    },
+    {
+      id: 'communications',
+      name: 'Communications & Community Presence',
+      shortName: 'Communications',
+      weight: 1.0,
+      icon: 'megaphone',
+      prompt: 'Website, storytelling, community relationships and visibility with donors and partners',
+      guidance: 'Score high when the organization tells its impact story consistently and is known in its community; low when its presence is outdated or invisible',
+      keywords: ['communicat', 'community', 'brand', 'web'],
+      basis: 'Brand & Web Presence',
+      fallback: {
+        red: 'The organization is not visible enough to attract donors, volunteers and partners',
+        yellow: 'A basic presence exists but the impact story is not told consistently',
+        green: 'Communications build trust with donors, partners and the community',
+        improve: [
+          'Make sure the website states the mission, recent impact and a clear way to give',
+          'Publish one story from the people served each month',
+          'List the organization on charity directories and update its nonprofit profiles',
+        ],
+        maintain: [
+          'Send donors a regular newsletter with outcome highlights',
+          'Keep messaging consistent across the website, social media and events',
+          'Meet with key community partners at least twice a year',
+        ],
+      },
+    },
+    {
+      id: 'strategy',
+      name: 'Strategic Planning & Sustainability',
+      shortName: 'Strategy',
+      weight: 1.0,
+      icon: 'compass',
+      prompt: 'Written strategic plan, long-term funding model and readiness for leadership transitions',
+      guidance: 'Score high with a current multi-year plan, measurable goals and a sustainable funding model; low when the organization plans year to year',
+      keywords: ['strateg', 'sustainab', 'planning'],
+      basis: 'Growth Strategy & Execution',
+      fallback: {
+        red: 'The organization plans year to year without a sustainable long-term model',
+        yellow: 'Goals exist but are not part of a written, funded strategic plan',
+        green: 'A current strategic plan guides programs, funding and leadership',
+        improve: [
+          'Draft a three-year strategic plan with the board',
+          'Translate the plan into annual goals with owners and measures',
+          'Document an emergency succession plan for the executive director',
+        ],
+        maintain: [
+          'Review progress against the strategic plan each quarter',
+          'Refresh the plan with the board every three years',
+          'Model the funding needed for each strategic goal before committing to it',
+        ],
+      },
+    },
+  ],
+};
+
+const BUNDLED_FRAMEWORKS: PillarFramework[] = [BUSINESS_FRAMEWORK, NONPROFIT_FRAMEWORK];
+
+let configured: { raw: string | undefined; frameworks: PillarFramework[] } | null = null;
+
+// Bundled frameworks merged with ELEV8_FRAMEWORKS (parsed once per value)
+export function listFrameworks(): PillarFramework[] {
+  const raw = process.env.ELEV8_FRAMEWORKS;
+  if (configured && configured.raw === raw) return configured.frameworks;
+
+  const frameworks = [...BUNDLED_FRAMEWORKS];
+  if (raw && raw.trim()) {
+    let entries: unknown[] = [];
+    try {
+      const parsed = JSON.parse(raw);
+      entries = Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      console.error('[Pillar Frameworks] ELEV8_FRAMEWORKS is not valid JSON; using bundled frameworks');
+    }
+
+    for (const entry of entries) {
+      const result = frameworkSchema.safeParse(entry);
+      if (!result.success) {
+        console.error(`[Pillar Frameworks] Ignoring framework "${(entry as any)?.id}":`, result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`));
+        continue;
+      }
+      const framework = result.data as PillarFramework;
+      const index = frameworks.findIndex(f => f.id === framework.id);
+      if (index >= 0) frameworks[index] = framework;
+      else frameworks.push(framework);
+    }
+  }
+
+  configured = { raw, frameworks };
+  return frameworks;
+}
+
+export function getDefaultFrameworkId(): string {
+  const id = (process.env.ELEV8_FRAMEWORK || '').trim().toLowerCase();
+  return id && listFrameworks().some(f => f.id === id) ? id : BUSINESS_FRAMEWORK_ID;
+}
+
+// Framework by id; unknown or missing ids use the default framework
+export function getFramework(id?: unknown): PillarFramework {
+  const frameworks = listFrameworks();
+  const key = typeof id === 'string' ? id.trim().toLowerCase() : '';
+  return frameworks.find(f => f.id === key)
+    || frameworks.find(f => f.id === getDefaultFrameworkId())
+    || BUSINESS_FRAMEWORK;
+}
+
+// Validate the framework chosen on the intake form (empty means the default)
+export function resolveFrameworkId(value: unknown): string {
+  if (value === undefined || value === null || value === '') return getDefaultFrameworkId();
+  const id = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!listFrameworks().some(f => f.id === id)) {
+    throw new FrameworkError(`Unknown pillar framework "${String(value)}". Use ${listFrameworks().map(f => f.id).join(', ')}.`);
+  }
+  return id;
+}
+
+// Framework of a saved report (reports without one were scored on the business framework)
+export function getReportFramework(report: any): PillarFramework {
+  return getFramework(report?.framework?.id || BUSINESS_FRAMEWORK_ID);
+}
+
+// Framework pillar with this exact name (case-insensitive)
+export function findFrameworkPillar(framework: PillarFramework, name: unknown): PillarDefinition | null {
+  const key = String(name ?? '').trim().toLowerCase();
+  return framework.pillars.find(p => p.name.toLowerCase() === key) || null;
+}
+
+// Roadmap action keywords of a framework pillar: its basis pillar's plus its own
+export function getActionKeywords(framework: PillarFramework, name: unknown): string[] {
+  const pillar = findFrameworkPillar(framework, name);
+  if (!pillar) return [];
+  return [...CORE_ACTION_KEYWORDS[pillar.basis], ...pillar.keywords.map(word => word.toLowerCase())];
+}
+
+export function getPillarBasis(framework: PillarFramework, name: unknown): PillarName | null {
+  return findFrameworkPillar(framework, name)?.basis ?? null;
+}
+
+// First framework pillar built on a core pillar (e.g. where financial statements are discussed)
+export function findPillarByBasis(framework: PillarFramework, basis: PillarName): PillarDefinition | null {
+  return framework.pillars.find(p => p.basis === basis) || null;
+}
+
+export function describeFramework(framework: PillarFramework): FrameworkView {
+  return {
+    id: framework.id,
+    name: framework.name,
+    pillars: framework.pillars.map(({ name, shortName, weight, icon, basis }) => ({ name, shortName, weight, icon, basis })),
+    statusBands: framework.statusBands,
+  };
+}
+
+// Response of GET /api/elev8/frameworks. Besides the intake options, the browser takes the
+// framework and status bands of reports saved before reports stored them, and the roadmap
+// action keywords of reports saved before roadmap tasks, from here.
+export function listFrameworkViews() {
+  return {
+    defaultFramework: getDefaultFrameworkId(),
+    legacyFramework: BUSINESS_FRAMEWORK_ID,
+    statusBands: DEFAULT_STATUS_SCALE,
+    frameworks: listFrameworks().map(framework => {
+      const view = describeFramework(framework);
+      return {
+        ...view,
+        pillars: view.pillars.map(pillar => ({ ...pillar, actionKeywords: getActionKeywords(framework, pillar.name) })),
+        description: framework.description,
+      };
+    }),
+  };
+}
+
+// Prompt sections listing the pillars to score, in report order, and their status cutoffs
+export function formatFrameworkForPrompt(framework: PillarFramework): string {
+  const lines = framework.pillars.map((pillar, i) =>
+    `${i + 1}. ${pillar.name} (weight ${pillar.weight}): ${pillar.prompt}\n   Scoring: ${pillar.guidance}`);
+
+  return `PILLARS (${framework.name} framework; return exactly these ${framework.pillars.length} pillars with these exact names, in this order):\n${lines.join('\n')}\n\n${formatStatusBandsForPrompt(framework.statusBands)}`;
+}
@@ -0,0 +1,257 @@
+// Prompt Registry - Resolves the active version of each named system prompt
+// Used by /api/generate, /api/generate/stream, the pillar deep dive and the admin
+// prompt endpoints in Express and Vercel. Versions activated in the database take
+// effect without a redeploy (after at most PROMPT_CACHE_TTL_SECONDS per instance);
+// without a database the latest bundled version from prompt-templates.ts is used. Retired
+// versions (see PROMPT_REQUIRED_SECTIONS) are never resolved.
+
+import { getToolModelConfig, type CompletionResult } from "./ai-provider.js";
+import { BUNDLED_PROMPTS, PROMPT_NAMES, getBundledPrompt, getMissingPromptSections, type PromptName } from "./prompt-templates.js";
+
+/*
+ * ENVIRONMENT VARIABLES for the Prompt Registry:
+ *
+ * PROMPT_CACHE_TTL_SECONDS="60"
+ *   - How long each server instance caches the active prompt versions
+ */
+
+export type PromptSource = 'bundled' | 'database';
+
+export interface StoredPrompt {
+  name: string;
+  version: string;
+  content: string;
+  description?: string | null;
+  createdBy?: string | null;
+  createdAt?: Date | string | null;
+  isActive?: boolean;
+}
+
+export interface ResolvedPrompt {
+  name: PromptName;
+  version: string;
+  content: string;
+  source: PromptSource;
+}
+
+export interface PromptListing {
+  name: string;
+  version: string;
+  description: string | null;
+  source: PromptSource;
+  active: boolean;
+  retired: boolean;           // written for an older request format; can't be activated
+  createdBy: string | null;
+  createdAt: Date | string | null;
+}
+
+// Persistence for prompt versions (implemented per backend on top of prompt_templates)
+export interface PromptStore {
+  getActive(name: string): Promise<StoredPrompt | null>;
+  find(name: string, version: string): Promise<StoredPrompt | null>;
+  list(): Promise<StoredPrompt[]>;
+  insert(prompt: StoredPrompt): Promise<void>;
+  activate(name: string, version: string): Promise<boolean>;
+}
+
+// Structured error for invalid admin requests; `status` is the HTTP status to return
+export class PromptRegistryError extends Error {
+  code: string;
+  status: number;
+
+  constructor(message: string, code: string, status: number) {
+    super(message);
+    this.name = 'PromptRegistryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const MAX_PROMPT_LENGTH = 20000;
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+
+export function getPromptCacheTtlMs(): number {
+  const raw = Number(process.env.PROMPT_CACHE_TTL_SECONDS);
+  return (isNaN(raw) || raw < 0 ? 60 : raw) * 1000;
+}
+
+export function isPromptName(name: unknown): name is PromptName {
+  return typeof name === 'string' && (PROMPT_NAMES as readonly string[]).includes(name);
+}
+
+function isRetired(name: PromptName, content: string): boolean {
+  return getMissingPromptSections(name, content).length > 0;
+}
+
+export class PromptRegistry {
+  private cache = new Map<string, { prompt: ResolvedPrompt; expiresAt: number }>();
+
+  constructor(private store: PromptStore | null, private cacheTtlMs = getPromptCacheTtlMs()) {}
+
+  // Active version of a prompt; database failures fall back to the bundled version
+  async resolve(name: PromptName): Promise<ResolvedPrompt> {
+    const cached = this.cache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.prompt;
+    }
+
+    let prompt: ResolvedPrompt | null = null;
+    if (this.store) {
+      try {
+        const active = await this.store.getActive(name);
+        if (active && isRetired(name, active.content)) {
+          console.warn(`[Prompt Registry] Active "${name}" version ${active.version} is retired, using bundled version`);
+        } else if (active) {
+          prompt = { name, version: active.version, content: active.content, source: 'database' };
+        }
+      } catch (error: any) {
+        console.error(`[Prompt Registry] Failed to load active "${name}" prompt, using bundled version:`, error.message);
+      }
+    }
+
+    if (!prompt) {
+      const bundled = getBundledPrompt(name);
+      if (!bundled) {
+        throw new PromptRegistryError(`No bundled prompt named "${name}"`, 'PROMPT_NOT_FOUND', 500);
+      }
+      prompt = { name, version: bundled.version, content: bundled.content, source: 'bundled' };
+    }
+
+    this.cache.set(name, { prompt, expiresAt: Date.now() + this.cacheTtlMs });
+    return prompt;
+  }
+
+  // Every bundled and stored version, flagging the one each prompt resolves to
+  async list(): Promise<PromptListing[]> {
+    const stored = this.store ? await this.store.list() : [];
+    const listings: PromptListing[] = [];
+
+    for (const name of PROMPT_NAMES) {
+      const dbVersions = stored.filter(p => p.name === name);
+      const activeVersion = dbVersions.find(p => p.isActive && !isRetired(name, p.content))?.version ?? getBundledPrompt(name)?.version;
+
+      for (const bundled of BUNDLED_PROMPTS.filter(p => p.name === name)) {
+        if (dbVersions.some(p => p.version === bundled.version)) continue;
+        listings.push({
+          name,
+          version: bundled.version,
+          description: bundled.description,
+          source: 'bundled',
+          active: bundled.version === activeVersion,
+          retired: isRetired(name, bundled.content),
+          createdBy: null,
+          createdAt: null,
+        });
+      }
+
+      for (const prompt of dbVersions) {
+        listings.push({
+          name,
+          version: prompt.version,
+          description: prompt.description ?? null,
+          source: 'database',
+          active: prompt.version === activeVersion,
+          retired: isRetired(name, prompt.content),
+          createdBy: prompt.createdBy ?? null,
+          createdAt: prompt.createdAt ?? null,
+        });
+      }
+    }
+
+    return listings;
+  }
+
+  // Store a new version of a prompt (optionally activating it)
+  async createVersion(input: any, createdBy: string | null = null): Promise<PromptListing> {
+    const store = this.requireStore();
+    const { name, version, content, description, activate } = input || {};
+
+    if (!isPromptName(name)) {
+      throw new PromptRegistryError(`Unknown prompt name. Expected one of: ${PROMPT_NAMES.join(', ')}`, 'INVALID_PROMPT', 400);
+    }
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      throw new PromptRegistryError('Version must be 1-32 letters, numbers, dots, dashes or underscores.', 'INVALID_PROMPT', 400);
+    }
+    if (typeof content !== 'string' || !content.trim() || content.length > MAX_PROMPT_LENGTH) {
+      throw new PromptRegistryError(`Content is required and must be at most ${MAX_PROMPT_LENGTH} characters.`, 'INVALID_PROMPT', 400);
+    }
+    const missing = getMissingPromptSections(name, content);
+    if (missing.length > 0) {
+      throw new PromptRegistryError(`Content must refer to the ${missing.join(' and ')} of the request.`, 'INVALID_PROMPT', 400);
+    }
+    if (getBundledPrompt(name, version) || await store.find(name, version)) {
+      throw new PromptRegistryError(`Version ${version} of "${name}" already exists.`, 'PROMPT_VERSION_EXISTS', 409);
+    }
+
+    await store.insert({
+      name,
+      version,
+      content,
+      description: typeof description === 'string' ? description.slice(0, 500) : null,
+      createdBy,
+    });
+
+    if (activate === true) {
+      await this.activate(name, version);
+    }
+
+    const created = (await this.list()).find(p => p.name === name && p.version === version);
+    return created as PromptListing;
+  }
+
+  // Make a stored or bundled version the active one
+  async activate(name: unknown, version: unknown): Promise<PromptListing> {
+    const store = this.requireStore();
+
+    if (!isPromptName(name) || typeof version !== 'string') {
+      throw new PromptRegistryError('A known prompt name and a version are required.', 'INVALID_PROMPT', 400);
+    }
+
+    const stored = await store.find(name, version);
+    const bundled = getBundledPrompt(name, version);
+    const content = stored?.content ?? bundled?.content;
+    if (content === undefined) {
+      throw new PromptRegistryError(`Version ${version} of "${name}" was not found.`, 'PROMPT_NOT_FOUND', 404);
+    }
+    if (isRetired(name, content)) {
+      throw new PromptRegistryError(`Version ${version} of "${name}" is retired: it does not use the ${getMissingPromptSections(name, content).join(' and ')} of the request.`, 'PROMPT_RETIRED', 409);
+    }
+    if (!stored && bundled) {
+      // Bundled versions are copied into the store so they can be activated like any other
+      await store.insert({ name, version, content: bundled.content, description: bundled.description, createdBy: 'bundled' });
+    }
+
+    await store.activate(name, version);
+    this.cache.delete(name);
+    console.log(`[Prompt Registry] Activated "${name}" version ${version}`);
+
+    const active = (await this.list()).find(p => p.name === name && p.version === version);
+    return active as PromptListing;
+  }
+
+  clearCache(): void {
+    this.cache.clear();
+  }
+
+  private requireStore(): PromptStore {
+    if (!this.store) {
+      throw new PromptRegistryError('Prompt versions can only be managed when a database is configured.', 'PROMPT_STORE_UNAVAILABLE', 503);
+    }
+    return this.store;
+  }
+}
+
+// Provenance stamped on each generated report: which prompt, model and settings produced it
+export function buildGenerationProvenance(prompt: ResolvedPrompt, tool: string, completion?: CompletionResult | null) {
+  const config = getToolModelConfig(tool);
+  return {
+    prompt: { name: prompt.name, version: prompt.version, source: prompt.source },
+    provider: completion?.provider ?? null,
+    model: completion?.model ?? null,
+    parameters: {
+      maxTokens: config.maxTokens,
+      temperature: config.temperature ?? null,
+    },
+    generatedAt: new Date().toISOString(),
+  };
+}
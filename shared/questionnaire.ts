@@ -0,0 +1,165 @@
+// Elev8 Assessment Questionnaire - Optional structured questions grouped by pillar
+// Used by /api/generate (validation, prompt and baseline scoring) in Express and Vercel.
+// The browser copy in public/elev8-questionnaire.js must list the same questions.
+
+import type { PillarName } from "./diagnostic-schema.js";
+
+export type QuestionType = 'yesno' | 'scale' | 'number';
+
+export interface QuestionnaireQuestion {
+  id: string;
+  pillar: PillarName;
+  type: QuestionType;
+  label: string;
+  min?: number;
+  max?: number;
+  unit?: string;
+  // Baseline score impact: yes/no adds or subtracts `weight`; scale answers move
+  // linearly from -weight (1) to +weight (5); numbers use the first matching band
+  weight?: number;
+  bands?: Array<{ min: number; delta: number }>;
+}
+
+export type QuestionnaireAnswers = Record<string, boolean | number>;
+
+export const SCALE_MIN = 1;
+export const SCALE_MAX = 5;
+
+export const QUESTIONNAIRE: QuestionnaireQuestion[] = [
+  // Formation & Compliance
+  { id: "fc_good_standing", pillar: "Formation & Compliance", type: "yesno", label: "Is the business a registered entity in good standing?", weight: 8 },
+  { id: "fc_ein_bank", pillar: "Formation & Compliance", type: "yesno", label: "Does the business have an EIN and a dedicated business bank account?", weight: 6 },
+  { id: "fc_compliance_calendar", pillar: "Formation & Compliance", type: "yesno", label: "Are licensing and filing deadlines tracked on a compliance calendar?", weight: 5 },
+
+  // Business Credit Readiness
+  { id: "bc_duns", pillar: "Business Credit Readiness", type: "yesno", label: "Does the business have a D-U-N-S number?", weight: 5 },
+  {
+    id: "bc_tradelines", pillar: "Business Credit Readiness", type: "number", label: "How many accounts report to business credit bureaus?", min: 0, max: 100,
+    bands: [{ min: 5, delta: 10 }, { min: 3, delta: 6 }, { min: 1, delta: 2 }, { min: 0, delta: -6 }],
+  },
+  { id: "bc_on_time", pillar: "Business Credit Readiness", type: "yesno", label: "Are all business accounts paid on time or early?", weight: 5 },
+
+  // Financials & Cash Flow
+  { id: "fi_monthly_close", pillar: "Financials & Cash Flow", type: "yesno", label: "Are the books closed and reviewed every month?", weight: 7 },
+  {
+    id: "fi_reserve_months", pillar: "Financials & Cash Flow", type: "number", label: "How many months of operating expenses are held in reserve?", min: 0, max: 36, unit: "months",
+    bands: [{ min: 6, delta: 10 }, { min: 3, delta: 6 }, { min: 1, delta: 0 }, { min: 0, delta: -8 }],
+  },
+  { id: "fi_margin_visibility", pillar: "Financials & Cash Flow", type: "scale", label: "How well do you know your profit margin by product or service?", weight: 6 },
+
+  // Operations & Systems
+  { id: "op_documented", pillar: "Operations & Systems", type: "scale", label: "How thoroughly are core processes documented?", weight: 8 },
+  { id: "op_owner_independence", pillar: "Operations & Systems", type: "scale", label: "How well could the business run for two weeks without the owner?", weight: 7 },
+
+  // Sales & Marketing
+  { id: "sm_pipeline", pillar: "Sales & Marketing", type: "yesno", label: "Are leads tracked in a CRM or sales pipeline?", weight: 6 },
+  {
+    id: "sm_channels", pillar: "Sales & Marketing", type: "number", label: "How many measurable lead channels are active?", min: 0, max: 20,
+    bands: [{ min: 3, delta: 6 }, { min: 2, delta: 3 }, { min: 1, delta: 0 }, { min: 0, delta: -6 }],
+  },
+  {
+    id: "sm_top_customer_pct", pillar: "Sales & Marketing", type: "number", label: "What share of revenue comes from the largest customer?", min: 0, max: 100, unit: "%",
+    bands: [{ min: 50, delta: -8 }, { min: 25, delta: -3 }, { min: 0, delta: 3 }],
+  },
+
+  // Brand & Web Presence
+  { id: "br_website", pillar: "Brand & Web Presence", type: "yesno", label: "Does the website clearly state the offer and a next step?", weight: 7 },
+  {
+    id: "br_reviews", pillar: "Brand & Web Presence", type: "number", label: "How many online reviews does the business have?", min: 0, max: 100000,
+    bands: [{ min: 50, delta: 8 }, { min: 10, delta: 4 }, { min: 1, delta: 0 }, { min: 0, delta: -5 }],
+  },
+
+  // Risk & Legal Posture
+  { id: "rl_insurance", pillar: "Risk & Legal Posture", type: "yesno", label: "Does the business carry general liability insurance?", weight: 7 },
+  { id: "rl_contracts", pillar: "Risk & Legal Posture", type: "yesno", label: "Are written client contracts in place and reviewed by counsel?", weight: 6 },
+
+  // Growth Strategy & Execution
+  { id: "gs_written_plan", pillar: "Growth Strategy & Execution", type: "yesno", label: "Is there a written plan with quarterly goals?", weight: 7 },
+  { id: "gs_kpi_review", pillar: "Growth Strategy & Execution", type: "scale", label: "How consistently are KPIs reviewed against targets?", weight: 6 },
+];
+
+// Validate and normalize submitted answers. Unknown ids and blank answers are dropped;
+// out-of-range or mistyped answers are reported as errors keyed by question id, and
+// anything other than an object of answers as an error keyed "questionnaire".
+export function validateQuestionnaireAnswers(raw: unknown): { answers: QuestionnaireAnswers; errors: Record<string, string> } {
+  const answers: QuestionnaireAnswers = {};
+  const errors: Record<string, string> = {};
+
+  if (raw === undefined || raw === null) {
+    return { answers, errors };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.questionnaire = 'Answers must be an object keyed by question id';
+    return { answers, errors };
+  }
+
+  for (const question of QUESTIONNAIRE) {
+    const value = (raw as Record<string, unknown>)[question.id];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (question.type === 'yesno') {
+      if (typeof value !== 'boolean') {
+        errors[question.id] = 'Answer must be yes or no';
+        continue;
+      }
+      answers[question.id] = value;
+      continue;
+    }
+
+    const num = typeof value === 'number' ? value : Number(value);
+    const min = question.type === 'scale' ? SCALE_MIN : question.min ?? 0;
+    const max = question.type === 'scale' ? SCALE_MAX : question.max ?? Number.MAX_SAFE_INTEGER;
+
+    if (!Number.isFinite(num) || !Number.isInteger(num)) {
+      errors[question.id] = 'Answer must be a whole number';
+    } else if (num < min || num > max) {
+      errors[question.id] = `Answer must be between ${min} and ${max}`;
+    } else {
+      answers[question.id] = num;
+    }
+  }
+
+  return { answers, errors };
+}
+
+export function formatAnswer(question: QuestionnaireQuestion, value: boolean | number): string {
+  if (question.type === 'yesno') return value ? 'Yes' : 'No';
+  if (question.type === 'scale') return `${value} of ${SCALE_MAX}`;
+  return question.unit === '%' ? `${value}%` : question.unit ? `${value} ${question.unit}` : String(value);
+}
+
+// Prompt section listing answered questions grouped by pillar ('' when nothing was answered).
+// Pass a pillar to limit the section to that pillar's questions (used by deep dives).
+export function formatQuestionnaireForPrompt(answers: QuestionnaireAnswers | undefined, pillar?: PillarName): string {
+  if (!answers) return '';
+
+  const lines: string[] = [];
+  let currentPillar = '';
+
+  for (const question of QUESTIONNAIRE) {
+    if (answers[question.id] === undefined) continue;
+    if (pillar && question.pillar !== pillar) continue;
+    if (question.pillar !== currentPillar) {
+      currentPillar = question.pillar;
+      lines.push(`${currentPillar}:`);
+    }
+    lines.push(`- ${question.label} ${formatAnswer(question, answers[question.id])}`);
+  }
+
+  return lines.length > 0
+    ? `ASSESSMENT QUESTIONNAIRE (answered by the business owner; scale answers are 1 = not at all, 5 = fully):\n${lines.join('\n')}`
+    : '';
+}
+
+// Baseline score impact of one answer (used by the rules engine)
+export function scoreAnswer(question: QuestionnaireQuestion, value: boolean | number): number {
+  if (question.type === 'yesno') {
+    return value ? question.weight ?? 0 : -(question.weight ?? 0);
+  }
+  if (question.type === 'scale') {
+    const midpoint = (SCALE_MIN + SCALE_MAX) / 2;
+    return Math.round(((value as number) - midpoint) / (SCALE_MAX - midpoint) * (question.weight ?? 0));
+  }
+  const band = (question.bands || []).find(b => (value as number) >= b.min);
+  return band ? band.delta : 0;
+}
@@ -0,0 +1,166 @@
+// Elev8 Report Chat - Follow-up questions answered from a saved report
+// Used by POST /api/elev8/reports/:id/chat (Express; saved Elev8 reports are stored there).
+// Answers are grounded in the report's analysisData and intake, and the conversation is
+// stored with the saved report. Chat messages count against their own allowance
+// (usage_tracking tool "elev8chat"), never against the report cap.
+
+import type { AiProvider, ChatMessage, CompletionResult } from "./ai-provider.js";
+import { toStringList } from "./diagnostic-schema.js";
+import { formatQuestionnaireForPrompt, validateQuestionnaireAnswers } from "./questionnaire.js";
+import { formatFinancialsForPrompt } from "./financial-statements.js";
+import { getBundledPrompt } from "./prompt-templates.js";
+import { formatReplyLanguageInstruction, normalizeLocale } from "./locales.js";
+import { USER_TEXT_GUARD, maskPii, safeScore, safeUserList, safeUserText } from "./prompt-safety.js";
+
+/*
+ * ENVIRONMENT VARIABLES for the Report Chat:
+ *
+ * CHAT_MESSAGE_CAP="20"
+ *   - Follow-up questions allowed per IP address across all saved reports
+ */
+
+export const CHAT_TOOL = 'elev8chat';
+
+// usage_tracking tool name for the chat allowance (separate from the elev8analyzer report count)
+export const CHAT_USAGE_TOOL = 'elev8chat';
+
+export const MAX_QUESTION_LENGTH = 1000;
+
+// Earlier messages sent back to the model with each question
+const PROMPT_HISTORY_MESSAGES = 10;
+
+// Messages kept with a saved report (oldest are dropped first)
+const MAX_STORED_MESSAGES = 200;
+
+const DEFAULT_MESSAGE_CAP = 20;
+
+export interface ReportChatMessage {
+  role: 'user' | 'assistant';
+  content: string;
+  createdAt: string;
+  generation?: unknown;   // provenance of assistant replies (see buildGenerationProvenance)
+}
+
+// Structured error for a missing or over-long question
+export class ChatRequestError extends Error {
+  code = 'INVALID_CHAT_REQUEST';
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'ChatRequestError';
+  }
+}
+
+export function getChatMessageCap(): number {
+  const raw = parseInt(process.env.CHAT_MESSAGE_CAP || String(DEFAULT_MESSAGE_CAP), 10);
+  return isNaN(raw) || raw < 0 ? DEFAULT_MESSAGE_CAP : raw;
+}
+
+// Latest bundled chat system prompt (routes resolve the active version through the prompt registry)
+export function getChatSystemPrompt(): string {
+  return getBundledPrompt('elev8-chat')?.content || '';
+}
+
+// Trimmed question with personal data masked (the masked text is what is sent and stored)
+export function validateChatQuestion(value: unknown): string {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    throw new ChatRequestError('The question must be text.');
+  }
+  const question = (value ?? '').trim();
+  if (!question) {
+    throw new ChatRequestError('A question is required.');
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    throw new ChatRequestError(`Questions are limited to ${MAX_QUESTION_LENGTH} characters.`);
+  }
+  return maskPii(question).text;
+}
+
+// Stored conversation of a saved report (anything malformed is dropped)
+export function normalizeConversation(value: unknown): ReportChatMessage[] {
+  if (!Array.isArray(value)) return [];
+  return value.filter((message: any) =>
+    (message?.role === 'user' || message?.role === 'assistant') && typeof message.content === 'string');
+}
+
+// The report as context for the model: intake, scores, insights, actions and roadmap
+export function buildReportChatContext(analysisData: any): string {
+  const profile = analysisData?.formData || {};
+  const pillars = Array.isArray(analysisData?.pillars) ? analysisData.pillars : [];
+  const roadmap = analysisData?.roadmap || {};
+  const questionnaireSection = formatQuestionnaireForPrompt(validateQuestionnaireAnswers(profile.questionnaire).answers);
+  const financialsSection = formatFinancialsForPrompt(analysisData?.financials || profile.financials);
+
+  // The saved report comes from the client, so its text is fenced like the intake
+  const pillarSections = pillars.map((pillar: any) => `${safeUserText(pillar.name, 'Unnamed pillar')} (score ${safeScore(pillar.score)}, status ${safeUserText(pillar.status, 'N/A')}):
+Insights:
+${safeUserList(toStringList(pillar.insights))}
+Actions:
+${safeUserList(toStringList(pillar.actions))}`).join('\n\n');
+
+  const roadmapSection = (['d30', 'd60', 'd90'] as const)
+    .map(phase => `${phase.slice(1)} days:\n${safeUserList(toStringList(roadmap[phase]))}`)
+    .join('\n');
+
+  return `BUSINESS PROFILE:
+- Business Name: ${safeUserText(analysisData?.businessName || profile.businessName, 'Not provided')}
+- Industry: ${safeUserText(profile.industry, 'Not provided')}
+- Annual Revenue: ${safeUserText(profile.revenueRange, 'Not provided')}
+- Credit Profile: ${safeUserText(profile.creditProfile, 'Not provided')}
+- Employees: ${safeUserText(profile.employees, 'Not provided')}
+- Challenges: ${safeUserText(profile.challenges)}
+- Goals: ${safeUserText(profile.goals)}
+${questionnaireSection ? `\n${questionnaireSection}\n` : ''}${financialsSection ? `\n${financialsSection}\n` : ''}
+OVERALL ASSESSMENT (Elev8 Index ${safeScore(analysisData?.overall?.score)}):
+${safeUserText(analysisData?.overall?.summary, 'Not available')}
+
+PILLARS:
+${pillarSections || 'Not available'}
+
+30/60/90-DAY ROADMAP:
+${roadmapSection}`;
+}
+
+// Answer one question with the report as context and the recent conversation as history
+export async function generateReportChatReply(
+  provider: AiProvider,
+  analysisData: any,
+  conversation: ReportChatMessage[],
+  question: string,
+  systemPrompt: string = getChatSystemPrompt(),
+): Promise<{ reply: string; completion: CompletionResult }> {
+  const languageInstruction = formatReplyLanguageInstruction(normalizeLocale(analysisData?.locale || analysisData?.formData?.locale));
+  const messages: ChatMessage[] = [
+    { role: 'system', content: systemPrompt },
+    {
+      role: 'system',
+      content: `REPORT:\n${buildReportChatContext(analysisData)}\n\n${USER_TEXT_GUARD}${languageInstruction ? `\n\n${languageInstruction}` : ''}`,
+    },
+    ...conversation.slice(-PROMPT_HISTORY_MESSAGES).map(message => ({ role: message.role, content: message.content })),
+    { role: 'user', content: question },
+  ];
+
+  const completion = await provider.complete({ tool: CHAT_TOOL, messages });
+  const reply = completion.content.trim();
+  if (!reply) {
+    const error: any = new Error('The chat reply was empty.');
+    error.code = 'EMPTY_CHAT_REPLY';
+    throw error;
+  }
+  return { reply, completion };
+}
+
+// Conversation with a question and its reply appended (returns a new array)
+export function appendChatExchange(
+  conversation: ReportChatMessage[],
+  question: string,
+  reply: string,
+  generation?: unknown,
+): ReportChatMessage[] {
+  const now = new Date().toISOString();
+  return [
+    ...conversation,
+    { role: 'user' as const, content: question, createdAt: now },
+    { role: 'assistant' as const, content: reply, createdAt: now, ...(generation ? { generation } : {}) },
+  ].slice(-MAX_STORED_MESSAGES);
+}
@@ -0,0 +1,154 @@
+// Elev8 Roadmap Tasks - Expands the 30/60/90-day roadmap into scheduled, owned tasks
+// Used by /api/generate, /api/generate/stream and generation jobs in Express and Vercel.
+// Each roadmap action becomes a task with a related pillar, owner role, effort estimate,
+// dependencies and start/due offsets in days. These offsets are the only schedule: the
+// browser and PDF turn them into dates from the program start date the user picks (see
+// Elev8Calculator.getRoadmapTaskRows).
+// Framework pillars use the owner role and action keywords of their basis pillar plus
+// their own keywords.
+
+import type { PillarName } from "./diagnostic-schema.js";
+import { getActionKeywords, getPillarBasis, getReportFramework, type PillarFramework } from "./pillar-frameworks.js";
+
+export type RoadmapPhase = 'd30' | 'd60' | 'd90';
+export type TaskEffort = 'small' | 'medium' | 'large';
+export type OwnerRole = 'owner' | 'finance' | 'operations' | 'marketing' | 'legal';
+
+export interface RoadmapTask {
+  id: string;               // "<phase>-<index>", e.g. "d60-2"
+  action: string;
+  phase: RoadmapPhase;
+  pillar: string | null;
+  ownerRole: OwnerRole;
+  effort: TaskEffort;
+  effortDays: number;
+  startOffsetDays: number;  // days after the program start date
+  dueOffsetDays: number;
+  dependsOn: string[];      // ids of tasks to finish first
+}
+
+// Days after the program start each phase covers
+const PHASE_WINDOWS: Record<RoadmapPhase, { start: number; end: number }> = {
+  d30: { start: 0, end: 30 },
+  d60: { start: 30, end: 60 },
+  d90: { start: 60, end: 90 },
+};
+
+const PHASES = Object.keys(PHASE_WINDOWS) as RoadmapPhase[];
+
+const EFFORT_DAYS: Record<TaskEffort, number> = {
+  small: 3,
+  medium: 7,
+  large: 14,
+};
+
+// Actions that start with (or contain) these words are usually quick or long pieces of work;
+// anything else is medium
+const EFFORT_KEYWORDS: Record<Exclude<TaskEffort, 'medium'>, string[]> = {
+  small: ['review', 'check', 'confirm', 'verify', 'request', 'obtain', 'order', 'call', 'schedule', 'update', 'claim', 'list'],
+  large: ['implement', 'build', 'launch', 'develop', 'hire', 'migrate', 'redesign', 'overhaul', 'automate', 'roll out'],
+};
+
+const PILLAR_OWNERS: Record<PillarName, OwnerRole> = {
+  "Formation & Compliance": 'legal',
+  "Business Credit Readiness": 'finance',
+  "Financials & Cash Flow": 'finance',
+  "Operations & Systems": 'operations',
+  "Sales & Marketing": 'marketing',
+  "Brand & Web Presence": 'marketing',
+  "Risk & Legal Posture": 'legal',
+  "Growth Strategy & Execution": 'owner',
+};
+
+// Pillar an action most likely improves: the pillar that lists the same action, else the
+// best keyword match, else the weakest pillar (roadmaps target the biggest gaps)
+export function getActionPillar(action: string, pillars: any[], framework: PillarFramework = getReportFramework(null)): string | null {
+  const text = action.toLowerCase().trim();
+  const known = pillars.filter(pillar => getPillarBasis(framework, pillar?.name));
+  if (!text || known.length === 0) return null;
+
+  const listed = known.find(pillar =>
+    (Array.isArray(pillar.actions) ? pillar.actions : []).some((item: unknown) => String(item).toLowerCase().trim() === text));
+  if (listed) return listed.name;
+
+  const byScore = [...known].sort((a, b) => (a.score ?? 0) - (b.score ?? 0));
+  let best: string | null = null;
+  let bestHits = 0;
+  for (const pillar of byScore) {
+    const hits = getActionKeywords(framework, pillar.name).filter(word => text.includes(word)).length;
+    if (hits > bestHits) {
+      best = pillar.name;
+      bestHits = hits;
+    }
+  }
+  return best || byScore[0].name;
+}
+
+export function estimateEffort(action: string): TaskEffort {
+  const text = action.toLowerCase();
+  if (EFFORT_KEYWORDS.large.some(word => text.includes(word))) return 'large';
+  if (EFFORT_KEYWORDS.small.some(word => text.startsWith(word))) return 'small';
+  return 'medium';
+}
+
+// Schedules the roadmap phase by phase. Tasks for the same owner role run one after another
+// within a phase, and a task waits for the previous phase's task on the same pillar.
+// A task that would overrun its phase is pulled back so it is due by the phase end.
+export function buildRoadmapTasks(
+  roadmap: any,
+  pillars: any[] = [],
+  framework: PillarFramework = getReportFramework(null),
+): RoadmapTask[] {
+  const tasks: RoadmapTask[] = [];
+  const lastByPillar = new Map<string, RoadmapTask>();
+  const ownerFreeAt = new Map<OwnerRole, number>();
+
+  for (const phase of PHASES) {
+    const window = PHASE_WINDOWS[phase];
+    const actions = Array.isArray(roadmap?.[phase]) ? roadmap[phase] : [];
+    const previousByPillar = new Map(lastByPillar);
+
+    actions.forEach((item: unknown, index: number) => {
+      const action = String(item ?? '').trim();
+      if (!action) return;
+
+      const pillar = getActionPillar(action, pillars, framework);
+      const basis = pillar ? getPillarBasis(framework, pillar) : null;
+      const ownerRole = basis ? PILLAR_OWNERS[basis] : 'owner';
+      const effort = estimateEffort(action);
+      const effortDays = EFFORT_DAYS[effort];
+      const dependency = pillar ? previousByPillar.get(pillar) : undefined;
+
+      const earliest = Math.max(window.start, ownerFreeAt.get(ownerRole) ?? 0, dependency?.dueOffsetDays ?? 0);
+      const startOffsetDays = Math.max(window.start, Math.min(earliest, window.end - effortDays));
+      const dueOffsetDays = Math.min(startOffsetDays + effortDays, window.end);
+
+      const task: RoadmapTask = {
+        id: `${phase}-${index + 1}`,
+        action,
+        phase,
+        pillar,
+        ownerRole,
+        effort,
+        effortDays,
+        startOffsetDays,
+        dueOffsetDays,
+        dependsOn: dependency ? [dependency.id] : [],
+      };
+      tasks.push(task);
+      ownerFreeAt.set(ownerRole, dueOffsetDays);
+      if (pillar) lastByPillar.set(pillar, task);
+    });
+  }
+
+  return tasks;
+}
+
+// Add the scheduled tasks to a report (reports without a roadmap are left as-is)
+export function attachRoadmapTasks<T extends { roadmap?: any; pillars?: any[] }>(report: T): T {
+  if (!report.roadmap) return report;
+  return {
+    ...report,
+    roadmapTasks: buildRoadmapTasks(report.roadmap, Array.isArray(report.pillars) ? report.pillars : [], getReportFramework(report)),
+  };
+}
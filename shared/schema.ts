@@ -1,5 +1,5 @@
 import { sql } from "drizzle-orm";
-import { pgTable, text, varchar, timestamp, json, integer, unique, index } from "drizzle-orm/pg-core";
+import { pgTable, text, varchar, timestamp, json, integer, boolean, doublePrecision, unique, index } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 
@@ -47,7 +47,7 @@ export type ComplianceReport = typeof complianceReports.$inferSelect;
 export const usageTracking = pgTable("usage_tracking", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
   ipAddress: text("ip_address").notNull(),
-  tool: text("tool").notNull().default('Elev8Analyzer'),
+  tool: text("tool").notNull().default('elev8analyzer'),
   reportCount: integer("report_count").notNull().default(0),
   lastUpdated: timestamp("last_updated").defaultNow().notNull(),
 }, (table) => ({
@@ -69,10 +69,16 @@ export const savedElev8Reports = pgTable("saved_elev8_reports", {
   tool: text("tool").notNull().default('Elev8Analyzer'),
   reportName: text("report_name").notNull(),
   analysisData: json("analysis_data").notNull(),
+  // Follow-up chat about the report (see shared/report-chat.ts)
+  conversation: json("conversation"),
+  // Business the report assesses; reports with the same key form its history (see shared/assessment-history.ts)
+  businessKey: text("business_key"),
+  businessName: text("business_name"),
   createdAt: timestamp("created_at").defaultNow().notNull(),
 }, (table) => ({
   toolCreatedAtIndex: index("saved_elev8_reports_tool_created_at_idx").on(table.tool, table.createdAt),
   toolIpIndex: index("saved_elev8_reports_tool_ip_idx").on(table.tool, table.ipAddress),
+  toolIpBusinessIndex: index("saved_elev8_reports_tool_ip_business_idx").on(table.tool, table.ipAddress, table.businessKey),
 }));
 
 export const insertSavedElev8ReportSchema = createInsertSchema(savedElev8Reports).omit({
@@ -82,3 +88,63 @@ export const insertSavedElev8ReportSchema = createInsertSchema(savedElev8Reports
 
 export type InsertSavedElev8Report = z.infer<typeof insertSavedElev8ReportSchema>;
 export type SavedElev8Report = typeof savedElev8Reports.$inferSelect;
+
+// Versioned system prompts managed through /api/admin/prompts (see shared/prompt-registry.ts)
+export const promptTemplates = pgTable("prompt_templates", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  name: text("name").notNull(),
+  version: text("version").notNull(),
+  content: text("content").notNull(),
+  description: text("description"),
+  isActive: boolean("is_active").notNull().default(false),
+  createdBy: text("created_by"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  activatedAt: timestamp("activated_at"),
+}, (table) => ({
+  uniqueNameVersion: unique().on(table.name, table.version),
+  nameActiveIndex: index("prompt_templates_name_active_idx").on(table.name, table.isActive),
+}));
+
+export type PromptTemplateRow = typeof promptTemplates.$inferSelect;
+
+// Background Elev8 generations polled through /api/jobs/:id (see shared/generation-jobs.ts)
+export const generationJobs = pgTable("generation_jobs", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  tool: text("tool").notNull(),
+  status: text("status").notNull().default('queued'),
+  formData: json("form_data").notNull(),
+  ipAddress: text("ip_address").notNull(),
+  attempts: integer("attempts").notNull().default(0),
+  maxAttempts: integer("max_attempts").notNull(),
+  result: json("result"),
+  error: json("error"),
+  leaseExpiresAt: timestamp("lease_expires_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  completedAt: timestamp("completed_at"),
+}, (table) => ({
+  statusLeaseIndex: index("generation_jobs_status_lease_idx").on(table.status, table.leaseExpiresAt),
+}));
+
+export type GenerationJobRow = typeof generationJobs.$inferSelect;
+
+// One row per AI completion, summarized by /api/admin/generation-costs (see shared/generation-events.ts)
+export const generationEvents = pgTable("generation_events", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  tool: text("tool").notNull(),
+  provider: text("provider").notNull(),
+  model: text("model").notNull(),
+  promptTokens: integer("prompt_tokens").notNull().default(0),
+  completionTokens: integer("completion_tokens").notNull().default(0),
+  estimatedCostUsd: doublePrecision("estimated_cost_usd"),
+  latencyMs: integer("latency_ms").notNull(),
+  status: text("status").notNull(),
+  ipAddress: text("ip_address"),
+  userId: varchar("user_id"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+  createdAtIndex: index("generation_events_created_at_idx").on(table.createdAt),
+  toolCreatedAtIndex: index("generation_events_tool_created_at_idx").on(table.tool, table.createdAt),
+}));
+
+export type GenerationEventRow = typeof generationEvents.$inferSelect;
@@ -0,0 +1,111 @@
+// Elev8 Status Bands - Score thresholds, colors and labels for the index band and pillar status
+// Used by diagnostic validation, streaming and baseline scoring (pillar status), the diagnostic
+// prompt (formatFrameworkForPrompt) and report annotation in Express and Vercel. Reports carry
+// the resolved bands in their framework view, which the browser, charts and PDF export read;
+// GET /api/elev8/frameworks sends the defaults for reports saved without bands.
+// Frameworks may move the thresholds; colors, labels and band order are fixed.
+
+import { z } from "zod";
+
+export type PillarStatus = 'red' | 'yellow' | 'green';
+
+export interface StatusBand {
+  id: string;          // CSS class for index bands, status value for pillars
+  min: number;         // lowest score in the band (inclusive)
+  color: string;       // hex color used by the UI, charts and PDF
+  labelKey: string;    // translation key in public/elev8-i18n.js
+  label: string;       // English label when no translation is available
+}
+
+// Bands ordered from the highest minimum down; the last band always starts at 0
+export interface StatusScale {
+  index: StatusBand[];
+  pillar: StatusBand[];
+}
+
+export const DEFAULT_STATUS_SCALE: StatusScale = {
+  index: [
+    { id: 'elite', min: 85, color: '#10B981', labelKey: 'band.elite', label: 'Elite' },
+    { id: 'strong', min: 75, color: '#22C55E', labelKey: 'band.strong', label: 'Strong' },
+    { id: 'stable', min: 60, color: '#EAB308', labelKey: 'band.stable', label: 'Stable' },
+    { id: 'at-risk', min: 40, color: '#F97316', labelKey: 'band.atRisk', label: 'At Risk' },
+    { id: 'critical', min: 0, color: '#EF4444', labelKey: 'band.critical', label: 'Critical' },
+  ],
+  pillar: [
+    { id: 'green', min: 71, color: '#10B981', labelKey: 'status.strong', label: 'Strong' },
+    { id: 'yellow', min: 41, color: '#EAB308', labelKey: 'status.moderate', label: 'Moderate' },
+    { id: 'red', min: 0, color: '#EF4444', labelKey: 'status.critical', label: 'Critical' },
+  ],
+};
+
+const threshold = z.number().int().min(1).max(100);
+
+// Per-framework overrides: the minimum score of each band above the lowest, e.g.
+// { "index": { "elite": 90 }, "pillar": { "green": 75, "yellow": 50 } }
+export const statusThresholdsSchema = z.object({
+  index: z.object({
+    elite: threshold,
+    strong: threshold,
+    stable: threshold,
+    'at-risk': threshold,
+  }).partial().strict().optional(),
+  pillar: z.object({
+    green: threshold,
+    yellow: threshold,
+  }).partial().strict().optional(),
+}).strict().superRefine((thresholds, ctx) => {
+  const scale = applyThresholds(thresholds);
+  for (const key of ['index', 'pillar'] as const) {
+    const bands = scale[key];
+    for (let i = 1; i < bands.length - 1; i++) {
+      if (bands[i].min >= bands[i - 1].min) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [key, bands[i].id],
+          message: `Must be below the "${bands[i - 1].id}" threshold (${bands[i - 1].min})`,
+        });
+      }
+    }
+  }
+});
+
+export type StatusThresholds = z.infer<typeof statusThresholdsSchema>;
+
+function applyThresholds(thresholds: StatusThresholds | undefined): StatusScale {
+  const override = (bands: StatusBand[], mins: Record<string, number | undefined> | undefined) =>
+    bands.map(band => band.min > 0 && mins?.[band.id] !== undefined ? { ...band, min: mins[band.id]! } : band);
+
+  return {
+    index: override(DEFAULT_STATUS_SCALE.index, thresholds?.index),
+    pillar: override(DEFAULT_STATUS_SCALE.pillar, thresholds?.pillar),
+  };
+}
+
+// Scale of a framework's validated thresholds (none: the defaults)
+export function resolveStatusScale(thresholds?: StatusThresholds): StatusScale {
+  return thresholds ? applyThresholds(thresholds) : DEFAULT_STATUS_SCALE;
+}
+
+export function findStatusBand(bands: StatusBand[], score: number): StatusBand {
+  return bands.find(band => score >= band.min) || bands[bands.length - 1];
+}
+
+// Band of an overall Elev8 Index
+export function getIndexBand(score: number, scale: StatusScale = DEFAULT_STATUS_SCALE): StatusBand {
+  return findStatusBand(scale.index, score);
+}
+
+// Status of a pillar score
+export function statusFromScore(score: number, scale: StatusScale = DEFAULT_STATUS_SCALE): PillarStatus {
+  return findStatusBand(scale.pillar, score).id as PillarStatus;
+}
+
+// Score range of each band, highest first (e.g. "71-100")
+function describeRanges(bands: StatusBand[]): string[] {
+  return bands.map((band, i) => `${band.id}: ${band.min}-${i === 0 ? 100 : bands[i - 1].min - 1}`);
+}
+
+// Prompt section with the pillar status cutoffs
+export function formatStatusBandsForPrompt(scale: StatusScale): string {
+  return `STATUS BANDS (set each pillar's status from its score):\n${describeRanges(scale.pillar).map(line => `- ${line}`).join('\n')}`;
+}
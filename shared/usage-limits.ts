@@ -0,0 +1,165 @@
+// Elev8 Usage Limits - Per-IP report caps for the soft launch
+// Used by the generation and /api/usage handlers in shared/api-handlers.ts (Express and Vercel)
+// and by report chat in server/routes.ts. Counts are kept per IP address and tool in the
+// usage_tracking table; tool names are stored lowercase so "Elev8Analyzer" and "elev8analyzer"
+// share one count. Tracking fails open: an unknown IP, a missing database or a failed check
+// never blocks a report.
+
+/*
+ * ENVIRONMENT VARIABLES for Usage Limiting:
+ *
+ * REPORT_CAP=30 (default: 30)
+ *   - Number of reports allowed per IP per tool
+ *
+ * FEATURE_USAGE_ENFORCEMENT="off" (default: "on")
+ *   - When "off": Monitor-only mode - tracks usage but never blocks
+ *   - When "on": Enforces the report cap per IP per tool
+ *
+ * BYPASS_IPS="192.168.1.1,10.0.0.1"
+ *   - Comma-separated list of IP addresses that are neither limited nor counted
+ */
+
+// Tools that generate reports, by id, with the name used in messages
+export const REPORT_TOOLS = {
+  elev8analyzer: 'Elev8 Analyzer',
+  grantgenie: 'GrantGenie',
+  complipilot: 'CompliPilot',
+} as const;
+
+export type ReportTool = keyof typeof REPORT_TOOLS;
+
+export const DEFAULT_REPORT_TOOL: ReportTool = 'elev8analyzer';
+
+export type UsageMode = 'enforcing' | 'monitor-only';
+
+export interface UsageCheck {
+  allowed: boolean;
+  count: number;
+  limit: number;
+}
+
+export interface UsageRecord {
+  success: boolean;
+  count: number;
+  limit: number;
+  limitReached: boolean;
+}
+
+// Storage for usage counts (database-backed in Express and Vercel)
+export interface UsageStore {
+  getCount(ipAddress: string, tool: string): Promise<number>;
+  // Adds one report unless the count is already at cap (null: no cap); the count after the call
+  increment(ipAddress: string, tool: string, cap: number | null): Promise<{ count: number; incremented: boolean }>;
+}
+
+export class UnknownToolError extends Error {
+  code = 'UNKNOWN_TOOL';
+  status = 400;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'UnknownToolError';
+  }
+}
+
+export function getReportCap(): number {
+  const cap = parseInt(process.env.REPORT_CAP || '30', 10);
+  return isNaN(cap) ? 30 : cap;
+}
+
+export function isEnforcementEnabled(): boolean {
+  return (process.env.FEATURE_USAGE_ENFORCEMENT || 'on').toLowerCase() === 'on';
+}
+
+export function getUsageMode(): UsageMode {
+  return isEnforcementEnabled() ? 'enforcing' : 'monitor-only';
+}
+
+export function isIpBypassed(ipAddress: string): boolean {
+  const bypassIps = process.env.BYPASS_IPS?.split(',').map(ip => ip.trim()).filter(Boolean) || [];
+  return bypassIps.includes(ipAddress);
+}
+
+// Key a tool's usage is counted under
+export function usageToolKey(tool: string): string {
+  return tool.trim().toLowerCase();
+}
+
+// Report tool of a request's "tool" value (any case; empty means Elev8 Analyzer)
+export function resolveReportTool(value: unknown): ReportTool {
+  const tool = value === undefined || value === null ? '' : usageToolKey(String(value));
+  if (tool === '') return DEFAULT_REPORT_TOOL;
+  if (!(tool in REPORT_TOOLS)) {
+    throw new UnknownToolError(`Unknown tool "${String(value)}". Use ${Object.keys(REPORT_TOOLS).join(', ')}.`);
+  }
+  return tool as ReportTool;
+}
+
+// Read-only check before generation
+export async function checkUsage(store: UsageStore | null, ipAddress: string, tool: string, cap: number = getReportCap()): Promise<UsageCheck> {
+  const key = usageToolKey(tool);
+
+  if (isIpBypassed(ipAddress)) {
+    console.log(`[Usage] IP ${ipAddress} is in BYPASS_IPS - allowing ${key}`);
+    return { allowed: true, count: 0, limit: cap };
+  }
+  if (ipAddress === 'unknown') {
+    console.warn(`[Usage] Unable to determine client IP for ${key} - allowing request without tracking`);
+    return { allowed: true, count: 0, limit: cap };
+  }
+  if (!store) {
+    return { allowed: true, count: 0, limit: cap };
+  }
+
+  try {
+    const count = await store.getCount(ipAddress, key);
+    if (count >= cap && isEnforcementEnabled()) {
+      console.log(`[Usage] IP ${ipAddress} has reached the limit for ${key}: ${count}/${cap}`);
+      return { allowed: false, count, limit: cap };
+    }
+    return { allowed: true, count, limit: cap };
+  } catch (error: any) {
+    // Fail open for the soft launch - allow generation if usage tracking fails
+    console.error(`[Usage] Check error for ${key}:`, error.message);
+    return { allowed: true, count: 0, limit: cap };
+  }
+}
+
+// Counts a delivered report. The increment is atomic with the cap, so two requests racing
+// past checkUsage() cannot both take the last report; in monitor-only mode there is no cap.
+export async function recordUsage(store: UsageStore | null, ipAddress: string, tool: string, cap: number = getReportCap()): Promise<UsageRecord> {
+  const key = usageToolKey(tool);
+  const enforcing = isEnforcementEnabled();
+
+  if (isIpBypassed(ipAddress) || ipAddress === 'unknown' || !store) {
+    return { success: true, count: 0, limit: cap, limitReached: false };
+  }
+
+  try {
+    const { count, incremented } = await store.increment(ipAddress, key, enforcing ? cap : null);
+    if (!incremented) {
+      console.log(`[Usage] IP ${ipAddress} already at the limit for ${key}: ${count}/${cap}`);
+      return { success: false, count, limit: cap, limitReached: true };
+    }
+    console.log(`[Usage] IP ${ipAddress} incremented ${key} to ${count}/${cap} (${getUsageMode()})`);
+    return { success: true, count, limit: cap, limitReached: false };
+  } catch (error: any) {
+    // Enforcing: don't deliver a report that could not be counted
+    console.error(`[Usage] Increment error for ${key}:`, error.message);
+    return { success: !enforcing, count: 0, limit: cap, limitReached: enforcing };
+  }
+}
+
+// 429 body when a tool's report cap is reached
+export function usageLimitError(tool: string, usage: { count: number; limit: number }) {
+  const key = usageToolKey(tool);
+  const name = REPORT_TOOLS[key as ReportTool] || tool;
+  return {
+    error: `You've reached your ${usage.limit}-report limit for the ${name} soft launch.`,
+    code: 'LIMIT_REACHED',
+    limitReached: true,
+    count: usage.count,
+    limit: usage.limit,
+    tool: key,
+  };
+}
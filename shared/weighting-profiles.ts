@@ -0,0 +1,196 @@
+// Elev8 Weighting Profiles - Industry- and stage-specific pillar weights for the Elev8 Index
+// Used by diagnostic generation and baseline scoring in Express and Vercel, and by
+// GET /api/elev8/weighting-profiles for the intake form. A profile is chosen from the intake's
+// industry and revenue range unless the form names one. Multipliers are keyed by core pillar
+// and scale the framework weight of every pillar built on it (see shared/pillar-frameworks.ts),
+// so the weighted framework carried by the report is what both server and browser score with.
+
+import { getFramework, type PillarFramework, type PillarName } from "./pillar-frameworks.js";
+
+export type BusinessStage = 'early' | 'growth' | 'established';
+
+export interface WeightingProfile {
+  id: string;
+  name: string;
+  description: string;
+  industries: string[];        // intake industries it applies to (empty = any)
+  stages: BusinessStage[];     // stages it applies to (empty = any)
+  multipliers: Partial<Record<PillarName, number>>;
+}
+
+// Weighting recorded on a report; weights are the final pillar weights the index uses
+export interface WeightingView {
+  profile: string;
+  name: string;
+  source: 'auto' | 'selected';
+  industry: string | null;
+  revenueRange: string | null;
+  stage: BusinessStage | null;
+  multipliers: Partial<Record<PillarName, number>>;
+  weights: Record<string, number>;
+}
+
+export class WeightingProfileError extends Error {
+  code = 'UNKNOWN_WEIGHTING_PROFILE';
+  status = 400;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'WeightingProfileError';
+  }
+}
+
+export const STANDARD_PROFILE_ID = 'standard';
+
+// Stage of each revenue range option in elev8-analyzer.html
+const REVENUE_STAGES: Record<string, BusinessStage> = {
+  "Pre-Revenue": 'early',
+  "$0 - $100K": 'early',
+  "$100K - $500K": 'growth',
+  "$500K - $1M": 'growth',
+  "$1M - $5M": 'growth',
+  "$5M - $10M": 'established',
+  "$10M+": 'established',
+};
+
+// Checked in order and the first match wins, so industry-and-stage profiles come before
+// industry-only ones, then stage-only ones, then the standard weights
+const WEIGHTING_PROFILES: WeightingProfile[] = [
+  {
+    id: 'tech-startup',
+    name: 'Early-stage tech',
+    description: 'Pre-revenue and early software companies are judged more on their growth plan and brand than on their books',
+    industries: ['Technology / Software'],
+    stages: ['early'],
+    multipliers: { 'Growth Strategy & Execution': 1.5, 'Brand & Web Presence': 1.2, 'Financials & Cash Flow': 0.8, 'Business Credit Readiness': 0.8 },
+  },
+  {
+    id: 'construction',
+    name: 'Construction & trades',
+    description: 'Liability, licensing and bonding capacity decide which jobs a contractor can take on',
+    industries: ['Construction'],
+    stages: [],
+    multipliers: { 'Risk & Legal Posture': 1.5, 'Formation & Compliance': 1.2, 'Business Credit Readiness': 1.2 },
+  },
+  {
+    id: 'regulated',
+    name: 'Regulated services',
+    description: 'Healthcare and financial services live or die by compliance and risk controls',
+    industries: ['Healthcare', 'Financial Services'],
+    stages: [],
+    multipliers: { 'Formation & Compliance': 1.4, 'Risk & Legal Posture': 1.3 },
+  },
+  {
+    id: 'operations-heavy',
+    name: 'Operations-heavy',
+    description: 'Manufacturers and logistics companies win on throughput, systems and safety',
+    industries: ['Manufacturing', 'Transportation & Logistics'],
+    stages: [],
+    multipliers: { 'Operations & Systems': 1.25, 'Risk & Legal Posture': 1.2 },
+  },
+  {
+    id: 'consumer',
+    name: 'Consumer brands',
+    description: 'Retail and food businesses depend on customer acquisition and a recognizable brand',
+    industries: ['Retail / E-commerce', 'Food & Beverage'],
+    stages: [],
+    multipliers: { 'Sales & Marketing': 1.25, 'Brand & Web Presence': 1.3 },
+  },
+  {
+    id: 'early-stage',
+    name: 'Early stage',
+    description: 'Young businesses are judged more on their plan and setup than on their track record',
+    industries: [],
+    stages: ['early'],
+    multipliers: { 'Growth Strategy & Execution': 1.3, 'Formation & Compliance': 1.2, 'Financials & Cash Flow': 0.8, 'Business Credit Readiness': 0.8 },
+  },
+  {
+    id: STANDARD_PROFILE_ID,
+    name: 'Standard',
+    description: 'The framework weights as defined (Financials ×1.5, Operations and Sales ×1.2 for small businesses)',
+    industries: [],
+    stages: [],
+    multipliers: {},
+  },
+];
+
+export function listWeightingProfiles(): WeightingProfile[] {
+  return WEIGHTING_PROFILES;
+}
+
+export function getBusinessStage(revenueRange: unknown): BusinessStage | null {
+  return typeof revenueRange === 'string' ? REVENUE_STAGES[revenueRange] ?? null : null;
+}
+
+// Profile for an intake's industry and revenue range
+export function selectWeightingProfile(industry: unknown, revenueRange: unknown): WeightingProfile {
+  const stage = getBusinessStage(revenueRange);
+  return WEIGHTING_PROFILES.find(profile =>
+    (profile.industries.length === 0 || profile.industries.includes(String(industry ?? ''))) &&
+    (profile.stages.length === 0 || (stage !== null && profile.stages.includes(stage))),
+  )!;
+}
+
+// Validate the profile chosen on the intake form (empty or "auto" means choose from the intake)
+export function resolveWeightingProfileId(value: unknown): string {
+  if (value === undefined || value === null) return '';
+  const id = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (id === '' || id === 'auto') return '';
+  if (!WEIGHTING_PROFILES.some(profile => profile.id === id)) {
+    throw new WeightingProfileError(`Unknown weighting profile "${String(value)}". Use auto, ${WEIGHTING_PROFILES.map(p => p.id).join(', ')}.`);
+  }
+  return id;
+}
+
+export function getWeightingProfile(formData: any): { profile: WeightingProfile; source: WeightingView['source'] } {
+  const chosen = WEIGHTING_PROFILES.find(profile => profile.id === formData?.weightingProfile);
+  return chosen
+    ? { profile: chosen, source: 'selected' }
+    : { profile: selectWeightingProfile(formData?.industry, formData?.revenueRange), source: 'auto' };
+}
+
+// Framework with each pillar's weight scaled by its basis pillar's multiplier
+export function applyWeightingProfile(framework: PillarFramework, profile: WeightingProfile): PillarFramework {
+  return {
+    ...framework,
+    pillars: framework.pillars.map(pillar => ({
+      ...pillar,
+      weight: Math.round(pillar.weight * (profile.multipliers[pillar.basis] ?? 1) * 100) / 100,
+    })),
+  };
+}
+
+// The intake's framework with its weighting profile applied
+export function getWeightedFramework(formData: any): PillarFramework {
+  return applyWeightingProfile(getFramework(formData?.framework), getWeightingProfile(formData).profile);
+}
+
+export function describeWeighting(formData: any): WeightingView {
+  const { profile, source } = getWeightingProfile(formData);
+  const framework = applyWeightingProfile(getFramework(formData?.framework), profile);
+  return {
+    profile: profile.id,
+    name: profile.name,
+    source,
+    industry: formData?.industry || null,
+    revenueRange: formData?.revenueRange || null,
+    stage: getBusinessStage(formData?.revenueRange),
+    multipliers: profile.multipliers,
+    weights: Object.fromEntries(framework.pillars.map(pillar => [pillar.name, pillar.weight])),
+  };
+}
+
+// Records the weighting profile an Elev8 report was scored with
+export function attachWeighting<T extends Record<string, any>>(report: T, formData: any): T & { weighting: WeightingView } {
+  return { ...report, weighting: describeWeighting(formData) };
+}
+
+// Response of GET /api/elev8/weighting-profiles; automatic is the id of the profile an intake
+// with the given industry and revenue range would get, so the form doesn't repeat the matching
+export function listWeightingProfileViews(industry?: unknown, revenueRange?: unknown) {
+  return {
+    stages: REVENUE_STAGES,
+    profiles: WEIGHTING_PROFILES,
+    automatic: selectWeightingProfile(industry, revenueRange).id,
+  };
+}
@@ -3,15 +3,10 @@
  * Production API endpoint for OpenAI integration
  */
 
-import OpenAI from 'openai';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getAiProvider, getAiProviderName } from '../../shared/ai-provider.js';
 
-// Initialize OpenAI client
-// Note: the newest OpenAI model is "gpt-5" which was released August 7, 2025. do not change this unless explicitly requested by the user
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
-
-export default async function handler(req, res) {
+export default async function handler(req: VercelRequest, res: VercelResponse) {
     // Set CORS headers for iframe embedding
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -51,8 +46,8 @@ export default async function handler(req, res) {
             });
         }
 
-        // Check if OpenAI API key is configured
-        if (!process.env.OPENAI_API_KEY) {
+        // Check if OpenAI API key is configured (not needed for local or mock providers)
+        if (getAiProviderName() === 'openai' && !process.env.OPENAI_API_KEY) {
             console.error('OpenAI API key not configured');
             return res.status(500).json({ 
                 error: 'Service configuration error. Please contact support.' 
@@ -61,10 +56,9 @@ export default async function handler(req, res) {
 
         console.log('Generating response for prompt:', prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''));
 
-        // Call OpenAI API
-        // Note: the newest OpenAI model is "gpt-5" which was released August 7, 2025. do not change this unless explicitly requested by the user
-        const completion = await openai.chat.completions.create({
-            model: "gpt-5",
+        // Call the configured AI provider (generic tool defaults to "gpt-5", override with AI_GENERIC_MODEL)
+        const completion = await getAiProvider().complete({
+            tool: 'generic',
             messages: [
                 {
                     role: "system",
@@ -74,11 +68,10 @@ export default async function handler(req, res) {
                     role: "user",
                     content: prompt
                 }
-            ],
-            max_tokens: 2048,
+            ]
         });
 
-        const result = completion.choices[0].message.content;
+        const result = completion.content;
 
         console.log('Response generated successfully');
 
@@ -86,10 +79,10 @@ export default async function handler(req, res) {
         res.status(200).json({ 
             result,
             timestamp: new Date().toISOString(),
-            model: "gpt-5"
+            model: completion.model
         });
 
-    } catch (error) {
+    } catch (error: any) {
         console.error('Error in serverless function:', error);
 
         // Handle specific OpenAI errors